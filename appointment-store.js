@@ -0,0 +1,130 @@
+/**
+ * Appointment Store Module
+ *
+ * Keeps the appointments that were sent an SMS reminder, with the phone
+ * number it went to and where the appointment stands: waiting for a reply,
+ * confirmed, or asked to be rescheduled. Inbound replies are matched to an
+ * appointment through its phone number.
+ *
+ * The store is persisted to a JSON file shared by every process, so replies
+ * that arrive after a restart, or at another process, still find their
+ * appointment.
+ */
+
+const { createJsonFileStore } = require('./json-file-store');
+
+// Configuration
+const APPOINTMENTS_FILE = process.env.APPOINTMENTS_FILE || 'appointments.json';
+
+const APPOINTMENT_STATUS = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  RESCHEDULE_REQUESTED: 'rescheduleRequested',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed'
+};
+
+// { [appointmentId]: appointment }, re-read on every call because the API
+// adds appointments while the worker records the replies
+const appointmentStore = createJsonFileStore(APPOINTMENTS_FILE, { name: 'appointments' });
+
+/**
+ * Add an appointment, replacing any earlier one with the same ID
+ *
+ * A replaced appointment keeps its original createdAt.
+ *
+ * @param {Object} appointment - The appointment; must have an id and a phone number
+ * @returns {Object} The stored appointment
+ */
+function saveAppointment(appointment) {
+  if (!appointment || !appointment.id || !appointment.phone) {
+    throw new Error('An appointment needs an id and a phone number');
+  }
+
+  return appointmentStore.update(appointments => {
+    const now = new Date().toISOString();
+    const existing = appointments[appointment.id];
+    appointments[appointment.id] = {
+      status: APPOINTMENT_STATUS.PENDING,
+      ...appointment,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+    return appointments[appointment.id];
+  });
+}
+
+/**
+ * Change an appointment's fields
+ *
+ * @param {string} appointmentId - The appointment ID
+ * @param {Object} changes - The fields to change
+ * @returns {Object|null} The updated appointment, or null if it doesn't exist
+ */
+function updateAppointment(appointmentId, changes) {
+  if (!appointmentStore.read()[appointmentId]) return null;
+
+  return appointmentStore.update(appointments => {
+    const appointment = appointments[appointmentId];
+    if (!appointment) return null;
+
+    Object.assign(appointment, changes, { updatedAt: new Date().toISOString() });
+    return appointment;
+  });
+}
+
+/**
+ * Get an appointment by ID
+ *
+ * @param {string} appointmentId - The appointment ID
+ * @returns {Object|null} The appointment, or null if not found
+ */
+function getAppointment(appointmentId) {
+  return appointmentStore.read()[appointmentId] || null;
+}
+
+/**
+ * List appointments, most recently reminded first
+ *
+ * @param {Object} [filter={}] - Filter options
+ * @param {string} [filter.status] - Only include this status
+ * @param {string} [filter.phone] - Only include this phone number (compared without spaces or dashes)
+ * @returns {Array<Object>} Matching appointments
+ */
+function listAppointments(filter = {}) {
+  const normalize = number => String(number || '').replace(/[\s\-().]/g, '');
+  const phone = filter.phone ? normalize(filter.phone) : null;
+
+  return Object.values(appointmentStore.read())
+    .filter(appointment =>
+      (!filter.status || appointment.status === filter.status) &&
+      (!phone || normalize(appointment.phone) === phone)
+    )
+    .sort((a, b) => new Date(b.remindedAt || b.createdAt) - new Date(a.remindedAt || a.createdAt));
+}
+
+/**
+ * Remove an appointment
+ *
+ * @param {string} appointmentId - The appointment ID
+ * @returns {boolean} Whether the appointment existed
+ */
+function removeAppointment(appointmentId) {
+  if (!appointmentStore.read()[appointmentId]) return false;
+
+  return appointmentStore.update(appointments => {
+    if (!appointments[appointmentId]) return false;
+
+    delete appointments[appointmentId];
+    return true;
+  });
+}
+
+module.exports = {
+  APPOINTMENT_STATUS,
+  saveAppointment,
+  updateAppointment,
+  getAppointment,
+  listAppointments,
+  removeAppointment
+};
@@ -0,0 +1,280 @@
+/**
+ * Circuit Breaker Module
+ *
+ * Keeps one circuit breaker per channel provider (SMTP, Twilio, ...). After a
+ * run of consecutive provider failures the circuit opens and sends to that
+ * provider fail fast with a PROVIDER_UNAVAILABLE code instead of waiting for
+ * another network timeout. Once the reset timeout has passed the circuit goes
+ * half-open and lets a trial send (or a configured probe) through; a success
+ * closes the circuit again, a failure re-opens it.
+ */
+
+const config = require('./config');
+
+const PROVIDER_UNAVAILABLE = 'PROVIDER_UNAVAILABLE';
+
+const CIRCUIT_STATE = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+class CircuitBreaker {
+  /**
+   * @param {string} name - The provider name
+   * @param {Object} [options={}] - Breaker options
+   * @param {number} [options.failureThreshold] - Consecutive failures that open the circuit
+   * @param {number} [options.resetTimeoutMs] - How long the circuit stays open before a trial send
+   * @param {number} [options.halfOpenMaxCalls=1] - Trial sends allowed at once while half-open
+   * @param {Function} [options.probe] - Async health check run while open; resolving closes the circuit
+   * @param {number} [options.probeIntervalMs] - How often to run the probe while open
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || config.circuitBreaker.failureThreshold;
+    this.resetTimeoutMs = options.resetTimeoutMs || config.circuitBreaker.resetTimeoutMs;
+    this.halfOpenMaxCalls = options.halfOpenMaxCalls || 1;
+    this.probe = options.probe || null;
+    this.probeIntervalMs = options.probeIntervalMs || this.resetTimeoutMs;
+
+    this.state = CIRCUIT_STATE.CLOSED;
+    this.consecutiveFailures = 0;
+    this.halfOpenCalls = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.lastSuccessAt = null;
+    this.stats = { successes: 0, failures: 0, rejected: 0, trips: 0 };
+    this.probeTimer = null;
+  }
+
+  /**
+   * Check whether a send may go through, moving an expired open circuit to half-open
+   *
+   * @returns {boolean} True if the send is allowed
+   */
+  canRequest() {
+    if (this.state === CIRCUIT_STATE.OPEN && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.transition(CIRCUIT_STATE.HALF_OPEN);
+    }
+
+    if (this.state === CIRCUIT_STATE.CLOSED) {
+      return true;
+    }
+
+    if (this.state === CIRCUIT_STATE.HALF_OPEN && this.halfOpenCalls < this.halfOpenMaxCalls) {
+      this.halfOpenCalls++;
+      return true;
+    }
+
+    this.stats.rejected++;
+    return false;
+  }
+
+  /**
+   * Record a successful send
+   */
+  recordSuccess() {
+    this.stats.successes++;
+    this.consecutiveFailures = 0;
+    this.lastSuccessAt = new Date().toISOString();
+
+    if (this.state !== CIRCUIT_STATE.CLOSED) {
+      this.transition(CIRCUIT_STATE.CLOSED);
+    }
+  }
+
+  /**
+   * Record a failed send
+   *
+   * @param {string} [error] - The error message
+   */
+  recordFailure(error) {
+    this.stats.failures++;
+    this.consecutiveFailures++;
+    this.lastError = error || null;
+    this.lastFailureAt = new Date().toISOString();
+
+    if (this.state === CIRCUIT_STATE.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+      this.transition(CIRCUIT_STATE.OPEN);
+    }
+  }
+
+  /**
+   * Milliseconds until an open circuit allows a trial send
+   *
+   * @returns {number} Remaining time, 0 if the circuit isn't open
+   */
+  getRetryAfterMs() {
+    if (this.state !== CIRCUIT_STATE.OPEN) return 0;
+    return Math.max(0, this.openedAt + this.resetTimeoutMs - Date.now());
+  }
+
+  /**
+   * Change state and start or stop the probe
+   * @private
+   * @param {string} state - The new state
+   */
+  transition(state) {
+    const previous = this.state;
+    this.state = state;
+    this.halfOpenCalls = 0;
+
+    if (state === CIRCUIT_STATE.OPEN) {
+      this.openedAt = Date.now();
+      if (previous !== CIRCUIT_STATE.OPEN) this.stats.trips++;
+      console.warn(`[WARN] [provider=${this.name}] Circuit opened after ${this.consecutiveFailures} consecutive failure(s): ${this.lastError}`);
+      this.startProbe();
+    } else {
+      this.stopProbe();
+      if (state === CIRCUIT_STATE.CLOSED) {
+        this.openedAt = null;
+        console.log(`[INFO] [provider=${this.name}] Circuit closed, provider is healthy again`);
+      } else {
+        console.log(`[INFO] [provider=${this.name}] Circuit half-open, allowing a trial send`);
+      }
+    }
+  }
+
+  /**
+   * Run the probe periodically while the circuit is open
+   * @private
+   */
+  startProbe() {
+    if (!this.probe || this.probeTimer) return;
+
+    this.probeTimer = setInterval(async () => {
+      if (this.state !== CIRCUIT_STATE.OPEN) return;
+
+      try {
+        await this.probe();
+        this.recordSuccess();
+      } catch (error) {
+        this.lastError = error.message;
+      }
+    }, this.probeIntervalMs);
+
+    // Don't keep short-lived scripts alive just for the probe
+    if (this.probeTimer.unref) this.probeTimer.unref();
+  }
+
+  /**
+   * Stop the probe
+   * @private
+   */
+  stopProbe() {
+    if (this.probeTimer) {
+      clearInterval(this.probeTimer);
+      this.probeTimer = null;
+    }
+  }
+
+  /**
+   * Force the circuit closed and clear the failure count
+   */
+  reset() {
+    this.consecutiveFailures = 0;
+    this.lastError = null;
+    if (this.state !== CIRCUIT_STATE.CLOSED) {
+      this.transition(CIRCUIT_STATE.CLOSED);
+    }
+  }
+
+  /**
+   * Snapshot of the breaker for health checks
+   *
+   * @returns {Object} State, failure counts and timestamps
+   */
+  getState() {
+    // Report an expired open circuit as half-open without consuming a trial send
+    const state = this.state === CIRCUIT_STATE.OPEN && this.getRetryAfterMs() === 0
+      ? CIRCUIT_STATE.HALF_OPEN
+      : this.state;
+
+    return {
+      provider: this.name,
+      state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAfterMs: this.getRetryAfterMs(),
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt,
+      lastSuccessAt: this.lastSuccessAt,
+      stats: { ...this.stats }
+    };
+  }
+}
+
+// Per-provider options and the breakers created from them
+const providerOptions = {};
+const breakers = new Map();
+
+/**
+ * Set circuit breaker options for one or more providers
+ *
+ * Options for a provider replace its existing breaker, resetting its state.
+ *
+ * @param {Object} options - Options keyed by provider, e.g. { smtp: { failureThreshold: 3, probe } }
+ * @returns {Object} Current states of all breakers
+ */
+function configureCircuitBreakers(options = {}) {
+  Object.entries(options).forEach(([provider, providerConfig]) => {
+    providerOptions[provider] = { ...(providerOptions[provider] || {}), ...providerConfig };
+
+    if (breakers.has(provider)) {
+      breakers.get(provider).stopProbe();
+      breakers.delete(provider);
+    }
+  });
+
+  return getCircuitStates();
+}
+
+/**
+ * Get the circuit breaker for a provider, creating it on first use
+ *
+ * @param {string} provider - The provider name
+ * @returns {CircuitBreaker} The breaker
+ */
+function getCircuitBreaker(provider) {
+  if (!breakers.has(provider)) {
+    breakers.set(provider, new CircuitBreaker(provider, providerOptions[provider]));
+  }
+  return breakers.get(provider);
+}
+
+/**
+ * Get the state of every provider's circuit breaker
+ *
+ * @returns {Object} Breaker states keyed by provider
+ */
+function getCircuitStates() {
+  const states = {};
+  breakers.forEach((breaker, provider) => {
+    states[provider] = breaker.getState();
+  });
+  return states;
+}
+
+/**
+ * Force a provider's circuit closed
+ *
+ * @param {string} provider - The provider name
+ * @returns {boolean} True if the provider had a breaker
+ */
+function resetCircuit(provider) {
+  if (!breakers.has(provider)) return false;
+  breakers.get(provider).reset();
+  return true;
+}
+
+module.exports = {
+  PROVIDER_UNAVAILABLE,
+  CIRCUIT_STATE,
+  CircuitBreaker,
+  configureCircuitBreakers,
+  getCircuitBreaker,
+  getCircuitStates,
+  resetCircuit
+};
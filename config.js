@@ -8,6 +8,8 @@
 // Load environment variables from .env file
 require('dotenv').config();
 
+const path = require('path');
+
 // Email configuration
 const emailConfig = {
   host: process.env.EMAIL_HOST,
@@ -17,14 +19,208 @@ const emailConfig = {
     user: process.env.EMAIL_USER,
     pass: process.env.EMAIL_PASSWORD
   },
-  defaultFrom: process.env.EMAIL_FROM || 'notification-system@example.com'
+  defaultFrom: process.env.EMAIL_FROM || 'notification-system@example.com',
+  // HTML layout wrapped around every email body, from EMAIL_LAYOUTS_DIR/<name>.html ('none' to disable)
+  layout: process.env.EMAIL_LAYOUT || 'default',
+  layoutsDir: process.env.EMAIL_LAYOUTS_DIR || path.join(__dirname, 'data', 'templates', 'layouts'),
+  // Move <style> rules into style attributes, since many mail clients drop <style> blocks
+  inlineCss: process.env.EMAIL_INLINE_CSS !== 'false',
+  // Attachment limits; most providers reject messages over about 25 MB once encoded
+  attachments: {
+    maxCount: parseInt(process.env.EMAIL_MAX_ATTACHMENTS || '20', 10),
+    maxAttachmentBytes: parseInt(process.env.EMAIL_MAX_ATTACHMENT_BYTES || String(10 * 1024 * 1024), 10),
+    maxTotalBytes: parseInt(process.env.EMAIL_MAX_TOTAL_ATTACHMENT_BYTES || String(18 * 1024 * 1024), 10)
+  }
 };
 
+/**
+ * Parse a weighted provider list such as "twilio:3,vonage:1" into
+ * [{ name, weight }]; the weight defaults to 1
+ * @private
+ */
+function parseProviderList(list) {
+  const entries = Array.isArray(list) ? list : String(list || '').split(',');
+  return entries
+    .map(entry => String(entry).trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [name, weight] = entry.split(':');
+      return { name: name.trim(), weight: weight === undefined ? 1 : parseFloat(weight) };
+    });
+}
+
+/**
+ * Parse SMS_ROUTES, a JSON object mapping number prefixes to provider lists,
+ * e.g. {"+44": "vonage:2,messagebird:1", "+1": "twilio"}
+ * @private
+ */
+function parseSmsRoutes(json) {
+  if (!json) return {};
+  try {
+    const routes = JSON.parse(json);
+    return Object.fromEntries(Object.entries(routes).map(([prefix, list]) => [prefix, parseProviderList(list)]));
+  } catch (error) {
+    console.warn(`⚠️ Ignoring SMS_ROUTES, which is not valid JSON: ${error.message}`);
+    return {};
+  }
+}
+
 // SMS configuration
 const smsConfig = {
-  accountSid: process.env.TWILIO_ACCOUNT_SID,
-  authToken: process.env.TWILIO_AUTH_TOKEN,
-  fromNumber: process.env.TWILIO_FROM_NUMBER
+  // Providers tried for every number, in weighted random order, failing over to the rest
+  providers: parseProviderList(process.env.SMS_PROVIDERS || process.env.SMS_PROVIDER || 'twilio'),
+  // Provider lists for number prefixes; the longest matching prefix wins
+  routes: parseSmsRoutes(process.env.SMS_ROUTES),
+  timeoutMs: parseInt(process.env.SMS_TIMEOUT_MS || '10000', 10),
+  twilio: {
+    accountSid: process.env.TWILIO_ACCOUNT_SID,
+    authToken: process.env.TWILIO_AUTH_TOKEN,
+    // TWILIO_PHONE_NUMBER is the older name for the same setting
+    fromNumber: process.env.TWILIO_FROM_NUMBER || process.env.TWILIO_PHONE_NUMBER,
+    messagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID,
+    apiUrl: process.env.TWILIO_API_URL || 'https://api.twilio.com',
+    // Twilio posts delivery status updates for each message here
+    statusCallbackUrl: process.env.TWILIO_STATUS_CALLBACK_URL
+  },
+  vonage: {
+    apiKey: process.env.VONAGE_API_KEY,
+    apiSecret: process.env.VONAGE_API_SECRET,
+    from: process.env.VONAGE_FROM,
+    apiUrl: process.env.VONAGE_API_URL || 'https://rest.nexmo.com'
+  },
+  messagebird: {
+    accessKey: process.env.MESSAGEBIRD_ACCESS_KEY,
+    originator: process.env.MESSAGEBIRD_ORIGINATOR,
+    apiUrl: process.env.MESSAGEBIRD_API_URL || 'https://rest.messagebird.com'
+  },
+  // Any HTTP API that accepts a JSON POST of { to, from, message, encoding }
+  http: {
+    url: process.env.SMS_HTTP_URL,
+    authHeader: process.env.SMS_HTTP_AUTH_HEADER,
+    from: process.env.SMS_HTTP_FROM,
+    // Response field holding the message ID
+    idField: process.env.SMS_HTTP_ID_FIELD || 'id'
+  },
+  // Replace characters outside GSM-7 (e.g. 'ó', curly quotes) so messages aren't sent as UCS-2
+  transliterate: process.env.SMS_TRANSLITERATE === 'true',
+  // Twilio accepts at most 10 concatenated segments
+  maxSegments: parseInt(process.env.SMS_MAX_SEGMENTS || '10', 10),
+  // 'reject' or 'truncate' messages over maxSegments
+  segmentPolicy: process.env.SMS_SEGMENT_POLICY || 'reject',
+  costPerSegment: parseFloat(process.env.SMS_COST_PER_SEGMENT || '0.0079'),
+  currency: process.env.SMS_COST_CURRENCY || 'USD',
+  // Replies received through Twilio's messaging webhook
+  inbound: {
+    // Used in the STOP, START and HELP auto-replies
+    serviceName: process.env.SMS_SERVICE_NAME || 'Notification Service',
+    helpContact: process.env.SMS_HELP_CONTACT || process.env.EMAIL_FROM || 'notification-system@example.com',
+    // Public URL Twilio posts to; Twilio signs it, so it must match exactly
+    webhookUrl: process.env.SMS_INBOUND_WEBHOOK_URL,
+    validateSignature: process.env.SMS_INBOUND_VALIDATE_SIGNATURE !== 'false'
+  },
+  // Appointment reminders answered with C (confirm) or R (reschedule)
+  appointments: {
+    // Send a follow-up when a reminder is still unanswered after this long; 0 disables it
+    followUpAfterMs: parseInt(process.env.SMS_APPOINTMENT_FOLLOW_UP_MS || '0', 10)
+  }
+};
+
+// Retry configuration for transient delivery failures
+const retryConfig = {
+  maxAttempts: parseInt(process.env.RETRY_MAX_ATTEMPTS || '3', 10),
+  baseDelayMs: parseInt(process.env.RETRY_BASE_DELAY_MS || '200', 10),
+  maxDelayMs: parseInt(process.env.RETRY_MAX_DELAY_MS || '5000', 10),
+  jitter: parseFloat(process.env.RETRY_JITTER || '0.2')
+};
+
+// Idempotency and duplicate suppression configuration
+const idempotencyConfig = {
+  keyTtlMs: parseInt(process.env.IDEMPOTENCY_KEY_TTL_MS || '86400000', 10),
+  claimTimeoutMs: parseInt(process.env.IDEMPOTENCY_CLAIM_TIMEOUT_MS || '300000', 10),
+  dedupeWindowMs: parseInt(process.env.DEDUPE_WINDOW_MS || '0', 10)
+};
+
+// Rate limiting configuration; limits themselves are set with configureRateLimits
+const rateLimitConfig = {
+  mode: process.env.RATE_LIMIT_MODE || 'reject',
+  maxDelayMs: parseInt(process.env.RATE_LIMIT_MAX_DELAY_MS || '30000', 10)
+};
+
+// Circuit breaker defaults for channel providers
+const circuitBreakerConfig = {
+  failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || '5', 10),
+  resetTimeoutMs: parseInt(process.env.CIRCUIT_RESET_TIMEOUT_MS || '30000', 10)
+};
+
+// Webhook channel configuration
+const webhookConfig = {
+  signingSecret: process.env.WEBHOOK_SIGNING_SECRET,
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10),
+  toleranceSeconds: parseInt(process.env.WEBHOOK_SIGNATURE_TOLERANCE_SECONDS || '300', 10)
+};
+
+// Chat (Slack/Teams incoming webhook) channel configuration
+const chatConfig = {
+  defaultFormat: process.env.CHAT_DEFAULT_FORMAT || 'slack',
+  timeoutMs: parseInt(process.env.CHAT_TIMEOUT_MS || '10000', 10)
+};
+
+// Push provider configuration (FCM HTTP v1 and APNs)
+const pushConfig = {
+  timeoutMs: parseInt(process.env.PUSH_TIMEOUT_MS || '10000', 10),
+  fcm: {
+    serviceAccountFile: process.env.FCM_SERVICE_ACCOUNT_FILE,
+    serviceAccountJson: process.env.FCM_SERVICE_ACCOUNT_JSON,
+    apiUrl: process.env.FCM_API_URL || 'https://fcm.googleapis.com',
+    // Defaults to the token_uri in the service account
+    tokenUrl: process.env.FCM_TOKEN_URL,
+    // Instance ID API, used to mirror topic subscriptions to FCM
+    iidUrl: process.env.FCM_IID_URL || 'https://iid.googleapis.com'
+  },
+  apns: {
+    keyId: process.env.APNS_KEY_ID,
+    teamId: process.env.APNS_TEAM_ID,
+    keyFile: process.env.APNS_KEY_FILE,
+    privateKey: process.env.APNS_PRIVATE_KEY,
+    topic: process.env.APNS_TOPIC,
+    url: process.env.APNS_URL || (process.env.APNS_PRODUCTION === 'false'
+      ? 'https://api.sandbox.push.apple.com'
+      : 'https://api.push.apple.com')
+  },
+  topics: {
+    // Send to FCM topics natively (one request) instead of fanning out to each Android token
+    nativeFcm: process.env.PUSH_FCM_NATIVE_TOPICS === 'true',
+    fanoutBatchSize: parseInt(process.env.PUSH_FANOUT_BATCH_SIZE || '500', 10),
+    fanoutConcurrency: parseInt(process.env.PUSH_FANOUT_CONCURRENCY || '10', 10)
+  }
+};
+
+// Web Push (VAPID) configuration; generate keys with generateVapidKeys()
+const webPushConfig = {
+  vapidPublicKey: process.env.VAPID_PUBLIC_KEY,
+  vapidPrivateKey: process.env.VAPID_PRIVATE_KEY,
+  vapidSubject: process.env.VAPID_SUBJECT,
+  ttlSeconds: parseInt(process.env.WEBPUSH_TTL_SECONDS || '86400', 10),
+  timeoutMs: parseInt(process.env.WEBPUSH_TIMEOUT_MS || '10000', 10)
+};
+
+// In-app inbox configuration
+const inboxConfig = {
+  maxPerUser: parseInt(process.env.INBOX_MAX_PER_USER || '500', 10),
+  defaultPageSize: parseInt(process.env.INBOX_PAGE_SIZE || '20', 10)
+};
+
+// Push device registry configuration
+const devicesConfig = {
+  maxPerUser: parseInt(process.env.DEVICES_MAX_PER_USER || '10', 10),
+  inactiveDays: parseInt(process.env.DEVICES_INACTIVE_DAYS || '270', 10)
+};
+
+// Delivery status tracking; messages not updated for retentionMs (30 days by default) are dropped
+const messageStatusConfig = {
+  retentionMs: parseInt(process.env.MESSAGE_STATUS_RETENTION_MS || '2592000000', 10),
+  // How often expired statuses are pruned from the journal (0 disables it)
+  pruneIntervalMs: parseInt(process.env.MESSAGE_STATUS_PRUNE_INTERVAL_MS || '3600000', 10)
 };
 
 // Validate required configuration
@@ -47,6 +243,18 @@ function validateConfig() {
 // Export configuration
 module.exports = {
   email: emailConfig,
+  sms: smsConfig,
+  retry: retryConfig,
+  idempotency: idempotencyConfig,
+  rateLimit: rateLimitConfig,
+  circuitBreaker: circuitBreakerConfig,
+  webhook: webhookConfig,
+  chat: chatConfig,
+  push: pushConfig,
+  webPush: webPushConfig,
+  inbox: inboxConfig,
+  devices: devicesConfig,
+  messageStatus: messageStatusConfig,
   isDev: process.env.NODE_ENV !== 'production',
   validateConfig
 };
\ No newline at end of file
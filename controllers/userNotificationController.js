@@ -4,9 +4,13 @@
  */
 
 const userPreferences = require('../user-preferences');
-const { getTemplate } = require('../templateManager');
+const { getTemplate, getTemplateLanguages } = require('../templateManager');
 const emailMock = require('../notifications/emails');
 const smsMock = require('../notifications/sms');
+const { notificationQueue } = require('../notification-queue');
+const dispatcher = require('../dispatcher');
+const deviceRegistry = require('../device-registry');
+const { escapeHtml } = require('../notifications/email-renderer');
 
 /**
  * Test data for template personalization - in a real app, this would come from the request
@@ -46,6 +50,20 @@ const DEFAULT_TEST_DATA = {
     referenceNumber: 'TRX-123456789'
   };
   
+/**
+ * Channel fallback chains per notification type, tried in order until one delivers.
+ * Notification types without a chain are sent on every opted-in channel instead.
+ *
+ * OTPs and password resets have chains by default, so they reach the user once
+ * rather than on every channel: an OTP goes by SMS, or by email if the SMS
+ * fails. Remove a chain with setFallbackChain(type, null) or skip it for one
+ * send with options.fallback = false.
+ */
+const fallbackChains = {
+  otp: ['sms', 'email'],
+  passwordReset: ['email', 'sms']
+};
+
   /**
    * Renders a template by replacing placeholders with actual values
    * 
@@ -231,11 +249,24 @@ function personalizeTemplate(template, data) {
     // Simple string template (SMS)
     return replaceTemplateVariables(template, data);
   } else if (template.subject && template.body) {
-    // Email template with subject and body
-    return {
+    // Email template with subject, text body and optional HTML body
+    const personalized = {
       subject: replaceTemplateVariables(template.subject, data),
       body: replaceTemplateVariables(template.body, data)
     };
+    if (template.html) {
+      // Values are escaped so user data can't inject markup
+      const escapedData = Object.fromEntries(Object.entries(data).map(([key, value]) => [key, escapeHtml(value)]));
+      personalized.html = replaceTemplateVariables(template.html, escapedData);
+    }
+    return personalized;
+  } else if (template.title && template.body) {
+    // In-app template with title, body and optional link
+    return {
+      title: replaceTemplateVariables(template.title, data),
+      body: replaceTemplateVariables(template.body, data),
+      url: template.url ? replaceTemplateVariables(template.url, data) : null
+    };
   }
   
   // Return as-is if format is not recognized
@@ -995,6 +1026,13 @@ const sendNotificationByPreference = async (email, notificationType, data = {},
    * @returns {Promise<Object>} Results of notification attempts
    */
   const processNotificationWithPreferences = async (email, notificationType, data, options, userPrefs, forceSend) => {
+    // Notification types with a fallback chain are delivered on the first channel that succeeds
+    const { fallback = true, ...sendOptions } = options;
+    if (fallback && getFallbackChain(notificationType)) {
+      return await processNotificationWithFallback(email, notificationType, data, sendOptions, userPrefs, forceSend);
+    }
+    options = sendOptions;
+  
     // Determine which channels the user has opted in to (or all available if forceSend)
     const channels = [];
     const results = {
@@ -1005,21 +1043,39 @@ const sendNotificationByPreference = async (email, notificationType, data = {},
     };
   
     // Check if we should use email channel
-    const emailEnabled = forceSend || (userPrefs.emailEnabled && userPrefs.notificationTypes[notificationType]?.email);
+    const emailEnabled = forceSend || (userPrefs.emailEnabled && userPrefs.notificationTypes?.[notificationType]?.email);
     if (emailEnabled) {
       channels.push('email');
       // Track if we're overriding preferences
-      if (forceSend && !(userPrefs.emailEnabled && userPrefs.notificationTypes[notificationType]?.email)) {
+      if (forceSend && !(userPrefs.emailEnabled && userPrefs.notificationTypes?.[notificationType]?.email)) {
         results.preferencesOverridden = true;
       }
     }
   
     // Check if we should use SMS channel (only if phone is available)
-    const smsEnabled = userPrefs.phone && (forceSend || (userPrefs.smsEnabled && userPrefs.notificationTypes[notificationType]?.sms));
+    const smsEnabled = userPrefs.phone && (forceSend || (userPrefs.smsEnabled && userPrefs.notificationTypes?.[notificationType]?.sms));
     if (smsEnabled) {
       channels.push('sms');
       // Track if we're overriding preferences
-      if (forceSend && !(userPrefs.smsEnabled && userPrefs.notificationTypes[notificationType]?.sms)) {
+      if (forceSend && !(userPrefs.smsEnabled && userPrefs.notificationTypes?.[notificationType]?.sms)) {
+        results.preferencesOverridden = true;
+      }
+    }
+  
+    // Check if we should use the in-app inbox (always reachable, keyed by the user's email)
+    const inappOptedIn = userPrefs.inappEnabled && userPrefs.notificationTypes?.[notificationType]?.inapp;
+    if (forceSend || inappOptedIn) {
+      channels.push('inapp');
+      if (forceSend && !inappOptedIn) {
+        results.preferencesOverridden = true;
+      }
+    }
+  
+    // Check if we should use push (only if the user has registered devices)
+    const pushOptedIn = userPrefs.pushEnabled && userPrefs.notificationTypes?.[notificationType]?.push;
+    if (deviceRegistry.getDevices(email).length > 0 && (forceSend || pushOptedIn)) {
+      channels.push('push');
+      if (forceSend && !pushOptedIn) {
         results.preferencesOverridden = true;
       }
     }
@@ -1258,6 +1314,14 @@ const sendNotificationByPreference = async (email, notificationType, data = {},
               };
             }
           }
+          
+          else if (channel === 'inapp') {
+            results.results.inapp = await sendInAppByPreference(email, notificationType, data, options, userPrefs);
+          }
+          
+          else if (channel === 'push') {
+            results.results.push = await sendPushByPreference(email, notificationType, data, options, userPrefs);
+          }
       } catch (error) {
         console.log(`Error sending ${channel} notification to ${email}:`, error);
         results.results[channel] = {
@@ -1274,6 +1338,335 @@ const sendNotificationByPreference = async (email, notificationType, data = {},
     return results;
   };
   
+  /**
+   * Stores a notification in the user's in-app inbox
+   * 
+   * @private
+   * @param {string} email - The email address of the user, used as the inbox user ID
+   * @param {string} notificationType - The type of notification
+   * @param {Object} data - Data to populate the notification template
+   * @param {Object} options - Additional options for notification delivery
+   * @param {Object} userPrefs - User preferences object
+   * @returns {Promise<Object>} The per-channel result
+   */
+  const sendInAppByPreference = async (email, notificationType, data, options, userPrefs) => {
+    const language = userPrefs.language || userPrefs.preferredLanguage || 'en';
+    const template = getTemplate('inapp', notificationType, language);
+  
+    if (!template) {
+      console.log(`No ${notificationType} in-app template found for ${language} language or fallbacks`);
+      return { success: false, error: 'Template not found', attemptedLanguage: language };
+    }
+  
+    const rendered = personalizeTemplate(template, {
+      ...DEFAULT_TEST_DATA,
+      userName: userPrefs.name || 'Valued Customer',
+      ...data
+    });
+  
+    const result = await dispatcher.dispatchNotification({
+      type: 'inapp',
+      recipient: email,
+      message: rendered.body,
+      options: {
+        ...options,
+        title: rendered.title,
+        url: rendered.url,
+        notificationType,
+        language
+      }
+    });
+  
+    if (result.dispatched) {
+      console.log(`In-app ${notificationType} notification stored for ${email}`);
+    } else {
+      console.log(`In-app ${notificationType} notification failed for ${email}: ${result.error || 'Unknown dispatch error'}`);
+    }
+  
+    return {
+      success: !!result.dispatched,
+      messageId: result.messageId || null,
+      error: result.error || null,
+      language
+    };
+  };
+  
+  /**
+   * Sends a push to each of the given devices
+   * 
+   * @private
+   * @param {Array<Object>} devices - Devices from the device registry
+   * @param {Function} buildNotification - Returns { message, options } for a device
+   * @returns {Promise<Object>} { success, devices, sent, failed, pruned, results }
+   */
+  const dispatchToDevices = async (devices, buildNotification) => {
+    const results = await Promise.all(devices.map(async device => {
+      const { message, options } = buildNotification(device);
+      const result = await dispatcher.dispatchNotification({
+        type: 'push',
+        recipient: device.token,
+        message,
+        options: {
+          ...options,
+          platform: device.platform,
+          appVersion: device.appVersion,
+          locale: device.locale
+        }
+      });
+  
+      return {
+        token: device.token,
+        platform: device.platform,
+        success: !!result.dispatched,
+        messageId: result.messageId || null,
+        error: result.error || null,
+        errorCode: result.errorCode || null
+      };
+    }));
+  
+    const sent = results.filter(result => result.success).length;
+  
+    return {
+      success: sent > 0,
+      devices: devices.length,
+      sent,
+      failed: devices.length - sent,
+      // The push channel has already removed these from the device registry
+      pruned: results.filter(result => result.errorCode === 'INVALID_DEVICE_TOKEN').map(result => result.token),
+      results
+    };
+  };
+  
+  /**
+   * Sends a push notification to every device registered for a user
+   * 
+   * @param {string} userId - The user ID the devices are registered under (the email in preferences)
+   * @param {string|Object} message - The body, or the payload fields ({ title, body, url, data, ... })
+   * @param {Object} [options={}] - Push options (see notifications/push.js); platform comes from each device
+   * @returns {Promise<Object>} { success, devices, sent, failed, pruned, results } with one result per device
+   */
+  const sendPushToUser = async (userId, message, options = {}) => {
+    const devices = deviceRegistry.getDevices(userId);
+  
+    if (devices.length === 0) {
+      console.log(`No push devices registered for ${userId}`);
+      return {
+        success: false,
+        error: 'No push devices registered for this user',
+        devices: 0,
+        sent: 0,
+        failed: 0,
+        pruned: [],
+        results: []
+      };
+    }
+  
+    const result = await dispatchToDevices(devices, () => ({ message, options }));
+    console.log(`Push sent to ${result.sent} of ${result.devices} devices for ${userId}`);
+  
+    return result;
+  };
+  
+  /**
+   * Sends a templated push notification to each of the user's devices,
+   * in the device's locale when a template exists for it
+   * 
+   * @private
+   * @param {string} email - The email address of the user, used as the device registry user ID
+   * @param {string} notificationType - The type of notification
+   * @param {Object} data - Data to populate the notification template
+   * @param {Object} options - Additional options for notification delivery
+   * @param {Object} userPrefs - User preferences object
+   * @returns {Promise<Object>} The per-channel result
+   */
+  const sendPushByPreference = async (email, notificationType, data, options, userPrefs) => {
+    const userLanguage = userPrefs.language || userPrefs.preferredLanguage || 'en';
+    const templateData = {
+      ...DEFAULT_TEST_DATA,
+      userName: userPrefs.name || 'Valued Customer',
+      ...data
+    };
+  
+    // Devices without a template in their language get the user's language
+    const templateLanguages = getTemplateLanguages('push', notificationType);
+    const notifications = new Map();
+    deviceRegistry.getDevices(email).forEach(device => {
+      const deviceLanguage = device.locale ? device.locale.split(/[-_]/)[0].toLowerCase() : null;
+      const language = templateLanguages.includes(deviceLanguage) ? deviceLanguage : userLanguage;
+      const template = getTemplate('push', notificationType, language);
+      if (!template) return;
+  
+      const rendered = personalizeTemplate(template, templateData);
+      notifications.set(device, {
+        message: rendered.body,
+        options: { ...options, title: rendered.title, url: rendered.url, notificationType, language }
+      });
+    });
+  
+    if (notifications.size === 0) {
+      console.log(`No ${notificationType} push template found for ${userLanguage} language or fallbacks`);
+      return { success: false, error: 'Template not found', attemptedLanguage: userLanguage };
+    }
+  
+    const result = await dispatchToDevices(Array.from(notifications.keys()), device => notifications.get(device));
+  
+    if (result.success) {
+      console.log(`Push ${notificationType} notification sent to ${result.sent} of ${result.devices} devices for ${email}`);
+    } else {
+      console.log(`Push ${notificationType} notification failed for all devices of ${email}`);
+    }
+  
+    return {
+      ...result,
+      error: result.success ? null : (result.results[0] && result.results[0].error) || 'Unknown dispatch error',
+      language: userLanguage
+    };
+  };
+  
+  /**
+   * Sets the channel fallback chain for a notification type
+   * 
+   * @param {string} notificationType - The type of notification (e.g., 'otp')
+   * @param {string[]|null} chain - Channels in the order they should be tried, or null to remove the chain
+   * @returns {string[]|null} The chain now in effect
+   */
+  const setFallbackChain = (notificationType, chain) => {
+    if (!chain || chain.length === 0) {
+      delete fallbackChains[notificationType];
+      return null;
+    }
+  
+    fallbackChains[notificationType] = chain.map(channel => channel.toLowerCase());
+    return fallbackChains[notificationType];
+  };
+  
+  /**
+   * Gets the channel fallback chain for a notification type
+   * 
+   * @param {string} notificationType - The type of notification
+   * @returns {string[]|null} The channels in fallback order, or null if none is configured
+   */
+  const getFallbackChain = (notificationType) => {
+    return fallbackChains[notificationType] ? [...fallbackChains[notificationType]] : null;
+  };
+  
+  /**
+   * Builds the notification to send on one channel of a fallback chain,
+   * or explains why the channel can't be used for this user
+   * 
+   * @private
+   * @param {string} channel - The channel to build the notification for
+   * @param {string} email - The email address of the user
+   * @param {string} notificationType - The type of notification
+   * @param {Object} data - Data to populate the notification templates
+   * @param {Object} options - Additional options for notification delivery
+   * @param {Object} userPrefs - User preferences object
+   * @param {boolean} forceSend - Whether to override user preferences
+   * @returns {Object} A notification for the dispatcher, or { type, skipReason }
+   */
+  const buildFallbackCandidate = (channel, email, notificationType, data, options, userPrefs, forceSend) => {
+    // The same opt-in check as processNotificationWithPreferences: the channel and the type must both be on
+    const optedIn = userPrefs[`${channel}Enabled`] && userPrefs.notificationTypes?.[notificationType]?.[channel];
+  
+    if (!forceSend && !optedIn) {
+      return { type: channel, skipReason: `User has not opted in to ${channel} for ${notificationType} notifications` };
+    }
+  
+    // Fallback chains push to the device the user was most recently seen on
+    const [latestDevice] = deviceRegistry.getDevices(email);
+    const recipients = {
+      email,
+      sms: userPrefs.phone || userPrefs.phoneNumber,
+      push: latestDevice ? latestDevice.token : userPrefs.deviceToken || userPrefs.pushToken,
+      inapp: email
+    };
+    const recipient = recipients[channel];
+  
+    if (!recipient) {
+      return { type: channel, skipReason: `No ${channel} contact details on file` };
+    }
+  
+    const language = userPrefs.language || userPrefs.preferredLanguage || 'en';
+    const template = getTemplate(channel, notificationType, language);
+  
+    if (!template) {
+      return { type: channel, skipReason: `No ${channel} template for ${notificationType}` };
+    }
+  
+    const templateData = {
+      ...DEFAULT_TEST_DATA,
+      userName: userPrefs.name || 'Valued Customer',
+      ...data
+    };
+    const rendered = personalizeTemplate(template, templateData);
+  
+    return {
+      type: channel,
+      recipient,
+      message: typeof rendered === 'string' ? rendered : rendered.body,
+      options: {
+        ...options,
+        ...(typeof rendered === 'object' && rendered.subject ? { subject: rendered.subject } : {}),
+        ...(typeof rendered === 'object' && rendered.html ? { html: rendered.html } : {}),
+        ...(typeof rendered === 'object' && rendered.title ? { title: rendered.title, url: rendered.url } : {}),
+        ...(channel === 'push' && latestDevice ? { platform: latestDevice.platform, appVersion: latestDevice.appVersion } : {}),
+        language
+      }
+    };
+  };
+  
+  /**
+   * Helper function to deliver a notification through its fallback chain
+   * 
+   * Channels are tried in chain order; if a channel fails validation or delivery,
+   * the next opted-in channel is tried. The result records which channel delivered
+   * and why each earlier channel was skipped or failed.
+   * 
+   * @private
+   * @param {string} email - The email address of the user
+   * @param {string} notificationType - The type of notification
+   * @param {Object} data - Data to populate the notification templates
+   * @param {Object} options - Additional options for notification delivery
+   * @param {Object} userPrefs - User preferences object
+   * @param {boolean} forceSend - Whether to override user preferences
+   * @returns {Promise<Object>} Results of the fallback chain
+   */
+  const processNotificationWithFallback = async (email, notificationType, data, options, userPrefs, forceSend) => {
+    const chain = getFallbackChain(notificationType);
+    const candidates = chain.map(channel =>
+      buildFallbackCandidate(channel, email, notificationType, data, options, userPrefs, forceSend)
+    );
+  
+    console.log(`Sending ${notificationType} notification to ${email} via fallback chain: ${chain.join(' -> ')}`);
+  
+    const outcome = await dispatcher.dispatchWithFallback(candidates);
+  
+    // Keep the per-channel result shape used by processNotificationWithPreferences
+    const results = {};
+    outcome.trail.forEach(entry => {
+      results[entry.channel] = entry.status === 'delivered'
+        ? { success: true, messageId: outcome.result.messageId || null, attempts: outcome.result.attempts }
+        : { success: false, skipped: entry.status === 'skipped', error: entry.reason };
+    });
+  
+    if (outcome.success) {
+      console.log(`${notificationType} notification for ${email} delivered via ${outcome.deliveredChannel}${outcome.fallbackUsed ? ' (fallback)' : ''}`);
+    } else {
+      console.log(`${notificationType} notification for ${email} could not be delivered on any channel`);
+    }
+  
+    return {
+      success: outcome.success,
+      error: outcome.error,
+      channels: outcome.trail.filter(entry => entry.status !== 'skipped').map(entry => entry.channel),
+      results,
+      deliveredVia: outcome.deliveredChannel,
+      fallbackUsed: outcome.fallbackUsed,
+      fallbackTrail: outcome.trail,
+      preferencesOverridden: !!forceSend
+    };
+  };
+  
   /**
    * Sends notifications to multiple users in a single call
    * 
@@ -1400,6 +1793,7 @@ const sendNotificationByPreference = async (email, notificationType, data = {},
  * @param {boolean} [options.parallelSend=true] - If true, sends notifications in parallel
  * @param {boolean} [options.validateTemplatesFirst=true] - If true, validates templates before processing
  * @param {boolean} [options.forceSend=false] - If true, sends notification regardless of user preferences
+ * @param {boolean} [options.useQueue=false] - If true, enqueues one job per user and returns immediately
  * @returns {Promise<Object>} Detailed results of the batch operation
  */
 const sendBatchNotifications = async (emails, notificationType, data = {}, options = {}) => {
@@ -1432,6 +1826,7 @@ const sendBatchNotifications = async (emails, notificationType, data = {}, optio
       parallelSend = true,
       validateTemplatesFirst = true,
       forceSend = false,
+      useQueue = false,
       ...notificationOptions 
     } = options;
   
@@ -1469,6 +1864,14 @@ const sendBatchNotifications = async (emails, notificationType, data = {}, optio
       }
     }
   
+    // Hand each user to the queue worker instead of sending inline
+    if (useQueue) {
+      return enqueueBatchNotifications(emails, notificationType, data, {
+        ...notificationOptions,
+        forceSend
+      });
+    }
+  
     console.log(`Starting batch notification of type "${notificationType}" to ${emails.length} recipients`);
     
     const startTime = Date.now();
@@ -1716,6 +2119,59 @@ const sendBatchNotifications = async (emails, notificationType, data = {}, optio
   };
   
 
+/**
+ * Enqueues a preference-based notification job for each user in a batch
+ * 
+ * Each job is processed independently by the queue worker, so a crash part-way
+ * through a large batch only affects the jobs that were in flight, and those
+ * are resumed when the worker restarts.
+ * 
+ * @private
+ * @param {string[]} emails - Array of email addresses to send notifications to
+ * @param {string} notificationType - The type of notification to send
+ * @param {Object} data - Shared data to populate the notification templates
+ * @param {Object} options - Options passed to sendNotificationByPreference for each user
+ * @returns {Object} Batch result listing the queued job for each user
+ */
+function enqueueBatchNotifications(emails, notificationType, data, options) {
+    const statusCounts = { queued: 0, failed: 0 };
+    const results = [];
+  
+    for (const email of emails) {
+      if (!email || typeof email !== 'string' || !email.includes('@')) {
+        statusCounts.failed++;
+        console.log(`Invalid email address format: ${email}`);
+        results.push({
+          email: email || 'invalid-email',
+          status: 'failed',
+          success: false,
+          error: 'Invalid email address format'
+        });
+        continue;
+      }
+  
+      const job = notificationQueue.enqueue('preference', {
+        email,
+        notificationType,
+        data,
+        options
+      });
+  
+      statusCounts.queued++;
+      results.push({ email, status: 'queued', jobId: job.id });
+    }
+  
+    console.log(`Queued ${statusCounts.queued} ${notificationType} notification job(s), ${statusCounts.failed} rejected`);
+  
+    return {
+      success: statusCounts.queued > 0,
+      queued: true,
+      processedCount: 0,
+      statusCounts,
+      results
+    };
+  }
+
 module.exports = {
   getUserNotificationChannels,
   sendUserNotification,
@@ -1727,5 +2183,8 @@ module.exports = {
   validatePhoneFormat,
   sendNotificationByPreference,
   sendBulkNotification,
-  sendBatchNotifications
+  sendBatchNotifications,
+  sendPushToUser,
+  setFallbackChain,
+  getFallbackChain
 };
\ No newline at end of file
@@ -0,0 +1,286 @@
+/**
+ * Cron Expression Module
+ *
+ * Parses standard five-field cron expressions (minute hour day-of-month month
+ * day-of-week) and calculates upcoming run times in a given IANA time zone.
+ *
+ * Supported syntax: `*`, lists (`1,15`), ranges (`1-5`), steps (`*\/15`, `0-30/10`),
+ * month and weekday names (`JAN`, `MON-FRI`), 7 as Sunday, and the macros
+ * @yearly, @annually, @monthly, @weekly, @daily, @midnight and @hourly.
+ */
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  { name: 'dayOfWeek', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 }
+];
+
+// Give up searching after this many steps (covers several years of hourly steps)
+const MAX_SEARCH_STEPS = 100000;
+
+// Intl formatters are expensive to create, so keep one per time zone
+const formatterCache = {};
+
+/**
+ * Convert a single cron value (number or name) to a number
+ * @private
+ */
+function parseValue(value, field) {
+  const upper = value.toUpperCase();
+
+  if (field.names && field.names.includes(upper)) {
+    return field.names.indexOf(upper) + field.nameOffset;
+  }
+
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${field.name} value '${value}'`);
+  }
+
+  const number = parseInt(value, 10);
+  if (number < field.min || number > field.max) {
+    throw new Error(`${field.name} value ${number} is out of range (${field.min}-${field.max})`);
+  }
+
+  return number;
+}
+
+/**
+ * Parse one cron field into the set of values it matches
+ * @private
+ */
+function parseField(expression, field) {
+  const values = new Set();
+
+  expression.split(',').forEach(part => {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : parseInt(stepPart, 10);
+
+    if (!Number.isInteger(step) || step < 1 || (stepPart !== undefined && !/^\d+$/.test(stepPart))) {
+      throw new Error(`Invalid step '${stepPart}' in ${field.name} field`);
+    }
+
+    let start;
+    let end;
+
+    if (rangePart === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (rangePart.includes('-')) {
+      const [from, to] = rangePart.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) {
+        throw new Error(`Invalid range '${rangePart}' in ${field.name} field`);
+      }
+    } else {
+      start = parseValue(rangePart, field);
+      // "5/10" means every 10 starting at 5
+      end = stepPart === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ *
+ * @param {string} expression - Five-field cron expression or macro
+ * @returns {Object} Parsed expression with a Set of allowed values per field
+ * @throws {Error} - If the expression is malformed
+ */
+function parseCronExpression(expression) {
+  if (!expression || typeof expression !== 'string') {
+    throw new Error('Cron expression is required');
+  }
+
+  const normalized = MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression '${expression}' must have ${FIELDS.length} fields, got ${parts.length}`);
+  }
+
+  const parsed = { expression };
+  FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseField(parts[index], field);
+  });
+
+  // 7 is an alias for Sunday
+  if (parsed.dayOfWeek.has(7)) {
+    parsed.dayOfWeek.delete(7);
+    parsed.dayOfWeek.add(0);
+  }
+
+  // Standard cron semantics: if both day fields are restricted, either may match
+  parsed.dayOfMonthRestricted = parts[2] !== '*';
+  parsed.dayOfWeekRestricted = parts[4] !== '*';
+
+  return parsed;
+}
+
+/**
+ * Check whether a string is a valid IANA time zone
+ *
+ * @param {string} timeZone - Time zone name, e.g. 'Europe/Paris'
+ * @returns {boolean} True if the runtime recognises the zone
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get a cached Intl formatter for a time zone
+ * @private
+ */
+function getFormatter(timeZone) {
+  if (!formatterCache[timeZone]) {
+    formatterCache[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    });
+  }
+  return formatterCache[timeZone];
+}
+
+/**
+ * Get the wall-clock fields of a moment in a time zone
+ * @private
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    dayOfWeek: DAY_NAMES.indexOf(parts.weekday.toUpperCase())
+  };
+}
+
+/**
+ * Check whether the day fields of a parsed expression match
+ * @private
+ */
+function dayMatches(parsed, parts) {
+  const domMatch = parsed.dayOfMonth.has(parts.day);
+  const dowMatch = parsed.dayOfWeek.has(parts.dayOfWeek);
+
+  if (parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+/**
+ * Calculate the next time a cron expression fires after a given moment
+ *
+ * @param {string|Object} expression - Cron expression or the result of parseCronExpression
+ * @param {Object} [options={}] - Options
+ * @param {Date|string|number} [options.from=now] - Find the first run strictly after this moment
+ * @param {string} [options.timeZone='UTC'] - IANA time zone the expression is written in
+ * @returns {Date|null} The next run time, or null if none could be found
+ */
+function getNextRunTime(expression, options = {}) {
+  const parsed = typeof expression === 'string' ? parseCronExpression(expression) : expression;
+  const timeZone = options.timeZone || 'UTC';
+  const from = options.from ? new Date(options.from) : new Date();
+
+  if (!isValidTimeZone(timeZone)) {
+    throw new Error(`Invalid time zone '${timeZone}'`);
+  }
+
+  // Start at the beginning of the next whole minute
+  let time = Math.floor(from.getTime() / 60000) * 60000 + 60000;
+
+  for (let step = 0; step < MAX_SEARCH_STEPS; step++) {
+    const parts = getZonedParts(new Date(time), timeZone);
+    const minutesIntoDay = parts.hour * 60 + parts.minute;
+
+    if (!parsed.month.has(parts.month) || !dayMatches(parsed, parts)) {
+      // Jump close to local midnight, then approach it an hour at a time so
+      // days shortened or lengthened by DST are never skipped
+      const minutesToMidnight = 1440 - minutesIntoDay;
+      time += (minutesToMidnight > 120 ? minutesToMidnight - 120 : 60 - parts.minute) * 60000;
+      continue;
+    }
+
+    if (!parsed.hour.has(parts.hour)) {
+      time += (60 - parts.minute) * 60000;
+      continue;
+    }
+
+    if (!parsed.minute.has(parts.minute)) {
+      time += 60000;
+      continue;
+    }
+
+    return new Date(time);
+  }
+
+  return null;
+}
+
+/**
+ * Calculate several upcoming run times
+ *
+ * @param {string} expression - Cron expression
+ * @param {number} count - Number of run times to return
+ * @param {Object} [options={}] - Same options as getNextRunTime
+ * @returns {Date[]} Upcoming run times in order
+ */
+function getUpcomingRunTimes(expression, count, options = {}) {
+  const parsed = parseCronExpression(expression);
+  const runs = [];
+  let from = options.from || new Date();
+
+  while (runs.length < count) {
+    const next = getNextRunTime(parsed, { ...options, from });
+    if (!next) break;
+    runs.push(next);
+    from = next;
+  }
+
+  return runs;
+}
+
+module.exports = {
+  parseCronExpression,
+  getNextRunTime,
+  getUpcomingRunTimes,
+  isValidTimeZone
+};
@@ -0,0 +1,242 @@
+/**
+ * Push Device Registry Module
+ *
+ * Links users to their push device tokens so a push can be sent to every
+ * device a user has. Each device records its platform (which decides between
+ * FCM and APNs), app version, locale and when it was last seen.
+ *
+ * A token belongs to one device, so registering it for a user moves it away
+ * from whoever had it before. Tokens the provider reports as invalid are
+ * removed by the push channel, and devices that haven't been seen for
+ * DEVICES_INACTIVE_DAYS can be pruned with pruneInactiveDevices.
+ *
+ * The registry is persisted to a JSON file shared by every process, so it
+ * survives restarts and tokens pruned by the worker don't undo registrations
+ * made through the API.
+ */
+
+const { createJsonFileStore } = require('./json-file-store');
+const config = require('./config');
+
+// Configuration
+const DEVICES_FILE = process.env.DEVICES_FILE || 'devices.json';
+
+const PLATFORMS = ['ios', 'android'];
+
+// { [userId]: [device] }, re-read on every call because devices are
+// registered by the API process while the worker prunes invalid tokens
+const deviceStore = createJsonFileStore(DEVICES_FILE, { name: 'push device registry' });
+
+/**
+ * Remove a token from whichever user has it
+ * @private
+ * @returns {Object|null} { userId, device } for the removed device, or null
+ */
+function detachToken(devicesByUser, token) {
+  for (const [userId, devices] of Object.entries(devicesByUser)) {
+    const device = devices.find(entry => entry.token === token);
+    if (device) {
+      devicesByUser[userId] = devices.filter(entry => entry !== device);
+      if (devicesByUser[userId].length === 0) {
+        delete devicesByUser[userId];
+      }
+      return { userId, device };
+    }
+  }
+  return null;
+}
+
+/**
+ * Drop the least recently seen devices beyond the per-user limit
+ * @private
+ */
+function trimDevices(devicesByUser, userId) {
+  const devices = devicesByUser[userId];
+  if (devices.length <= config.devices.maxPerUser) return;
+
+  devicesByUser[userId] = [...devices]
+    .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt))
+    .slice(0, config.devices.maxPerUser);
+}
+
+/**
+ * Register a device for a user, or refresh it if already registered
+ *
+ * @param {string} userId - The user the device belongs to
+ * @param {Object} device - The device details
+ * @param {string} device.token - The FCM or APNs device token
+ * @param {string} device.platform - 'ios' or 'android'
+ * @param {string} [device.appVersion] - The app version installed on the device
+ * @param {string} [device.locale] - The device locale, e.g. 'es-MX'
+ * @returns {Object} The stored device
+ * @throws {Error} - If the user ID, token or platform is invalid
+ */
+function registerDevice(userId, device = {}) {
+  if (typeof userId !== 'string' || userId.trim() === '') {
+    throw new Error('User ID must be a non-empty string');
+  }
+
+  if (typeof device.token !== 'string' || device.token.trim() === '') {
+    throw new Error('Device token must be a non-empty string');
+  }
+
+  const platform = String(device.platform || '').toLowerCase();
+  if (!PLATFORMS.includes(platform)) {
+    throw new Error(`Invalid platform '${device.platform}'. Must be one of: ${PLATFORMS.join(', ')}`);
+  }
+
+  return deviceStore.update(devicesByUser => {
+    const now = new Date().toISOString();
+    const previous = detachToken(devicesByUser, device.token);
+    const entry = {
+      token: device.token,
+      platform,
+      appVersion: device.appVersion || (previous && previous.device.appVersion) || null,
+      locale: device.locale || (previous && previous.device.locale) || null,
+      // Re-registering the same device for the same user keeps its registration date
+      registeredAt: previous && previous.userId === userId ? previous.device.registeredAt : now,
+      lastSeenAt: now
+    };
+
+    if (previous && previous.userId !== userId) {
+      console.log(`Push device token moved from user ${previous.userId} to ${userId}`);
+    }
+
+    devicesByUser[userId] = [...(devicesByUser[userId] || []), entry];
+    trimDevices(devicesByUser, userId);
+
+    return entry;
+  });
+}
+
+/**
+ * Remove one of a user's devices, e.g. when they sign out on it
+ *
+ * @param {string} userId - The user ID
+ * @param {string} token - The device token
+ * @returns {boolean} Whether the device was found and removed
+ */
+function unregisterDevice(userId, token) {
+  const hasDevice = devicesByUser => (devicesByUser[userId] || []).some(entry => entry.token === token);
+  if (!hasDevice(deviceStore.read())) {
+    return false;
+  }
+
+  return deviceStore.update(devicesByUser => {
+    if (!hasDevice(devicesByUser)) {
+      return false;
+    }
+    detachToken(devicesByUser, token);
+    return true;
+  });
+}
+
+/**
+ * Record that a device was seen, optionally with its current app version and locale
+ *
+ * @param {string} token - The device token
+ * @param {Object} [updates={}] - Fields that may have changed
+ * @param {string} [updates.appVersion] - The app version now installed
+ * @param {string} [updates.locale] - The device locale
+ * @returns {Object|null} The updated device, or null if the token isn't registered
+ */
+function touchDevice(token, updates = {}) {
+  if (!findDevice(token)) return null;
+
+  return deviceStore.update(devicesByUser => {
+    const device = Object.values(devicesByUser).flat().find(entry => entry.token === token);
+    if (!device) return null;
+
+    device.lastSeenAt = new Date().toISOString();
+    if (updates.appVersion) device.appVersion = updates.appVersion;
+    if (updates.locale) device.locale = updates.locale;
+    return device;
+  });
+}
+
+/**
+ * List a user's devices, most recently seen first
+ *
+ * @param {string} userId - The user ID
+ * @returns {Array<Object>} [{ token, platform, appVersion, locale, registeredAt, lastSeenAt }]
+ */
+function getDevices(userId) {
+  return [...(deviceStore.read()[userId] || [])].sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt));
+}
+
+/**
+ * Look up the device a token belongs to
+ *
+ * @param {string} token - The device token
+ * @returns {Object|null} The device with its userId, or null if the token isn't registered
+ */
+function findDevice(token) {
+  for (const [userId, devices] of Object.entries(deviceStore.read())) {
+    const device = devices.find(entry => entry.token === token);
+    if (device) {
+      return { userId, ...device };
+    }
+  }
+  return null;
+}
+
+/**
+ * Remove a token the provider has reported as invalid or unregistered
+ *
+ * @param {string} token - The device token
+ * @returns {string|null} The user the token belonged to, or null if it wasn't registered
+ */
+function removeToken(token) {
+  if (!findDevice(token)) return null;
+
+  const removed = deviceStore.update(devicesByUser => detachToken(devicesByUser, token));
+  if (!removed) return null;
+
+  console.log(`Pruned invalid push token for user ${removed.userId} (${removed.device.platform})`);
+  return removed.userId;
+}
+
+/**
+ * Remove devices that haven't been seen for a while
+ *
+ * FCM considers tokens stale after 270 days without activity, which is the
+ * default for DEVICES_INACTIVE_DAYS.
+ *
+ * @param {number} [inactiveDays] - Days since last seen (defaults to DEVICES_INACTIVE_DAYS)
+ * @returns {number} The number of devices removed
+ */
+function pruneInactiveDevices(inactiveDays = config.devices.inactiveDays) {
+  const cutoff = new Date(Date.now() - inactiveDays * 24 * 60 * 60 * 1000).toISOString();
+  const isInactive = entry => entry.lastSeenAt < cutoff;
+  if (!Object.values(deviceStore.read()).flat().some(isInactive)) {
+    return 0;
+  }
+
+  return deviceStore.update(devicesByUser => {
+    let removed = 0;
+
+    Object.keys(devicesByUser).forEach(userId => {
+      const active = devicesByUser[userId].filter(entry => !isInactive(entry));
+      removed += devicesByUser[userId].length - active.length;
+
+      if (active.length === 0) {
+        delete devicesByUser[userId];
+      } else {
+        devicesByUser[userId] = active;
+      }
+    });
+
+    return removed;
+  });
+}
+
+module.exports = {
+  PLATFORMS,
+  registerDevice,
+  unregisterDevice,
+  touchDevice,
+  getDevices,
+  findDevice,
+  removeToken,
+  pruneInactiveDevices
+};
@@ -7,12 +7,21 @@
  * and routes it to the appropriate notification service based on the type.
  */
 
-// Import notification channels
-const notifications = require('./notifications');
+// Loading the notification system registers the built-in channels
+require('./notifications');
+const registry = require('./notifications/registry');
 
 const errorHandler = require('./error-handler');
+const retryPolicy = require('./retry-policy');
+const { notificationQueue } = require('./notification-queue');
+const scheduler = require('./notification-scheduler');
+const idempotencyStore = require('./idempotency-store');
+const rateLimiter = require('./rate-limiter');
+const circuitBreaker = require('./circuit-breaker');
 
 const logger = require('./logger');
+const { MiddlewarePipeline } = require('./middleware/pipeline');
+const builtInMiddleware = require('./middleware/built-in');
 /**
  * Validate an email address format
  * 
@@ -39,53 +48,43 @@ function validatePhoneNumber(phoneNumber) {
 }
 
 /**
- * Validate a notification based on its type
+ * Validate a notification against its channel in the registry
  * 
  * @param {string} type - The notification type
  * @param {string} recipient - The notification recipient
- * @returns {Object} - Validation result {isValid, errorMessage}
+ * @param {string} [message] - The message, checked against the channel's length limit
+ * @returns {Object} - Validation result {isValid, errorMessage, errorCode}
  */
-function validateNotification(type, recipient) {
-  // Default to valid if we don't have specific validation for a type
-  let isValid = true;
-  let errorMessage = null;
-  
-  switch (type) {
-    case 'email':
-      // Validate email address format
-      if (!validateEmail(recipient)) {
-        isValid = false;
-        errorMessage = `Invalid email address format: '${recipient}'`;
-      }
-      break;
-      
-    case 'sms':
-      // Validate phone number format
-      if (!validatePhoneNumber(recipient)) {
-        isValid = false;
-        errorMessage = `Invalid phone number format: '${recipient}'. Must be in E.164 format (e.g., +12345678901)`;
-      }
-      break;
-      
-    case 'push':
-      // Basic validation for push notification - just ensure recipient is not empty
-      if (!recipient || recipient.trim() === '') {
-        isValid = false;
-        errorMessage = 'Device token/ID cannot be empty for push notifications';
-      }
-      break;
-      
-    default:
-      // This shouldn't happen because we check supported types earlier,
-      // but including for completeness
-      isValid = false;
-      errorMessage = `Unknown notification type: '${type}'`;
-  }
-  
-  return { isValid, errorMessage };
+function validateNotification(type, recipient, message) {
+  return registry.validate(type, recipient, message);
 }
 
 
+// Middleware run around every dispatch; the built-ins can be reordered, replaced or removed
+const pipeline = new MiddlewarePipeline()
+  .use(builtInMiddleware.createErrorHandlingMiddleware(), { name: 'errorHandling' })
+  .use(builtInMiddleware.createLoggingMiddleware(), { name: 'logging' })
+  .use(builtInMiddleware.createStatusTrackingMiddleware(), { name: 'statusTracking' })
+  .use(builtInMiddleware.createValidationMiddleware(validateNotification), { name: 'validation' });
+
+/**
+ * Add a middleware to the dispatch pipeline
+ * 
+ * Middleware are async functions receiving (ctx, next). The context holds the
+ * normalized `notification`, its `channel`, logging `context`, a `state` object
+ * for middleware to share data, and `result` once the send has completed.
+ * Set `ctx.result` without calling next() to short-circuit the dispatch.
+ * 
+ * @param {Function} fn - The middleware
+ * @param {Object} [options={}] - { name, before, after } to name and position it;
+ *   by default it runs after the built-ins, just before the send
+ * @returns {Object} - The dispatcher, for method chaining
+ */
+function use(fn, options = {}) {
+  pipeline.use(fn, options);
+  return module.exports;
+}
+
 /**
  * Dispatch a notification to the appropriate service
  * 
@@ -94,7 +93,18 @@ function validateNotification(type, recipient) {
  * @param {string} notification.recipient - The recipient of the notification
  * @param {string} notification.message - The content of the notification
  * @param {Object} [notification.options={}] - Additional options for the notification
- * @returns {Promise<Object>} - Promise resolving to the result of the operation
+ * @param {Object|boolean} [notification.retry] - Retry policy overrides, or false to send only once
+ * @param {boolean} [notification.queue=false] - Enqueue for the queue worker instead of sending inline
+ * @param {Date|string|number} [notification.sendAt] - Send at this time instead of now
+ * @param {number} [notification.delayMs] - Send after this many milliseconds instead of now
+ * @param {string} [notification.idempotencyKey] - Repeated dispatches with this key return the
+ *   original result instead of sending again
+ * @param {number} [notification.dedupeWindowMs] - Suppress identical content to the same recipient
+ *   within this window (overrides the configured window; 0 disables it)
+ * @param {Object|boolean} [notification.rateLimit] - { mode } to override the rate limit mode,
+ *   or false to bypass rate limits
+ * @returns {Promise<Object>} - Promise resolving to the result of the operation,
+ *   including the number of attempts made and the error of each failed attempt
  * @throws {Error} - If the notification type is not supported or required fields are missing
  */
 async function dispatchNotification(notification) {
@@ -104,7 +114,7 @@ async function dispatchNotification(notification) {
     return errorHandler.createErrorResponse('dispatcher', null, error);
   }
   
-  const { type, recipient, message, options = {} } = notification;
+  const { type, recipient, message, options = {}, retry } = notification;
   
   // Validate required fields
   if (!type) {
@@ -136,102 +146,33 @@ const normalizedType = type ? type.toLowerCase() : null;
   };
 
   // Check if the notification type is supported
-  if (!notifications[normalizedType]) {
+  if (!registry.hasChannel(normalizedType)) {
     throw new Error(
       `Notification type '${type}' is not supported. ` +
-      `Supported types are: ${Object.keys(notifications).join(', ')}`
+      `Supported types are: ${registry.listChannels().join(', ')}`
     );
   }
   
- 
-  // Validate notification details based on type
-   // Validate notification based on its type
-  const validationResult = validateNotification(notification);
-  
-  if (!validationResult.isValid) {
-    // Use error handler to log validation error with context
-    return errorHandler.createErrorResponse(
-      normalizedType || 'unknown', 
-      recipient, 
-      validationResult.error,
-      {
-        ...contextInfo,
-        error: 'validation_failed',
-        messagePreview: truncatedMessage,
-        dispatched: false,
-        dispatchTimestamp: new Date()
-      }
-    );
-  }
+  // Shared by every middleware; middleware may change ctx.notification before the send
+  const ctx = {
+    notification: {
+      ...notification,
+      type: normalizedType,
+      recipient: registry.formatRecipient(normalizedType, recipient),
+      options
+    },
+    channel: normalizedType,
+    context: contextInfo,
+    messagePreview: truncatedMessage,
+    result: null,
+    state: {}
+  };
   
-  // Check if the notification type is supported
-  if (!notifications[normalizedType]) {
-    const error = `Notification type '${type}' is not supported. Supported types are: ${Object.keys(notifications).join(', ')}`;
-    
-    return errorHandler.createErrorResponse(
-      'dispatcher', 
-      recipient, 
-      error,
-      {
-        ...contextInfo,
-        error: 'unsupported_type',
-        messagePreview: truncatedMessage,
-        dispatched: false,
-        dispatchTimestamp: new Date()
-      }
-    );
-  }
+  await pipeline.run(ctx, async () => {
+    ctx.result = await deliverNotification(ctx);
+  });
   
-  try {
-    // Log the dispatch attempt (info level)
-    console.log(`[INFO] [channel=${normalizedType}] [recipient=${recipient}] Sending notification`);
-    
-    // Dispatch to the appropriate notification service with error handling
-    const sendFunction = notifications[normalizedType].send;
-    
-    // Use safe execute to catch any errors during sending
-    const result = await errorHandler.safeExecute(
-      sendFunction, 
-      normalizedType,
-      recipient, 
-      [recipient, message, options],
-      contextInfo
-    );
-    
-    // Check if the result is an error response from safeExecute
-    if (result && result.success === false) {
-      // The error was already logged by safeExecute
-      return {
-        ...result,
-        type: normalizedType,
-        messagePreview: truncatedMessage,
-        dispatched: false,
-        dispatchTimestamp: new Date()
-      };
-    }
-    
-    // If we got here, the notification was sent successfully
-    return {
-      ...result,
-      success: true,
-      dispatched: true,
-      dispatchTimestamp: new Date()
-    };
-  } catch (error) {
-    // This catch should rarely be triggered since safeExecute handles errors,
-    // but it's here as a failsafe for unexpected issues
-    return errorHandler.createErrorResponse(
-      normalizedType,
-      recipient,
-      `Unexpected error in dispatch: ${error.message}`,
-      {
-        ...contextInfo,
-        messagePreview: truncatedMessage,
-        dispatched: false,
-        dispatchTimestamp: new Date()
-      }
-    );
-  }
+  return ctx.result;
   // const validation = validateNotification(normalizedType, recipient);
   // if (!validation.isValid) {
   //   // Log the validation error but don't throw - we'll skip this notification
@@ -304,6 +245,364 @@ const normalizedType = type ? type.toLowerCase() : null;
   // }
 }
 
+/**
+ * Deliver a notification once it has passed through the middleware chain
+ * 
+ * Replays idempotent results, hands future notifications to the scheduler or
+ * queue, suppresses duplicates, applies rate limits and finally sends through
+ * the channel's provider with retries and the provider's circuit breaker.
+ * 
+ * @private
+ * @param {Object} ctx - The dispatch context
+ * @returns {Promise<Object>} - The dispatch result
+ */
+async function deliverNotification(ctx) {
+  // Replay the original result for a repeated idempotency key instead of sending again.
+  // The key is stripped before delivering, so scheduled and queued copies are sent normally
+  if (ctx.notification.idempotencyKey) {
+    const { idempotencyKey, ...payload } = ctx.notification;
+    ctx.notification = payload;
+    return idempotencyStore.runOnce(idempotencyKey, () => deliverNotification(ctx));
+  }
+  
+  const notification = ctx.notification;
+  const { recipient, message, options = {}, retry } = notification;
+  const normalizedType = ctx.channel;
+  const truncatedMessage = ctx.messagePreview;
+  const contextInfo = ctx.context;
+  
+  // Hand notifications with a future send time to the scheduler
+  let sendTime;
+  try {
+    sendTime = scheduler.resolveSendTime(notification);
+  } catch (error) {
+    return errorHandler.createErrorResponse(
+      normalizedType,
+      recipient,
+      error.message,
+      {
+        ...contextInfo,
+        errorCode: error.code,
+        messagePreview: truncatedMessage,
+        dispatched: false,
+        dispatchTimestamp: new Date()
+      }
+    );
+  }
+  
+  if (sendTime && sendTime.getTime() > Date.now()) {
+    const { sendAt, delayMs, ...payload } = notification;
+    const entry = scheduler.scheduleNotification(payload, sendTime);
+    
+    return {
+      success: true,
+      scheduled: true,
+      dispatched: false,
+      scheduleId: entry.id,
+      sendAt: entry.sendAt,
+      type: normalizedType,
+      recipient,
+      messagePreview: truncatedMessage
+    };
+  }
+  
+  // Hand the notification to the durable queue; the queue worker dispatches it later
+  if (notification.queue) {
+    const { queue, ...payload } = notification;
+    // Prepared now, so the worker's retries of the job send the same options
+    const job = notificationQueue.enqueue('dispatch', { ...payload, options: registry.prepareOptions(normalizedType, options) });
+    
+    console.log(`[INFO] [channel=${normalizedType}] [recipient=${recipient}] Notification queued as job ${job.id}`);
+    
+    return {
+      success: true,
+      queued: true,
+      dispatched: false,
+      jobId: job.id,
+      type: normalizedType,
+      recipient,
+      messagePreview: truncatedMessage,
+      queuedAt: job.createdAt
+    };
+  }
+  
+  // Suppress identical content sent to the same recipient within the dedupe window
+  const dedupeWindowMs = notification.dedupeWindowMs !== undefined
+    ? notification.dedupeWindowMs
+    : idempotencyStore.getIdempotencySettings().dedupeWindowMs;
+  const duplicate = idempotencyStore.findDuplicate(notification, dedupeWindowMs);
+  
+  if (duplicate) {
+    console.log(`[INFO] [channel=${normalizedType}] [recipient=${recipient}] Duplicate notification suppressed (first sent at ${duplicate.sentAt})`);
+    
+    return {
+      success: true,
+      dispatched: false,
+      suppressed: true,
+      reason: 'DUPLICATE_SUPPRESSED',
+      type: normalizedType,
+      recipient,
+      messagePreview: truncatedMessage,
+      duplicateOf: duplicate.messageId,
+      firstSentAt: duplicate.sentAt
+    };
+  }
+  
+  // Channels that fail over between providers (SMS) check each provider's rate limit and
+  // circuit breaker as they try it, so only the channel and recipient limits apply here
+  const checksProviders = !(registry.getChannel(normalizedType).failover && registry.getChannelMode(normalizedType) === 'real');
+  
+  // Apply channel, provider and recipient rate limits
+  if (notification.rateLimit !== false) {
+    const limit = rateLimiter.acquire(normalizedType, recipient, {
+      provider: checksProviders ? options.provider : null,
+      mode: notification.rateLimit && notification.rateLimit.mode
+    });
+    
+    if (!limit.allowed && limit.mode === 'queue') {
+      // Send from the queue worker once the limit allows it
+      const { queue, ...payload } = notification;
+      const job = notificationQueue.enqueue('dispatch', { ...payload, options: registry.prepareOptions(normalizedType, options) }, {
+        availableAt: Date.now() + limit.waitMs
+      });
+      
+      console.log(`[INFO] [channel=${normalizedType}] [recipient=${recipient}] Rate limited by ${limit.limitedBy.join(', ')}, queued as job ${job.id} for ${job.availableAt}`);
+      
+      return {
+        success: true,
+        queued: true,
+        rateLimited: true,
+        dispatched: false,
+        jobId: job.id,
+        availableAt: job.availableAt,
+        type: normalizedType,
+        recipient,
+        messagePreview: truncatedMessage,
+        queuedAt: job.createdAt
+      };
+    }
+    
+    if (!limit.allowed) {
+      return errorHandler.createErrorResponse(
+        normalizedType,
+        recipient,
+        `Rate limit exceeded (${limit.limitedBy.join(', ')}); retry after ${limit.waitMs}ms`,
+        {
+          ...contextInfo,
+          errorCode: rateLimiter.RATE_LIMITED,
+          limitedBy: limit.limitedBy,
+          provider: limit.provider,
+          retryAfterMs: limit.waitMs,
+          messagePreview: truncatedMessage,
+          dispatched: false,
+          dispatchTimestamp: new Date()
+        }
+      );
+    }
+    
+    if (limit.waitMs > 0) {
+      console.log(`[INFO] [channel=${normalizedType}] [recipient=${recipient}] Rate limited by ${limit.limitedBy.join(', ')}, delaying ${limit.waitMs}ms`);
+      await new Promise(resolve => setTimeout(resolve, limit.waitMs));
+    }
+  }
+  
+  // Log the dispatch attempt (info level)
+  console.log(`[INFO] [channel=${normalizedType}] [recipient=${recipient}] Sending notification`);
+  
+  // Dispatch to the appropriate notification service with error handling
+  const sendFunction = (...args) => registry.deliver(normalizedType, ...args);
+  // Prepared once, so every attempt sends the same options (e.g. the same webhook message ID)
+  const sendOptions = registry.prepareOptions(normalizedType, options);
+  const policy = retryPolicy.getRetryPolicy(normalizedType, retry);
+  const provider = rateLimiter.resolveProvider(normalizedType, options, recipient);
+  const breaker = checksProviders ? circuitBreaker.getCircuitBreaker(provider) : null;
+  
+  // Use safe execute to catch any errors during sending, retrying transient failures.
+  // Each attempt goes through the provider's circuit breaker, so an unavailable
+  // provider fails fast instead of waiting for another timeout
+  const { result, attempts, attemptErrors } = await retryPolicy.executeWithRetry(
+    async attempt => {
+      if (breaker && !breaker.canRequest()) {
+        return {
+          success: false,
+          channel: normalizedType,
+          recipient,
+          provider,
+          error: `Provider '${provider}' is unavailable (circuit open), retry after ${breaker.getRetryAfterMs()}ms`,
+          errorCode: circuitBreaker.PROVIDER_UNAVAILABLE,
+          retryAfterMs: breaker.getRetryAfterMs()
+        };
+      }
+      
+      ctx.state.providerCalled = true;
+      const attemptResult = await errorHandler.safeExecute(
+        sendFunction, 
+        normalizedType,
+        recipient, 
+        [recipient, message, sendOptions],
+        { ...contextInfo, attempt }
+      );
+      
+      if (!breaker) {
+        return attemptResult;
+      }
+      
+      // Only transient errors count against the provider; a rejected recipient means it is up
+      if (attemptResult && attemptResult.success === false && retryPolicy.isRetryableError(attemptResult, policy)) {
+        breaker.recordFailure(attemptResult.error);
+      } else {
+        breaker.recordSuccess();
+      }
+      
+      return attemptResult;
+    },
+    policy,
+    attemptError => console.warn(
+      `[WARN] [channel=${normalizedType}] [recipient=${recipient}] ` +
+      `Attempt ${attemptError.attempt}/${policy.maxAttempts} failed, retrying in ${attemptError.delayMs}ms: ${attemptError.error}`
+    )
+  );
+  
+  // Check if the result is an error response from safeExecute
+  if (result && result.success === false) {
+    // The error was already logged by safeExecute
+    return {
+      ...result,
+      type: normalizedType,
+      messagePreview: truncatedMessage,
+      dispatched: false,
+      attempts,
+      attemptErrors,
+      dispatchTimestamp: new Date()
+    };
+  }
+  
+  // If we got here, the notification was sent successfully
+  idempotencyStore.recordContent(notification, result, dedupeWindowMs);
+  
+  return {
+    ...result,
+    success: true,
+    dispatched: true,
+    attempts,
+    attemptErrors,
+    dispatchTimestamp: new Date()
+  };
+}
+
+/**
+ * Strip what would keep a fallback candidate from being sent right away
+ * @private
+ */
+function toImmediateNotification(candidate) {
+  const { sendAt, delayMs, queue, ...notification } = candidate;
+  
+  if (notification.rateLimit !== false) {
+    const rateLimit = notification.rateLimit || {};
+    const mode = rateLimit.mode || rateLimiter.getRateLimits().mode;
+    if (mode === 'queue') {
+      notification.rateLimit = { ...rateLimit, mode: 'reject' };
+    }
+  }
+  
+  return notification;
+}
+
+/**
+ * Explain why a fallback candidate's dispatch didn't deliver it
+ * @private
+ */
+function describeUndelivered(result) {
+  if (!result) return 'Unknown dispatch error';
+  if (result.success === false) return result.validationError || result.error || 'Unknown dispatch error';
+  if (result.suppressed) return `Suppressed as a duplicate of ${result.duplicateOf}`;
+  return 'Not sent immediately';
+}
+
+/**
+ * Dispatch through an ordered chain of channels until one delivers
+ * 
+ * Each candidate is tried in order. A candidate that fails validation or
+ * delivery (after its own retries) moves the chain on to the next one.
+ * Candidates carrying a `skipReason` (e.g. the user hasn't opted in) are
+ * recorded in the trail without being sent.
+ * 
+ * The chain has to know right away whether a channel delivered, so candidates
+ * are sent immediately: they are never queued or scheduled, a rate limit in
+ * 'queue' mode rejects them instead, and only a result that was actually
+ * dispatched counts as delivered.
+ * 
+ * @param {Array<Object>} candidates - Notification objects in fallback order,
+ *   or { type, skipReason } entries for channels that can't be used
+ * @returns {Promise<Object>} - Result with the delivering channel, its dispatch
+ *   result and a trail explaining what happened to every candidate; fallbackUsed
+ *   is true when an earlier channel failed or was skipped
+ */
+async function dispatchWithFallback(candidates = []) {
+  const trail = [];
+  
+  for (const candidate of candidates) {
+    const channel = candidate.type ? candidate.type.toLowerCase() : 'unknown';
+    
+    if (candidate.skipReason) {
+      trail.push({ channel, status: 'skipped', reason: candidate.skipReason });
+      continue;
+    }
+    
+    let result;
+    try {
+      result = await dispatchNotification(toImmediateNotification(candidate));
+    } catch (error) {
+      // Missing fields and unsupported types are thrown rather than returned
+      result = { success: false, dispatched: false, error: error.message };
+    }
+    
+    if (result && result.success !== false && result.dispatched === true) {
+      trail.push({ channel, recipient: candidate.recipient, status: 'delivered' });
+      
+      return {
+        success: true,
+        deliveredChannel: channel,
+        fallbackUsed: trail.length > 1,
+        result,
+        trail
+      };
+    }
+    
+    trail.push({
+      channel,
+      recipient: candidate.recipient,
+      status: 'failed',
+      reason: describeUndelivered(result),
+      attempts: result && result.attempts
+    });
+    
+    console.warn(`[WARN] [channel=${channel}] [recipient=${candidate.recipient}] Delivery failed, trying next channel in fallback chain`);
+  }
+  
+  return {
+    success: false,
+    deliveredChannel: null,
+    fallbackUsed: false,
+    error: 'All channels in the fallback chain failed or were skipped',
+    result: null,
+    trail
+  };
+}
+
+/**
+ * Validate a notification and add it to the durable queue
+ * 
+ * The call returns as soon as the job is persisted; a queue worker
+ * (see workers/notification-worker.js) performs the actual send.
+ * 
+ * @param {Object} notification - The notification object (same shape as dispatchNotification)
+ * @returns {Promise<Object>} - Promise resolving to { queued, jobId } or a validation error response
+ */
+async function enqueueNotification(notification) {
+  return dispatchNotification({ ...notification, queue: true });
+}
+
 /**
  * Utility function to check if a notification type is supported
  * 
@@ -312,7 +611,7 @@ const normalizedType = type ? type.toLowerCase() : null;
  */
 function isTypeSupported(type) {
   if (!type) return false;
-  return Object.keys(notifications).includes(type.toLowerCase());
+  return registry.hasChannel(type);
 }
 
 /**
@@ -321,7 +620,7 @@ function isTypeSupported(type) {
  * @returns {string[]} - Array of supported notification types
  */
 function getSupportedTypes() {
-  return Object.keys(notifications);
+  return registry.listChannels();
 }
 
 async function sendNotificationsToTargetedUsers(message, options = {}) {
@@ -409,6 +708,12 @@ async function sendNotificationsToTargetedUsers(message, options = {}) {
 
 module.exports = {
   dispatchNotification,
+  use,
+  replaceMiddleware: (name, fn) => pipeline.replace(name, fn),
+  removeMiddleware: name => pipeline.remove(name),
+  listMiddleware: () => pipeline.list(),
+  dispatchWithFallback,
+  enqueueNotification,
   isTypeSupported,
   getSupportedTypes,
   validateNotification,
@@ -416,6 +721,17 @@ module.exports = {
   validatePhoneNumber,
   // getErrorLog,
   // clearErrorLog,
+  cancelScheduledNotification: scheduler.cancelScheduledNotification,
+  listScheduledNotifications: scheduler.listScheduledNotifications,
+  pruneScheduledNotifications: scheduler.pruneScheduledNotifications,
+  configureRetryPolicy: retryPolicy.configureRetryPolicy,
+  getRetryPolicy: retryPolicy.getRetryPolicy,
+  configureIdempotency: idempotencyStore.configureIdempotency,
+  configureRateLimits: rateLimiter.configureRateLimits,
+  getRateLimits: rateLimiter.getRateLimits,
+  configureCircuitBreakers: circuitBreaker.configureCircuitBreakers,
+  getCircuitStates: circuitBreaker.getCircuitStates,
+  resetCircuit: circuitBreaker.resetCircuit,
   getNotificationLog: logger.getNotificationLog,
   clearNotificationLog: logger.clearNotificationLog,
   sendNotificationsToTargetedUsers
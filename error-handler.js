@@ -44,6 +44,27 @@ function formatErrorMessage(channel, recipient, error, additionalInfo = {}) {
   return `[ERROR] [${contextStr}] ${errorMsg}${errorStack ? `\n${errorStack}` : ''}`;
 }
 
+/**
+ * Extract the provider error code and HTTP status from an error, if present
+ * 
+ * These are used downstream to decide whether a failed send is worth retrying.
+ * 
+ * @param {Error|string} error - The error object or error message
+ * @returns {Object} - Object with errorCode and statusCode when available
+ */
+function getErrorDetails(error) {
+  const details = {};
+  
+  if (error && typeof error === 'object') {
+    if (error.code !== undefined) details.errorCode = error.code;
+    
+    const status = error.status || error.statusCode;
+    if (status !== undefined) details.statusCode = status;
+  }
+  
+  return details;
+}
+
 /**
  * Log an error with standard formatting
  * 
@@ -93,6 +114,7 @@ function withErrorHandling(fn, channel, recipient, additionalInfo = {}) {
         channel,
         recipient,
         error: error instanceof Error ? error.message : String(error),
+        ...getErrorDetails(error),
         timestamp: new Date()
       };
     }
@@ -121,6 +143,7 @@ async function safeExecute(fn, channel, recipient, args = [], additionalInfo = {
       channel,
       recipient,
       error: error instanceof Error ? error.message : String(error),
+      ...getErrorDetails(error),
       timestamp: new Date()
     };
   }
@@ -156,5 +179,6 @@ module.exports = {
   withErrorHandling,
   safeExecute,
   createErrorResponse,
-  formatErrorMessage
+  formatErrorMessage,
+  getErrorDetails
 };
@@ -40,7 +40,8 @@ async function basicLoggingExamples() {
   await notifier.dispatch({
     type: 'push',
     recipient: 'device-token-123',
-    message: 'This is a test push notification that will be logged automatically.'
+    message: 'This is a test push notification that will be logged automatically.',
+    options: { platform: 'android' }
   });
   
   // Notice the difference between real and simulated notifications in the logs
@@ -0,0 +1,392 @@
+/**
+ * Idempotency Store Module
+ *
+ * Remembers the results of dispatched notifications so that a caller who
+ * retries a dispatch (e.g. after a timeout) gets the original result back
+ * instead of the user receiving the notification twice.
+ *
+ * Two mechanisms are supported:
+ * - Idempotency keys: a caller-supplied key maps to the first successful result
+ *   for a configurable time-to-live.
+ * - Duplicate suppression: a hash of the channel, recipient and content is
+ *   remembered for a configurable window, so identical notifications to the
+ *   same recipient within that window are not sent again.
+ *
+ * Entries are persisted to a JSON file shared by every process. A dispatch
+ * claims its key in the file before sending, so the API and the worker never
+ * both send for the same key. Only the fields needed to replay a result are
+ * stored, not the recipient or the message.
+ */
+
+const crypto = require('crypto');
+const config = require('./config');
+const { createJsonFileStore } = require('./json-file-store');
+
+// Configuration
+const IDEMPOTENCY_FILE = process.env.IDEMPOTENCY_FILE || 'idempotency_keys.json';
+
+// How often a dispatch waits to check on a key claimed by another process
+const CLAIM_POLL_INTERVAL_MS = 50;
+
+// The result fields kept for a replay
+const REPLAYED_FIELDS = [
+  'success',
+  'type',
+  'provider',
+  'messageId',
+  'status',
+  'dispatched',
+  'queued',
+  'jobId',
+  'availableAt',
+  'scheduled',
+  'scheduleId',
+  'sendAt',
+  'suppressed',
+  'reason',
+  'attempts',
+  'timestamp',
+  'dispatchTimestamp'
+];
+
+let settings = { ...config.idempotency };
+
+// { keys, contentHashes }, re-read on every call because the API and the
+// worker dispatch with the same keys
+const idempotencyStore = createJsonFileStore(IDEMPOTENCY_FILE, {
+  name: 'idempotency store',
+  defaultValue: { keys: {}, contentHashes: {} }
+});
+
+// Dispatches in progress in this process, keyed by idempotency key
+const inFlight = new Map();
+
+/**
+ * Fill in the sections of a store read from an older or empty file
+ * @private
+ */
+function ensureSections(store) {
+  store.keys = store.keys || {};
+  store.contentHashes = store.contentHashes || {};
+  return store;
+}
+
+/**
+ * Check whether an entry's expiry has passed
+ * @private
+ */
+function isExpired(entry) {
+  return new Date(entry.expiresAt).getTime() <= Date.now();
+}
+
+/**
+ * Drop expired keys, claims and content hashes
+ * @private
+ * @returns {number} Number of removed entries
+ */
+function pruneExpired(store) {
+  let removed = 0;
+
+  ['keys', 'contentHashes'].forEach(section => {
+    Object.keys(store[section]).forEach(id => {
+      if (isExpired(store[section][id])) {
+        delete store[section][id];
+        removed++;
+      }
+    });
+  });
+
+  return removed;
+}
+
+/**
+ * Keep only the fields needed to replay a dispatch result
+ * @private
+ */
+function toReplayableResult(result) {
+  return Object.fromEntries(
+    REPLAYED_FIELDS.filter(field => result && result[field] !== undefined).map(field => [field, result[field]])
+  );
+}
+
+/**
+ * Update idempotency settings
+ *
+ * @param {Object} [overrides={}] - Settings to change
+ * @param {number} [overrides.keyTtlMs] - How long an idempotency key is remembered
+ * @param {number} [overrides.claimTimeoutMs] - How long a dispatch may hold its key before others may send
+ * @param {number} [overrides.dedupeWindowMs] - Window for duplicate content suppression (0 disables it)
+ * @returns {Object} The settings now in effect
+ */
+function configureIdempotency(overrides = {}) {
+  settings = { ...settings, ...overrides };
+  return { ...settings };
+}
+
+/**
+ * Get the current idempotency settings
+ *
+ * @returns {Object} The settings now in effect
+ */
+function getIdempotencySettings() {
+  return { ...settings };
+}
+
+/**
+ * Look up the stored result for an idempotency key
+ *
+ * @param {string} key - The idempotency key
+ * @returns {Object|null} The stored entry ({ result, storedAt, expiresAt }), or null
+ *   if the key is unknown, expired or still being dispatched
+ */
+function getKey(key) {
+  const entry = ensureSections(idempotencyStore.read()).keys[key];
+
+  if (!entry || entry.claimId || isExpired(entry)) return null;
+
+  return entry;
+}
+
+/**
+ * Remember the result of a dispatch for an idempotency key
+ *
+ * @param {string} key - The idempotency key
+ * @param {Object} result - The dispatch result to replay; only the fields needed to replay it are kept
+ * @param {number} [ttlMs] - How long to remember the key (defaults to the configured TTL)
+ * @returns {Object} The stored entry
+ */
+function storeKey(key, result, ttlMs = settings.keyTtlMs) {
+  return idempotencyStore.update(store => {
+    ensureSections(store);
+    pruneExpired(store);
+
+    const now = Date.now();
+    store.keys[key] = {
+      result: toReplayableResult(result),
+      storedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttlMs).toISOString()
+    };
+
+    return store.keys[key];
+  });
+}
+
+/**
+ * Forget an idempotency key so the next dispatch with it is sent again
+ *
+ * @param {string} key - The idempotency key
+ * @returns {boolean} True if the key was stored
+ */
+function removeKey(key) {
+  if (!ensureSections(idempotencyStore.read()).keys[key]) return false;
+
+  return idempotencyStore.update(store => {
+    ensureSections(store);
+    if (!store.keys[key]) return false;
+
+    delete store.keys[key];
+    return true;
+  });
+}
+
+/**
+ * Claim a key for a dispatch, unless it has a result or another dispatch holds it
+ * @private
+ * @returns {Object} { stored } with the stored entry, { claimId } when claimed, or {} when held elsewhere
+ */
+function claimKey(key) {
+  return idempotencyStore.update(store => {
+    ensureSections(store);
+    pruneExpired(store);
+
+    const entry = store.keys[key];
+    if (entry && !entry.claimId) {
+      return { stored: entry };
+    }
+    if (entry) {
+      return {};
+    }
+
+    const claimId = crypto.randomBytes(8).toString('hex');
+    store.keys[key] = {
+      claimId,
+      claimedAt: new Date().toISOString(),
+      // A process that dies mid-dispatch releases the key when its claim expires
+      expiresAt: new Date(Date.now() + settings.claimTimeoutMs).toISOString()
+    };
+
+    return { claimId };
+  });
+}
+
+/**
+ * Replace a claim with the dispatch result, or release it after a failed dispatch
+ * @private
+ */
+function settleClaim(key, claimId, result, ttlMs) {
+  idempotencyStore.update(store => {
+    ensureSections(store);
+    // The claim timed out and someone else has the key now
+    if (!store.keys[key] || store.keys[key].claimId !== claimId) return;
+
+    if (result && result.success !== false) {
+      const now = Date.now();
+      store.keys[key] = {
+        result: toReplayableResult(result),
+        storedAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + ttlMs).toISOString()
+      };
+    } else {
+      delete store.keys[key];
+    }
+  });
+}
+
+/**
+ * Claim the key and run the dispatch, or wait for the dispatch holding it
+ * @private
+ */
+async function dispatchOnce(key, operation, ttlMs) {
+  while (true) {
+    const claim = claimKey(key);
+
+    if (claim.stored) {
+      return { ...claim.stored.result, idempotentReplay: true, originalDispatchAt: claim.stored.storedAt };
+    }
+
+    if (claim.claimId) {
+      let result;
+      try {
+        result = await operation();
+      } catch (error) {
+        settleClaim(key, claim.claimId, null, ttlMs);
+        throw error;
+      }
+      settleClaim(key, claim.claimId, result, ttlMs);
+      return { ...result, idempotentReplay: false };
+    }
+
+    // Another process is dispatching with this key; wait for its result
+    await new Promise(resolve => setTimeout(resolve, CLAIM_POLL_INTERVAL_MS));
+  }
+}
+
+/**
+ * Run a dispatch at most once per idempotency key
+ *
+ * Concurrent calls with the same key share a single dispatch, in this process
+ * or across processes. Only successful results are remembered, so a failed
+ * dispatch can be retried with the same key.
+ *
+ * @param {string} key - The idempotency key
+ * @param {Function} operation - Async function performing the dispatch
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.ttlMs] - How long to remember the key
+ * @returns {Promise<Object>} The dispatch result, with `idempotentReplay: true` if it was replayed
+ */
+async function runOnce(key, operation, options = {}) {
+  const stored = getKey(key);
+  if (stored) {
+    return { ...stored.result, idempotencyKey: key, idempotentReplay: true, originalDispatchAt: stored.storedAt };
+  }
+
+  if (inFlight.has(key)) {
+    const result = await inFlight.get(key);
+    return { ...result, idempotencyKey: key, idempotentReplay: true };
+  }
+
+  const promise = dispatchOnce(key, operation, options.ttlMs || settings.keyTtlMs);
+
+  inFlight.set(key, promise);
+  try {
+    const result = await promise;
+    return { ...result, idempotencyKey: key };
+  } finally {
+    inFlight.delete(key);
+  }
+}
+
+/**
+ * Hash the parts of a notification that make it a duplicate
+ *
+ * @param {Object} notification - Notification with type, recipient, message and options
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashContent({ type, recipient, message, options = {} }) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([String(type).toLowerCase(), recipient, message, options.subject || null]))
+    .digest('hex');
+}
+
+/**
+ * Check whether identical content was sent to the same recipient within the window
+ *
+ * @param {Object} notification - The notification to check
+ * @param {number} [windowMs] - Suppression window (defaults to the configured window)
+ * @returns {Object|null} The earlier send ({ hash, sentAt, messageId, expiresAt }), or null
+ */
+function findDuplicate(notification, windowMs = settings.dedupeWindowMs) {
+  if (!windowMs || windowMs <= 0) return null;
+
+  const entry = ensureSections(idempotencyStore.read()).contentHashes[hashContent(notification)];
+
+  if (!entry || Date.now() - new Date(entry.sentAt).getTime() >= windowMs) {
+    return null;
+  }
+
+  return entry;
+}
+
+/**
+ * Remember that a notification's content was sent
+ *
+ * @param {Object} notification - The notification that was sent
+ * @param {Object} result - The dispatch result
+ * @param {number} [windowMs] - Suppression window (defaults to the configured window)
+ * @returns {Object|null} The stored entry, or null if suppression is disabled
+ */
+function recordContent(notification, result, windowMs = settings.dedupeWindowMs) {
+  if (!windowMs || windowMs <= 0) return null;
+
+  const hash = hashContent(notification);
+  const now = Date.now();
+
+  return idempotencyStore.update(store => {
+    ensureSections(store);
+    pruneExpired(store);
+
+    store.contentHashes[hash] = {
+      hash,
+      type: String(notification.type).toLowerCase(),
+      messageId: (result && result.messageId) || null,
+      sentAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + windowMs).toISOString()
+    };
+
+    return store.contentHashes[hash];
+  });
+}
+
+/**
+ * Remove every stored key and content hash
+ */
+function clear() {
+  idempotencyStore.update(store => {
+    store.keys = {};
+    store.contentHashes = {};
+  });
+}
+
+module.exports = {
+  configureIdempotency,
+  getIdempotencySettings,
+  getKey,
+  storeKey,
+  removeKey,
+  runOnce,
+  hashContent,
+  findDuplicate,
+  recordContent,
+  clear
+};
@@ -0,0 +1,322 @@
+/**
+ * In-App Inbox Store Module
+ *
+ * Persistent per-user inbox behind the `inapp` channel. Notifications sent on
+ * that channel are stored here instead of being delivered externally; the
+ * application reads them back to show an inbox, unread badge and so on.
+ *
+ * The inbox is persisted to a JSON file shared by every process, so it
+ * survives restarts and the API sees notifications the worker adds. Each user
+ * keeps at most INBOX_MAX_PER_USER notifications; when the limit is reached the
+ * oldest archived or read notifications are dropped first.
+ */
+
+const crypto = require('crypto');
+const config = require('./config');
+const { createJsonFileStore } = require('./json-file-store');
+
+// Configuration
+const INBOX_FILE = process.env.INBOX_FILE || 'inbox.json';
+
+const INBOX_STATUS = {
+  UNREAD: 'unread',
+  READ: 'read',
+  ALL: 'all'
+};
+
+// { [userId]: [notification] }, re-read on every call because the worker adds
+// notifications while the API marks them read or archived
+const inboxStore = createJsonFileStore(INBOX_FILE, { name: 'in-app inbox' });
+
+/**
+ * Find a user's notification by ID
+ * @private
+ */
+function findNotification(inbox, userId, notificationId) {
+  return (inbox[userId] || []).find(entry => entry.id === notificationId) || null;
+}
+
+/**
+ * Result for a notification that doesn't exist
+ * @private
+ */
+function notFound(userId, notificationId) {
+  return { success: false, error: `Notification '${notificationId}' not found for user '${userId}'` };
+}
+
+/**
+ * Set or clear one of a notification's timestamps (readAt or archivedAt)
+ * @private
+ * @returns {Object} Result with success flag and the notification if found
+ */
+function setTimestamp(userId, notificationId, field, set) {
+  const current = findNotification(inboxStore.read(), userId, notificationId);
+  if (!current) {
+    return notFound(userId, notificationId);
+  }
+  if (Boolean(current[field]) === set) {
+    return { success: true, notification: current };
+  }
+
+  return inboxStore.update(inbox => {
+    const entry = findNotification(inbox, userId, notificationId);
+    if (!entry) {
+      return notFound(userId, notificationId);
+    }
+    if (Boolean(entry[field]) !== set) {
+      entry[field] = set ? new Date().toISOString() : null;
+    }
+    return { success: true, notification: entry };
+  });
+}
+
+/**
+ * Drop the oldest notifications beyond the per-user limit, archived and read ones first
+ * @private
+ */
+function trimInbox(inbox, userId) {
+  const entries = inbox[userId];
+  const excess = entries.length - config.inbox.maxPerUser;
+  if (excess <= 0) return;
+
+  const removable = [
+    ...entries.filter(entry => entry.archivedAt),
+    ...entries.filter(entry => !entry.archivedAt && entry.readAt),
+    ...entries.filter(entry => !entry.archivedAt && !entry.readAt)
+  ].slice(0, excess);
+
+  inbox[userId] = entries.filter(entry => !removable.includes(entry));
+}
+
+/**
+ * Add a notification to a user's inbox
+ *
+ * @param {string} userId - The user the notification is for
+ * @param {Object} notification - The notification content
+ * @param {string} notification.body - The notification text
+ * @param {string} [notification.title] - Title shown in the inbox
+ * @param {string} [notification.url] - Where the notification links to
+ * @param {string} [notification.category] - Grouping, e.g. 'orders' or 'security'
+ * @param {string} [notification.notificationType] - The notification type (e.g. 'welcome')
+ * @param {Object} [notification.data] - Extra data for the application
+ * @returns {Object} The stored notification
+ */
+function addNotification(userId, notification) {
+  const entry = {
+    id: `inapp_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+    userId,
+    title: notification.title || null,
+    body: notification.body,
+    url: notification.url || null,
+    category: notification.category || null,
+    notificationType: notification.notificationType || null,
+    data: notification.data || {},
+    createdAt: new Date().toISOString(),
+    readAt: null,
+    archivedAt: null
+  };
+
+  inboxStore.update(inbox => {
+    inbox[userId] = [...(inbox[userId] || []), entry];
+    trimInbox(inbox, userId);
+  });
+
+  return entry;
+}
+
+/**
+ * Get one notification from a user's inbox
+ *
+ * @param {string} userId - The user ID
+ * @param {string} notificationId - The notification ID
+ * @returns {Object|null} The notification, or null if not found
+ */
+function getNotification(userId, notificationId) {
+  return findNotification(inboxStore.read(), userId, notificationId);
+}
+
+/**
+ * List a user's notifications, newest first
+ *
+ * @param {string} userId - The user ID
+ * @param {Object} [options={}] - Filter and pagination options
+ * @param {string} [options.status='all'] - 'unread', 'read' or 'all'
+ * @param {boolean|string} [options.archived=false] - true for only archived notifications, 'all' to include them
+ * @param {string} [options.category] - Only include this category
+ * @param {number} [options.limit] - Page size (defaults to INBOX_PAGE_SIZE)
+ * @param {number} [options.offset=0] - Number of notifications to skip
+ * @returns {Object} { notifications, total, unreadCount, limit, offset, hasMore }
+ */
+function listNotifications(userId, options = {}) {
+  const status = options.status || INBOX_STATUS.ALL;
+  if (!Object.values(INBOX_STATUS).includes(status)) {
+    throw new Error(`Invalid inbox status '${status}'. Must be one of: ${Object.values(INBOX_STATUS).join(', ')}`);
+  }
+
+  const archived = options.archived === undefined ? false : options.archived;
+  const limit = Math.max(1, parseInt(options.limit || config.inbox.defaultPageSize, 10));
+  const offset = Math.max(0, parseInt(options.offset || 0, 10));
+
+  // Entries are stored oldest first
+  const matching = [...(inboxStore.read()[userId] || [])]
+    .reverse()
+    .filter(entry =>
+      (archived === 'all' || Boolean(entry.archivedAt) === Boolean(archived)) &&
+      (status === INBOX_STATUS.ALL || (status === INBOX_STATUS.UNREAD ? !entry.readAt : Boolean(entry.readAt))) &&
+      (!options.category || entry.category === options.category)
+    );
+
+  return {
+    notifications: matching.slice(offset, offset + limit),
+    total: matching.length,
+    unreadCount: getUnreadCount(userId, { category: options.category }),
+    limit,
+    offset,
+    hasMore: offset + limit < matching.length
+  };
+}
+
+/**
+ * Count a user's unread notifications, not counting archived ones
+ *
+ * @param {string} userId - The user ID
+ * @param {Object} [options={}] - Filter options
+ * @param {string} [options.category] - Only count this category
+ * @returns {number} The number of unread notifications
+ */
+function getUnreadCount(userId, options = {}) {
+  return (inboxStore.read()[userId] || []).filter(entry =>
+    !entry.readAt && !entry.archivedAt && (!options.category || entry.category === options.category)
+  ).length;
+}
+
+/**
+ * Mark a notification as read
+ *
+ * @param {string} userId - The user ID
+ * @param {string} notificationId - The notification ID
+ * @returns {Object} Result with success flag and the notification if found
+ */
+function markAsRead(userId, notificationId) {
+  return setTimestamp(userId, notificationId, 'readAt', true);
+}
+
+/**
+ * Mark a notification as unread again
+ *
+ * @param {string} userId - The user ID
+ * @param {string} notificationId - The notification ID
+ * @returns {Object} Result with success flag and the notification if found
+ */
+function markAsUnread(userId, notificationId) {
+  return setTimestamp(userId, notificationId, 'readAt', false);
+}
+
+/**
+ * Mark all of a user's unread notifications as read
+ *
+ * @param {string} userId - The user ID
+ * @param {Object} [options={}] - Filter options
+ * @param {string} [options.category] - Only mark this category
+ * @returns {Object} { success, updated } with the number of notifications marked
+ */
+function markAllAsRead(userId, options = {}) {
+  const isUnread = entry => !entry.readAt && (!options.category || entry.category === options.category);
+  if (!(inboxStore.read()[userId] || []).some(isUnread)) {
+    return { success: true, updated: 0 };
+  }
+
+  return inboxStore.update(inbox => {
+    const now = new Date().toISOString();
+    let updated = 0;
+
+    (inbox[userId] || []).filter(isUnread).forEach(entry => {
+      entry.readAt = now;
+      updated++;
+    });
+
+    return { success: true, updated };
+  });
+}
+
+/**
+ * Archive a notification, hiding it from the default inbox listing
+ *
+ * @param {string} userId - The user ID
+ * @param {string} notificationId - The notification ID
+ * @returns {Object} Result with success flag and the notification if found
+ */
+function archiveNotification(userId, notificationId) {
+  return setTimestamp(userId, notificationId, 'archivedAt', true);
+}
+
+/**
+ * Move an archived notification back to the inbox
+ *
+ * @param {string} userId - The user ID
+ * @param {string} notificationId - The notification ID
+ * @returns {Object} Result with success flag and the notification if found
+ */
+function unarchiveNotification(userId, notificationId) {
+  return setTimestamp(userId, notificationId, 'archivedAt', false);
+}
+
+/**
+ * Delete a notification permanently
+ *
+ * @param {string} userId - The user ID
+ * @param {string} notificationId - The notification ID
+ * @returns {Object} Result with success flag and the deleted notification if found
+ */
+function deleteNotification(userId, notificationId) {
+  if (!findNotification(inboxStore.read(), userId, notificationId)) {
+    return notFound(userId, notificationId);
+  }
+
+  return inboxStore.update(inbox => {
+    const entry = findNotification(inbox, userId, notificationId);
+    if (!entry) {
+      return notFound(userId, notificationId);
+    }
+
+    inbox[userId] = inbox[userId].filter(candidate => candidate !== entry);
+    if (inbox[userId].length === 0) {
+      delete inbox[userId];
+    }
+
+    return { success: true, notification: entry };
+  });
+}
+
+/**
+ * Delete every notification in a user's inbox
+ *
+ * @param {string} userId - The user ID
+ * @returns {number} The number of notifications deleted
+ */
+function clearInbox(userId) {
+  if (!inboxStore.read()[userId]) {
+    return 0;
+  }
+
+  return inboxStore.update(inbox => {
+    const count = (inbox[userId] || []).length;
+    delete inbox[userId];
+    return count;
+  });
+}
+
+module.exports = {
+  INBOX_STATUS,
+  addNotification,
+  getNotification,
+  listNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAsUnread,
+  markAllAsRead,
+  archiveNotification,
+  unarchiveNotification,
+  deleteNotification,
+  clearInbox
+};
@@ -11,17 +11,30 @@ const notificationSystem = require("./notifications");
 const dispatcher = require('./dispatcher');
 const logger = require('./logger');
 const trackNotification = require('./notificationTracker').trackNotification;
+const recurringScheduler = require('./recurring-scheduler');
+const inbox = require('./inbox-store');
+const devices = require('./device-registry');
+const webhook = require('./notifications/webhook');
+const webPush = require('./notifications/webpush');
+const push = require('./notifications/push');
+const emailAttachments = require('./notifications/email-attachments');
+const smsEncoding = require('./notifications/sms-encoding');
+const smsProviders = require('./notifications/sms-providers');
+const smsInbound = require('./notifications/sms-inbound');
+const smsAppointments = require('./notifications/sms-appointments');
+const deliveryStatus = require('./notifications/delivery-status');
+const smsOptOuts = require('./sms-opt-out-store');
 
 // Initialize the notification system
 console.log("Initializing notification system...");
 
 // Legacy function for backward compatibility
 function sendNotification(type, recipient, message, options = {}) {
-  if (!notifications[type]) {
+  if (!notificationSystem.registry.hasChannel(type)) {
     throw new Error(`Notification type '${type}' is not supported`);
   }
   
-  return notifications[type].send(recipient, message, options);
+  return notificationSystem.registry.send(type, recipient, message, options);
 }
 
 
@@ -199,12 +212,59 @@ module.exports = {
   // ...notifications,
   sendNotification,
   dispatch: dispatcher.dispatchNotification,
+  enqueue: dispatcher.enqueueNotification,
+  use: dispatcher.use,
+  registerChannel: notificationSystem.registry.registerChannel,
+  unregisterChannel: notificationSystem.registry.unregisterChannel,
+  getChannelCapabilities: notificationSystem.registry.getCapabilities,
+  setChannelMode: notificationSystem.registry.setChannelMode,
+  replaceMiddleware: dispatcher.replaceMiddleware,
+  removeMiddleware: dispatcher.removeMiddleware,
+  listMiddleware: dispatcher.listMiddleware,
+  cancelScheduledNotification: dispatcher.cancelScheduledNotification,
+  listScheduledNotifications: dispatcher.listScheduledNotifications,
+  pruneScheduledNotifications: dispatcher.pruneScheduledNotifications,
   isNotificationTypeSupported: dispatcher.isTypeSupported,
   getSupportedNotificationTypes: dispatcher.getSupportedTypes,
+  configureRetryPolicy: dispatcher.configureRetryPolicy,
+  configureIdempotency: dispatcher.configureIdempotency,
+  configureRateLimits: dispatcher.configureRateLimits,
+  configureCircuitBreakers: dispatcher.configureCircuitBreakers,
+  getCircuitStates: dispatcher.getCircuitStates,
+  resetCircuit: dispatcher.resetCircuit,
     // Expose validation utilities
   validateNotification: dispatcher.validateNotification,
   isValidEmail: dispatcher.isValidEmail,
   isValidPhoneNumber: dispatcher.isValidPhoneNumber,
+  verifyWebhookSignature: webhook.verifySignature,
+  generateVapidKeys: webPush.generateVapidKeys,
+  onWebPushSubscriptionExpired: webPush.onSubscriptionExpired,
+  subscribeToPushTopic: push.subscribeToTopic,
+  unsubscribeFromPushTopic: push.unsubscribeFromTopic,
+  listPushTopics: push.listTopics,
+  registerAttachmentGenerator: emailAttachments.registerAttachmentGenerator,
+  analyzeSms: smsEncoding.analyzeSms,
+  registerSmsProvider: smsProviders.registerSmsProvider,
+  configureSmsProvider: smsProviders.configureSmsProvider,
+  configureSmsRouting: smsProviders.configureSmsRouting,
+  handleInboundSms: smsInbound.handleInboundSms,
+  registerInboundSmsHandler: smsInbound.registerInboundHandler,
+  createInboundSmsHandler: smsInbound.createInboundSmsHandler,
+  verifyTwilioSignature: smsInbound.verifyTwilioSignature,
+  sendAppointmentReminder: smsAppointments.sendAppointmentReminder,
+  onAppointmentOutcome: smsAppointments.onAppointmentOutcome,
+  cancelAppointmentReminder: smsAppointments.cancelAppointmentReminder,
+  getAppointment: smsAppointments.getAppointment,
+  listAppointments: smsAppointments.listAppointments,
+  recordDeliveryStatus: deliveryStatus.recordDeliveryStatus,
+  handleTwilioStatusCallback: deliveryStatus.handleTwilioStatusCallback,
+  createTwilioStatusCallbackHandler: deliveryStatus.createTwilioStatusCallbackHandler,
+  handleEmailDsn: deliveryStatus.handleEmailDsn,
+  parseDsn: deliveryStatus.parseDsn,
+  handlePushReceipt: deliveryStatus.handlePushReceipt,
+  getMessageStatus: deliveryStatus.getMessageStatus,
+  listMessageStatuses: deliveryStatus.listMessageStatuses,
+  pruneMessageStatuses: deliveryStatus.pruneMessageStatuses,
   
   // Expose error handling utilities
   getErrorLog: dispatcher.getErrorLog,
@@ -217,5 +277,9 @@ module.exports = {
   
   // Expose utility modules directly for advanced usage
   // errorHandler,
-  logger
+  logger,
+  recurringScheduler,
+  inbox,
+  devices,
+  smsOptOuts
 };
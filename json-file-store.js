@@ -0,0 +1,207 @@
+/**
+ * JSON File Store Module
+ *
+ * Shared persistence for the stores kept in a JSON file. The API process and
+ * the worker use the same files, so a store can't load its file once and save
+ * its own copy back: it would miss the other process's changes and overwrite
+ * them.
+ *
+ * Instead, read() returns the file's current contents (parsed again only when
+ * the file has changed since the last read), and update() re-reads the file,
+ * applies the change and writes it back while holding a lock file, so updates
+ * from different processes don't overwrite each other. An update whose write
+ * fails throws, so callers never act on a change that wasn't saved.
+ *
+ * The stores' APIs are synchronous, so waiting for another process's lock
+ * blocks the event loop (for at most LOCK_TIMEOUT_MS). Locks are only held for
+ * one read-modify-write of a small file, so in practice the wait is a few
+ * milliseconds; keep update() callbacks free of I/O to keep it that way.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// How long update() waits for another process to release the lock
+const LOCK_TIMEOUT_MS = 5000;
+// A lock older than this was left by a process that died while holding it
+const STALE_LOCK_MS = 30000;
+const LOCK_RETRY_MS = 5;
+
+const sleepBuffer = new Int32Array(new SharedArrayBuffer(4));
+
+/**
+ * Block the thread for a few milliseconds; the stores' APIs are synchronous,
+ * so the event loop waits too
+ * @private
+ */
+function sleep(ms) {
+  Atomics.wait(sleepBuffer, 0, 0, ms);
+}
+
+/**
+ * Remove a lock file if its holder has been gone for too long
+ * @private
+ * @returns {boolean} Whether a stale lock was removed
+ */
+function removeStaleLock(lockFile) {
+  try {
+    if (Date.now() - fs.statSync(lockFile).mtimeMs > STALE_LOCK_MS) {
+      fs.unlinkSync(lockFile);
+      return true;
+    }
+  } catch (error) {
+    // Released (or removed by someone else) in the meantime
+    return error.code === 'ENOENT';
+  }
+  return false;
+}
+
+/**
+ * Run fn while holding the lock file for a file
+ *
+ * Waiting for the lock blocks the event loop, so fn should be quick.
+ *
+ * @param {string} file - The file to lock
+ * @param {Function} fn - Called with the lock held
+ * @returns {*} What fn returned
+ * @throws {Error} - With code STORE_LOCK_TIMEOUT if the lock isn't released in time
+ */
+function withFileLock(file, fn) {
+  const lockFile = `${file}.lock`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  let fd = null;
+
+  const dir = path.dirname(file);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  while (fd === null) {
+    try {
+      fd = fs.openSync(lockFile, 'wx');
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      if (removeStaleLock(lockFile)) {
+        continue;
+      }
+      if (Date.now() > deadline) {
+        const timeout = new Error(`Timed out waiting for the lock on ${file}`);
+        timeout.code = 'STORE_LOCK_TIMEOUT';
+        timeout.statusCode = 503;
+        throw timeout;
+      }
+      sleep(LOCK_RETRY_MS);
+    }
+  }
+
+  try {
+    fs.writeSync(fd, String(process.pid));
+    return fn();
+  } finally {
+    fs.closeSync(fd);
+    fs.unlinkSync(lockFile);
+  }
+}
+
+/**
+ * Create a store backed by a JSON file
+ *
+ * @param {string} file - Path of the JSON file
+ * @param {Object} [options={}] - Store options
+ * @param {string} [options.name] - Used in error messages, e.g. 'SMS opt-outs'
+ * @param {*} [options.defaultValue={}] - Contents of a missing or unreadable file
+ * @returns {Object} { file, read, update }
+ */
+function createJsonFileStore(file, options = {}) {
+  const name = options.name || file;
+  const defaultValue = options.defaultValue === undefined ? {} : options.defaultValue;
+  // The last contents read or written, with the file's identity at the time
+  let cached = null;
+
+  const emptyValue = () => JSON.parse(JSON.stringify(defaultValue));
+
+  const identify = (stats) => `${stats.ino}:${stats.size}:${stats.mtimeMs}`;
+
+  const load = () => {
+    let stats;
+    try {
+      stats = fs.statSync(file);
+    } catch (error) {
+      cached = null;
+      return emptyValue();
+    }
+
+    if (cached && cached.identity === identify(stats)) {
+      return cached.data;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8')) || emptyValue();
+      cached = { identity: identify(stats), data };
+      return data;
+    } catch (error) {
+      console.error(`Error loading ${name}:`, error.message);
+      cached = null;
+      return emptyValue();
+    }
+  };
+
+  const save = (data) => {
+    try {
+      const tempFile = `${file}.tmp`;
+      fs.writeFileSync(tempFile, JSON.stringify(data, null, 2), 'utf8');
+      fs.renameSync(tempFile, file);
+      cached = { identity: identify(fs.statSync(file)), data };
+    } catch (error) {
+      console.error(`Error saving ${name}:`, error.message);
+      cached = null;
+      const failed = new Error(`Failed to save ${name}: ${error.message}`);
+      failed.code = 'STORE_WRITE_FAILED';
+      failed.statusCode = 503;
+      throw failed;
+    }
+  };
+
+  return {
+    file,
+
+    /**
+     * Get the file's current contents. Treat them as read-only; change them
+     * through update().
+     *
+     * @returns {*} The parsed contents, or the default value
+     */
+    read: load,
+
+    /**
+     * Change the contents under the file lock
+     *
+     * fn gets the file's current contents and changes them in place; they are
+     * then written back.
+     *
+     * @param {Function} fn - (data) => result
+     * @returns {*} What fn returned
+     * @throws {Error} - With code STORE_LOCK_TIMEOUT if the lock isn't released in
+     *   time, or STORE_WRITE_FAILED if the contents couldn't be written; the file
+     *   is left as it was
+     */
+    update(fn) {
+      return withFileLock(file, () => {
+        // Parse a fresh copy, so a throwing fn can't leave the cache half-changed
+        cached = null;
+        const data = load();
+        cached = null;
+        const result = fn(data);
+        save(data);
+        return result;
+      });
+    }
+  };
+}
+
+module.exports = {
+  createJsonFileStore,
+  withFileLock
+};
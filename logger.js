@@ -182,6 +182,8 @@ function formatFileLog(notification) {
     delete sanitized.options.apiKey;
     delete sanitized.options.password;
     delete sanitized.options.token;
+    delete sanitized.options.secret;
+    delete sanitized.options.headers;
   }
   
   return JSON.stringify(sanitized);
@@ -291,12 +293,20 @@ function createTypedLogger(type) {
 const logEmail = createTypedLogger('email');
 const logSMS = createTypedLogger('sms');
 const logPush = createTypedLogger('push');
+const logWebhook = createTypedLogger('webhook');
+const logChat = createTypedLogger('chat');
+const logWebPush = createTypedLogger('webpush');
+const logInApp = createTypedLogger('inapp');
 
 module.exports = {
   logNotification,
   logEmail,
   logSMS,
   logPush,
+  logWebhook,
+  logChat,
+  logWebPush,
+  logInApp,
   getNotificationLog,
   clearNotificationLog,
   createMessagePreview
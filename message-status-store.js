@@ -0,0 +1,392 @@
+/**
+ * Message Status Store Module
+ *
+ * Tracks each sent message's delivery status, keyed by the messageId its
+ * channel returned, with the full history of status updates. Statuses move
+ * forward only:
+ *
+ *   queued -> sent -> delivered | failed | bounced
+ *
+ * Steps can be skipped (a message can go straight from queued to delivered),
+ * but a message never goes back: a late "sent" callback after "delivered" is
+ * kept in the history without changing the status. delivered, failed and
+ * bounced are final.
+ *
+ * Every status update is appended to a journal file (one JSON entry per line)
+ * shared by every process, so callbacks received by the API find messages
+ * sent by the worker, including after a restart. Like the notification
+ * queue's journal, each process keeps the records in memory and only reads
+ * what other processes appended since, so an update costs the same however
+ * many messages are tracked. Messages not updated for
+ * MESSAGE_STATUS_RETENTION_MS are dropped when the journal is compacted,
+ * every MESSAGE_STATUS_PRUNE_INTERVAL_MS.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const config = require('./config');
+const { withFileLock } = require('./json-file-store');
+
+// Configuration
+const MESSAGE_STATUS_FILE = process.env.MESSAGE_STATUS_FILE || 'message_status.jsonl';
+// Compact the journal once it holds this many entries more than there are messages
+const COMPACTION_THRESHOLD = 1000;
+
+const MESSAGE_STATUS = {
+  QUEUED: 'queued',
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  FAILED: 'failed',
+  BOUNCED: 'bounced'
+};
+
+// The statuses each status may move to
+const TRANSITIONS = {
+  [MESSAGE_STATUS.QUEUED]: [MESSAGE_STATUS.SENT, MESSAGE_STATUS.DELIVERED, MESSAGE_STATUS.FAILED, MESSAGE_STATUS.BOUNCED],
+  [MESSAGE_STATUS.SENT]: [MESSAGE_STATUS.DELIVERED, MESSAGE_STATUS.FAILED, MESSAGE_STATUS.BOUNCED],
+  [MESSAGE_STATUS.DELIVERED]: [],
+  [MESSAGE_STATUS.FAILED]: [],
+  [MESSAGE_STATUS.BOUNCED]: []
+};
+
+// Provider status words and the lifecycle status they mean
+const PROVIDER_STATUSES = {
+  accepted: MESSAGE_STATUS.QUEUED,
+  scheduled: MESSAGE_STATUS.QUEUED,
+  queued: MESSAGE_STATUS.QUEUED,
+  submitted: MESSAGE_STATUS.QUEUED,
+  sending: MESSAGE_STATUS.SENT,
+  sent: MESSAGE_STATUS.SENT,
+  delivered: MESSAGE_STATUS.DELIVERED,
+  received: MESSAGE_STATUS.DELIVERED,
+  read: MESSAGE_STATUS.DELIVERED,
+  ok: MESSAGE_STATUS.DELIVERED,
+  undelivered: MESSAGE_STATUS.FAILED,
+  failed: MESSAGE_STATUS.FAILED,
+  error: MESSAGE_STATUS.FAILED,
+  rejected: MESSAGE_STATUS.FAILED,
+  expired: MESSAGE_STATUS.FAILED,
+  canceled: MESSAGE_STATUS.FAILED,
+  bounced: MESSAGE_STATUS.BOUNCED
+};
+
+// In-memory view of the journal, caught up with what other processes append before every call
+const journal = {
+  messages: new Map(), // Records by messageId
+  entries: 0,
+  offset: 0, // Bytes of the journal applied to messages
+  header: null, // First line of the journal, written by the last compaction
+  tornBytes: 0, // Bytes of a line left unfinished by a crashed writer
+  pruneTimer: null
+};
+
+/**
+ * Check whether a message hasn't been updated within the retention period
+ * @private
+ */
+function isExpired(message) {
+  return new Date(message.updatedAt).getTime() < Date.now() - config.messageStatus.retentionMs;
+}
+
+/**
+ * Forget the replayed journal
+ * @private
+ */
+function resetJournal() {
+  journal.messages.clear();
+  journal.entries = 0;
+  journal.offset = 0;
+  journal.header = null;
+  journal.tornBytes = 0;
+}
+
+/**
+ * Apply a journal entry to the in-memory records
+ * @private
+ * @param {Object} entry - { op: 'add', message } or { op: 'status', messageId, details, update, at, restart },
+ *   where restart replaces an expired record instead of adding to it
+ */
+function applyEntry(entry) {
+  if (entry.op === 'add') {
+    journal.messages.set(entry.message.messageId, entry.message);
+  } else if (entry.op === 'status') {
+    const existing = journal.messages.get(entry.messageId);
+    const message = existing && !entry.restart ? existing : createRecord(entry.messageId, entry.details, entry.at);
+    message.history.push(entry.update);
+    if (entry.update.applied) {
+      message.status = entry.update.status;
+    }
+    message.updatedAt = entry.at;
+    journal.messages.set(entry.messageId, message);
+  } else if (entry.op !== 'compact') {
+    console.warn(`Unknown message status journal operation: ${entry.op}`);
+  }
+  journal.entries++;
+}
+
+/**
+ * Apply the journal entries other processes appended since the last refresh,
+ * replaying it from the start if another process compacted it
+ * @private
+ */
+function refresh() {
+  let fd;
+  try {
+    fd = fs.openSync(MESSAGE_STATUS_FILE, 'r');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    if (journal.offset > 0) resetJournal();
+    return;
+  }
+
+  try {
+    const size = fs.fstatSync(fd).size;
+
+    if (journal.header !== null) {
+      const header = Buffer.alloc(journal.header.length);
+      fs.readSync(fd, header, 0, header.length, 0);
+      if (size < journal.offset || !header.equals(journal.header)) {
+        resetJournal();
+      }
+    } else if (size < journal.offset) {
+      resetJournal();
+    }
+
+    if (size === journal.offset) {
+      journal.tornBytes = 0;
+      return;
+    }
+
+    const buffer = Buffer.alloc(size - journal.offset);
+    fs.readSync(fd, buffer, 0, buffer.length, journal.offset);
+
+    // Only apply complete lines; a writer may be halfway through the last one
+    const end = buffer.lastIndexOf(0x0a) + 1;
+    buffer.subarray(0, end).toString('utf8').split('\n').filter(Boolean).forEach(line => {
+      try {
+        const entry = JSON.parse(line);
+        if (journal.offset === 0 && journal.entries === 0 && entry.op === 'compact') {
+          journal.header = Buffer.from(line + '\n', 'utf8');
+        }
+        applyEntry(entry);
+      } catch (error) {
+        // A partially written line is expected after a crash
+        console.error('Skipping unreadable message status journal entry:', error.message);
+      }
+    });
+
+    journal.offset += end;
+    journal.tornBytes = buffer.length - end;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Rewrite the journal with one entry per message, dropping expired ones. Must
+ * be called with the journal locked and refreshed, so no other process's
+ * entries are lost.
+ * @private
+ */
+function rewriteJournal() {
+  journal.messages.forEach((message, messageId) => {
+    if (isExpired(message)) {
+      journal.messages.delete(messageId);
+    }
+  });
+
+  // A new header tells other processes the journal was rewritten
+  const header = JSON.stringify({ op: 'compact', generation: crypto.randomBytes(8).toString('hex') }) + '\n';
+  const content = header + Array.from(journal.messages.values())
+    .map(message => JSON.stringify({ op: 'add', message }) + '\n')
+    .join('');
+
+  // Write to a temporary file first so a crash never leaves a truncated journal
+  const tempFile = `${MESSAGE_STATUS_FILE}.tmp`;
+  fs.writeFileSync(tempFile, content, 'utf8');
+  fs.renameSync(tempFile, MESSAGE_STATUS_FILE);
+
+  journal.header = Buffer.from(header, 'utf8');
+  journal.offset = Buffer.byteLength(content, 'utf8');
+  journal.tornBytes = 0;
+  journal.entries = journal.messages.size + 1;
+}
+
+/**
+ * Append an entry to the journal and apply it in memory. Must be called with
+ * the journal locked and refreshed.
+ * @private
+ */
+function append(entry) {
+  // Finish a line left by a crashed writer, so it can't swallow this entry
+  const line = (journal.tornBytes > 0 ? '\n' : '') + JSON.stringify(entry) + '\n';
+  fs.appendFileSync(MESSAGE_STATUS_FILE, line, 'utf8');
+  journal.offset += journal.tornBytes + Buffer.byteLength(line, 'utf8');
+  journal.tornBytes = 0;
+  applyEntry(entry);
+
+  if (journal.entries - journal.messages.size > COMPACTION_THRESHOLD) {
+    rewriteJournal();
+  }
+}
+
+/**
+ * Drop messages that haven't been updated within the retention period by
+ * compacting the journal
+ *
+ * Runs every MESSAGE_STATUS_PRUNE_INTERVAL_MS once the store is in use.
+ *
+ * @returns {number} How many messages were dropped
+ */
+function pruneMessageStatuses() {
+  try {
+    return withFileLock(MESSAGE_STATUS_FILE, () => {
+      refresh();
+      const before = journal.messages.size;
+      rewriteJournal();
+      return before - journal.messages.size;
+    });
+  } catch (error) {
+    console.error('Error pruning message statuses:', error.message);
+    return 0;
+  }
+}
+
+/**
+ * Catch up with the journal, starting the prune timer on first use
+ * @private
+ */
+function refreshForRead() {
+  if (!journal.pruneTimer && config.messageStatus.pruneIntervalMs > 0) {
+    journal.pruneTimer = setInterval(pruneMessageStatuses, config.messageStatus.pruneIntervalMs);
+    // Pruning alone shouldn't keep a script alive
+    journal.pruneTimer.unref();
+  }
+  refresh();
+}
+
+/**
+ * Map a provider's status word to a lifecycle status
+ *
+ * @param {string} status - e.g. Twilio's 'undelivered' or a lifecycle status
+ * @returns {string|null} The lifecycle status, or null if the word isn't known
+ */
+function normalizeStatus(status) {
+  return PROVIDER_STATUSES[String(status || '').toLowerCase()] || null;
+}
+
+/**
+ * Create a record for a message
+ * @private
+ */
+function createRecord(messageId, details, now) {
+  return {
+    messageId,
+    channel: details.channel || null,
+    provider: details.provider || null,
+    recipient: details.recipient || null,
+    status: null,
+    history: [],
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Record a status update for a message
+ *
+ * Messages that aren't tracked yet, e.g. sent before tracking started, are
+ * added. An update that would move the message backwards, or that repeats its
+ * status, is kept in the history with applied: false.
+ *
+ * @param {string} messageId - The messageId the channel returned
+ * @param {string} status - A lifecycle status (see MESSAGE_STATUS)
+ * @param {Object} [details={}] - Details of the update
+ * @param {string} [details.source] - Where the update came from, e.g. 'dispatch', 'twilio', 'dsn'
+ * @param {string} [details.providerStatus] - The provider's own status word
+ * @param {string} [details.channel] - The channel, for messages not tracked yet
+ * @param {string} [details.provider] - The provider, for messages not tracked yet
+ * @param {string} [details.recipient] - The recipient, for messages not tracked yet
+ * @param {Object} [details.info] - Anything else to keep with the update, e.g. an error code
+ * @param {Date|string} [details.at] - When the status changed (defaults to now)
+ * @returns {Object} { message, applied } where message is the record with its history
+ * @throws {Error} - With code INVALID_MESSAGE_STATUS for a missing messageId or unknown status
+ */
+function recordStatus(messageId, status, details = {}) {
+  if (!messageId || !TRANSITIONS[status]) {
+    const error = new Error(!messageId ? 'A messageId is required' : `Unknown message status '${status}'`);
+    error.code = 'INVALID_MESSAGE_STATUS';
+    throw error;
+  }
+
+  return withFileLock(MESSAGE_STATUS_FILE, () => {
+    refreshForRead();
+
+    const now = new Date().toISOString();
+    // An expired message that hasn't been pruned yet starts over, as if it had been
+    const current = journal.messages.get(messageId);
+    const restart = Boolean(current && isExpired(current));
+    const applied = !current || restart || current.status === null || TRANSITIONS[current.status].includes(status);
+
+    append({
+      op: 'status',
+      messageId,
+      details: { channel: details.channel, provider: details.provider, recipient: details.recipient },
+      update: {
+        status,
+        providerStatus: details.providerStatus || null,
+        source: details.source || null,
+        at: details.at ? new Date(details.at).toISOString() : now,
+        applied,
+        ...(details.info ? { info: details.info } : {})
+      },
+      at: now,
+      ...(restart ? { restart } : {})
+    });
+
+    return { message: journal.messages.get(messageId), applied };
+  });
+}
+
+/**
+ * Get a message's status and history
+ *
+ * @param {string} messageId - The messageId the channel returned
+ * @returns {Object|null} { messageId, channel, provider, recipient, status, history, createdAt, updatedAt },
+ *   or null if the message isn't tracked
+ */
+function getMessageStatus(messageId) {
+  refreshForRead();
+  const message = journal.messages.get(messageId);
+  return message && !isExpired(message) ? message : null;
+}
+
+/**
+ * List tracked messages, most recently updated first
+ *
+ * @param {Object} [filter={}] - Filter options
+ * @param {string} [filter.status] - Only include this status
+ * @param {string} [filter.channel] - Only include this channel
+ * @param {string} [filter.recipient] - Only include this recipient
+ * @returns {Array<Object>} Matching messages
+ */
+function listMessageStatuses(filter = {}) {
+  refreshForRead();
+  return Array.from(journal.messages.values())
+    .filter(message =>
+      !isExpired(message) &&
+      (!filter.status || message.status === filter.status) &&
+      (!filter.channel || message.channel === filter.channel) &&
+      (!filter.recipient || message.recipient === filter.recipient)
+    )
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+}
+
+module.exports = {
+  MESSAGE_STATUS,
+  normalizeStatus,
+  recordStatus,
+  getMessageStatus,
+  listMessageStatuses,
+  pruneMessageStatuses
+};
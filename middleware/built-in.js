@@ -0,0 +1,142 @@
+/**
+ * Built-in Dispatcher Middleware
+ *
+ * The standard steps every dispatch goes through, packaged as middleware so
+ * they can be reordered, replaced or removed like any other:
+ * - errorHandling: turns unexpected errors into a standard error response
+ * - logging: records notifications that never reached a provider in the notification log
+ * - validation: checks the recipient format and message length for the channel
+ * - statusTracking: starts delivery status tracking for every message sent
+ */
+
+const errorHandler = require('../error-handler');
+const logger = require('../logger');
+const messageStatusStore = require('../message-status-store');
+
+/**
+ * Create the error handling middleware
+ *
+ * @returns {Function} Middleware that catches errors thrown further down the chain
+ */
+function createErrorHandlingMiddleware() {
+  return async function errorHandling(ctx, next) {
+    try {
+      await next();
+    } catch (error) {
+      ctx.result = errorHandler.createErrorResponse(
+        ctx.channel,
+        ctx.notification.recipient,
+        `Unexpected error in dispatch: ${error.message}`,
+        {
+          ...ctx.context,
+          ...errorHandler.getErrorDetails(error),
+          messagePreview: ctx.messagePreview,
+          dispatched: false,
+          dispatchTimestamp: new Date()
+        }
+      );
+    }
+  };
+}
+
+/**
+ * Create the logging middleware
+ *
+ * Channel modules log every send themselves, so this only logs dispatches that
+ * were rejected before a provider was called (validation, rate limits, open circuits).
+ *
+ * @returns {Function} Middleware that logs the outcome of the dispatch
+ */
+function createLoggingMiddleware() {
+  return async function logging(ctx, next) {
+    await next();
+
+    const { result } = ctx;
+    if (!result || result.success !== false || ctx.state.providerCalled) return;
+
+    logger.logNotification(ctx.channel, ctx.notification.recipient, ctx.notification.message, {
+      ...ctx.notification.options,
+      status: 'failed',
+      error: result.validationError || result.error,
+      errorCode: result.errorCode
+    });
+  };
+}
+
+/**
+ * Create the validation middleware
+ *
+ * @param {Function} validate - Function receiving (type, recipient, message) and returning { isValid, errorMessage, errorCode }
+ * @returns {Function} Middleware that short-circuits invalid notifications
+ */
+function createValidationMiddleware(validate) {
+  return async function validation(ctx, next) {
+    const validationResult = validate(ctx.channel, ctx.notification.recipient, ctx.notification.message);
+
+    if (!validationResult.isValid) {
+      // Use error handler to log validation error with context
+      ctx.result = errorHandler.createErrorResponse(
+        ctx.channel,
+        ctx.notification.recipient,
+        validationResult.errorMessage,
+        {
+          ...ctx.context,
+          error: 'validation_failed',
+          validationError: validationResult.errorMessage,
+          errorCode: validationResult.errorCode,
+          messagePreview: ctx.messagePreview,
+          dispatched: false,
+          dispatchTimestamp: new Date()
+        }
+      );
+      return;
+    }
+
+    await next();
+  };
+}
+
+/**
+ * Create the status tracking middleware
+ *
+ * Records each successfully sent message under the messageId its channel
+ * returned, with the provider's initial status ('sent' when it gives none).
+ * Status callbacks then move it along (see notifications/delivery-status.js).
+ * Scheduled and queued notifications are tracked once they are actually sent.
+ *
+ * @returns {Function} Middleware that records the initial status of sent messages
+ */
+function createStatusTrackingMiddleware() {
+  return async function statusTracking(ctx, next) {
+    await next();
+
+    const { result } = ctx;
+    if (!result || result.success === false || !result.messageId || result.scheduled || result.queued) return;
+
+    // An idempotent replay returns the original messageId, which is already tracked
+    if (messageStatusStore.getMessageStatus(result.messageId)) return;
+
+    try {
+      messageStatusStore.recordStatus(
+        result.messageId,
+        messageStatusStore.normalizeStatus(result.status) || messageStatusStore.MESSAGE_STATUS.SENT,
+        {
+          source: 'dispatch',
+          providerStatus: result.status || null,
+          channel: ctx.channel,
+          provider: typeof result.provider === 'string' ? result.provider : null,
+          recipient: ctx.notification.recipient
+        }
+      );
+    } catch (error) {
+      console.error(`[ERROR] [channel=${ctx.channel}] [recipient=${ctx.notification.recipient}] Could not track message status: ${error.message}`);
+    }
+  };
+}
+
+module.exports = {
+  createErrorHandlingMiddleware,
+  createLoggingMiddleware,
+  createValidationMiddleware,
+  createStatusTrackingMiddleware
+};
@@ -0,0 +1,141 @@
+/**
+ * Middleware Pipeline Module
+ *
+ * A Koa-style middleware chain for the dispatcher. Each middleware is an async
+ * function receiving (ctx, next): code before `await next()` runs before the
+ * channel send, code after it runs once the result is available. A middleware
+ * can short-circuit the chain by setting `ctx.result` and not calling next.
+ */
+
+class MiddlewarePipeline {
+  constructor() {
+    this.stack = []; // Entries of { name, fn } in execution order
+  }
+
+  /**
+   * Add a middleware to the chain
+   *
+   * @param {Function} fn - Async middleware receiving (ctx, next)
+   * @param {Object} [options={}] - Placement options
+   * @param {string} [options.name] - Unique name, used to reorder, replace or remove it later
+   * @param {string} [options.before] - Insert before the middleware with this name
+   * @param {string} [options.after] - Insert after the middleware with this name
+   * @returns {MiddlewarePipeline} The pipeline, for method chaining
+   * @throws {Error} - If the name is taken or the anchor middleware doesn't exist
+   */
+  use(fn, options = {}) {
+    if (typeof fn !== 'function') {
+      throw new Error('Middleware must be a function');
+    }
+
+    const name = options.name || fn.name || `middleware_${this.stack.length + 1}`;
+    if (this.has(name)) {
+      throw new Error(`Middleware '${name}' is already registered`);
+    }
+
+    const entry = { name, fn };
+    const anchor = options.before || options.after;
+
+    if (!anchor) {
+      this.stack.push(entry);
+      return this;
+    }
+
+    const index = this.indexOf(anchor);
+    if (index === -1) {
+      throw new Error(`Middleware '${anchor}' is not registered`);
+    }
+
+    this.stack.splice(options.before ? index : index + 1, 0, entry);
+    return this;
+  }
+
+  /**
+   * Replace a middleware, keeping its position
+   *
+   * @param {string} name - Name of the middleware to replace
+   * @param {Function} fn - The new middleware
+   * @returns {boolean} True if the middleware was found
+   */
+  replace(name, fn) {
+    const index = this.indexOf(name);
+    if (index === -1) return false;
+
+    this.stack[index] = { name, fn };
+    return true;
+  }
+
+  /**
+   * Remove a middleware
+   *
+   * @param {string} name - Name of the middleware to remove
+   * @returns {boolean} True if the middleware was found
+   */
+  remove(name) {
+    const index = this.indexOf(name);
+    if (index === -1) return false;
+
+    this.stack.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Check whether a middleware is registered
+   *
+   * @param {string} name - The middleware name
+   * @returns {boolean} True if registered
+   */
+  has(name) {
+    return this.indexOf(name) !== -1;
+  }
+
+  /**
+   * List middleware names in execution order
+   *
+   * @returns {string[]} Middleware names
+   */
+  list() {
+    return this.stack.map(entry => entry.name);
+  }
+
+  /**
+   * Find the position of a middleware
+   * @private
+   */
+  indexOf(name) {
+    return this.stack.findIndex(entry => entry.name === name);
+  }
+
+  /**
+   * Run the chain, calling the handler at its end
+   *
+   * @param {Object} ctx - The dispatch context shared by every middleware
+   * @param {Function} handler - Async function receiving ctx, run after the last middleware
+   * @returns {Promise<Object>} The context once the chain has completed
+   */
+  async run(ctx, handler) {
+    // Snapshot the stack so changes made while dispatching don't affect this run
+    const stack = this.stack.slice();
+    let lastIndex = -1;
+
+    const invoke = async index => {
+      if (index <= lastIndex) {
+        throw new Error('next() called multiple times');
+      }
+      lastIndex = index;
+
+      if (index === stack.length) {
+        return handler(ctx);
+      }
+
+      return stack[index].fn(ctx, () => invoke(index + 1));
+    };
+
+    await invoke(0);
+    return ctx;
+  }
+}
+
+module.exports = {
+  MiddlewarePipeline
+};
@@ -0,0 +1,543 @@
+/**
+ * Notification Queue Module
+ *
+ * Provides a durable, file-backed queue for outbound notifications.
+ * Every change to a job is appended to a journal file (one JSON entry per line),
+ * so jobs survive crashes and restarts. On load the journal is replayed and
+ * compacted, and jobs that were in flight when the process stopped are resumed.
+ *
+ * The API process enqueues and the worker claims, so the journal is shared:
+ * every operation first applies the entries other processes appended, and
+ * changes are made with the journal locked.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { withFileLock } = require('./json-file-store');
+
+// Configuration
+const QUEUE_FILE = process.env.QUEUE_FILE || 'notification_queue.jsonl';
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS || '3', 10);
+// Compact the journal once it holds this many entries more than there are live jobs
+const COMPACTION_THRESHOLD = 1000;
+
+const JOB_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+class NotificationQueue {
+  constructor(queueFilePath) {
+    this.queueFile = queueFilePath || QUEUE_FILE;
+    this.jobs = new Map(); // In-memory view of the journal, in enqueue order
+    this.journalEntries = 0;
+    this.offset = 0; // Bytes of the journal applied to this.jobs
+    this.header = null; // First line of the journal, written by the last compaction
+    this.tornBytes = 0; // Bytes of a line left unfinished by a crashed writer
+    this.loaded = false;
+
+    // Create a directory for the queue file if it doesn't exist
+    const dir = path.dirname(this.queueFile);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  /**
+   * Load the queue by replaying the journal file, then compact it
+   * @returns {boolean} Success status
+   */
+  load() {
+    try {
+      withFileLock(this.queueFile, () => {
+        this.reset();
+        this.refresh();
+        this.loaded = true;
+        this.rewriteJournal();
+      });
+      return true;
+    } catch (error) {
+      console.error('Error loading notification queue:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Forget the replayed journal
+   * @private
+   */
+  reset() {
+    this.jobs.clear();
+    this.journalEntries = 0;
+    this.offset = 0;
+    this.header = null;
+    this.tornBytes = 0;
+  }
+
+  /**
+   * Apply the journal entries other processes appended since the last refresh
+   *
+   * The API process enqueues and the worker claims and completes, so every
+   * operation catches up with the journal first. If another process compacted
+   * the journal in the meantime, it is replayed from the start.
+   * @private
+   */
+  refresh() {
+    let fd;
+    try {
+      fd = fs.openSync(this.queueFile, 'r');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      if (this.offset > 0) this.reset();
+      return;
+    }
+
+    try {
+      const size = fs.fstatSync(fd).size;
+
+      if (this.header !== null) {
+        const header = Buffer.alloc(this.header.length);
+        fs.readSync(fd, header, 0, header.length, 0);
+        if (size < this.offset || !header.equals(this.header)) {
+          this.reset();
+        }
+      } else if (size < this.offset) {
+        this.reset();
+      }
+
+      if (size === this.offset) {
+        this.tornBytes = 0;
+        return;
+      }
+
+      const buffer = Buffer.alloc(size - this.offset);
+      fs.readSync(fd, buffer, 0, buffer.length, this.offset);
+
+      // Only apply complete lines; a writer may be halfway through the last one
+      const end = buffer.lastIndexOf(0x0a) + 1;
+      buffer.subarray(0, end).toString('utf8').split('\n').filter(Boolean).forEach(line => {
+        try {
+          const entry = JSON.parse(line);
+          if (this.offset === 0 && this.journalEntries === 0 && entry.op === 'compact') {
+            this.header = Buffer.from(line + '\n', 'utf8');
+          }
+          this.applyEntry(entry);
+        } catch (error) {
+          // A partially written line is expected after a crash
+          console.error('Skipping unreadable queue journal entry:', error.message);
+        }
+      });
+
+      this.offset += end;
+      this.tornBytes = buffer.length - end;
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Apply a journal entry to the in-memory job map
+   * @private
+   * @param {Object} entry - Journal entry ({ op, job } or { op, id, changes })
+   */
+  applyEntry(entry) {
+    switch (entry.op) {
+      case 'add':
+        this.jobs.set(entry.job.id, entry.job);
+        break;
+      case 'update':
+        if (this.jobs.has(entry.id)) {
+          this.jobs.set(entry.id, { ...this.jobs.get(entry.id), ...entry.changes });
+        }
+        break;
+      case 'remove':
+        this.jobs.delete(entry.id);
+        break;
+      case 'compact':
+        break;
+      default:
+        console.warn(`Unknown queue journal operation: ${entry.op}`);
+    }
+    this.journalEntries++;
+  }
+
+  /**
+   * Run fn with the journal locked and caught up with other processes
+   * @private
+   * @param {Function} fn - Called with the lock held
+   * @returns {*} What fn returned
+   */
+  transaction(fn) {
+    this.ensureLoaded();
+    return withFileLock(this.queueFile, () => {
+      this.refresh();
+      return fn();
+    });
+  }
+
+  /**
+   * Append an entry to the journal and apply it in memory. Must be called
+   * within transaction().
+   * @private
+   * @param {Object} entry - Journal entry
+   */
+  write(entry) {
+    // Finish a line left by a crashed writer, so it can't swallow this entry
+    const line = (this.tornBytes > 0 ? '\n' : '') + JSON.stringify(entry) + '\n';
+    fs.appendFileSync(this.queueFile, line, 'utf8');
+    this.offset += this.tornBytes + Buffer.byteLength(line, 'utf8');
+    this.tornBytes = 0;
+    this.applyEntry(entry);
+
+    if (this.journalEntries - this.jobs.size > COMPACTION_THRESHOLD) {
+      this.rewriteJournal();
+    }
+  }
+
+  /**
+   * Rewrite the journal so it contains a single entry per live job
+   * @returns {boolean} Success status
+   */
+  compact() {
+    try {
+      return this.transaction(() => this.rewriteJournal());
+    } catch (error) {
+      console.error('Error compacting notification queue:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Rewrite the journal from memory. Must be called with the journal locked
+   * and refreshed, so no other process's entries are lost.
+   * @private
+   * @returns {boolean} Success status
+   */
+  rewriteJournal() {
+    try {
+      // A new header tells other processes the journal was rewritten
+      const header = JSON.stringify({ op: 'compact', generation: crypto.randomBytes(8).toString('hex') }) + '\n';
+      const content = header + Array.from(this.jobs.values())
+        .map(job => JSON.stringify({ op: 'add', job }) + '\n')
+        .join('');
+
+      // Write to a temporary file first so a crash never leaves a truncated journal
+      const tempFile = `${this.queueFile}.tmp`;
+      fs.writeFileSync(tempFile, content, 'utf8');
+      fs.renameSync(tempFile, this.queueFile);
+
+      this.header = Buffer.from(header, 'utf8');
+      this.offset = Buffer.byteLength(content, 'utf8');
+      this.tornBytes = 0;
+      this.journalEntries = this.jobs.size + 1;
+      return true;
+    } catch (error) {
+      console.error('Error compacting notification queue:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Load the journal on first use
+   * @private
+   */
+  ensureLoaded() {
+    if (!this.loaded) {
+      this.load();
+    }
+  }
+
+  /**
+   * Catch up with the journal without taking the lock, for reads
+   * @private
+   */
+  refreshForRead() {
+    this.ensureLoaded();
+    this.refresh();
+  }
+
+  /**
+   * Add a job to the queue
+   *
+   * @param {string} kind - The job kind, used by the worker to pick a handler (e.g. 'dispatch')
+   * @param {Object} payload - Data the handler needs to process the job
+   * @param {Object} [options={}] - Job options
+   * @param {number} [options.maxAttempts] - How many times the job may be started before it is failed
+   * @param {Date|string|number} [options.availableAt] - Earliest time the job may be processed
+   * @returns {Object} The queued job
+   */
+  enqueue(kind, payload, options = {}) {
+    if (!kind) {
+      throw new Error('Job kind is required');
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: `job_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      kind,
+      payload,
+      status: JOB_STATUS.PENDING,
+      attempts: 0,
+      maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+      availableAt: options.availableAt ? new Date(options.availableAt).toISOString() : now,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.transaction(() => this.write({ op: 'add', job }));
+    return job;
+  }
+
+  /**
+   * Claim the oldest job that is ready to run and mark it as processing
+   *
+   * The claim is made with the journal locked, so a job is only ever claimed
+   * by one process.
+   *
+   * @returns {Object|null} The claimed job, or null if nothing is ready
+   */
+  claimNext() {
+    return this.transaction(() => {
+      const now = Date.now();
+
+      for (const job of this.jobs.values()) {
+        if (job.status === JOB_STATUS.PENDING && new Date(job.availableAt).getTime() <= now) {
+          const timestamp = new Date().toISOString();
+          this.write({
+            op: 'update',
+            id: job.id,
+            changes: {
+              status: JOB_STATUS.PROCESSING,
+              attempts: job.attempts + 1,
+              startedAt: timestamp,
+              updatedAt: timestamp
+            }
+          });
+          return this.jobs.get(job.id);
+        }
+      }
+
+      return null;
+    });
+  }
+
+  /**
+   * Mark a job as completed
+   *
+   * @param {string} jobId - The job ID
+   * @param {*} [result] - The handler result to keep with the job
+   * @param {Object} [options={}] - Options
+   * @param {boolean} [options.remove=false] - Drop the job from the queue instead of keeping it
+   * @returns {Object|null} The updated job, or null if it was removed or not found
+   */
+  complete(jobId, result, options = {}) {
+    return this.transaction(() => {
+      if (!this.jobs.has(jobId)) return null;
+
+      if (options.remove) {
+        this.write({ op: 'remove', id: jobId });
+        return null;
+      }
+
+      const timestamp = new Date().toISOString();
+      this.write({
+        op: 'update',
+        id: jobId,
+        changes: {
+          status: JOB_STATUS.COMPLETED,
+          result: result === undefined ? null : result,
+          completedAt: timestamp,
+          updatedAt: timestamp
+        }
+      });
+      return this.jobs.get(jobId);
+    });
+  }
+
+  /**
+   * Mark a job as failed
+   *
+   * @param {string} jobId - The job ID
+   * @param {Error|string} error - What went wrong
+   * @param {*} [result] - The handler result, if there was one
+   * @returns {Object|null} The updated job, or null if not found
+   */
+  fail(jobId, error, result) {
+    return this.transaction(() => this.markFailed(jobId, error, result));
+  }
+
+  /**
+   * Record a failed job as failed. Must be called within transaction().
+   * @private
+   */
+  markFailed(jobId, error, result) {
+    if (!this.jobs.has(jobId)) return null;
+
+    const timestamp = new Date().toISOString();
+    this.write({
+      op: 'update',
+      id: jobId,
+      changes: {
+        status: JOB_STATUS.FAILED,
+        error: error instanceof Error ? error.message : String(error),
+        result: result === undefined ? null : result,
+        failedAt: timestamp,
+        updatedAt: timestamp
+      }
+    });
+    return this.jobs.get(jobId);
+  }
+
+  /**
+   * Return a failed attempt to the queue to be tried again later
+   *
+   * Jobs that have used up their attempts are failed instead.
+   *
+   * @param {string} jobId - The job ID
+   * @param {Error|string} error - What went wrong in this attempt
+   * @param {Object} [options={}] - Options
+   * @param {number} [options.delayMs=0] - How long to wait before the next attempt
+   * @param {*} [options.result] - The handler result, if there was one
+   * @returns {Object|null} The updated job, or null if not found
+   */
+  retry(jobId, error, options = {}) {
+    return this.transaction(() => {
+      const job = this.jobs.get(jobId);
+      if (!job) return null;
+
+      if (job.attempts >= job.maxAttempts) {
+        return this.markFailed(jobId, error, options.result);
+      }
+
+      const now = Date.now();
+      this.write({
+        op: 'update',
+        id: jobId,
+        changes: {
+          status: JOB_STATUS.PENDING,
+          error: error instanceof Error ? error.message : String(error),
+          availableAt: new Date(now + (options.delayMs || 0)).toISOString(),
+          updatedAt: new Date(now).toISOString()
+        }
+      });
+      return this.jobs.get(jobId);
+    });
+  }
+
+  /**
+   * Return jobs that were in flight when the process stopped to the pending state
+   *
+   * Jobs that have already used up their attempts are failed instead, so a job
+   * that keeps crashing the worker can't block the queue forever.
+   *
+   * @returns {Object} Counts of resumed and failed jobs
+   */
+  recoverInFlight() {
+    return this.transaction(() => {
+      const summary = { resumed: 0, failed: 0 };
+
+      Array.from(this.jobs.values())
+        .filter(job => job.status === JOB_STATUS.PROCESSING)
+        .forEach(job => {
+          if (job.attempts >= job.maxAttempts) {
+            this.markFailed(job.id, `Job was interrupted ${job.attempts} time(s) and exceeded its maximum attempts`);
+            summary.failed++;
+          } else {
+            this.write({
+              op: 'update',
+              id: job.id,
+              changes: { status: JOB_STATUS.PENDING, updatedAt: new Date().toISOString() }
+            });
+            summary.resumed++;
+          }
+        });
+
+      return summary;
+    });
+  }
+
+  /**
+   * Get a job by ID
+   *
+   * @param {string} jobId - The job ID
+   * @returns {Object|null} The job, or null if not found
+   */
+  getJob(jobId) {
+    this.refreshForRead();
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * List jobs, optionally filtered by status and kind
+   *
+   * @param {Object} [filter={}] - Filter options
+   * @param {string} [filter.status] - Only include jobs with this status
+   * @param {string} [filter.kind] - Only include jobs of this kind
+   * @returns {Array<Object>} Matching jobs in enqueue order
+   */
+  listJobs(filter = {}) {
+    this.refreshForRead();
+    return Array.from(this.jobs.values()).filter(job =>
+      (!filter.status || job.status === filter.status) &&
+      (!filter.kind || job.kind === filter.kind)
+    );
+  }
+
+  /**
+   * Count jobs by status
+   *
+   * @returns {Object} Counts keyed by status, plus a total
+   */
+  getStats() {
+    this.refreshForRead();
+    const stats = { pending: 0, processing: 0, completed: 0, failed: 0, total: this.jobs.size };
+
+    this.jobs.forEach(job => {
+      stats[job.status] = (stats[job.status] || 0) + 1;
+    });
+
+    return stats;
+  }
+
+  /**
+   * Remove finished (completed or failed) jobs from the queue
+   *
+   * @param {Object} [options={}] - Options
+   * @param {number} [options.olderThanMs=0] - Only remove jobs finished at least this long ago
+   * @returns {number} Number of removed jobs
+   */
+  purge(options = {}) {
+    return this.transaction(() => {
+      const cutoff = Date.now() - (options.olderThanMs || 0);
+      let removed = 0;
+
+      Array.from(this.jobs.values())
+        .filter(job =>
+          (job.status === JOB_STATUS.COMPLETED || job.status === JOB_STATUS.FAILED) &&
+          new Date(job.updatedAt).getTime() <= cutoff
+        )
+        .forEach(job => {
+          this.jobs.delete(job.id);
+          removed++;
+        });
+
+      if (removed > 0) {
+        this.rewriteJournal();
+      }
+
+      return removed;
+    });
+  }
+}
+
+// Shared queue instance used by the dispatcher, controller and worker
+const notificationQueue = new NotificationQueue();
+
+module.exports = {
+  NotificationQueue,
+  JOB_STATUS,
+  notificationQueue
+};
@@ -0,0 +1,351 @@
+/**
+ * Notification Scheduler Module
+ *
+ * Stores notifications that should be sent at a later time and dispatches
+ * them when they are due. Scheduled notifications are persisted to a JSON
+ * file so they survive restarts; anything that became due while the process
+ * was down is sent as soon as the scheduler starts again.
+ *
+ * Any process can schedule or cancel a notification, but only a process that
+ * called start(), normally the worker, fires them. Entries are claimed with
+ * the file locked, so an entry is dispatched once even if several processes
+ * were started.
+ *
+ * Sent, failed and cancelled entries are purged once they haven't changed for
+ * SCHEDULER_RETENTION_MS, each time the firing process polls.
+ */
+
+const crypto = require('crypto');
+const { createJsonFileStore } = require('./json-file-store');
+
+// Configuration
+const SCHEDULE_FILE = process.env.SCHEDULE_FILE || 'scheduled_notifications.json';
+// How often the firing process looks for entries other processes scheduled
+const POLL_INTERVAL_MS = parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS || '1000', 10);
+// How long finished entries are kept for inspection (7 days by default; 0 keeps them)
+const RETENTION_MS = parseInt(process.env.SCHEDULER_RETENTION_MS || '604800000', 10);
+
+const SCHEDULE_STATUS = {
+  SCHEDULED: 'scheduled',
+  DISPATCHING: 'dispatching',
+  SENT: 'sent',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// Statuses an entry doesn't leave again
+const FINISHED_STATUSES = [SCHEDULE_STATUS.SENT, SCHEDULE_STATUS.FAILED, SCHEDULE_STATUS.CANCELLED];
+
+// Scheduled notifications keyed by ID, shared with the other processes using SCHEDULE_FILE
+const scheduleStore = createJsonFileStore(SCHEDULE_FILE, { name: 'scheduled notifications' });
+let timer = null;
+let running = false;
+
+/**
+ * Resolve a sendAt/delayMs pair into a Date
+ *
+ * @param {Object} timing - Timing fields from the notification
+ * @param {Date|string|number} [timing.sendAt] - Absolute send time
+ * @param {number} [timing.delayMs] - Delay from now in milliseconds
+ * @returns {Date|null} The send time, or null if neither field is set
+ * @throws {Error} - If the value can't be interpreted as a time
+ */
+function resolveSendTime({ sendAt, delayMs } = {}) {
+  if (sendAt !== undefined && sendAt !== null) {
+    const date = new Date(sendAt);
+    if (isNaN(date.getTime())) {
+      const error = new Error(`Invalid sendAt value: '${sendAt}'`);
+      error.code = 'INVALID_SEND_TIME';
+      throw error;
+    }
+    return date;
+  }
+
+  if (delayMs !== undefined && delayMs !== null) {
+    const delay = Number(delayMs);
+    if (!Number.isFinite(delay) || delay < 0) {
+      const error = new Error(`Invalid delayMs value: '${delayMs}'. Must be a non-negative number`);
+      error.code = 'INVALID_SEND_TIME';
+      throw error;
+    }
+    return new Date(Date.now() + delay);
+  }
+
+  return null;
+}
+
+/**
+ * Schedule a notification to be dispatched later
+ *
+ * @param {Object} notification - The notification object accepted by dispatchNotification
+ * @param {Date|string|number} sendAt - When the notification should be sent
+ * @returns {Object} The scheduled entry
+ */
+function scheduleNotification(notification, sendAt) {
+  const sendTime = new Date(sendAt);
+  if (isNaN(sendTime.getTime())) {
+    throw new Error(`Invalid send time: '${sendAt}'`);
+  }
+
+  const now = new Date().toISOString();
+  const entry = {
+    id: `sched_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+    notification,
+    sendAt: sendTime.toISOString(),
+    status: SCHEDULE_STATUS.SCHEDULED,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  scheduleStore.update(entries => {
+    entries[entry.id] = entry;
+  });
+
+  console.log(`[SCHEDULER] Scheduled ${notification.type} notification ${entry.id} for ${entry.sendAt}`);
+  armTimer();
+
+  return entry;
+}
+
+/**
+ * Cancel a scheduled notification that hasn't been sent yet
+ *
+ * @param {string} scheduleId - The scheduled notification ID
+ * @returns {Object} Result with success flag and the entry if found
+ */
+function cancelScheduledNotification(scheduleId) {
+  const result = scheduleStore.update(entries => {
+    const entry = entries[scheduleId];
+
+    if (!entry) {
+      return { success: false, error: `Scheduled notification '${scheduleId}' not found` };
+    }
+
+    if (entry.status !== SCHEDULE_STATUS.SCHEDULED) {
+      return {
+        success: false,
+        error: `Scheduled notification '${scheduleId}' can't be cancelled (status: ${entry.status})`,
+        entry
+      };
+    }
+
+    entry.status = SCHEDULE_STATUS.CANCELLED;
+    entry.updatedAt = new Date().toISOString();
+    return { success: true, entry };
+  });
+
+  if (result.success) {
+    armTimer();
+    console.log(`[SCHEDULER] Cancelled scheduled notification ${scheduleId}`);
+  }
+  return result;
+}
+
+/**
+ * Get a scheduled notification by ID
+ *
+ * @param {string} scheduleId - The scheduled notification ID
+ * @returns {Object|null} The entry, or null if not found
+ */
+function getScheduledNotification(scheduleId) {
+  return scheduleStore.read()[scheduleId] || null;
+}
+
+/**
+ * List scheduled notifications ordered by send time
+ *
+ * @param {Object} [filter={}] - Filter options
+ * @param {string} [filter.status='scheduled'] - Status to include, or 'all'
+ * @param {string} [filter.type] - Only include this notification type
+ * @param {string} [filter.recipient] - Only include this recipient
+ * @returns {Array<Object>} Matching entries
+ */
+function listScheduledNotifications(filter = {}) {
+  const status = filter.status || SCHEDULE_STATUS.SCHEDULED;
+
+  return Object.values(scheduleStore.read())
+    .filter(entry =>
+      (status === 'all' || entry.status === status) &&
+      (!filter.type || entry.notification.type === filter.type) &&
+      (!filter.recipient || entry.notification.recipient === filter.recipient)
+    )
+    .sort((a, b) => new Date(a.sendAt) - new Date(b.sendAt));
+}
+
+/**
+ * Delete finished entries that haven't changed within the retention period
+ * @private
+ * @param {Object} entries - Entries keyed by ID, changed in place
+ * @returns {number} How many entries were deleted
+ */
+function removeExpired(entries) {
+  if (!(RETENTION_MS > 0)) return 0;
+
+  const cutoff = Date.now() - RETENTION_MS;
+  const expired = Object.values(entries).filter(entry =>
+    FINISHED_STATUSES.includes(entry.status) && new Date(entry.updatedAt).getTime() < cutoff
+  );
+
+  expired.forEach(entry => delete entries[entry.id]);
+  return expired.length;
+}
+
+/**
+ * Purge sent, failed and cancelled entries older than SCHEDULER_RETENTION_MS
+ *
+ * The firing process does this on every poll; call it to purge on demand.
+ *
+ * @returns {number} How many entries were purged
+ */
+function pruneScheduledNotifications() {
+  // Check without the lock first, so there is no write when nothing has expired
+  if (removeExpired({ ...scheduleStore.read() }) === 0) return 0;
+
+  const removed = scheduleStore.update(removeExpired);
+  console.log(`[SCHEDULER] Purged ${removed} finished scheduled notifications`);
+  return removed;
+}
+
+/**
+ * Claim the entries that are due by marking them as dispatching, purging
+ * expired entries in the same write
+ *
+ * Runs with the file locked, so an entry cancelled or claimed by another
+ * process in the meantime isn't claimed.
+ * @private
+ * @returns {Array<Object>} The claimed entries
+ */
+function claimDue() {
+  const now = Date.now();
+
+  return scheduleStore.update(entries => {
+    const removed = removeExpired(entries);
+    if (removed > 0) {
+      console.log(`[SCHEDULER] Purged ${removed} finished scheduled notifications`);
+    }
+
+    const due = Object.values(entries).filter(entry =>
+      entry.status === SCHEDULE_STATUS.SCHEDULED && new Date(entry.sendAt).getTime() <= now
+    );
+
+    due.forEach(entry => {
+      entry.status = SCHEDULE_STATUS.DISPATCHING;
+      entry.updatedAt = new Date().toISOString();
+    });
+
+    return due;
+  });
+}
+
+/**
+ * Dispatch a single claimed entry and record the outcome
+ * @private
+ * @param {Object} entry - The scheduled entry
+ */
+async function fireEntry(entry) {
+  // Required lazily because the dispatcher itself depends on this module
+  const { dispatchNotification } = require('./dispatcher');
+
+  let status;
+  let result;
+  try {
+    result = await dispatchNotification(entry.notification);
+    status = result && result.success === false ? SCHEDULE_STATUS.FAILED : SCHEDULE_STATUS.SENT;
+  } catch (error) {
+    status = SCHEDULE_STATUS.FAILED;
+    result = { success: false, error: error.message };
+  }
+
+  const firedAt = new Date().toISOString();
+  scheduleStore.update(entries => {
+    entries[entry.id] = { ...(entries[entry.id] || entry), status, result, firedAt, updatedAt: firedAt };
+  });
+
+  console.log(`[SCHEDULER] Scheduled notification ${entry.id} ${status}`);
+}
+
+/**
+ * Dispatch every entry that is due, then re-arm the timer
+ * @private
+ */
+async function processDue() {
+  timer = null;
+
+  try {
+    for (const entry of claimDue()) {
+      await fireEntry(entry);
+    }
+  } catch (error) {
+    console.error('[SCHEDULER] Error processing scheduled notifications:', error.message);
+  }
+
+  armTimer();
+}
+
+/**
+ * Set the timer for the next entry that is due
+ *
+ * Waits at most POLL_INTERVAL_MS, so entries scheduled by other processes
+ * are picked up.
+ * @private
+ */
+function armTimer() {
+  if (!running) return;
+
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  const next = listScheduledNotifications()[0];
+  const delay = next ? Math.max(0, new Date(next.sendAt).getTime() - Date.now()) : POLL_INTERVAL_MS;
+  timer = setTimeout(processDue, Math.min(delay, POLL_INTERVAL_MS));
+
+  // Don't keep short-lived scripts alive just for future notifications
+  if (timer.unref) timer.unref();
+}
+
+/**
+ * Start firing scheduled notifications in this process
+ *
+ * Entries that were being dispatched when the process stopped are scheduled
+ * again, and anything already due is dispatched immediately. Call this in one
+ * process per schedule file, normally the worker.
+ */
+function start() {
+  running = true;
+
+  scheduleStore.update(entries => {
+    Object.values(entries)
+      .filter(entry => entry.status === SCHEDULE_STATUS.DISPATCHING)
+      .forEach(entry => {
+        entry.status = SCHEDULE_STATUS.SCHEDULED;
+        entry.updatedAt = new Date().toISOString();
+      });
+  });
+
+  armTimer();
+}
+
+/**
+ * Stop firing scheduled notifications; scheduled entries stay persisted
+ */
+function stop() {
+  running = false;
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  SCHEDULE_STATUS,
+  resolveSendTime,
+  scheduleNotification,
+  cancelScheduledNotification,
+  getScheduledNotification,
+  listScheduledNotifications,
+  pruneScheduledNotifications,
+  start,
+  stop
+};
@@ -0,0 +1,419 @@
+/**
+ * Chat notification module
+ *
+ * Posts notifications to chat-app incoming webhooks. A notification is first
+ * turned into a neutral card (title, text, fields, actions, color, footer),
+ * either from the message and options or from a `chat` template, and the card
+ * is then rendered for the target app:
+ * - slack: Slack Block Kit
+ * - teams: Microsoft Teams MessageCard (Office 365 connectors)
+ * - adaptive: Adaptive Card message (Teams Workflows / Power Automate)
+ */
+
+const config = require('../config');
+const errorHandler = require('../error-handler');
+const logger = require('../logger');
+const templateManager = require('../templateManager');
+const httpClient = require('./http-client');
+
+const CHAT_FORMATS = {
+  SLACK: 'slack',
+  TEAMS: 'teams',
+  ADAPTIVE: 'adaptive'
+};
+
+// Limits from the Slack Block Kit reference
+const SLACK_HEADER_MAX_LENGTH = 150;
+const SLACK_TEXT_MAX_LENGTH = 3000;
+const SLACK_MAX_FIELDS = 10;
+const SLACK_MAX_BUTTONS = 25;
+
+/**
+ * Work out the payload format from a webhook URL's host
+ *
+ * @param {string} url - The incoming-webhook URL
+ * @returns {string|null} 'slack', 'teams', 'adaptive', or null if the host isn't recognised
+ */
+function detectFormat(url) {
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+
+  if (host === 'hooks.slack.com') return CHAT_FORMATS.SLACK;
+  if (host === 'outlook.office.com' || host.endsWith('.webhook.office.com')) return CHAT_FORMATS.TEAMS;
+  if (host.endsWith('.logic.azure.com') || host.endsWith('.powerplatform.com')) return CHAT_FORMATS.ADAPTIVE;
+
+  return null;
+}
+
+/**
+ * Resolve the format for a notification: options.format, then the URL, then CHAT_DEFAULT_FORMAT
+ * @private
+ */
+function resolveFormat(recipient, options) {
+  const format = (options.format || detectFormat(recipient) || config.chat.defaultFormat).toLowerCase();
+
+  if (!Object.values(CHAT_FORMATS).includes(format)) {
+    const error = new Error(`Unsupported chat format '${format}'. Must be one of: ${Object.values(CHAT_FORMATS).join(', ')}`);
+    error.code = 'INVALID_CHAT_FORMAT';
+    throw error;
+  }
+
+  return format;
+}
+
+/**
+ * Render a `chat` template into a card
+ *
+ * @param {string} name - The template name (e.g. 'welcome', 'orderUpdate')
+ * @param {string} [language] - The language code, falling back to the default language
+ * @param {Object} [data={}] - Values for the template placeholders
+ * @returns {Object|null} The rendered card, or null if there is no chat variant of the template
+ */
+function renderChatTemplate(name, language, data = {}) {
+  const template = templateManager.getTemplate('chat', name, language);
+  if (!template) return null;
+
+  // Plain string templates become the card text
+  const card = typeof template === 'string' ? { text: template } : template;
+  return templateManager.renderTemplate(card, data);
+}
+
+/**
+ * Check that a rendered value has no leftover {{placeholders}}
+ * @private
+ */
+function isRendered(value) {
+  return value !== undefined && value !== null && String(value).trim() !== '' && !/{{[^{}]+}}/.test(String(value));
+}
+
+/**
+ * Build the card for a notification
+ *
+ * Fields whose value is empty or still has a placeholder, and actions without an
+ * http(s) URL, are dropped so a template with missing data still renders.
+ *
+ * @param {string} message - The notification message, used as the card text by default
+ * @param {Object} [options={}] - Chat options
+ * @param {string} [options.template] - Name of a chat template to render
+ * @param {string} [options.language] - Template language
+ * @param {Object} [options.templateData] - Template values
+ * @param {Object} [options.card] - Card properties to use directly
+ * @returns {Object} { title, text, color, fields, actions, footer }
+ * @throws {Error} - If the named template has no chat variant
+ */
+function buildCard(message, options = {}) {
+  let card = options.card || {};
+
+  if (options.template) {
+    card = renderChatTemplate(options.template, options.language, options.templateData || {});
+    if (!card) {
+      const error = new Error(`Chat template '${options.template}' not found`);
+      error.code = 'TEMPLATE_NOT_FOUND';
+      throw error;
+    }
+  }
+
+  const fields = card.fields || options.fields || [];
+  const fieldList = Array.isArray(fields)
+    ? fields
+    : Object.entries(fields).map(([label, value]) => ({ label, value }));
+
+  return {
+    title: card.title || options.title || null,
+    text: card.text || message,
+    color: card.color || options.color || null,
+    fields: fieldList
+      .filter(field => field && field.label && isRendered(field.value))
+      .map(field => ({ label: String(field.label), value: String(field.value) })),
+    actions: (card.actions || options.actions || [])
+      .filter(action => action && action.text && /^https?:\/\//i.test(action.url || '') && isRendered(action.url)),
+    footer: card.footer || options.footer || null
+  };
+}
+
+/**
+ * Escape text for Slack mrkdwn
+ * @private
+ */
+function escapeSlack(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Render a card as a Slack Block Kit message
+ *
+ * @param {Object} card - The card from buildCard()
+ * @returns {Object} The Slack webhook payload
+ */
+function renderSlack(card) {
+  const blocks = [];
+
+  if (card.title) {
+    blocks.push({
+      type: 'header',
+      text: { type: 'plain_text', text: card.title.substring(0, SLACK_HEADER_MAX_LENGTH), emoji: true }
+    });
+  }
+
+  if (card.text) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: escapeSlack(card.text).substring(0, SLACK_TEXT_MAX_LENGTH) }
+    });
+  }
+
+  if (card.fields.length > 0) {
+    blocks.push({
+      type: 'section',
+      fields: card.fields.slice(0, SLACK_MAX_FIELDS).map(field => ({
+        type: 'mrkdwn',
+        text: `*${escapeSlack(field.label)}*\n${escapeSlack(field.value)}`
+      }))
+    });
+  }
+
+  if (card.actions.length > 0) {
+    blocks.push({
+      type: 'actions',
+      elements: card.actions.slice(0, SLACK_MAX_BUTTONS).map(action => ({
+        type: 'button',
+        text: { type: 'plain_text', text: action.text, emoji: true },
+        url: action.url
+      }))
+    });
+  }
+
+  if (card.footer) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: escapeSlack(card.footer) }] });
+  }
+
+  // Top-level text is the fallback shown in notifications and by older clients
+  const text = card.title ? `${card.title}: ${card.text}` : card.text;
+
+  // Blocks only get a colored bar when wrapped in an attachment
+  return card.color
+    ? { text, attachments: [{ color: card.color, blocks }] }
+    : { text, blocks };
+}
+
+/**
+ * Render a card as a Microsoft Teams MessageCard
+ *
+ * @param {Object} card - The card from buildCard()
+ * @returns {Object} The Teams connector payload
+ */
+function renderTeamsMessageCard(card) {
+  const payload = {
+    '@type': 'MessageCard',
+    '@context': 'https://schema.org/extensions',
+    summary: card.title || card.text.substring(0, 80),
+    title: card.title || undefined,
+    text: card.text
+  };
+
+  if (card.color) {
+    payload.themeColor = card.color.replace(/^#/, '');
+  }
+
+  if (card.fields.length > 0 || card.footer) {
+    const section = {};
+    if (card.fields.length > 0) {
+      section.facts = card.fields.map(field => ({ name: field.label, value: field.value }));
+    }
+    if (card.footer) {
+      section.text = card.footer;
+    }
+    payload.sections = [section];
+  }
+
+  if (card.actions.length > 0) {
+    payload.potentialAction = card.actions.map(action => ({
+      '@type': 'OpenUri',
+      name: action.text,
+      targets: [{ os: 'default', uri: action.url }]
+    }));
+  }
+
+  return payload;
+}
+
+/**
+ * Render a card as an Adaptive Card message
+ *
+ * @param {Object} card - The card from buildCard()
+ * @returns {Object} The webhook payload with the card as its only attachment
+ */
+function renderAdaptiveCard(card) {
+  const body = [];
+
+  if (card.title) {
+    body.push({ type: 'TextBlock', text: card.title, weight: 'Bolder', size: 'Medium', wrap: true });
+  }
+
+  body.push({ type: 'TextBlock', text: card.text, wrap: true });
+
+  if (card.fields.length > 0) {
+    body.push({
+      type: 'FactSet',
+      facts: card.fields.map(field => ({ title: field.label, value: field.value }))
+    });
+  }
+
+  if (card.footer) {
+    body.push({ type: 'TextBlock', text: card.footer, isSubtle: true, size: 'Small', wrap: true });
+  }
+
+  const content = {
+    $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+    type: 'AdaptiveCard',
+    version: '1.4',
+    body
+  };
+
+  if (card.actions.length > 0) {
+    content.actions = card.actions.map(action => ({ type: 'Action.OpenUrl', title: action.text, url: action.url }));
+  }
+
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      contentUrl: null,
+      content
+    }]
+  };
+}
+
+/**
+ * Render a card in the given format
+ *
+ * @param {string} format - 'slack', 'teams' or 'adaptive'
+ * @param {Object} card - The card from buildCard()
+ * @returns {Object} The webhook payload
+ */
+function renderPayload(format, card) {
+  switch (format) {
+    case CHAT_FORMATS.TEAMS:
+      return renderTeamsMessageCard(card);
+    case CHAT_FORMATS.ADAPTIVE:
+      return renderAdaptiveCard(card);
+    default:
+      return renderSlack(card);
+  }
+}
+
+/**
+ * Provider name for a webhook URL, used for its rate limits and circuit breaker
+ *
+ * @param {string} recipient - The incoming-webhook URL
+ * @returns {string} 'chat:<host>', or 'chat' if the URL can't be parsed
+ */
+function getProviderName(recipient) {
+  try {
+    return `chat:${new URL(recipient).host}`;
+  } catch (error) {
+    return 'chat';
+  }
+}
+
+/**
+ * Send a chat notification
+ *
+ * @param {string} recipient - The incoming-webhook URL
+ * @param {string} message - The message to be sent
+ * @param {Object} options - Additional options for the chat message
+ * @param {string} [options.format] - 'slack', 'teams' or 'adaptive' (detected from the URL by default)
+ * @param {string} [options.template] - Chat template to render instead of the plain message
+ * @param {string} [options.title] - Card title
+ * @param {Array|Object} [options.fields] - [{ label, value }] or { label: value }
+ * @param {Array} [options.actions] - Link buttons, [{ text, url }]
+ * @param {string} [options.color] - Accent color, e.g. '#E01E5A'
+ * @param {number} [options.timeoutMs] - Request timeout (defaults to CHAT_TIMEOUT_MS or 10000)
+ * @returns {Promise<Object>} - Promise resolving to the result of the operation
+ * @throws {Error} - On non-2xx responses (with statusCode), timeouts and network errors
+ */
+async function sendChat(recipient, message, options = {}) {
+  const mockMode = process.env.CHAT_MOCK_MODE === 'true' || options.mockMode === true;
+  const messageId = options.messageId || `chat-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+
+  try {
+    const format = resolveFormat(recipient, options);
+    const card = buildCard(message, options);
+    const payload = renderPayload(format, card);
+    const logOptions = { format, template: options.template, messageId, simulated: mockMode };
+
+    if (mockMode) {
+      logger.logChat(recipient, card.text, { ...logOptions, status: 'sent' });
+      return {
+        channel: 'chat',
+        recipient,
+        format,
+        messageId,
+        timestamp: new Date(),
+        status: 'sent',
+        simulated: true,
+        payload
+      };
+    }
+
+    const response = await httpClient.postJson(recipient, payload, {
+      headers: options.headers,
+      timeoutMs: options.timeoutMs || config.chat.timeoutMs
+    });
+
+    // Slack answers errors like "invalid_blocks" in the body, so include it
+    if (!httpClient.isSuccessStatus(response.statusCode)) {
+      const detail = response.body ? `: ${response.body.substring(0, 200)}` : '';
+      const error = new Error(`Chat webhook responded with HTTP ${response.statusCode}${detail}`);
+      error.code = 'CHAT_HTTP_ERROR';
+      error.statusCode = response.statusCode;
+      throw error;
+    }
+
+    logger.logChat(recipient, card.text, { ...logOptions, status: 'sent', statusCode: response.statusCode });
+
+    return {
+      channel: 'chat',
+      recipient,
+      format,
+      messageId,
+      timestamp: new Date(),
+      status: 'delivered',
+      statusCode: response.statusCode,
+      simulated: false
+    };
+  } catch (error) {
+    logger.logChat(recipient, message, {
+      template: options.template,
+      messageId,
+      simulated: false,
+      status: 'failed',
+      statusCode: error.statusCode,
+      error: error.message
+    });
+
+    // Let the error propagate to be handled by the error handler wrapper
+    throw error;
+  }
+}
+
+// Apply centralized error handling wrapper
+const send = errorHandler.withErrorHandling(sendChat, 'chat');
+
+module.exports = {
+  CHAT_FORMATS,
+  sendChat,
+  send,
+  detectFormat,
+  buildCard,
+  renderChatTemplate,
+  renderSlack,
+  renderTeamsMessageCard,
+  renderAdaptiveCard,
+  renderPayload,
+  getProviderName
+};
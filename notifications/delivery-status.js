@@ -0,0 +1,359 @@
+/**
+ * Delivery Status Module
+ *
+ * Takes delivery status reports from providers and moves the matching message
+ * through its lifecycle in the message status store:
+ *
+ * - Twilio status callbacks (a form POST with MessageSid and MessageStatus)
+ * - SMTP delivery status notifications (DSN, RFC 3464), i.e. bounce emails,
+ *   matched to the sent email through the original Message-ID they quote
+ * - Push provider receipts, e.g. from a provider that reports delivery later
+ *
+ * Messages are keyed by the messageId each channel already returns, and
+ * getMessageStatus() gives a message's full status history.
+ */
+
+const config = require('../config');
+const messageStatusStore = require('../message-status-store');
+const { verifyTwilioSignature } = require('./sms-inbound');
+
+const { MESSAGE_STATUS } = messageStatusStore;
+
+// Largest status callback body accepted
+const MAX_BODY_BYTES = 64 * 1024;
+
+// DSN Action field values and the status they mean for the email
+const DSN_ACTIONS = {
+  failed: MESSAGE_STATUS.BOUNCED,
+  delayed: MESSAGE_STATUS.SENT,
+  delivered: MESSAGE_STATUS.DELIVERED,
+  relayed: MESSAGE_STATUS.DELIVERED,
+  expanded: MESSAGE_STATUS.DELIVERED
+};
+
+/**
+ * Create an error for a status report that can't be used
+ * @private
+ */
+function createStatusError(message, code = 'INVALID_STATUS_CALLBACK') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Record a delivery status for a message
+ *
+ * @param {string} messageId - The messageId the channel returned
+ * @param {string} status - A lifecycle status, or a provider's word for one (e.g. 'undelivered')
+ * @param {Object} [details={}] - Details kept with the update (source, channel, recipient, info, at)
+ * @returns {Object} { message, applied } where message has the full status history
+ * @throws {Error} - With code INVALID_MESSAGE_STATUS for a missing messageId or unknown status
+ */
+function recordDeliveryStatus(messageId, status, details = {}) {
+  const normalized = messageStatusStore.normalizeStatus(status);
+  if (!normalized) {
+    throw createStatusError(`Unknown message status '${status}'`, 'INVALID_MESSAGE_STATUS');
+  }
+
+  const outcome = messageStatusStore.recordStatus(messageId, normalized, {
+    providerStatus: normalized === status ? null : status,
+    ...details
+  });
+
+  const note = outcome.applied ? `is now ${outcome.message.status}` : `stays ${outcome.message.status} (late '${normalized}' update)`;
+  console.log(`[INFO] [channel=${outcome.message.channel || 'unknown'}] [recipient=${outcome.message.recipient || 'unknown'}] Message ${messageId} ${note}`);
+  return outcome;
+}
+
+/**
+ * Handle a Twilio message status callback
+ *
+ * @param {Object} params - The callback parameters (MessageSid, MessageStatus, To, ErrorCode, ...)
+ * @returns {Object} { message, applied }
+ * @throws {Error} - With code INVALID_STATUS_CALLBACK when the SID or status is missing or unknown
+ */
+function handleTwilioStatusCallback(params = {}) {
+  const messageId = params.MessageSid || params.SmsSid;
+  const status = params.MessageStatus || params.SmsStatus;
+
+  if (!messageId || !messageStatusStore.normalizeStatus(status)) {
+    throw createStatusError(`Twilio status callback has no MessageSid or an unknown MessageStatus ('${status}')`);
+  }
+
+  const info = {};
+  if (params.ErrorCode) info.errorCode = params.ErrorCode;
+  if (params.ErrorMessage) info.errorMessage = params.ErrorMessage;
+
+  return recordDeliveryStatus(messageId, status, {
+    source: 'twilio',
+    channel: 'sms',
+    provider: 'twilio',
+    recipient: params.To || null,
+    info: Object.keys(info).length > 0 ? info : undefined
+  });
+}
+
+/**
+ * Read a form-encoded request body
+ * @private
+ * @returns {Promise<Object|null>} The parameters, or null if the body is too large
+ */
+function readForm(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+    });
+    req.on('end', () => {
+      resolve(size > MAX_BODY_BYTES ? null : Object.fromEntries(new URLSearchParams(Buffer.concat(chunks).toString('utf8'))));
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Create an HTTP request listener for Twilio status callbacks, usable with
+ * http.createServer or as Express middleware. Point TWILIO_STATUS_CALLBACK_URL
+ * at it.
+ *
+ * @param {Object} [options={}] - Listener options
+ * @param {string} [options.url] - The public callback URL, for signature checks (defaults to
+ *   TWILIO_STATUS_CALLBACK_URL, else built from the Host header)
+ * @param {boolean} [options.validateSignature] - Reject unsigned requests (defaults to SMS_INBOUND_VALIDATE_SIGNATURE)
+ * @param {string} [options.authToken] - The Twilio auth token (defaults to TWILIO_AUTH_TOKEN)
+ * @returns {Function} (req, res) => void, answering 204 once the status is recorded
+ */
+function createTwilioStatusCallbackHandler(options = {}) {
+  const validateSignature = options.validateSignature !== undefined
+    ? options.validateSignature
+    : config.sms.inbound.validateSignature;
+
+  return async (req, res) => {
+    if (req.method !== 'POST') {
+      res.writeHead(405, { Allow: 'POST' });
+      res.end();
+      return;
+    }
+
+    let params;
+    try {
+      params = await readForm(req);
+    } catch (error) {
+      res.writeHead(400);
+      res.end();
+      return;
+    }
+
+    if (!params) {
+      res.writeHead(413);
+      res.end();
+      return;
+    }
+
+    if (validateSignature) {
+      const url = options.url || config.sms.twilio.statusCallbackUrl || `https://${req.headers.host}${req.url}`;
+      if (!verifyTwilioSignature(url, params, req.headers['x-twilio-signature'], options.authToken)) {
+        console.warn(`[WARN] [channel=sms] [recipient=${params.To || 'unknown'}] Rejected status callback with an invalid signature`);
+        res.writeHead(403);
+        res.end();
+        return;
+      }
+    }
+
+    try {
+      handleTwilioStatusCallback(params);
+      res.writeHead(204);
+      res.end();
+    } catch (error) {
+      console.error(`[ERROR] [channel=sms] Status callback could not be handled: ${error.message}`);
+      res.writeHead(error.code === 'INVALID_STATUS_CALLBACK' ? 400 : 500);
+      res.end();
+    }
+  };
+}
+
+/**
+ * Split a MIME entity into its header fields and body, unfolding continued lines
+ * @private
+ * @returns {Object} { headers: { lowercased name: value }, body }
+ */
+function parseEntity(text) {
+  const match = /\r?\n\r?\n/.exec(text);
+  const head = match ? text.slice(0, match.index) : text;
+  const body = match ? text.slice(match.index + match[0].length) : '';
+  return { headers: parseFields(head), body };
+}
+
+/**
+ * Parse "Name: value" lines, unfolding continued lines; the first of repeated fields wins
+ * @private
+ */
+function parseFields(block) {
+  const fields = {};
+  block.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon <= 0) return;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    if (!(name in fields)) fields[name] = line.slice(colon + 1).trim();
+  });
+  return fields;
+}
+
+/**
+ * List the leaf parts of a MIME entity, descending into nested multiparts
+ * @private
+ */
+function flattenParts(entity) {
+  const contentType = entity.headers['content-type'] || 'text/plain';
+  const boundary = /boundary="?([^";]+)"?/i.exec(contentType);
+  if (!/^multipart\//i.test(contentType) || !boundary) return [entity];
+
+  const delimiter = `--${boundary[1]}`;
+  return entity.body
+    .split(delimiter)
+    .slice(1)
+    .filter(part => !part.startsWith('--'))
+    .map(part => parseEntity(part.replace(/^[ \t]*\r?\n/, '')))
+    .reduce((parts, part) => parts.concat(flattenParts(part)), []);
+}
+
+/**
+ * Drop the address type from a DSN address field ("rfc822; user@example.com")
+ * @private
+ */
+function stripAddressType(value) {
+  if (!value) return null;
+  const semicolon = value.indexOf(';');
+  return (semicolon === -1 ? value : value.slice(semicolon + 1)).trim();
+}
+
+/**
+ * Parse an SMTP delivery status notification (RFC 3464)
+ *
+ * @param {string|Buffer} raw - The whole bounce email, headers included
+ * @returns {Object} { messageId, reportingMta, recipients: [{ recipient, originalRecipient, action, status, diagnosticCode }] }
+ *   where messageId is the Message-ID of the email the report is about
+ * @throws {Error} - With code INVALID_DSN if it isn't a delivery report or doesn't quote a Message-ID
+ */
+function parseDsn(raw) {
+  const parts = flattenParts(parseEntity(Buffer.isBuffer(raw) ? raw.toString('utf8') : String(raw || '')));
+  const typeOf = part => (part.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+
+  const report = parts.find(part => ['message/delivery-status', 'message/global-delivery-status'].includes(typeOf(part)));
+  if (!report) {
+    throw createStatusError('Not a delivery status notification: no message/delivery-status part', 'INVALID_DSN');
+  }
+
+  const [perMessage, ...perRecipient] = report.body
+    .split(/\r?\n[ \t]*\r?\n/)
+    .map(block => parseFields(block))
+    .filter(fields => Object.keys(fields).length > 0);
+
+  const original = parts.find(part => ['message/rfc822', 'text/rfc822-headers', 'message/global-headers'].includes(typeOf(part)));
+  const messageId = original ? parseEntity(original.body).headers['message-id'] : null;
+  if (!messageId) {
+    throw createStatusError('Delivery status notification does not include the original Message-ID', 'INVALID_DSN');
+  }
+
+  return {
+    messageId,
+    reportingMta: perMessage ? stripAddressType(perMessage['reporting-mta']) : null,
+    recipients: perRecipient
+      .filter(fields => fields.action)
+      .map(fields => ({
+        recipient: stripAddressType(fields['final-recipient']),
+        originalRecipient: stripAddressType(fields['original-recipient']),
+        action: fields.action.toLowerCase(),
+        status: fields.status || null,
+        diagnosticCode: stripAddressType(fields['diagnostic-code'])
+      }))
+  };
+}
+
+/**
+ * Handle an SMTP delivery status notification (a bounce or delivery report)
+ *
+ * A failed recipient bounces the email. The bounce is 'hard' when the DSN
+ * status is permanent (5.x.x), e.g. an unknown mailbox, and 'soft' otherwise.
+ * A delayed report keeps the email sent.
+ *
+ * @param {string|Buffer} raw - The whole bounce email, headers included
+ * @returns {Object} { message, applied, dsn } where dsn is the parsed report
+ * @throws {Error} - With code INVALID_DSN if the report can't be used
+ */
+function handleEmailDsn(raw) {
+  const dsn = parseDsn(raw);
+  if (dsn.recipients.length === 0) {
+    throw createStatusError('Delivery status notification has no recipient Action', 'INVALID_DSN');
+  }
+
+  // The worst outcome wins when a report covers several recipients
+  const failed = dsn.recipients.find(recipient => recipient.action === 'failed');
+  const reported = failed || dsn.recipients.find(recipient => DSN_ACTIONS[recipient.action] === MESSAGE_STATUS.DELIVERED) || dsn.recipients[0];
+  const status = DSN_ACTIONS[reported.action] || MESSAGE_STATUS.SENT;
+
+  const info = { recipients: dsn.recipients, reportingMta: dsn.reportingMta };
+  if (failed) {
+    info.bounceType = String(failed.status || '').startsWith('5') ? 'hard' : 'soft';
+  }
+
+  const outcome = messageStatusStore.recordStatus(dsn.messageId, status, {
+    source: 'dsn',
+    providerStatus: reported.action,
+    channel: 'email',
+    recipient: reported.recipient,
+    info
+  });
+
+  console.log(`[INFO] [channel=email] [recipient=${reported.recipient || 'unknown'}] DSN ${reported.action} for ${dsn.messageId}: ${outcome.message.status}`);
+  return { ...outcome, dsn };
+}
+
+/**
+ * Handle push provider delivery receipts
+ *
+ * @param {Object|Array<Object>} receipts - One receipt or a list of them, each
+ *   { messageId, status, provider?, error?, errorCode?, at? } where status is a lifecycle
+ *   status or a provider word such as 'ok' or 'error'; a receipt with only an error is failed
+ * @returns {Object|Array<Object>} { message, applied } for each receipt
+ * @throws {Error} - With code INVALID_STATUS_CALLBACK for a receipt without a messageId or a known status
+ */
+function handlePushReceipt(receipts) {
+  if (Array.isArray(receipts)) {
+    return receipts.map(receipt => handlePushReceipt(receipt));
+  }
+
+  const receipt = receipts || {};
+  const status = receipt.status || (receipt.error || receipt.errorCode ? MESSAGE_STATUS.FAILED : null);
+  if (!receipt.messageId || !messageStatusStore.normalizeStatus(status)) {
+    throw createStatusError(`Push receipt has no messageId or an unknown status ('${receipt.status}')`);
+  }
+
+  const info = {};
+  if (receipt.error) info.error = receipt.error;
+  if (receipt.errorCode) info.errorCode = receipt.errorCode;
+
+  return recordDeliveryStatus(receipt.messageId, status, {
+    source: receipt.provider || 'push',
+    channel: 'push',
+    provider: receipt.provider || null,
+    at: receipt.at,
+    info: Object.keys(info).length > 0 ? info : undefined
+  });
+}
+
+module.exports = {
+  MESSAGE_STATUS,
+  recordDeliveryStatus,
+  handleTwilioStatusCallback,
+  createTwilioStatusCallbackHandler,
+  parseDsn,
+  handleEmailDsn,
+  handlePushReceipt,
+  getMessageStatus: messageStatusStore.getMessageStatus,
+  listMessageStatuses: messageStatusStore.listMessageStatuses,
+  pruneMessageStatuses: messageStatusStore.pruneMessageStatuses
+};
@@ -0,0 +1,363 @@
+/**
+ * Email Attachments Module
+ *
+ * Turns the attachments given to the email channel into Nodemailer
+ * attachments, measuring each one on the way so size limits are enforced
+ * before anything is sent. An attachment can come from:
+ *
+ * - a file: { filename, path }
+ * - a Buffer or string: { filename, content }
+ * - a readable stream: { filename, content: stream }
+ * - a generator: { filename, generate: 'csv' | 'pdf' | <registered name> | function, data }
+ *
+ * Adding a cid ({ filename, path, cid: 'logo' }) embeds an image inline so the
+ * HTML can show it with <img src="cid:logo">.
+ *
+ * Only metadata (name, type, size, source) is kept for logs and results,
+ * never the content.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+const INVALID_ATTACHMENT = 'INVALID_ATTACHMENT';
+const ATTACHMENT_NOT_FOUND = 'ATTACHMENT_NOT_FOUND';
+const ATTACHMENT_TOO_LARGE = 'ATTACHMENT_TOO_LARGE';
+
+const CONTENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.csv': 'text/csv',
+  '.txt': 'text/plain',
+  '.html': 'text/html',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.ics': 'text/calendar',
+  '.zip': 'application/zip',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Streams already read by an earlier attempt, so retries can reuse the content
+const bufferedStreams = new WeakMap();
+
+/**
+ * Create an attachment error
+ * @private
+ */
+function attachmentError(message, code, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+}
+
+/**
+ * Escape one CSV field
+ * @private
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Generate a CSV file (RFC 4180)
+ *
+ * @param {Array<Object|Array>} rows - Objects (with a header row from their keys) or arrays
+ * @param {Object} [attachment={}] - The attachment; attachment.columns picks and orders object keys
+ * @returns {string} The CSV
+ */
+function generateCsv(rows, attachment = {}) {
+  if (!Array.isArray(rows)) {
+    throw attachmentError('CSV attachments need an array of rows as data', INVALID_ATTACHMENT);
+  }
+
+  const objectRows = rows.length > 0 && !Array.isArray(rows[0]);
+  const columns = attachment.columns || (objectRows ? Object.keys(rows[0]) : null);
+  const lines = [];
+
+  if (columns) lines.push(columns.map(csvField).join(','));
+  rows.forEach(row => {
+    const values = Array.isArray(row) ? row : columns.map(column => row[column]);
+    lines.push(values.map(csvField).join(','));
+  });
+
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Escape text for a PDF string, in the WinAnsi encoding of the standard fonts
+ * @private
+ */
+function pdfString(text) {
+  return String(text)
+    .replace(/[^\x20-\xff]/g, '?')
+    .replace(/[\\()]/g, match => `\\${match}`);
+}
+
+/**
+ * Wrap a line to a maximum number of characters
+ * @private
+ */
+function wrapLine(line, width) {
+  const wrapped = [];
+  let current = '';
+
+  String(line).split(/\s+/).forEach(word => {
+    if (current && current.length + word.length + 1 > width) {
+      wrapped.push(current);
+      current = '';
+    }
+    current = current ? `${current} ${word}` : word;
+  });
+
+  wrapped.push(current);
+  return wrapped;
+}
+
+/**
+ * Generate a simple A4 text PDF, e.g. an order confirmation
+ *
+ * @param {Object|string|string[]} document - { title, lines }, or the lines as an array or string
+ * @returns {Buffer} The PDF
+ */
+function generatePdf(document) {
+  const source = typeof document === 'string' || Array.isArray(document) ? { lines: document } : document || {};
+  const lines = (typeof source.lines === 'string' ? source.lines.split('\n') : source.lines || [])
+    .flatMap(line => wrapLine(line, 90));
+
+  // 842pt tall with 50pt margins and 14pt leading; the title takes three lines on the first page
+  const linesPerPage = 53;
+  const pages = [];
+  let remaining = lines;
+  do {
+    const capacity = pages.length === 0 && source.title ? linesPerPage - 3 : linesPerPage;
+    pages.push(remaining.slice(0, capacity));
+    remaining = remaining.slice(capacity);
+  } while (remaining.length > 0);
+
+  const objects = [];
+  const pageIds = pages.map((page, index) => 5 + index * 2);
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+  pages.forEach((pageLines, index) => {
+    const operations = ['BT', '50 792 Td', '14 TL'];
+    if (index === 0 && source.title) {
+      operations.push('/F2 16 Tf', `(${pdfString(source.title)}) Tj`, 'T* T* T*');
+    }
+    operations.push('/F1 11 Tf');
+    pageLines.forEach(line => operations.push(`(${pdfString(line)}) Tj T*`));
+    operations.push('ET');
+
+    const stream = operations.join('\n');
+    objects[pageIds[index]] = '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] ' +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`;
+    objects[pageIds[index] + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+// Attachment generators by name
+const generators = {
+  csv: generateCsv,
+  pdf: generatePdf
+};
+
+/**
+ * Register a named attachment generator
+ *
+ * @param {string} name - The name used in { generate: name }
+ * @param {Function} generate - (data, attachment) => Buffer | string, or a Promise of one
+ */
+function registerAttachmentGenerator(name, generate) {
+  if (typeof generate !== 'function') {
+    throw new Error(`Attachment generator '${name}' must be a function`);
+  }
+  generators[name] = generate;
+}
+
+/**
+ * Read a stream into a Buffer, stopping once it exceeds maxBytes
+ * @private
+ */
+async function readStream(stream, filename, maxBytes) {
+  if (bufferedStreams.has(stream)) {
+    return bufferedStreams.get(stream);
+  }
+
+  if (stream.readableEnded || stream.destroyed) {
+    throw attachmentError(`Attachment stream for '${filename}' has already been read`, INVALID_ATTACHMENT, { filename });
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of stream) {
+    const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+    size += buffer.length;
+    if (size > maxBytes) {
+      stream.destroy();
+      throw attachmentError(`Attachment '${filename}' is over the ${maxBytes} byte limit`, ATTACHMENT_TOO_LARGE, { filename, limit: maxBytes });
+    }
+    chunks.push(buffer);
+  }
+
+  const content = Buffer.concat(chunks);
+  bufferedStreams.set(stream, content);
+  return content;
+}
+
+/**
+ * Work out an attachment's content and size
+ * @private
+ * @returns {Promise<Object>} { content } or { path }, plus size and source
+ */
+async function loadAttachment(attachment, filename, maxBytes) {
+  if (attachment.generate !== undefined) {
+    const generate = typeof attachment.generate === 'function' ? attachment.generate : generators[attachment.generate];
+    if (!generate) {
+      throw attachmentError(`Unknown attachment generator '${attachment.generate}'`, INVALID_ATTACHMENT, { filename });
+    }
+
+    const generated = await generate(attachment.data, attachment);
+    const content = Buffer.isBuffer(generated) ? generated : Buffer.from(String(generated), 'utf8');
+    return { content, size: content.length, source: 'generated' };
+  }
+
+  if (attachment.path !== undefined) {
+    try {
+      const stats = await fs.promises.stat(attachment.path);
+      if (!stats.isFile()) throw Object.assign(new Error('not a file'), { code: 'ENOENT' });
+      return { path: attachment.path, size: stats.size, source: 'path' };
+    } catch (error) {
+      throw attachmentError(`Attachment file not found: ${attachment.path}`, ATTACHMENT_NOT_FOUND, { filename });
+    }
+  }
+
+  const content = attachment.content;
+  if (content && typeof content.pipe === 'function') {
+    const buffer = await readStream(content, filename, maxBytes);
+    return { content: buffer, size: buffer.length, source: 'stream' };
+  }
+
+  // Buffers come back as { type: 'Buffer', data } from queued or scheduled notifications
+  if (content && content.type === 'Buffer' && Array.isArray(content.data)) {
+    const buffer = Buffer.from(content.data);
+    return { content: buffer, size: buffer.length, source: 'buffer' };
+  }
+
+  if (Buffer.isBuffer(content) || typeof content === 'string') {
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, attachment.encoding || 'utf8');
+    return { content: buffer, size: buffer.length, source: 'buffer' };
+  }
+
+  throw attachmentError(`Attachment '${filename}' needs a path, content or generate`, INVALID_ATTACHMENT, { filename });
+}
+
+/**
+ * Validate, measure and convert attachments for Nodemailer
+ *
+ * @param {Array<Object>} attachments - The attachments (see the module description)
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.html] - The HTML part, to check that inline images are referenced
+ * @returns {Promise<Object>} { attachments, metadata } where attachments are for Nodemailer and
+ *   metadata is [{ filename, contentType, size, source, inline, cid }]
+ * @throws {Error} - With code INVALID_ATTACHMENT, ATTACHMENT_NOT_FOUND or ATTACHMENT_TOO_LARGE
+ */
+async function prepareAttachments(attachments, options = {}) {
+  if (!Array.isArray(attachments)) {
+    throw attachmentError('attachments must be an array', INVALID_ATTACHMENT);
+  }
+
+  const limits = config.email.attachments;
+  if (attachments.length > limits.maxCount) {
+    throw attachmentError(`At most ${limits.maxCount} attachments are allowed, got ${attachments.length}`, ATTACHMENT_TOO_LARGE, { limit: limits.maxCount });
+  }
+
+  const prepared = [];
+  const metadata = [];
+  let totalSize = 0;
+
+  for (const attachment of attachments) {
+    if (!attachment || typeof attachment !== 'object') {
+      throw attachmentError('Each attachment must be an object', INVALID_ATTACHMENT);
+    }
+
+    const filename = attachment.filename || (attachment.path ? path.basename(attachment.path) : null);
+    if (!filename) {
+      throw attachmentError('Attachments need a filename', INVALID_ATTACHMENT);
+    }
+
+    const maxBytes = Math.min(limits.maxAttachmentBytes, limits.maxTotalBytes - totalSize);
+    const loaded = await loadAttachment(attachment, filename, maxBytes);
+
+    if (loaded.size > limits.maxAttachmentBytes) {
+      throw attachmentError(`Attachment '${filename}' is ${loaded.size} bytes; the limit is ${limits.maxAttachmentBytes}`, ATTACHMENT_TOO_LARGE,
+        { filename, size: loaded.size, limit: limits.maxAttachmentBytes });
+    }
+
+    totalSize += loaded.size;
+    if (totalSize > limits.maxTotalBytes) {
+      throw attachmentError(`Attachments total ${totalSize} bytes; the limit is ${limits.maxTotalBytes}`, ATTACHMENT_TOO_LARGE,
+        { size: totalSize, limit: limits.maxTotalBytes });
+    }
+
+    const contentType = attachment.contentType || CONTENT_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+    const inline = Boolean(attachment.cid);
+
+    if (inline) {
+      if (!contentType.startsWith('image/')) {
+        throw attachmentError(`Inline attachment '${filename}' must be an image, not ${contentType}`, INVALID_ATTACHMENT, { filename });
+      }
+      if (options.html && !options.html.includes(`cid:${attachment.cid}`)) {
+        console.warn(`[WARN] [channel=email] Inline image '${filename}' (cid:${attachment.cid}) is not referenced in the HTML`);
+      }
+    }
+
+    prepared.push({
+      filename,
+      contentType,
+      ...(loaded.path ? { path: loaded.path } : { content: loaded.content }),
+      ...(inline ? { cid: attachment.cid, contentDisposition: 'inline' } : {})
+    });
+    metadata.push({ filename, contentType, size: loaded.size, source: loaded.source, inline, cid: attachment.cid || null });
+  }
+
+  return { attachments: prepared, metadata };
+}
+
+module.exports = {
+  INVALID_ATTACHMENT,
+  ATTACHMENT_NOT_FOUND,
+  ATTACHMENT_TOO_LARGE,
+  prepareAttachments,
+  registerAttachmentGenerator,
+  generateCsv,
+  generatePdf
+};
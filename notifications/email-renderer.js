@@ -0,0 +1,556 @@
+/**
+ * Email Renderer Module
+ *
+ * Builds the two parts of a multipart/alternative email: an HTML part and a
+ * plain-text part. Whichever part the caller doesn't supply is generated from
+ * the other. HTML is converted to text with links kept as "label (url)" and
+ * tables flattened into lines. Plain text becomes simple HTML paragraphs.
+ *
+ * The HTML part is wrapped in a layout from EMAIL_LAYOUTS_DIR, and its
+ * <style> rules are moved into style attributes, because many mail clients
+ * drop <style> blocks. Rules that can't be inlined, such as media queries and
+ * :hover, stay in a <style> block.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+// Layout files by name, read once
+const layoutCache = new Map();
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', bull: '•', middot: '·',
+  laquo: '«', raquo: '»', euro: '€', pound: '£', yen: '¥'
+};
+
+// Elements that start a new paragraph in the text version
+const BLOCK_TAGS = 'p|div|h[1-6]|ul|ol|dl|table|blockquote|pre|section|article|header|footer|address|center';
+
+// Marks the end of a table cell while converting to text
+const CELL_BREAK = '\u0001';
+
+// Elements without a closing tag
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+// Elements that never get inlined styles
+const UNSTYLED_TAGS = new Set(['html', 'head', 'title', 'meta', 'link', 'style', 'script', 'base']);
+
+// Stands in for the first <style> block while its rules are inlined
+const STYLE_PLACEHOLDER = '\u0002STYLE\u0002';
+
+/**
+ * Escape text for use in HTML
+ *
+ * @param {*} value - The value to escape
+ * @returns {string} The escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Decode HTML entities
+ * @private
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+    return decoded !== undefined ? decoded : match;
+  });
+}
+
+/**
+ * Read an attribute from the attribute text of a tag, still entity-encoded
+ * @private
+ */
+function getAttribute(attributes, name) {
+  const match = new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i').exec(attributes);
+  if (!match) return null;
+  return match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3];
+}
+
+/**
+ * Split on a separator, ignoring separators inside quotes or parentheses
+ * @private
+ */
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth = Math.max(0, depth - 1);
+    } else if (char === separator && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+
+  parts.push(text.slice(start));
+  return parts;
+}
+
+/**
+ * Whether a message body is HTML rather than plain text
+ *
+ * @param {string} body - The message body
+ * @returns {boolean} True if the body contains common HTML tags
+ */
+function isHtml(body) {
+  return typeof body === 'string' &&
+    /<\/?(html|body|p|div|table|br|a|h[1-6]|ul|ol|li|span|strong|b|em|i|img)\b[^>]*>/i.test(body);
+}
+
+/**
+ * Text for a link: the label, followed by the URL when it differs from the label
+ * @private
+ */
+function formatLink(href, inner) {
+  const label = inner
+    .replace(/<img\b([^>]*)>/gi, (match, attributes) => getAttribute(attributes, 'alt') || '')
+    .replace(/<[^>]+>/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (!href || /^(#|javascript:)/i.test(href)) return label;
+
+  const address = href.replace(/^mailto:/i, '');
+  if (!label) return address;
+
+  const normalize = value => decodeEntities(value).replace(/^(https?:\/\/|mailto:)/i, '').replace(/\/$/, '');
+  if (normalize(label) === normalize(href)) return /^mailto:/i.test(href) ? label : href;
+
+  return `${label} (${address})`;
+}
+
+/**
+ * Convert HTML to plain text
+ *
+ * Links become "label (url)", images become their alt text, list items start
+ * with "- " or their number, and each table row becomes one line with its
+ * cells separated by " | ". Layout tables with one cell per row simply
+ * become their content.
+ *
+ * @param {string} html - The HTML to convert
+ * @returns {string} The plain-text version
+ */
+function htmlToText(html) {
+  let text = String(html)
+    .replace(new RegExp(CELL_BREAK, 'g'), '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(head|style|script|title)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, '')
+    // Hidden content such as preheaders
+    .replace(/<(span|div|p)\b[^>]*display\s*:\s*none[^>]*>[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/\s+/g, ' ');
+
+  // Number the items of ordered lists, innermost lists first
+  const innermostOrderedList = /<ol\b[^>]*>((?:(?!<ol\b)[\s\S])*?)<\/ol\s*>/i;
+  let list;
+  while ((list = innermostOrderedList.exec(text))) {
+    let number = 0;
+    const items = list[1].replace(/<li\b[^>]*>/gi, () => `\n${++number}. `);
+    text = text.slice(0, list.index) + `\n\n${items}\n\n` + text.slice(list.index + list[0].length);
+  }
+
+  text = text
+    .replace(/<a\b([^>]*)>([\s\S]*?)<\/a\s*>/gi, (match, attributes, inner) => formatLink(getAttribute(attributes, 'href'), inner))
+    .replace(/<img\b([^>]*)>/gi, (match, attributes) => getAttribute(attributes, 'alt') || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<hr\b[^>]*>/gi, '\n\n---\n\n')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<\/t[dh]\s*>/gi, CELL_BREAK)
+    .replace(/<tr\b[^>]*>/gi, '')
+    .replace(/<\/tr\s*>/gi, '\n')
+    .replace(new RegExp(`<\\/?(?:${BLOCK_TAGS})\\b[^>]*>`, 'gi'), '\n\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text)
+    .split('\n')
+    .map(line => line
+      .split(CELL_BREAK)
+      .map(cell => cell.replace(/[ \t\u00a0]+/g, ' ').trim())
+      .filter(Boolean)
+      .join(' | '))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Convert plain text to simple HTML
+ *
+ * Blank lines separate paragraphs, line breaks are kept and URLs become links.
+ *
+ * @param {string} text - The plain text
+ * @returns {string} The HTML version
+ */
+function textToHtml(text) {
+  return String(text)
+    .trim()
+    .split(/\n[ \t]*\n/)
+    .map(paragraph => {
+      const linked = escapeHtml(paragraph.trim())
+        .replace(/\bhttps?:\/\/[^\s<]*[^\s<.,;:!?)'"&]/gi, url => `<a href="${url}">${url}</a>`);
+      return `<p>${linked.replace(/\n/g, '<br>\n')}</p>`;
+    })
+    .join('\n');
+}
+
+/**
+ * Parse a block of CSS declarations
+ * @private
+ */
+function parseDeclarations(css) {
+  return splitTopLevel(css, ';')
+    .map(declaration => {
+      const colon = declaration.indexOf(':');
+      if (colon < 1) return null;
+
+      let value = declaration.slice(colon + 1).trim();
+      const important = /!\s*important$/i.test(value);
+      if (important) value = value.replace(/\s*!\s*important$/i, '');
+
+      return { property: declaration.slice(0, colon).trim().toLowerCase(), value, important };
+    })
+    .filter(declaration => declaration && declaration.value !== '');
+}
+
+/**
+ * Parse a selector into compound selectors joined by descendant (' ') or child ('>') combinators
+ *
+ * Only type, universal, class and ID selectors can be inlined; anything else returns null.
+ * @private
+ */
+function parseSelector(text) {
+  const compounds = [];
+  let combinator = ' ';
+
+  for (const part of text.replace(/\s*>\s*/g, ' > ').trim().split(/\s+/)) {
+    if (part === '>') {
+      combinator = '>';
+      continue;
+    }
+
+    const match = /^(\*|[a-z][\w-]*)?((?:[#.][\w-]+)*)$/i.exec(part);
+    if (!match || (!match[1] && !match[2])) return null;
+
+    const compound = {
+      tag: match[1] && match[1] !== '*' ? match[1].toLowerCase() : null,
+      ids: [],
+      classes: [],
+      combinator: compounds.length > 0 ? combinator : null
+    };
+    (match[2].match(/[#.][\w-]+/g) || []).forEach(token => {
+      (token[0] === '#' ? compound.ids : compound.classes).push(token.slice(1));
+    });
+
+    compounds.push(compound);
+    combinator = ' ';
+  }
+
+  return compounds.length > 0 ? compounds : null;
+}
+
+/**
+ * Parse a stylesheet into rules that can be inlined and CSS that must stay in a <style> block
+ * @private
+ */
+function parseStylesheet(css) {
+  const rules = [];
+  const preserved = [];
+
+  let remaining = css
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/@(?:import|charset|namespace)\b[^;]*;/gi, statement => {
+      preserved.push(statement.trim());
+      return '';
+    });
+
+  while (remaining.includes('{')) {
+    const open = remaining.indexOf('{');
+    let close = open + 1;
+    for (let depth = 1; close < remaining.length && depth > 0; close++) {
+      if (remaining[close] === '{') depth++;
+      else if (remaining[close] === '}') depth--;
+    }
+
+    const prelude = remaining.slice(0, open).trim();
+    const body = remaining.slice(open + 1, close - 1);
+    remaining = remaining.slice(close);
+
+    // Media queries, font faces and the like only work from a <style> block
+    if (prelude.startsWith('@')) {
+      preserved.push(`${prelude} {${body}}`);
+      continue;
+    }
+
+    const declarations = parseDeclarations(body);
+    splitTopLevel(prelude, ',').map(selectorText => selectorText.trim()).filter(Boolean).forEach(selectorText => {
+      const selector = parseSelector(selectorText);
+      if (!selector) {
+        preserved.push(`${selectorText} {${body}}`);
+        return;
+      }
+
+      const specificity = selector.reduce(
+        (total, compound) => total + compound.ids.length * 10000 + compound.classes.length * 100 + (compound.tag ? 1 : 0),
+        0
+      );
+      rules.push({ selector, specificity, order: rules.length, declarations });
+    });
+  }
+
+  return { rules, preserved };
+}
+
+/**
+ * Whether an element matches one compound selector
+ * @private
+ */
+function matchesCompound(compound, element) {
+  return (!compound.tag || compound.tag === element.tag) &&
+    compound.ids.every(id => element.id === id) &&
+    compound.classes.every(className => element.classes.includes(className));
+}
+
+/**
+ * Whether an element, given its open ancestors (nearest last), matches a selector
+ * @private
+ */
+function matchesSelector(selector, element, ancestors) {
+  let index = selector.length - 1;
+  if (!matchesCompound(selector[index], element)) return false;
+
+  let position = ancestors.length - 1;
+  while (index > 0) {
+    const combinator = selector[index].combinator;
+    index--;
+
+    if (combinator === '>') {
+      if (position < 0 || !matchesCompound(selector[index], ancestors[position])) return false;
+    } else {
+      while (position >= 0 && !matchesCompound(selector[index], ancestors[position])) position--;
+      if (position < 0) return false;
+    }
+    position--;
+  }
+
+  return true;
+}
+
+/**
+ * Merge matched stylesheet declarations with a tag's own style attribute
+ *
+ * Follows the cascade: stylesheet rules, then the inline style, then
+ * !important stylesheet rules, then !important inline declarations.
+ * @private
+ */
+function mergeStyle(attributes, declarations) {
+  const inline = parseDeclarations(decodeEntities(getAttribute(attributes, 'style') || ''));
+  const properties = new Map();
+  const apply = list => list.forEach(({ property, value }) => {
+    properties.delete(property);
+    properties.set(property, value);
+  });
+
+  apply(declarations.filter(declaration => !declaration.important));
+  apply(inline.filter(declaration => !declaration.important));
+  apply(declarations.filter(declaration => declaration.important));
+  apply(inline.filter(declaration => declaration.important));
+
+  const style = Array.from(properties, ([property, value]) => `${property}: ${value}`).join('; ').replace(/"/g, "'");
+  const withoutStyle = attributes.replace(/\s+style\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+)/i, '');
+  const selfClosing = /\s*\/\s*$/.exec(withoutStyle);
+
+  return selfClosing
+    ? `${withoutStyle.slice(0, selfClosing.index)} style="${style}"${selfClosing[0]}`
+    : `${withoutStyle} style="${style}"`;
+}
+
+/**
+ * Move the rules of <style> blocks into style attributes
+ *
+ * Type, class and ID selectors, combined with descendant or child
+ * combinators, are inlined. Anything else (media queries, pseudo-classes,
+ * attribute selectors) is kept in a single <style> block where the first one was.
+ *
+ * @param {string} html - The HTML document or fragment
+ * @returns {string} The HTML with styles inlined
+ */
+function inlineCss(html) {
+  const sheets = [];
+  const withoutStyles = String(html).replace(/<style\b[^>]*>([\s\S]*?)<\/style\s*>/gi, (match, css) => {
+    sheets.push(css);
+    return sheets.length === 1 ? STYLE_PLACEHOLDER : '';
+  });
+
+  if (sheets.length === 0) return html;
+
+  const { rules, preserved } = parseStylesheet(sheets.join('\n'));
+  const ancestors = [];
+
+  const inlined = withoutStyles.replace(/<(\/?)([a-zA-Z][\w-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/g, (tag, closing, rawName, attributes) => {
+    const name = rawName.toLowerCase();
+
+    if (closing) {
+      const index = ancestors.map(element => element.tag).lastIndexOf(name);
+      if (index !== -1) ancestors.length = index;
+      return tag;
+    }
+
+    const element = {
+      tag: name,
+      id: getAttribute(attributes, 'id'),
+      classes: (getAttribute(attributes, 'class') || '').split(/\s+/).filter(Boolean)
+    };
+
+    let result = tag;
+    if (!UNSTYLED_TAGS.has(name)) {
+      const declarations = rules
+        .filter(rule => matchesSelector(rule.selector, element, ancestors))
+        .sort((a, b) => a.specificity - b.specificity || a.order - b.order)
+        .flatMap(rule => rule.declarations);
+
+      if (declarations.length > 0) {
+        result = `<${rawName}${mergeStyle(attributes, declarations)}>`;
+      }
+    }
+
+    if (!VOID_TAGS.has(name) && !/\/\s*$/.test(attributes)) {
+      ancestors.push(element);
+    }
+    return result;
+  });
+
+  return inlined.replace(
+    STYLE_PLACEHOLDER,
+    preserved.length > 0 ? `<style type="text/css">\n${preserved.join('\n')}\n</style>` : ''
+  );
+}
+
+/**
+ * Read a layout file, caching it
+ * @private
+ */
+function loadLayout(name) {
+  if (layoutCache.has(name)) {
+    return layoutCache.get(name);
+  }
+
+  const file = path.join(config.email.layoutsDir, `${path.basename(name)}.html`);
+  if (!fs.existsSync(file)) {
+    const error = new Error(`Email layout '${name}' not found in ${config.email.layoutsDir}`);
+    error.code = 'EMAIL_LAYOUT_NOT_FOUND';
+    throw error;
+  }
+
+  const layout = fs.readFileSync(file, 'utf8');
+  layoutCache.set(name, layout);
+  return layout;
+}
+
+/**
+ * Wrap HTML content in a layout
+ *
+ * Layouts are HTML files in EMAIL_LAYOUTS_DIR. {{content}} is replaced with
+ * the content as-is; every other {{name}} is replaced with the escaped value
+ * from variables, or removed if there is none.
+ *
+ * @param {string} content - The HTML content
+ * @param {string} name - The layout name (file name without .html)
+ * @param {Object} [variables={}] - Values for the layout, e.g. { subject, preheader }
+ * @returns {string} The full HTML document
+ * @throws {Error} - With code EMAIL_LAYOUT_NOT_FOUND if the layout doesn't exist
+ */
+function applyLayout(content, name, variables = {}) {
+  return loadLayout(name).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+    if (key === 'content') return content;
+    return variables[key] !== undefined && variables[key] !== null ? escapeHtml(variables[key]) : '';
+  });
+}
+
+/**
+ * Render the HTML and plain-text parts of an email
+ *
+ * - options.html given: the message is the text part, or the text is generated from the HTML if empty
+ * - message is HTML: the text part is generated from it (or taken from options.text)
+ * - message is plain text: the HTML part is generated from it
+ *
+ * The HTML part is then wrapped in the layout, unless it is already a full
+ * document, and its CSS is inlined.
+ *
+ * @param {string} message - The message body, HTML or plain text
+ * @param {Object} [options={}] - Email options
+ * @param {string} [options.html] - HTML part; the message is then the text part
+ * @param {string} [options.text] - Text part, instead of generating it
+ * @param {string} [options.subject] - Subject, available to the layout as {{subject}}
+ * @param {string} [options.preheader] - Preview text shown by mail clients, available as {{preheader}}
+ * @param {string|false} [options.layout] - Layout name, or false for none (defaults to EMAIL_LAYOUT)
+ * @param {Object} [options.layoutData] - Further values for the layout
+ * @param {boolean} [options.inlineCss] - Whether to inline CSS (defaults to EMAIL_INLINE_CSS)
+ * @returns {Object} { html, text }
+ * @throws {Error} - With code EMAIL_LAYOUT_NOT_FOUND if the layout doesn't exist
+ */
+function renderEmail(message, options = {}) {
+  const body = message === undefined || message === null ? '' : String(message);
+  let html;
+  let text;
+
+  if (options.html) {
+    html = options.html;
+    text = options.text || body || htmlToText(options.html);
+  } else if (isHtml(body)) {
+    html = body;
+    text = options.text || htmlToText(body);
+  } else {
+    html = textToHtml(body);
+    text = options.text || body;
+  }
+
+  const layout = options.layout !== undefined ? options.layout : config.email.layout;
+  if (layout && layout !== 'none' && !/<html\b/i.test(html)) {
+    html = applyLayout(html, layout, {
+      ...(options.layoutData || {}),
+      subject: options.subject,
+      preheader: options.preheader
+    });
+  }
+
+  const shouldInline = options.inlineCss !== undefined ? options.inlineCss : config.email.inlineCss;
+  if (shouldInline) {
+    html = inlineCss(html);
+  }
+
+  return { html, text };
+}
+
+module.exports = {
+  escapeHtml,
+  isHtml,
+  htmlToText,
+  textToHtml,
+  inlineCss,
+  applyLayout,
+  renderEmail
+};
@@ -8,13 +8,15 @@
 const nodemailer = require("nodemailer");
 const config = require("../config");
 const { validateEmailAddresses } = require("./validators");
+const emailRenderer = require("./email-renderer");
+const emailAttachments = require("./email-attachments");
 // Import error handler
 const errorHandler = require('../error-handler');
 const logger = require('../logger');
 // Validate email configuration on module load
 config.validateConfig();
 
-// Create transporter based on environment (mock or real)
+// Create transporter based on environment (mock or real); created on first send
 let transporter;
 
 // Initialize email transport
@@ -82,65 +84,114 @@ function validateRecipients(to) {
   };
 }
 
+/**
+ * Use a specific Nodemailer transport, e.g. a local SMTP server or a stream transport in tests
+ *
+ * @param {Object} transportOptions - Options for nodemailer.createTransport
+ * @returns {Object} The transport
+ */
+function configureEmailTransport(transportOptions) {
+  transporter = nodemailer.createTransport(transportOptions);
+  return transporter;
+}
+
 /**
  * Sends an email notification
- * @param {string} to - Recipient email address
- * @param {string} subject - Email subject
- * @param {string} body - Email body content
+ *
+ * The email is sent as multipart/alternative with an HTML and a plain-text
+ * part (see email-renderer.js). The message may be plain text or HTML; the
+ * missing part is generated from it.
+ *
+ * @param {string} recipient - Recipient email address
+ * @param {string} message - Email body, HTML or plain text
  * @param {Object} options - Additional options
+ * @param {string} [options.subject] - Email subject
+ * @param {string} [options.from] - Sender (defaults to EMAIL_FROM)
+ * @param {string} [options.html] - HTML part; the message is then used as the text part
+ * @param {string} [options.text] - Text part, instead of generating it from the HTML
+ * @param {string} [options.preheader] - Preview text shown after the subject in the inbox
+ * @param {string|false} [options.layout] - HTML layout name, or false for none (defaults to EMAIL_LAYOUT)
+ * @param {boolean} [options.inlineCss] - Whether to inline CSS (defaults to EMAIL_INLINE_CSS)
+ * @param {Array<Object>} [options.attachments] - Files, buffers, streams, generated files or inline
+ *   images (see email-attachments.js); only their metadata is logged
  * @returns {Promise} - Resolves with send result
  */
 async function sendEmail(recipient, message, options = {}) {
   // Get from address from options or default from config
   const from = options.from || config.email.defaultFrom;
 
-  
-  // const recipientValidation = validateRecipients(to);
   try {
     // Check if we're in mock mode
     const mockMode = process.env.EMAIL_MOCK_MODE === 'true' || options.mockMode === true;
     
-    // Simulate potential errors (for demonstration)
-    if (recipient.includes('error') || (options.simulateError === true)) {
+    if (!mockMode && transporter === undefined) {
+      transporter = initTransporter();
+    }
+    
+    // Simulate potential errors (for demonstration), only when nothing is really sent:
+    // in mock mode or with the development transport. Real addresses may contain 'error'
+    if ((mockMode || !transporter) && (recipient.includes('error') || options.simulateError === true)) {
       throw new Error('Simulated email sending failure');
     }
     
+    // Build the HTML and plain-text parts
+    const subject = options.subject || 'Notification';
+    const content = emailRenderer.renderEmail(message, { ...options, subject });
+    const attachments = options.attachments
+      ? await emailAttachments.prepareAttachments(options.attachments, { html: content.html })
+      : { attachments: [], metadata: [] };
+    
     // Simulate a delay that might happen with real email sending
     if (options.delay) {
       await new Promise(resolve => setTimeout(resolve, options.delay));
     }
     
-    // Generate a message ID for tracking
-    const messageId = `email-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+    // Generate a message ID for tracking, replaced by the transport's when one sends it
+    let messageId = `email-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+    
+    if (!mockMode) {
+      // Nodemailer sends text and html together as multipart/alternative
+      if (transporter) {
+        const info = await transporter.sendMail({
+          from,
+          to: recipient,
+          subject,
+          text: content.text,
+          html: content.html,
+          attachments: attachments.attachments
+        });
+        messageId = info.messageId || messageId;
+      }
+    }
     
     // Log the outgoing notification
-    logger.logEmail(recipient, message, {
+    logger.logEmail(recipient, content.text, {
       ...options,
+      attachments: attachments.metadata,
       simulated: mockMode,
       messageId,
       status: 'sent'
     });
     
-    // In a real implementation, this would send an actual email
-    if (!mockMode) {
-      // Here we would integrate with an actual email service
-      // For example: await sendGridClient.send({ to: recipient, ... })
-    }
-    
     // Return a response like a real email API might
     return {
       type: 'email',
       recipient,
-      message: message.length > 30 ? `${message.substring(0, 30)}...` : message,
+      message: content.text.length > 30 ? `${content.text.substring(0, 30)}...` : content.text,
       messageId,
       timestamp: new Date(),
       status: 'sent',
-      simulated: mockMode
+      simulated: mockMode,
+      attachments: attachments.metadata,
+      // Mock sends show what would have been sent
+      ...(mockMode ? { email: { from, subject, text: content.text, html: content.html } } : {})
     };
   } catch (error) {
     // Log the failed notification
     logger.logEmail(recipient, message, {
       ...options,
+      attachments: undefined,
+      attachmentCount: options.attachments ? options.attachments.length : 0,
       simulated: false,
       status: 'failed',
       error: error.message
@@ -149,28 +200,6 @@ async function sendEmail(recipient, message, options = {}) {
     // Let the error propagate to be handled by the error handler wrapper
     throw error;
   }
- 
-
-  try {
-    // Send email using nodemailer
-    const result = await transporter.sendMail({
-      from: from,
-      to: recipientValidation.recipients,
-      subject: subject || "Notification",
-      text: typeof body === "string" ? body : JSON.stringify(body),
-      html:
-        options.html ||
-        (typeof body === "string" ? body : JSON.stringify(body)),
-    });
-
-    return {
-      success: true,
-      messageId: result.messageId,
-    };
-  } catch (error) {
-    console.error("Failed to send email:", error);
-    throw new Error(`Failed to send email: ${error.message}`);
-  }
 }
 
 
@@ -260,6 +289,7 @@ const sendWithErrorHandling = errorHandler.withErrorHandling(
 );
 module.exports = {
   sendEmail,
+  configureEmailTransport,
   send,
   sendWithErrorHandling,
   sendEmailMock,
@@ -0,0 +1,113 @@
+/**
+ * HTTP Client Module
+ *
+ * Minimal HTTP(S) client built on Node's http/https modules, shared by the
+ * channels that deliver over HTTP. Responses are returned whatever their
+ * status code; callers decide what counts as a failure. Network errors and
+ * timeouts reject with the underlying error code (e.g. ECONNREFUSED, ETIMEDOUT)
+ * so the retry policy can classify them.
+ */
+
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Cap on the response body kept in memory; providers only send short bodies back
+const MAX_RESPONSE_BYTES = 64 * 1024;
+
+/**
+ * Send an HTTP request
+ *
+ * @param {string} url - The absolute http(s) URL
+ * @param {Object} [options={}] - Request options
+ * @param {string} [options.method='GET'] - The HTTP method
+ * @param {Object} [options.headers={}] - Request headers
+ * @param {string|Buffer} [options.body] - The request body
+ * @param {number} [options.timeoutMs=10000] - Time allowed for the whole request
+ * @returns {Promise<Object>} { statusCode, headers, body } with body as a string
+ * @throws {Error} - On network errors, or with code ETIMEDOUT when the request times out
+ */
+function request(url, options = {}) {
+  const { method = 'GET', headers = {}, body, timeoutMs = DEFAULT_TIMEOUT_MS } = options;
+  const target = new URL(url);
+  const transport = target.protocol === 'https:' ? https : http;
+
+  const requestHeaders = { ...headers };
+  if (body !== undefined && requestHeaders['Content-Length'] === undefined) {
+    requestHeaders['Content-Length'] = Buffer.byteLength(body);
+  }
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(target, { method, headers: requestHeaders }, res => {
+      const chunks = [];
+      let received = 0;
+
+      res.on('data', chunk => {
+        if (received < MAX_RESPONSE_BYTES) {
+          chunks.push(chunk);
+        }
+        received += chunk.length;
+      });
+
+      res.on('end', () => {
+        resolve({
+          statusCode: res.statusCode,
+          headers: res.headers,
+          body: Buffer.concat(chunks).toString('utf8').slice(0, MAX_RESPONSE_BYTES)
+        });
+      });
+
+      res.on('error', reject);
+    });
+
+    req.setTimeout(timeoutMs, () => {
+      const error = new Error(`Request to ${target.host} timed out after ${timeoutMs}ms`);
+      error.code = 'ETIMEDOUT';
+      req.destroy(error);
+    });
+
+    req.on('error', reject);
+
+    if (body !== undefined) {
+      req.write(body);
+    }
+    req.end();
+  });
+}
+
+/**
+ * POST a JSON body
+ *
+ * @param {string} url - The absolute http(s) URL
+ * @param {Object|string} payload - The payload; objects are serialized with JSON.stringify
+ * @param {Object} [options={}] - Request options, as for request()
+ * @returns {Promise<Object>} { statusCode, headers, body }
+ */
+function postJson(url, payload, options = {}) {
+  const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+
+  return request(url, {
+    ...options,
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(options.headers || {}) },
+    body
+  });
+}
+
+/**
+ * Check whether a status code is a 2xx success
+ *
+ * @param {number} statusCode - The HTTP status code
+ * @returns {boolean} True for 200-299
+ */
+function isSuccessStatus(statusCode) {
+  return statusCode >= 200 && statusCode < 300;
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT_MS,
+  request,
+  postJson,
+  isSuccessStatus
+};
@@ -0,0 +1,62 @@
+/**
+ * In-App Notification Module
+ *
+ * Sender for the `inapp` channel. Nothing leaves the system: the notification
+ * is stored in the recipient's inbox (see inbox-store.js), where the
+ * application lists it and marks it read. The recipient is the user ID.
+ * There is no external provider, so mock mode stores notifications as well.
+ */
+
+const errorHandler = require('../error-handler');
+const logger = require('../logger');
+const inboxStore = require('../inbox-store');
+
+/**
+ * Store a notification in a user's inbox
+ *
+ * @param {string} recipient - The user ID
+ * @param {string} message - The notification text
+ * @param {Object} options - Additional options for the notification
+ * @param {string} [options.title] - Title shown in the inbox (defaults to options.subject)
+ * @param {string} [options.url] - Where the notification links to
+ * @param {string} [options.category] - Grouping, e.g. 'orders' or 'security'
+ * @param {string} [options.notificationType] - The notification type (e.g. 'welcome')
+ * @param {Object} [options.data] - Extra data for the application
+ * @returns {Promise<Object>} - Promise resolving to the result of the operation
+ */
+async function sendInApp(recipient, message, options = {}) {
+  try {
+    const entry = inboxStore.addNotification(recipient, {
+      title: options.title || options.subject,
+      body: message,
+      url: options.url,
+      category: options.category,
+      notificationType: options.notificationType,
+      data: options.data
+    });
+
+    logger.logInApp(recipient, message, { messageId: entry.id, status: 'sent' });
+
+    return {
+      channel: 'inapp',
+      recipient,
+      messageId: entry.id,
+      timestamp: new Date(entry.createdAt),
+      status: 'sent',
+      unreadCount: inboxStore.getUnreadCount(recipient)
+    };
+  } catch (error) {
+    logger.logInApp(recipient, message, { status: 'failed', error: error.message });
+
+    // Let the error propagate to be handled by the error handler wrapper
+    throw error;
+  }
+}
+
+// Apply centralized error handling wrapper
+const send = errorHandler.withErrorHandling(sendInApp, 'inapp');
+
+module.exports = {
+  sendInApp,
+  send
+};
@@ -1,79 +1,206 @@
 /**
  * Notification system module
+ *
+ * Registers the built-in channels with the channel registry and provides the
+ * core send/registerHandler interface on top of it.
  */
 
+const registry = require('./registry');
+const { isValidEmail, isE164PhoneNumber, isValidWebhookUrl } = require('./validators');
+
+// Import notification providers
+const emailNotifier = require('./emails');
+const smsNotifier = require('./sms');
+const pushNotifier = require('./push');
+const pushPayload = require('./providers/push-payload');
+const pushTopics = require('./push-topics');
+const webhookNotifier = require('./webhook');
+const chatNotifier = require('./chat');
+const webPushNotifier = require('./webpush');
+const inAppNotifier = require('./inapp');
+
 // Define supported notification types
 const NOTIFICATION_TYPES = {
   EMAIL: "email",
   SMS: "sms",
   PUSH: "push",
   WEBHOOK: "webhook",
+  CHAT: "chat",
+  WEBPUSH: "webpush",
+  INAPP: "inapp",
 };
-/**
- * Notification system module
- */
-const smsNotifier = require('./sms');
 
-// Import notification providers
-const emailNotifier = require("./emails");
-// import emailNotifier from "./emails"
-// Store notification handlers
-const notificationHandlers = {
-  [NOTIFICATION_TYPES.EMAIL]: emailNotifier.sendEmail,
-  [NOTIFICATION_TYPES.SMS]: smsNotifier.sendSms,
-  // Other handlers will be added as implemented
-};
+// Built-in channels
+registry.registerChannel(NOTIFICATION_TYPES.EMAIL, {
+  send: emailNotifier.sendEmail,
+  provider: 'smtp',
+  validate: recipient => isValidEmail(recipient)
+    ? { isValid: true, errorMessage: null }
+    : { isValid: false, errorMessage: `Invalid email address format: '${recipient}'` },
+  capabilities: {
+    maxLength: null,
+    supportsHtml: true,
+    supportsAttachments: true,
+    supportsSubject: true
+  }
+});
+
+registry.registerChannel(NOTIFICATION_TYPES.SMS, {
+  send: smsNotifier.sendSms,
+  // The number's primary provider, used in mock mode. Real sends fail over to the rest of its
+  // route inside the channel, checking each provider's rate limit and circuit breaker there
+  provider: smsNotifier.getProviderName,
+  failover: true,
+  validate: recipient => isE164PhoneNumber(recipient)
+    ? { isValid: true, errorMessage: null }
+    : { isValid: false, errorMessage: `Invalid phone number format: '${recipient}'. Must be in E.164 format (e.g., +12345678901)` },
+  capabilities: {
+    // Twilio rejects bodies longer than 1600 characters (10 concatenated segments)
+    maxLength: 1600,
+    supportsHtml: false,
+    supportsAttachments: false,
+    supportsSubject: false
+  }
+});
+
+registry.registerChannel(NOTIFICATION_TYPES.PUSH, {
+  send: pushNotifier.sendPush,
+  // FCM or APNs, depending on options.platform
+  provider: pushNotifier.getProviderName,
+  // A device token, or a topic/condition target broadcast to its subscribers
+  validate: pushNotifier.validateRecipient,
+  formatRecipient: pushTopics.formatTarget,
+  capabilities: {
+    maxLength: null,
+    supportsHtml: false,
+    supportsAttachments: false,
+    supportsSubject: true,
+    // FCM and APNs both reject payloads over 4KB once translated to their wire format
+    maxPayloadBytes: pushPayload.MAX_PAYLOAD_BYTES
+  }
+});
+
+registry.registerChannel(NOTIFICATION_TYPES.WEBHOOK, {
+  send: webhookNotifier.sendWebhook,
+  // One provider per endpoint host, so a failing receiver only trips its own circuit
+  provider: webhookNotifier.getProviderName,
+  // One X-Webhook-Id per dispatch, so receivers can recognise retries as the same message
+  prepareOptions: options => options.messageId ? options : { ...options, messageId: webhookNotifier.createMessageId() },
+  validate: recipient => isValidWebhookUrl(recipient)
+    ? { isValid: true, errorMessage: null }
+    : { isValid: false, errorMessage: `Invalid webhook URL: '${recipient}'. Must be an absolute http(s) URL` },
+  capabilities: {
+    maxLength: null,
+    supportsHtml: false,
+    supportsAttachments: false,
+    supportsSubject: false,
+    supportsSigning: true
+  }
+});
+
+registry.registerChannel(NOTIFICATION_TYPES.CHAT, {
+  send: chatNotifier.sendChat,
+  // One provider per chat host, so a Teams outage doesn't block Slack alerts
+  provider: chatNotifier.getProviderName,
+  validate: recipient => isValidWebhookUrl(recipient)
+    ? { isValid: true, errorMessage: null }
+    : { isValid: false, errorMessage: `Invalid chat webhook URL: '${recipient}'. Must be an absolute http(s) URL` },
+  capabilities: {
+    maxLength: null,
+    supportsHtml: false,
+    supportsAttachments: false,
+    supportsSubject: true,
+    supportsCards: true,
+    formats: Object.values(chatNotifier.CHAT_FORMATS)
+  }
+});
+
+registry.registerChannel(NOTIFICATION_TYPES.WEBPUSH, {
+  send: webPushNotifier.sendWebPush,
+  // One provider per push service (FCM, Mozilla autopush, Apple, ...)
+  provider: webPushNotifier.getProviderName,
+  validate: recipient => webPushNotifier.validateSubscription(recipient),
+  // Subscriptions are objects; logs, queues and rate limits key on their JSON
+  formatRecipient: webPushNotifier.formatSubscription,
+  capabilities: {
+    maxLength: webPushNotifier.MAX_PAYLOAD_BYTES,
+    supportsHtml: false,
+    supportsAttachments: false,
+    supportsSubject: true,
+    supportsEncryption: true
+  }
+});
+
+registry.registerChannel(NOTIFICATION_TYPES.INAPP, {
+  send: inAppNotifier.sendInApp,
+  // Stored locally, so there is no provider to rate-limit or trip a circuit for
+  provider: 'inbox',
+  validate: recipient => typeof recipient === 'string' && recipient.trim() !== ''
+    ? { isValid: true, errorMessage: null }
+    : { isValid: false, errorMessage: 'User ID cannot be empty for in-app notifications' },
+  capabilities: {
+    maxLength: null,
+    supportsHtml: false,
+    supportsAttachments: false,
+    supportsSubject: true,
+    supportsInbox: true
+  }
+});
 
 // Notification system core functionality
 const notificationSystem = {
-  // Send a notification
+  // Send a notification, rejecting with a coded error if it fails
   send: async (type, recipient, message, options = {}) => {
     console.log(`Sending ${type} notification to ${recipient}`);
 
-    if (!notificationHandlers[type]) {
+    if (!registry.hasChannel(type)) {
       const error = new Error(`Notification type '${type}' not supported`);
       error.code = "UNSUPPORTED_TYPE";
       return Promise.reject(error);
     }
 
-    try {
-      // For email notifications, use subject and message format
-      if (type === NOTIFICATION_TYPES.EMAIL) {
-        return await notificationHandlers[type](
-          recipient,
-          options.subject || "Notification",
-          message,
-          options
-        );
-      }
-
-      // For other notification types
-      return await notificationHandlers[type](recipient, message, options);
-    } catch (error) {
-      console.error(`Failed to send ${type} notification:`, error);
+    const result = await registry.send(type, recipient, message, options);
+
+    if (result.success === false) {
+      console.error(`Failed to send ${type} notification:`, result.error);
+      const error = new Error(result.error);
+      error.code = result.errorCode || "SEND_FAILED";
       throw error;
     }
+
+    return result;
   },
 
-  // Register notification handler
+  // Register notification handler (a channel with only a sender).
+  // Email handlers keep their original (recipient, subject, message, options) signature
   registerHandler: (type, handler) => {
     console.log(`Registering handler for ${type} notifications`);
-    notificationHandlers[type] = handler;
+    const send = String(type).toLowerCase() === NOTIFICATION_TYPES.EMAIL
+      ? (recipient, message, options = {}) => handler(recipient, options.subject || "Notification", message, options)
+      : handler;
+    registry.registerChannel(type, { send });
+    return notificationSystem; // For method chaining
+  },
+
+  // Register a channel with a validator, capabilities and modes
+  registerChannel: (type, definition) => {
+    registry.registerChannel(type, definition);
     return notificationSystem; // For method chaining
   },
 
   // Get available notification types
   getTypes: () => {
-    return Object.values(NOTIFICATION_TYPES);
+    return registry.listChannels();
   },
    // Check if a notification type is supported
   isSupported: (type) => {
-    return !!notificationHandlers[type];
+    return registry.hasChannel(type);
   }
 };
 
 // Export notification types and system
 module.exports = {
   types: NOTIFICATION_TYPES,
+  registry,
   ...notificationSystem,
 };
@@ -0,0 +1,235 @@
+/**
+ * APNs Provider Adapter
+ *
+ * Sends push notifications to Apple devices over HTTP/2 using token-based
+ * authentication: an ES256 JWT signed with the team's .p8 key, reused for up to
+ * 50 minutes as Apple recommends. One HTTP/2 session is kept per endpoint. The
+ * endpoint can be pointed at a local stand-in server (http:// URLs use
+ * cleartext HTTP/2).
+ */
+
+const fs = require('fs');
+const http2 = require('http2');
+const config = require('../../config');
+const { signJwt } = require('./jwt');
+const { toApnsRequest } = require('./push-payload');
+const {
+  INVALID_DEVICE_TOKEN,
+  PUSH_NOT_CONFIGURED,
+  PUSH_PROVIDER_ERROR,
+  createPushError
+} = require('./push-error');
+
+// Apple rejects provider tokens older than an hour and throttles refreshes under 20 minutes
+const PROVIDER_TOKEN_TTL_MS = 50 * 60 * 1000;
+
+// APNs reasons meaning the device token will never work for this app again
+const INVALID_TOKEN_REASONS = ['BadDeviceToken', 'Unregistered', 'DeviceTokenNotForTopic'];
+
+// Reasons meaning our provider token was rejected and should be re-signed
+const PROVIDER_TOKEN_REASONS = ['ExpiredProviderToken', 'InvalidProviderToken'];
+
+let settings = { ...config.push.apns };
+let providerToken = null; // { token, issuedAt }
+const sessions = new Map();
+
+/**
+ * Override APNs settings, e.g. to use a local stand-in server in tests
+ *
+ * @param {Object} options - Settings to change
+ * @param {string} [options.url] - APNs base URL
+ * @param {string} [options.keyId] - The key ID of the .p8 key
+ * @param {string} [options.teamId] - The Apple developer team ID
+ * @param {string} [options.privateKey] - The .p8 key as PEM
+ * @param {string} [options.keyFile] - Path to the .p8 key
+ * @param {string} [options.topic] - Default topic (the app's bundle ID)
+ * @returns {Object} The resulting settings, without the key
+ */
+function configureApns(options = {}) {
+  settings = { ...settings, ...options };
+  providerToken = null;
+  closeSessions();
+
+  return { url: settings.url, keyId: settings.keyId || null, teamId: settings.teamId || null, topic: settings.topic || null };
+}
+
+/**
+ * Get the provider token, signing a new one when the cached one is too old
+ * @private
+ */
+function getProviderToken() {
+  if (providerToken && Date.now() - providerToken.issuedAt < PROVIDER_TOKEN_TTL_MS) {
+    return providerToken.token;
+  }
+
+  let privateKey = settings.privateKey;
+  try {
+    if (!privateKey && settings.keyFile) {
+      privateKey = fs.readFileSync(settings.keyFile, 'utf8');
+    }
+  } catch (error) {
+    throw createPushError(`Could not read the APNs key: ${error.message}`, { code: PUSH_NOT_CONFIGURED, provider: 'apns' });
+  }
+
+  if (!privateKey || !settings.keyId || !settings.teamId) {
+    throw createPushError(
+      'APNs is not configured. Set APNS_KEY_ID, APNS_TEAM_ID and APNS_KEY_FILE (or APNS_PRIVATE_KEY)',
+      { code: PUSH_NOT_CONFIGURED, provider: 'apns' }
+    );
+  }
+
+  const issuedAt = Date.now();
+  providerToken = {
+    token: signJwt({ iss: settings.teamId, iat: Math.floor(issuedAt / 1000) }, privateKey, {
+      algorithm: 'ES256',
+      keyId: settings.keyId
+    }),
+    issuedAt
+  };
+
+  return providerToken.token;
+}
+
+/**
+ * Get the HTTP/2 session for an endpoint, connecting if needed
+ * @private
+ */
+function getSession(origin) {
+  const existing = sessions.get(origin);
+  if (existing && !existing.closed && !existing.destroyed) {
+    return existing;
+  }
+
+  const session = http2.connect(origin);
+  const forget = () => {
+    if (sessions.get(origin) === session) sessions.delete(origin);
+  };
+  session.on('error', forget);
+  session.on('goaway', forget);
+  session.on('close', forget);
+
+  // Idle sessions shouldn't keep the process alive; request() refs it while busy
+  session.activeRequests = 0;
+  session.unref();
+
+  sessions.set(origin, session);
+  return session;
+}
+
+/**
+ * Send one request over the endpoint's HTTP/2 session
+ * @private
+ */
+function request(origin, headers, body, timeoutMs) {
+  const session = getSession(origin);
+
+  return new Promise((resolve, reject) => {
+    session.activeRequests++;
+    session.ref();
+
+    const stream = session.request(headers);
+    const chunks = [];
+    let responseHeaders = {};
+
+    const done = () => {
+      session.activeRequests--;
+      if (session.activeRequests === 0 && !session.destroyed) session.unref();
+    };
+
+    stream.setTimeout(timeoutMs, () => {
+      const error = new Error(`APNs request timed out after ${timeoutMs}ms`);
+      error.code = 'ETIMEDOUT';
+      stream.close(http2.constants.NGHTTP2_CANCEL);
+      reject(error);
+    });
+
+    stream.on('response', receivedHeaders => {
+      responseHeaders = receivedHeaders;
+    });
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => {
+      resolve({
+        statusCode: responseHeaders[':status'],
+        headers: responseHeaders,
+        body: Buffer.concat(chunks).toString('utf8')
+      });
+    });
+    stream.on('error', reject);
+    stream.on('close', done);
+
+    stream.end(body);
+  });
+}
+
+/**
+ * Send a push notification through APNs
+ *
+ * @param {string} token - The device token (hex)
+ * @param {Object} payload - The push payload (see push-payload.js)
+ * @param {Object} [options={}] - Request options (topic, timeoutMs)
+ * @returns {Promise<Object>} { provider, messageId, statusCode }
+ * @throws {Error} - With code INVALID_DEVICE_TOKEN for bad or unregistered tokens,
+ *   PUSH_NOT_CONFIGURED, or PUSH_PROVIDER_ERROR with the HTTP status and APNs reason
+ */
+async function send(token, payload, options = {}) {
+  const topic = options.topic || settings.topic;
+  if (!topic) {
+    throw createPushError('APNs topic is not configured. Set APNS_TOPIC to the app bundle ID or pass options.topic', {
+      code: PUSH_NOT_CONFIGURED,
+      provider: 'apns'
+    });
+  }
+
+  const apnsRequest = toApnsRequest(payload);
+  const headers = {
+    ':method': 'POST',
+    ':path': `/3/device/${token}`,
+    authorization: `bearer ${getProviderToken()}`,
+    'apns-topic': topic,
+    ...apnsRequest.headers,
+    'content-type': 'application/json'
+  };
+
+  const response = await request(
+    new URL(settings.url).origin,
+    headers,
+    JSON.stringify(apnsRequest.body),
+    options.timeoutMs || config.push.timeoutMs
+  );
+
+  if (response.statusCode === 200) {
+    return { provider: 'apns', messageId: response.headers['apns-id'], statusCode: 200 };
+  }
+
+  let reason = `HTTP_${response.statusCode}`;
+  try {
+    reason = JSON.parse(response.body).reason || reason;
+  } catch (error) {
+    // Keep the status-based reason
+  }
+
+  if (PROVIDER_TOKEN_REASONS.includes(reason)) {
+    providerToken = null;
+  }
+
+  throw createPushError(`APNs rejected the notification (${reason})`, {
+    code: INVALID_TOKEN_REASONS.includes(reason) ? INVALID_DEVICE_TOKEN : PUSH_PROVIDER_ERROR,
+    provider: 'apns',
+    statusCode: response.statusCode,
+    reason
+  });
+}
+
+/**
+ * Close all HTTP/2 sessions, e.g. on shutdown
+ */
+function closeSessions() {
+  sessions.forEach(session => session.close());
+  sessions.clear();
+}
+
+module.exports = {
+  configureApns,
+  send,
+  closeSessions
+};
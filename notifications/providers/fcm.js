@@ -0,0 +1,282 @@
+/**
+ * FCM HTTP v1 Provider Adapter
+ *
+ * Sends push notifications through Firebase Cloud Messaging. Requests are
+ * authorized with an OAuth access token obtained by signing a JWT with the
+ * service account's private key; the token is cached until shortly before it
+ * expires. The API and token URLs can be pointed at local stand-in servers.
+ */
+
+const fs = require('fs');
+const config = require('../../config');
+const httpClient = require('../http-client');
+const { signJwt } = require('./jwt');
+const { toFcmMessage } = require('./push-payload');
+const {
+  INVALID_DEVICE_TOKEN,
+  PUSH_NOT_CONFIGURED,
+  PUSH_PROVIDER_ERROR,
+  createPushError
+} = require('./push-error');
+
+const FCM_SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+const DEFAULT_TOKEN_URL = 'https://oauth2.googleapis.com/token';
+
+// Refresh access tokens this long before they expire
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+// The Instance ID API takes at most 1000 tokens per batch call
+const MAX_TOPIC_BATCH = 1000;
+
+// FCM error codes meaning the registration token will never work again
+const INVALID_TOKEN_REASONS = ['UNREGISTERED', 'NOT_FOUND'];
+
+let settings = { ...config.push.fcm, serviceAccount: null };
+let serviceAccount = null;
+let accessToken = null; // { token, expiresAt }
+let pendingToken = null;
+
+/**
+ * Override FCM settings, e.g. to use local stand-in servers in tests
+ *
+ * @param {Object} options - Settings to change
+ * @param {Object} [options.serviceAccount] - Parsed service account JSON
+ * @param {string} [options.serviceAccountFile] - Path to the service account JSON
+ * @param {string} [options.apiUrl] - FCM API base URL
+ * @param {string} [options.tokenUrl] - OAuth token URL
+ * @param {string} [options.iidUrl] - Instance ID API base URL, for topic subscriptions
+ * @returns {Object} The resulting settings, without credentials
+ */
+function configureFcm(options = {}) {
+  settings = { ...settings, ...options };
+  serviceAccount = null;
+  accessToken = null;
+  pendingToken = null;
+
+  return { apiUrl: settings.apiUrl, tokenUrl: settings.tokenUrl || null };
+}
+
+/**
+ * Load and check the service account
+ * @private
+ */
+function getServiceAccount() {
+  if (serviceAccount) return serviceAccount;
+
+  let account = settings.serviceAccount;
+  try {
+    if (!account && settings.serviceAccountJson) {
+      account = JSON.parse(settings.serviceAccountJson);
+    } else if (!account && settings.serviceAccountFile) {
+      account = JSON.parse(fs.readFileSync(settings.serviceAccountFile, 'utf8'));
+    }
+  } catch (error) {
+    throw createPushError(`Could not load the FCM service account: ${error.message}`, {
+      code: PUSH_NOT_CONFIGURED,
+      provider: 'fcm'
+    });
+  }
+
+  if (!account || !account.project_id || !account.client_email || !account.private_key) {
+    throw createPushError(
+      'FCM is not configured. Set FCM_SERVICE_ACCOUNT_FILE or FCM_SERVICE_ACCOUNT_JSON to a service account with project_id, client_email and private_key',
+      { code: PUSH_NOT_CONFIGURED, provider: 'fcm' }
+    );
+  }
+
+  serviceAccount = account;
+  return serviceAccount;
+}
+
+/**
+ * Exchange a signed service-account JWT for an access token
+ * @private
+ */
+async function requestAccessToken(account, timeoutMs) {
+  const tokenUrl = settings.tokenUrl || account.token_uri || DEFAULT_TOKEN_URL;
+  const now = Math.floor(Date.now() / 1000);
+
+  const assertion = signJwt(
+    { iss: account.client_email, scope: FCM_SCOPE, aud: tokenUrl, iat: now, exp: now + 3600 },
+    account.private_key,
+    { algorithm: 'RS256', keyId: account.private_key_id }
+  );
+
+  const response = await httpClient.request(tokenUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+      assertion
+    }).toString(),
+    timeoutMs
+  });
+
+  const body = parseJson(response.body);
+
+  if (!httpClient.isSuccessStatus(response.statusCode) || !body.access_token) {
+    throw createPushError(
+      `FCM access token request failed with HTTP ${response.statusCode}: ${body.error_description || body.error || 'no access token'}`,
+      { code: PUSH_PROVIDER_ERROR, provider: 'fcm', statusCode: response.statusCode, reason: body.error }
+    );
+  }
+
+  return {
+    token: body.access_token,
+    expiresAt: Date.now() + (body.expires_in || 3600) * 1000
+  };
+}
+
+/**
+ * Get a cached access token, requesting a new one when it is about to expire
+ * @private
+ */
+async function getAccessToken(account, timeoutMs) {
+  if (accessToken && accessToken.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+    return accessToken.token;
+  }
+
+  // Concurrent sends share one token request
+  if (!pendingToken) {
+    pendingToken = requestAccessToken(account, timeoutMs)
+      .then(result => {
+        accessToken = result;
+        return result.token;
+      })
+      .finally(() => {
+        pendingToken = null;
+      });
+  }
+
+  return pendingToken;
+}
+
+/**
+ * Parse a JSON response body, tolerating empty or non-JSON bodies
+ * @private
+ */
+function parseJson(body) {
+  try {
+    return body ? JSON.parse(body) : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Send a push notification through FCM
+ *
+ * @param {string|Object} token - The FCM registration token, or { topic } or { condition } for a native topic send
+ * @param {Object} payload - The push payload (see push-payload.js)
+ * @param {Object} [options={}] - Request options (timeoutMs)
+ * @returns {Promise<Object>} { provider, messageId, statusCode }
+ * @throws {Error} - With code INVALID_DEVICE_TOKEN for unregistered tokens, PUSH_NOT_CONFIGURED,
+ *   or PUSH_PROVIDER_ERROR with the HTTP status and FCM error code
+ */
+async function send(token, payload, options = {}) {
+  const account = getServiceAccount();
+  const timeoutMs = options.timeoutMs || config.push.timeoutMs;
+  const bearer = await getAccessToken(account, timeoutMs);
+
+  const response = await httpClient.postJson(
+    `${settings.apiUrl}/v1/projects/${account.project_id}/messages:send`,
+    toFcmMessage(token, payload),
+    { headers: { Authorization: `Bearer ${bearer}` }, timeoutMs }
+  );
+
+  const body = parseJson(response.body);
+
+  if (httpClient.isSuccessStatus(response.statusCode)) {
+    return { provider: 'fcm', messageId: body.name, statusCode: response.statusCode };
+  }
+
+  // The token may have been revoked; fetch a new one on the next send
+  if (response.statusCode === 401) {
+    accessToken = null;
+  }
+
+  const error = body.error || {};
+  const fcmError = (error.details || []).find(detail => detail.errorCode);
+  const reason = (fcmError && fcmError.errorCode) || error.status || `HTTP_${response.statusCode}`;
+  const invalidToken = INVALID_TOKEN_REASONS.includes(reason) ||
+    (reason === 'INVALID_ARGUMENT' && /registration token/i.test(error.message || ''));
+
+  throw createPushError(`FCM rejected the notification (${reason}): ${error.message || 'no error message'}`, {
+    code: invalidToken ? INVALID_DEVICE_TOKEN : PUSH_PROVIDER_ERROR,
+    provider: 'fcm',
+    statusCode: response.statusCode,
+    reason
+  });
+}
+
+/**
+ * Add or remove registration tokens on an FCM topic
+ * @private
+ */
+async function manageTopic(action, tokens, topic, options = {}) {
+  const account = getServiceAccount();
+  const timeoutMs = options.timeoutMs || config.push.timeoutMs;
+  const bearer = await getAccessToken(account, timeoutMs);
+  const failures = [];
+
+  for (let start = 0; start < tokens.length; start += MAX_TOPIC_BATCH) {
+    const batch = tokens.slice(start, start + MAX_TOPIC_BATCH);
+    const response = await httpClient.postJson(
+      `${settings.iidUrl}/iid/v1:${action}`,
+      { to: `/topics/${topic}`, registration_tokens: batch },
+      { headers: { Authorization: `Bearer ${bearer}`, access_token_auth: 'true' }, timeoutMs }
+    );
+
+    const body = parseJson(response.body);
+
+    if (!httpClient.isSuccessStatus(response.statusCode)) {
+      if (response.statusCode === 401) accessToken = null;
+      throw createPushError(`FCM topic ${action} failed with HTTP ${response.statusCode}: ${body.error || 'no error message'}`, {
+        code: PUSH_PROVIDER_ERROR,
+        provider: 'fcm',
+        statusCode: response.statusCode,
+        reason: body.error
+      });
+    }
+
+    // One result per token, in order; failed ones carry an error such as NOT_FOUND
+    (body.results || []).forEach((result, index) => {
+      if (result && result.error) failures.push({ token: batch[index], error: result.error });
+    });
+  }
+
+  return { provider: 'fcm', topic, succeeded: tokens.length - failures.length, failures };
+}
+
+/**
+ * Subscribe registration tokens to an FCM topic
+ *
+ * @param {string[]} tokens - The registration tokens
+ * @param {string} topic - The topic name
+ * @param {Object} [options={}] - Request options (timeoutMs)
+ * @returns {Promise<Object>} { provider, topic, succeeded, failures: [{ token, error }] }
+ * @throws {Error} - With code PUSH_NOT_CONFIGURED or PUSH_PROVIDER_ERROR
+ */
+function subscribeToTopic(tokens, topic, options = {}) {
+  return manageTopic('batchAdd', tokens, topic, options);
+}
+
+/**
+ * Unsubscribe registration tokens from an FCM topic
+ *
+ * @param {string[]} tokens - The registration tokens
+ * @param {string} topic - The topic name
+ * @param {Object} [options={}] - Request options (timeoutMs)
+ * @returns {Promise<Object>} { provider, topic, succeeded, failures: [{ token, error }] }
+ * @throws {Error} - With code PUSH_NOT_CONFIGURED or PUSH_PROVIDER_ERROR
+ */
+function unsubscribeFromTopic(tokens, topic, options = {}) {
+  return manageTopic('batchRemove', tokens, topic, options);
+}
+
+module.exports = {
+  configureFcm,
+  send,
+  subscribeToTopic,
+  unsubscribeFromTopic
+};
@@ -0,0 +1,84 @@
+/**
+ * Generic HTTP SMS Provider Adapter
+ *
+ * Sends SMS to any HTTP endpoint that accepts a JSON POST of
+ * { to, from, message, encoding }, such as an in-house SMS gateway. Any 2xx
+ * response counts as accepted; the message ID is read from the response
+ * field named by SMS_HTTP_ID_FIELD.
+ */
+
+const config = require('../../config');
+const httpClient = require('../http-client');
+const { SMS_NOT_CONFIGURED, SMS_PROVIDER_ERROR, createSmsError, parseJson } = require('./sms-error');
+
+let settings = { ...config.sms.http };
+
+/**
+ * Override the HTTP provider's settings, e.g. to use a local stand-in server in tests
+ *
+ * @param {Object} options - Settings to change (url, authHeader, from, idField)
+ * @returns {Object} The resulting settings, without credentials
+ */
+function configure(options = {}) {
+  settings = { ...settings, ...options };
+  return { url: settings.url || null, from: settings.from || null, idField: settings.idField };
+}
+
+/**
+ * List the environment variables still needed to send
+ *
+ * @returns {string[]} The missing variable names
+ */
+function missingSettings() {
+  return settings.url ? [] : ['SMS_HTTP_URL'];
+}
+
+/**
+ * Send an SMS through the configured HTTP endpoint
+ *
+ * @param {string} to - The E.164 phone number
+ * @param {string} message - The SMS text
+ * @param {Object} [options={}] - Request options (from, encoding, timeoutMs)
+ * @returns {Promise<Object>} { provider, messageId, status, statusCode }
+ * @throws {Error} - With code SMS_NOT_CONFIGURED, or SMS_PROVIDER_ERROR with the HTTP status
+ */
+async function send(to, message, options = {}) {
+  if (!settings.url) {
+    throw createSmsError('The HTTP SMS provider is not configured. Set SMS_HTTP_URL', { code: SMS_NOT_CONFIGURED, provider: 'http' });
+  }
+
+  const response = await httpClient.postJson(settings.url, {
+    to,
+    from: options.from || settings.from,
+    message,
+    encoding: options.encoding
+  }, {
+    headers: settings.authHeader ? { Authorization: settings.authHeader } : {},
+    timeoutMs: options.timeoutMs || config.sms.timeoutMs
+  });
+
+  const body = parseJson(response.body);
+
+  if (httpClient.isSuccessStatus(response.statusCode)) {
+    return {
+      provider: 'http',
+      messageId: body[settings.idField] ? String(body[settings.idField]) : `http-sms-${Date.now()}`,
+      status: body.status || 'accepted',
+      statusCode: response.statusCode
+    };
+  }
+
+  throw createSmsError(`SMS endpoint responded with HTTP ${response.statusCode}${body.error ? `: ${body.error}` : ''}`, {
+    code: SMS_PROVIDER_ERROR,
+    provider: 'http',
+    statusCode: response.statusCode,
+    reason: `HTTP_${response.statusCode}`
+  });
+}
+
+module.exports = {
+  name: 'http',
+  configure,
+  missingSettings,
+  send
+};
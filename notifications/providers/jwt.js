@@ -0,0 +1,61 @@
+/**
+ * JWT signing helper for provider authentication
+ *
+ * Only what the push providers need: compact JWS signing with RS256 (Google
+ * service accounts) and ES256 (APNs and VAPID keys).
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Base64url-encode a buffer, string or JSON value
+ *
+ * @param {Buffer|string|Object} value - The value to encode
+ * @returns {string} The base64url string, without padding
+ */
+function base64url(value) {
+  const buffer = Buffer.isBuffer(value)
+    ? value
+    : Buffer.from(typeof value === 'string' ? value : JSON.stringify(value));
+
+  return buffer.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Sign a JWT
+ *
+ * @param {Object} claims - The JWT claims
+ * @param {string|crypto.KeyObject} privateKey - PEM private key or KeyObject
+ * @param {Object} [options={}] - Signing options
+ * @param {string} [options.algorithm='RS256'] - 'RS256' or 'ES256'
+ * @param {string} [options.keyId] - Key ID for the `kid` header
+ * @returns {string} The signed token
+ * @throws {Error} - If the algorithm is not supported or the key is invalid
+ */
+function signJwt(claims, privateKey, options = {}) {
+  const algorithm = options.algorithm || 'RS256';
+
+  if (!['RS256', 'ES256'].includes(algorithm)) {
+    throw new Error(`Unsupported JWT algorithm '${algorithm}'`);
+  }
+
+  const header = { alg: algorithm, typ: 'JWT' };
+  if (options.keyId) {
+    header.kid = options.keyId;
+  }
+
+  const signingInput = `${base64url(header)}.${base64url(claims)}`;
+
+  // JWS wants the raw r||s form of ECDSA signatures, not DER
+  const signature = crypto.sign('sha256', Buffer.from(signingInput), {
+    key: privateKey,
+    ...(algorithm === 'ES256' ? { dsaEncoding: 'ieee-p1363' } : {})
+  });
+
+  return `${signingInput}.${base64url(signature)}`;
+}
+
+module.exports = {
+  base64url,
+  signJwt
+};
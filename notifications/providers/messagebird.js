@@ -0,0 +1,95 @@
+/**
+ * MessageBird SMS Provider Adapter
+ *
+ * Sends SMS through MessageBird's REST messages API, authorized with an
+ * access key. Other providers with the same style of API (JSON body with
+ * `originator`, `recipients` and `body`) can use this adapter by pointing
+ * MESSAGEBIRD_API_URL at them. The API URL can also be pointed at a local
+ * stand-in server.
+ */
+
+const config = require('../../config');
+const httpClient = require('../http-client');
+const {
+  SMS_NOT_CONFIGURED,
+  SMS_INVALID_RECIPIENT,
+  SMS_PROVIDER_ERROR,
+  createSmsError,
+  parseJson
+} = require('./sms-error');
+
+let settings = { ...config.sms.messagebird };
+
+/**
+ * Override MessageBird settings, e.g. to use a local stand-in server in tests
+ *
+ * @param {Object} options - Settings to change (accessKey, originator, apiUrl)
+ * @returns {Object} The resulting settings, without credentials
+ */
+function configure(options = {}) {
+  settings = { ...settings, ...options };
+  return { apiUrl: settings.apiUrl, originator: settings.originator || null };
+}
+
+/**
+ * List the environment variables still needed to send
+ *
+ * @returns {string[]} The missing variable names
+ */
+function missingSettings() {
+  const missing = [];
+  if (!settings.accessKey) missing.push('MESSAGEBIRD_ACCESS_KEY');
+  if (!settings.originator) missing.push('MESSAGEBIRD_ORIGINATOR');
+  return missing;
+}
+
+/**
+ * Send an SMS through MessageBird
+ *
+ * @param {string} to - The E.164 phone number
+ * @param {string} message - The SMS text
+ * @param {Object} [options={}] - Request options (from, encoding, timeoutMs)
+ * @returns {Promise<Object>} { provider, messageId, status, statusCode }
+ * @throws {Error} - With code SMS_NOT_CONFIGURED, SMS_INVALID_RECIPIENT or SMS_PROVIDER_ERROR
+ *   with the HTTP status and MessageBird error code
+ */
+async function send(to, message, options = {}) {
+  const missing = missingSettings();
+  if (missing.length > 0) {
+    throw createSmsError(`MessageBird is not configured. Set ${missing.join(', ')}`, { code: SMS_NOT_CONFIGURED, provider: 'messagebird' });
+  }
+
+  const response = await httpClient.postJson(`${settings.apiUrl}/messages`, {
+    originator: options.from || settings.originator,
+    recipients: [to.replace(/^\+/, '')],
+    body: message,
+    datacoding: options.encoding === 'UCS-2' ? 'unicode' : 'plain'
+  }, {
+    headers: { Authorization: `AccessKey ${settings.accessKey}` },
+    timeoutMs: options.timeoutMs || config.sms.timeoutMs
+  });
+
+  const body = parseJson(response.body);
+
+  if (httpClient.isSuccessStatus(response.statusCode)) {
+    return { provider: 'messagebird', messageId: body.id, status: 'accepted', statusCode: response.statusCode };
+  }
+
+  // Errors look like { errors: [{ code, description, parameter }] }
+  const error = (body.errors || [])[0] || {};
+  const invalidRecipient = response.statusCode === 422 && /^recipients?$/.test(error.parameter || '');
+
+  throw createSmsError(`MessageBird rejected the SMS (${error.code || `HTTP ${response.statusCode}`}): ${error.description || 'no error message'}`, {
+    code: invalidRecipient ? SMS_INVALID_RECIPIENT : SMS_PROVIDER_ERROR,
+    provider: 'messagebird',
+    statusCode: invalidRecipient ? undefined : response.statusCode,
+    reason: error.code || `HTTP_${response.statusCode}`
+  });
+}
+
+module.exports = {
+  name: 'messagebird',
+  configure,
+  missingSettings,
+  send
+};
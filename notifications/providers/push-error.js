@@ -0,0 +1,39 @@
+/**
+ * Errors shared by the push provider adapters
+ */
+
+// The device token is invalid or the app was uninstalled; the token should be removed
+const INVALID_DEVICE_TOKEN = 'INVALID_DEVICE_TOKEN';
+
+// Credentials or endpoint settings are missing
+const PUSH_NOT_CONFIGURED = 'PUSH_NOT_CONFIGURED';
+
+// Any other rejection by the provider; error.reason has the provider's own code
+const PUSH_PROVIDER_ERROR = 'PUSH_PROVIDER_ERROR';
+
+/**
+ * Create a push provider error
+ *
+ * @param {string} message - The error message
+ * @param {Object} details - Error details
+ * @param {string} details.code - One of the codes above, or a payload code from push-payload.js
+ * @param {string} details.provider - 'fcm', 'apns', or 'push' for errors before a provider is chosen
+ * @param {number} [details.statusCode] - The provider's HTTP status
+ * @param {string} [details.reason] - The provider's error code (e.g. 'UNREGISTERED', 'BadDeviceToken')
+ * @returns {Error} The error, with code, provider, statusCode and reason set
+ */
+function createPushError(message, details) {
+  const error = new Error(message);
+  error.code = details.code;
+  error.provider = details.provider;
+  if (details.statusCode !== undefined) error.statusCode = details.statusCode;
+  if (details.reason) error.reason = details.reason;
+  return error;
+}
+
+module.exports = {
+  INVALID_DEVICE_TOKEN,
+  PUSH_NOT_CONFIGURED,
+  PUSH_PROVIDER_ERROR,
+  createPushError
+};
@@ -0,0 +1,259 @@
+/**
+ * Push payload model
+ *
+ * One provider-neutral description of a push notification, checked once and
+ * then translated into the FCM HTTP v1 and APNs wire formats. Both providers
+ * reject payloads over 4KB, so the translated payload is size-checked before
+ * it is sent.
+ */
+
+const { createPushError } = require('./push-error');
+
+// The payload fails validation; error.field names the offending field
+const INVALID_PUSH_PAYLOAD = 'INVALID_PUSH_PAYLOAD';
+
+// The translated payload is over the provider's size limit
+const PAYLOAD_TOO_LARGE = 'PAYLOAD_TOO_LARGE';
+
+// FCM limits notification + data to 4096 bytes; APNs limits the JSON body to 4096 bytes
+const MAX_PAYLOAD_BYTES = {
+  fcm: 4096,
+  apns: 4096
+};
+
+const PUSH_PRIORITIES = ['high', 'normal'];
+const PUSH_TYPES = ['alert', 'background'];
+
+// FCM rejects TTLs over 28 days
+const MAX_TTL_SECONDS = 28 * 24 * 60 * 60;
+
+// Data keys FCM reserves for itself
+const RESERVED_DATA_KEYS = /^(from|notification|message_type|google\..*|gcm\..*)$/;
+
+const PAYLOAD_FIELDS = [
+  'title', 'body', 'image', 'url', 'data', 'badge', 'sound',
+  'collapseKey', 'threadId', 'priority', 'ttl', 'pushType'
+];
+
+/**
+ * Throw an INVALID_PUSH_PAYLOAD error for a field
+ * @private
+ */
+function invalid(field, message) {
+  const error = createPushError(`Invalid push payload: ${message}`, { code: INVALID_PUSH_PAYLOAD, provider: 'push' });
+  error.field = field;
+  throw error;
+}
+
+/**
+ * Build and validate a push payload
+ *
+ * The message is either the body text, with the other fields taken from
+ * options, or an object with the fields below (which take precedence over options).
+ *
+ * @param {string|Object} message - The body, or the payload fields
+ * @param {Object} [options={}] - Push options
+ * @param {string} [options.title] - Notification title (options.subject is accepted too)
+ * @param {string} [options.image] - Image URL shown in the notification
+ * @param {string} [options.url] - Deep link opened when the notification is tapped
+ * @param {Object} [options.data] - Custom key/value data for the app
+ * @param {number} [options.badge] - App icon badge count
+ * @param {string} [options.sound] - Sound name, e.g. 'default'
+ * @param {string} [options.collapseKey] - Newer notifications with the same key replace older ones
+ * @param {string} [options.threadId] - Groups notifications together (iOS thread, Android tag)
+ * @param {string} [options.priority='high'] - 'high' or 'normal'
+ * @param {number} [options.ttl] - Seconds the provider keeps the notification for an offline device
+ * @param {string} [options.pushType='alert'] - 'alert', or 'background' for a silent data push
+ * @returns {Object} The payload, with every field above (unset ones as null)
+ * @throws {Error} - With code INVALID_PUSH_PAYLOAD and the offending field
+ */
+function createPushPayload(message, options = {}) {
+  const fields = message && typeof message === 'object'
+    ? { ...options, ...message }
+    : { ...options, body: message };
+
+  const payload = {};
+  PAYLOAD_FIELDS.forEach(field => {
+    payload[field] = fields[field] === undefined ? null : fields[field];
+  });
+  payload.title = payload.title || fields.subject || null;
+  payload.priority = payload.priority || 'high';
+  payload.pushType = payload.pushType || 'alert';
+
+  ['title', 'body', 'image', 'url', 'sound', 'collapseKey', 'threadId'].forEach(field => {
+    if (payload[field] !== null && typeof payload[field] !== 'string') {
+      invalid(field, `${field} must be a string`);
+    }
+  });
+
+  if (!PUSH_TYPES.includes(payload.pushType)) {
+    invalid('pushType', `pushType must be one of: ${PUSH_TYPES.join(', ')}`);
+  }
+
+  if (payload.pushType === 'alert' && !payload.title && !payload.body) {
+    invalid('body', 'an alert needs a title or body');
+  }
+
+  if (!PUSH_PRIORITIES.includes(payload.priority)) {
+    invalid('priority', `priority must be one of: ${PUSH_PRIORITIES.join(', ')}`);
+  }
+
+  if (payload.badge !== null && !(Number.isInteger(payload.badge) && payload.badge >= 0)) {
+    invalid('badge', 'badge must be a non-negative integer');
+  }
+
+  if (payload.ttl !== null && !(Number.isInteger(payload.ttl) && payload.ttl >= 0 && payload.ttl <= MAX_TTL_SECONDS)) {
+    invalid('ttl', `ttl must be a whole number of seconds between 0 and ${MAX_TTL_SECONDS}`);
+  }
+
+  ['image', 'url'].forEach(field => {
+    if (payload[field] !== null && !/^[a-z][a-z0-9+.-]*:/i.test(payload[field])) {
+      invalid(field, `${field} must be an absolute URL (deep links may use the app's scheme)`);
+    }
+  });
+
+  if (payload.data !== null) {
+    if (typeof payload.data !== 'object' || Array.isArray(payload.data)) {
+      invalid('data', 'data must be an object of key/value pairs');
+    }
+    const reserved = Object.keys(payload.data).find(key => RESERVED_DATA_KEYS.test(key) || key === 'aps');
+    if (reserved) {
+      invalid('data', `data key '${reserved}' is reserved`);
+    }
+  }
+
+  return payload;
+}
+
+/**
+ * Translate a payload into an FCM HTTP v1 message
+ *
+ * @param {string|Object} target - The FCM registration token, or { topic } or { condition }
+ * @param {Object} payload - A payload from createPushPayload
+ * @returns {Object} The request body for messages:send
+ */
+function toFcmMessage(target, payload) {
+  const fcmMessage = target && typeof target === 'object' ? { ...target } : { token: target };
+
+  // Background pushes are data-only so the app handles them silently
+  if (payload.pushType === 'alert') {
+    fcmMessage.notification = { body: payload.body || '' };
+    if (payload.title) fcmMessage.notification.title = payload.title;
+    if (payload.image) fcmMessage.notification.image = payload.image;
+  }
+
+  // FCM data values must be strings; the deep link travels as data.url
+  const data = { ...(payload.data || {}) };
+  if (payload.url) data.url = payload.url;
+  if (Object.keys(data).length > 0) {
+    fcmMessage.data = Object.fromEntries(
+      Object.entries(data).map(([key, value]) => [key, typeof value === 'string' ? value : JSON.stringify(value)])
+    );
+  }
+
+  const android = { priority: payload.priority === 'normal' ? 'NORMAL' : 'HIGH' };
+  if (payload.ttl !== null) android.ttl = `${payload.ttl}s`;
+  if (payload.collapseKey) android.collapse_key = payload.collapseKey;
+
+  const notification = {};
+  if (payload.sound) notification.sound = payload.sound;
+  if (payload.threadId) notification.tag = payload.threadId;
+  if (payload.badge !== null) notification.notification_count = payload.badge;
+  if (payload.pushType === 'alert' && Object.keys(notification).length > 0) android.notification = notification;
+
+  fcmMessage.android = android;
+
+  return { message: fcmMessage };
+}
+
+/**
+ * Translate a payload into an APNs request
+ *
+ * @param {Object} payload - A payload from createPushPayload
+ * @returns {Object} { headers, body } with the apns-* headers and the JSON body
+ */
+function toApnsRequest(payload) {
+  const aps = {};
+
+  if (payload.pushType === 'background') {
+    aps['content-available'] = 1;
+  } else {
+    aps.alert = payload.title ? { title: payload.title, body: payload.body || '' } : payload.body;
+    aps.sound = payload.sound || 'default';
+    // Lets a notification service extension download the image
+    if (payload.image) aps['mutable-content'] = 1;
+  }
+
+  if (payload.badge !== null) aps.badge = payload.badge;
+  if (payload.threadId) aps['thread-id'] = payload.threadId;
+
+  // Custom data sits next to aps
+  const body = { ...(payload.data || {}), aps };
+  if (payload.url) body.url = payload.url;
+  if (payload.image) body.image = payload.image;
+
+  const headers = {
+    'apns-push-type': payload.pushType,
+    // Background pushes must use priority 5
+    'apns-priority': payload.priority === 'normal' || payload.pushType === 'background' ? '5' : '10'
+  };
+  if (payload.ttl !== null) headers['apns-expiration'] = String(Math.floor(Date.now() / 1000) + payload.ttl);
+  if (payload.collapseKey) headers['apns-collapse-id'] = payload.collapseKey;
+
+  return { headers, body };
+}
+
+/**
+ * Size in bytes of the part of the payload a provider counts against its limit
+ *
+ * @param {string} provider - 'fcm' or 'apns'
+ * @param {Object} payload - A payload from createPushPayload
+ * @returns {number} The size in bytes
+ */
+function getPayloadSize(provider, payload) {
+  if (provider === 'apns') {
+    return Buffer.byteLength(JSON.stringify(toApnsRequest(payload).body), 'utf8');
+  }
+
+  const { notification = {}, data = {} } = toFcmMessage('', payload).message;
+  return Buffer.byteLength(JSON.stringify({ notification, data }), 'utf8');
+}
+
+/**
+ * Check a payload against the size limits of one or more providers
+ *
+ * @param {Object} payload - A payload from createPushPayload
+ * @param {string|string[]} providers - 'fcm', 'apns', or both
+ * @returns {Object} The size per provider, e.g. { fcm: 212, apns: 187 }
+ * @throws {Error} - With code PAYLOAD_TOO_LARGE if a provider's limit is exceeded
+ */
+function validatePayloadSize(payload, providers) {
+  const sizes = {};
+
+  [].concat(providers).forEach(provider => {
+    sizes[provider] = getPayloadSize(provider, payload);
+
+    if (sizes[provider] > MAX_PAYLOAD_BYTES[provider]) {
+      const error = createPushError(
+        `Push payload is ${sizes[provider]} bytes for ${provider}; the limit is ${MAX_PAYLOAD_BYTES[provider]}`,
+        { code: PAYLOAD_TOO_LARGE, provider }
+      );
+      error.size = sizes[provider];
+      error.limit = MAX_PAYLOAD_BYTES[provider];
+      throw error;
+    }
+  });
+
+  return sizes;
+}
+
+module.exports = {
+  INVALID_PUSH_PAYLOAD,
+  PAYLOAD_TOO_LARGE,
+  MAX_PAYLOAD_BYTES,
+  createPushPayload,
+  toFcmMessage,
+  toApnsRequest,
+  getPayloadSize,
+  validatePayloadSize
+};
@@ -0,0 +1,58 @@
+/**
+ * Errors shared by the SMS provider adapters
+ */
+
+// Credentials or endpoint settings are missing; the next provider is tried
+const SMS_NOT_CONFIGURED = 'SMS_NOT_CONFIGURED';
+
+// The provider says the number can't receive SMS; other providers aren't tried
+const SMS_INVALID_RECIPIENT = 'SMS_INVALID_RECIPIENT';
+
+// The recipient replied STOP to this sender; other providers must not be tried
+const SMS_RECIPIENT_OPTED_OUT = 'SMS_RECIPIENT_OPTED_OUT';
+
+// Any other rejection by the provider; error.reason has the provider's own code
+const SMS_PROVIDER_ERROR = 'SMS_PROVIDER_ERROR';
+
+/**
+ * Create an SMS provider error
+ *
+ * @param {string} message - The error message
+ * @param {Object} details - Error details
+ * @param {string} details.code - One of the codes above
+ * @param {string} details.provider - The provider name, e.g. 'twilio'
+ * @param {number} [details.statusCode] - The provider's HTTP status, when a retry might succeed
+ * @param {string} [details.reason] - The provider's error code (e.g. '21211')
+ * @returns {Error} The error, with code, provider, statusCode and reason set
+ */
+function createSmsError(message, details) {
+  const error = new Error(message);
+  error.code = details.code;
+  error.provider = details.provider;
+  if (details.statusCode !== undefined) error.statusCode = details.statusCode;
+  if (details.reason !== undefined) error.reason = String(details.reason);
+  return error;
+}
+
+/**
+ * Parse a JSON response body, tolerating empty or non-JSON bodies
+ *
+ * @param {string} body - The response body
+ * @returns {Object} The parsed body, or {} if it isn't JSON
+ */
+function parseJson(body) {
+  try {
+    return body ? JSON.parse(body) : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+module.exports = {
+  SMS_NOT_CONFIGURED,
+  SMS_INVALID_RECIPIENT,
+  SMS_RECIPIENT_OPTED_OUT,
+  SMS_PROVIDER_ERROR,
+  createSmsError,
+  parseJson
+};
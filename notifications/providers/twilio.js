@@ -0,0 +1,116 @@
+/**
+ * Twilio SMS Provider Adapter
+ *
+ * Sends SMS through Twilio's Messages REST API with HTTP basic auth. Messages
+ * are sent from TWILIO_FROM_NUMBER, or through a messaging service when
+ * TWILIO_MESSAGING_SERVICE_SID is set. When TWILIO_STATUS_CALLBACK_URL is set,
+ * Twilio posts each message's delivery status updates there. The API URL can
+ * be pointed at a local stand-in server.
+ */
+
+const config = require('../../config');
+const httpClient = require('../http-client');
+const {
+  SMS_NOT_CONFIGURED,
+  SMS_INVALID_RECIPIENT,
+  SMS_RECIPIENT_OPTED_OUT,
+  SMS_PROVIDER_ERROR,
+  createSmsError,
+  parseJson
+} = require('./sms-error');
+
+// Twilio error codes for numbers that can't receive SMS
+// (invalid 'To' number, not a mobile number, not a valid phone number)
+const INVALID_RECIPIENT_CODES = [21211, 21614, 21217];
+
+// The recipient replied STOP to the sending number
+const OPTED_OUT_CODE = 21610;
+
+let settings = { ...config.sms.twilio };
+
+/**
+ * Override Twilio settings, e.g. to use a local stand-in server in tests
+ *
+ * @param {Object} options - Settings to change (accountSid, authToken, fromNumber, messagingServiceSid, apiUrl, statusCallbackUrl)
+ * @returns {Object} The resulting settings, without credentials
+ */
+function configure(options = {}) {
+  settings = { ...settings, ...options };
+  return { apiUrl: settings.apiUrl, fromNumber: settings.fromNumber || null };
+}
+
+/**
+ * List the environment variables still needed to send
+ *
+ * @returns {string[]} The missing variable names
+ */
+function missingSettings() {
+  const missing = [];
+  if (!settings.accountSid) missing.push('TWILIO_ACCOUNT_SID');
+  if (!settings.authToken) missing.push('TWILIO_AUTH_TOKEN');
+  if (!settings.fromNumber && !settings.messagingServiceSid) missing.push('TWILIO_FROM_NUMBER');
+  return missing;
+}
+
+/**
+ * Send an SMS through Twilio
+ *
+ * @param {string} to - The E.164 phone number
+ * @param {string} message - The SMS text
+ * @param {Object} [options={}] - Request options (from, timeoutMs)
+ * @returns {Promise<Object>} { provider, messageId, status, statusCode }
+ * @throws {Error} - With code SMS_NOT_CONFIGURED, SMS_INVALID_RECIPIENT, SMS_RECIPIENT_OPTED_OUT
+ *   or SMS_PROVIDER_ERROR with the HTTP status and Twilio error code
+ */
+async function send(to, message, options = {}) {
+  const missing = missingSettings();
+  if (missing.length > 0) {
+    throw createSmsError(`Twilio is not configured. Set ${missing.join(', ')}`, { code: SMS_NOT_CONFIGURED, provider: 'twilio' });
+  }
+
+  const form = new URLSearchParams({ To: to, Body: message });
+  if (options.from || !settings.messagingServiceSid) {
+    form.set('From', options.from || settings.fromNumber);
+  } else {
+    form.set('MessagingServiceSid', settings.messagingServiceSid);
+  }
+  if (settings.statusCallbackUrl) {
+    form.set('StatusCallback', settings.statusCallbackUrl);
+  }
+
+  const credentials = Buffer.from(`${settings.accountSid}:${settings.authToken}`).toString('base64');
+  const response = await httpClient.request(
+    `${settings.apiUrl}/2010-04-01/Accounts/${encodeURIComponent(settings.accountSid)}/Messages.json`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Authorization: `Basic ${credentials}` },
+      body: form.toString(),
+      timeoutMs: options.timeoutMs || config.sms.timeoutMs
+    }
+  );
+
+  const body = parseJson(response.body);
+
+  if (httpClient.isSuccessStatus(response.statusCode)) {
+    return { provider: 'twilio', messageId: body.sid, status: body.status || 'queued', statusCode: response.statusCode };
+  }
+
+  let code = SMS_PROVIDER_ERROR;
+  if (INVALID_RECIPIENT_CODES.includes(body.code)) code = SMS_INVALID_RECIPIENT;
+  if (body.code === OPTED_OUT_CODE) code = SMS_RECIPIENT_OPTED_OUT;
+
+  throw createSmsError(`Twilio rejected the SMS (${body.code || `HTTP ${response.statusCode}`}): ${body.message || 'no error message'}`, {
+    code,
+    provider: 'twilio',
+    // Recipient errors won't succeed on a retry
+    statusCode: code === SMS_PROVIDER_ERROR ? response.statusCode : undefined,
+    reason: body.code || `HTTP_${response.statusCode}`
+  });
+}
+
+module.exports = {
+  name: 'twilio',
+  configure,
+  missingSettings,
+  send
+};
@@ -0,0 +1,111 @@
+/**
+ * Vonage (Nexmo) SMS Provider Adapter
+ *
+ * Sends SMS through the Vonage SMS API. Vonage answers HTTP 200 even for
+ * rejected messages; the outcome is in each message's `status` field, "0"
+ * meaning accepted. UCS-2 messages are sent with type "unicode". The API URL
+ * can be pointed at a local stand-in server.
+ */
+
+const config = require('../../config');
+const httpClient = require('../http-client');
+const {
+  SMS_NOT_CONFIGURED,
+  SMS_INVALID_RECIPIENT,
+  SMS_PROVIDER_ERROR,
+  createSmsError,
+  parseJson
+} = require('./sms-error');
+
+// Vonage statuses worth retrying, as the HTTP status they correspond to
+const RETRYABLE_STATUSES = {
+  1: 429, // Throttled
+  5: 500  // Internal error
+};
+
+// Vonage statuses for numbers that can't receive SMS (number barred, number deactivated)
+const INVALID_RECIPIENT_STATUSES = ['7', '33'];
+
+let settings = { ...config.sms.vonage };
+
+/**
+ * Override Vonage settings, e.g. to use a local stand-in server in tests
+ *
+ * @param {Object} options - Settings to change (apiKey, apiSecret, from, apiUrl)
+ * @returns {Object} The resulting settings, without credentials
+ */
+function configure(options = {}) {
+  settings = { ...settings, ...options };
+  return { apiUrl: settings.apiUrl, from: settings.from || null };
+}
+
+/**
+ * List the environment variables still needed to send
+ *
+ * @returns {string[]} The missing variable names
+ */
+function missingSettings() {
+  const missing = [];
+  if (!settings.apiKey) missing.push('VONAGE_API_KEY');
+  if (!settings.apiSecret) missing.push('VONAGE_API_SECRET');
+  if (!settings.from) missing.push('VONAGE_FROM');
+  return missing;
+}
+
+/**
+ * Send an SMS through Vonage
+ *
+ * @param {string} to - The E.164 phone number
+ * @param {string} message - The SMS text
+ * @param {Object} [options={}] - Request options (from, encoding, timeoutMs)
+ * @returns {Promise<Object>} { provider, messageId, status, statusCode }
+ * @throws {Error} - With code SMS_NOT_CONFIGURED, SMS_INVALID_RECIPIENT or SMS_PROVIDER_ERROR
+ *   with the Vonage status as the reason
+ */
+async function send(to, message, options = {}) {
+  const missing = missingSettings();
+  if (missing.length > 0) {
+    throw createSmsError(`Vonage is not configured. Set ${missing.join(', ')}`, { code: SMS_NOT_CONFIGURED, provider: 'vonage' });
+  }
+
+  const response = await httpClient.postJson(`${settings.apiUrl}/sms/json`, {
+    api_key: settings.apiKey,
+    api_secret: settings.apiSecret,
+    from: options.from || settings.from,
+    // Vonage takes numbers without the leading +
+    to: to.replace(/^\+/, ''),
+    text: message,
+    type: options.encoding === 'UCS-2' ? 'unicode' : 'text'
+  }, { timeoutMs: options.timeoutMs || config.sms.timeoutMs });
+
+  const body = parseJson(response.body);
+  const result = (body.messages || [])[0];
+
+  if (!httpClient.isSuccessStatus(response.statusCode) || !result) {
+    throw createSmsError(`Vonage request failed with HTTP ${response.statusCode}`, {
+      code: SMS_PROVIDER_ERROR,
+      provider: 'vonage',
+      statusCode: response.statusCode,
+      reason: `HTTP_${response.statusCode}`
+    });
+  }
+
+  if (String(result.status) === '0') {
+    return { provider: 'vonage', messageId: result['message-id'], status: 'accepted', statusCode: response.statusCode };
+  }
+
+  const status = String(result.status);
+  throw createSmsError(`Vonage rejected the SMS (status ${status}): ${result['error-text'] || 'no error message'}`, {
+    code: INVALID_RECIPIENT_STATUSES.includes(status) ? SMS_INVALID_RECIPIENT : SMS_PROVIDER_ERROR,
+    provider: 'vonage',
+    statusCode: RETRYABLE_STATUSES[status],
+    reason: status
+  });
+}
+
+module.exports = {
+  name: 'vonage',
+  configure,
+  missingSettings,
+  send
+};
@@ -0,0 +1,374 @@
+/**
+ * Push Topics Module
+ *
+ * Topic and condition targeting for the push channel. A push whose recipient
+ * is a topic ('/topics/news' or { topic: 'news' }) or a condition
+ * ({ condition: "'news' in topics && !('muted' in topics)" }) goes to every
+ * device subscribed in the topic store (topic-store.js).
+ *
+ * APNs has no topics, so iOS subscribers are always sent to one by one: the
+ * subscribers are split into batches and each batch is sent with limited
+ * concurrency. Android subscribers are fanned out the same way unless native
+ * FCM topics are enabled (PUSH_FCM_NATIVE_TOPICS=true); then one FCM request
+ * reaches them all, and subscriptions are mirrored to FCM when they change.
+ */
+
+const config = require('../config');
+const topicStore = require('../topic-store');
+const fcm = require('./providers/fcm');
+const { INVALID_DEVICE_TOKEN } = require('./providers/push-error');
+
+const TOPIC_PREFIX = '/topics/';
+const CONDITION_PREFIX = 'condition:';
+
+// FCM accepts at most five topics in a condition
+const MAX_CONDITION_TOPICS = 5;
+
+// Failures kept in a broadcast result; the counts cover all of them
+const MAX_REPORTED_FAILURES = 100;
+
+/**
+ * Split a condition into tokens
+ * @private
+ */
+function tokenizeCondition(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:'([^']*)'|"([^"]*)"|(&&|\|\||!|\(|\))|(in)\b|(topics)\b|(\S))/gy;
+  let match;
+
+  while (pattern.lastIndex < expression.length && (match = pattern.exec(expression))) {
+    if (match[1] !== undefined || match[2] !== undefined) {
+      tokens.push({ type: 'name', value: match[1] !== undefined ? match[1] : match[2] });
+    } else if (match[3]) {
+      tokens.push({ type: match[3] });
+    } else if (match[4]) {
+      tokens.push({ type: 'in' });
+    } else if (match[5]) {
+      tokens.push({ type: 'topics' });
+    } else if (match[6]) {
+      throw new Error(`Unexpected '${match[6]}' in topic condition`);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a topic condition in FCM syntax
+ *
+ * Supports 'name' in topics, &&, ||, ! and parentheses, with && binding
+ * tighter than ||.
+ *
+ * @param {string} expression - e.g. "'news' in topics && ('sports' in topics || 'weather' in topics)"
+ * @returns {Object} { expression, topics, test(topicSet) }
+ * @throws {Error} - If the condition is malformed or names more than five topics
+ */
+function parseCondition(expression) {
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    throw new Error('Topic condition must be a non-empty string');
+  }
+
+  const tokens = tokenizeCondition(expression);
+  const topics = new Set();
+  let position = 0;
+
+  const peek = () => tokens[position] || { type: 'end' };
+  const expect = type => {
+    const token = peek();
+    if (token.type !== type) {
+      throw new Error(`Expected ${type === 'name' ? 'a quoted topic name' : `'${type}'`} in topic condition, found '${token.value || token.type}'`);
+    }
+    position++;
+    return token;
+  };
+
+  // Each parse function returns a predicate over a set of topic names
+  function parseOr() {
+    let left = parseAnd();
+    while (peek().type === '||') {
+      position++;
+      const right = parseAnd();
+      const previous = left;
+      left = set => previous(set) || right(set);
+    }
+    return left;
+  }
+
+  function parseAnd() {
+    let left = parseUnary();
+    while (peek().type === '&&') {
+      position++;
+      const right = parseUnary();
+      const previous = left;
+      left = set => previous(set) && right(set);
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    if (peek().type === '!') {
+      position++;
+      const operand = parseUnary();
+      return set => !operand(set);
+    }
+
+    if (peek().type === '(') {
+      position++;
+      const inner = parseOr();
+      expect(')');
+      return inner;
+    }
+
+    const name = expect('name').value;
+    expect('in');
+    expect('topics');
+
+    if (!topicStore.isValidTopicName(name)) {
+      throw new Error(`Invalid topic name '${name}' in topic condition`);
+    }
+    topics.add(name);
+    return set => set.has(name);
+  }
+
+  const test = parseOr();
+  if (peek().type !== 'end') {
+    throw new Error(`Unexpected '${peek().value || peek().type}' in topic condition`);
+  }
+
+  if (topics.size > MAX_CONDITION_TOPICS) {
+    throw new Error(`Topic conditions can name at most ${MAX_CONDITION_TOPICS} topics`);
+  }
+
+  return { expression: expression.trim(), topics: Array.from(topics), test };
+}
+
+/**
+ * Work out whether a push recipient is a topic or condition
+ *
+ * @param {string|Object} recipient - A device token, '/topics/<name>', 'condition:<expression>',
+ *   { topic } or { condition }
+ * @returns {Object|null} { topic } or { condition }, or null for a device token
+ */
+function parseTarget(recipient) {
+  if (recipient && typeof recipient === 'object') {
+    if (recipient.topic) return { topic: recipient.topic };
+    if (recipient.condition) return { condition: recipient.condition };
+    return null;
+  }
+
+  if (typeof recipient !== 'string') return null;
+  if (recipient.startsWith(TOPIC_PREFIX)) return { topic: recipient.slice(TOPIC_PREFIX.length) };
+  if (recipient.startsWith(CONDITION_PREFIX)) return { condition: recipient.slice(CONDITION_PREFIX.length).trim() };
+  return null;
+}
+
+/**
+ * String form of a push recipient, used by the dispatcher for logs, queues and rate limits
+ *
+ * @param {string|Object} recipient - A device token or topic target
+ * @returns {string} The token, '/topics/<name>' or 'condition:<expression>'
+ */
+function formatTarget(recipient) {
+  const target = parseTarget(recipient);
+  if (!target) return recipient;
+  return target.topic ? `${TOPIC_PREFIX}${target.topic}` : `${CONDITION_PREFIX}${target.condition}`;
+}
+
+/**
+ * Check a topic target, for use in the push channel's recipient validator
+ *
+ * @param {Object} target - { topic } or { condition }
+ * @returns {Object} { isValid, errorMessage }
+ */
+function validateTarget(target) {
+  try {
+    if (target.topic !== undefined && !topicStore.isValidTopicName(target.topic)) {
+      throw new Error(`Invalid topic name '${target.topic}'. Use letters, digits and -_.~%`);
+    }
+    if (target.condition !== undefined) {
+      parseCondition(target.condition);
+    }
+    return { isValid: true, errorMessage: null };
+  } catch (error) {
+    return { isValid: false, errorMessage: error.message };
+  }
+}
+
+/**
+ * Find the subscribed devices a target reaches
+ *
+ * @param {Object} target - { topic } or { condition }
+ * @returns {Array<Object>} [{ token, platform }]
+ */
+function resolveSubscribers(target) {
+  if (target.topic) {
+    return topicStore.getSubscribers(target.topic).map(({ token, platform }) => ({ token, platform }));
+  }
+
+  const condition = parseCondition(target.condition);
+  return topicStore.getAllSubscriptions()
+    .filter(subscription => condition.test(new Set(subscription.topics)))
+    .map(({ token, platform }) => ({ token, platform }));
+}
+
+/**
+ * Whether Android subscribers are reached through native FCM topics
+ * @private
+ */
+function useNativeFcm(options) {
+  return options.nativeTopics !== undefined ? options.nativeTopics === true : config.push.topics.nativeFcm;
+}
+
+/**
+ * Run tasks with at most `concurrency` in flight
+ * @private
+ */
+async function runWithConcurrency(items, concurrency, task) {
+  let next = 0;
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await task(item);
+    }
+  });
+  await Promise.all(workers);
+}
+
+/**
+ * Send a push to every device a topic or condition reaches
+ *
+ * @param {Object} target - { topic } or { condition }
+ * @param {Object} payload - The push payload (see providers/push-payload.js)
+ * @param {Object} options - Push options
+ * @param {boolean} [options.mockMode] - Count recipients without sending
+ * @param {boolean} [options.nativeTopics] - Override PUSH_FCM_NATIVE_TOPICS for this send
+ * @param {number} [options.batchSize] - Override PUSH_FANOUT_BATCH_SIZE
+ * @param {number} [options.concurrency] - Override PUSH_FANOUT_CONCURRENCY
+ * @param {Function} sendToDevice - async (token, providerName) => delivery, sends to one device
+ * @returns {Promise<Object>} { target, recipients, sent, failed, invalidTokens, failures, batches, native }
+ */
+async function broadcast(target, payload, options, sendToDevice) {
+  const targetName = formatTarget(target);
+  const subscribers = resolveSubscribers(target);
+  const nativeFcm = useNativeFcm(options);
+  const fanOut = nativeFcm ? subscribers.filter(subscriber => subscriber.platform !== 'android') : subscribers;
+
+  const result = {
+    target: targetName,
+    recipients: subscribers.length,
+    sent: 0,
+    failed: 0,
+    invalidTokens: [],
+    failures: [],
+    batches: 0,
+    native: null
+  };
+
+  // One FCM request covers every Android subscriber
+  const nativeRecipients = subscribers.length - fanOut.length;
+  if (nativeFcm && nativeRecipients > 0) {
+    if (options.mockMode) {
+      result.native = { provider: 'fcm', messageId: null, recipients: nativeRecipients };
+    } else {
+      const delivery = await fcm.send(target.topic ? { topic: target.topic } : { condition: target.condition }, payload, options);
+      result.native = { provider: 'fcm', messageId: delivery.messageId, recipients: nativeRecipients };
+    }
+    result.sent += nativeRecipients;
+  }
+
+  const batchSize = options.batchSize || config.push.topics.fanoutBatchSize;
+  const concurrency = options.concurrency || config.push.topics.fanoutConcurrency;
+
+  for (let start = 0; start < fanOut.length; start += batchSize) {
+    const batch = fanOut.slice(start, start + batchSize);
+    result.batches++;
+
+    await runWithConcurrency(batch, concurrency, async ({ token, platform }) => {
+      if (options.mockMode) {
+        result.sent++;
+        return;
+      }
+
+      try {
+        await sendToDevice(token, platform === 'ios' ? 'apns' : 'fcm');
+        result.sent++;
+      } catch (error) {
+        result.failed++;
+        if (result.failures.length < MAX_REPORTED_FAILURES) {
+          result.failures.push({ token, errorCode: error.code || 'SEND_FAILED', error: error.message });
+        }
+
+        // Tokens the provider has disowned won't work for any topic again
+        if (error.code === INVALID_DEVICE_TOKEN) {
+          topicStore.removeToken(token);
+          result.invalidTokens.push(token);
+        }
+      }
+    });
+
+    console.log(`[INFO] [channel=push] [recipient=${targetName}] Fan-out batch ${result.batches}: ${batch.length} devices, ${result.sent} sent and ${result.failed} failed so far`);
+  }
+
+  return result;
+}
+
+/**
+ * Subscribe device tokens to a topic
+ *
+ * With native FCM topics enabled, Android tokens are also subscribed on FCM.
+ *
+ * @param {string|string[]} tokens - One or more device tokens
+ * @param {string} topic - The topic name
+ * @param {Object} options - Subscription options
+ * @param {string} options.platform - 'ios' or 'android'
+ * @param {boolean} [options.nativeTopics] - Override PUSH_FCM_NATIVE_TOPICS
+ * @returns {Promise<Object>} { topic, subscribed, fcm } where fcm is the FCM result when mirrored
+ */
+async function subscribeToTopic(tokens, topic, options = {}) {
+  const result = topicStore.subscribe(tokens, topic, options);
+
+  if (String(options.platform).toLowerCase() === 'android' && useNativeFcm(options) && process.env.PUSH_MOCK_MODE !== 'true') {
+    result.fcm = await fcm.subscribeToTopic([].concat(tokens), topic, options);
+  }
+
+  return result;
+}
+
+/**
+ * Unsubscribe device tokens from a topic
+ *
+ * With native FCM topics enabled, Android tokens are also unsubscribed on FCM.
+ *
+ * @param {string|string[]} tokens - One or more device tokens
+ * @param {string} topic - The topic name
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.nativeTopics] - Override PUSH_FCM_NATIVE_TOPICS
+ * @returns {Promise<Object>} { topic, unsubscribed, fcm } where fcm is the FCM result when mirrored
+ */
+async function unsubscribeFromTopic(tokens, topic, options = {}) {
+  const tokenList = [].concat(tokens);
+  const androidTokens = topicStore.getSubscribers(topic)
+    .filter(subscriber => subscriber.platform === 'android' && tokenList.includes(subscriber.token))
+    .map(subscriber => subscriber.token);
+
+  const result = topicStore.unsubscribe(tokenList, topic);
+
+  if (androidTokens.length > 0 && useNativeFcm(options) && process.env.PUSH_MOCK_MODE !== 'true') {
+    result.fcm = await fcm.unsubscribeFromTopic(androidTokens, topic, options);
+  }
+
+  return result;
+}
+
+module.exports = {
+  parseCondition,
+  parseTarget,
+  formatTarget,
+  validateTarget,
+  resolveSubscribers,
+  broadcast,
+  subscribeToTopic,
+  unsubscribeFromTopic,
+  listTopics: topicStore.listTopics,
+  getTopicsForToken: topicStore.getTopicsForToken
+};
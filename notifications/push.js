@@ -9,60 +9,183 @@
 // Import error handler
 const errorHandler = require('../error-handler');
 const logger = require('../logger');
+const pushPayload = require('./providers/push-payload');
+const pushTopics = require('./push-topics');
+const deviceRegistry = require('../device-registry');
+const topicStore = require('../topic-store');
+const { INVALID_DEVICE_TOKEN } = require('./providers/push-error');
+
+// Provider adapters used outside mock mode
+const pushProviders = {
+  fcm: require('./providers/fcm'),
+  apns: require('./providers/apns')
+};
+
+// Provider for each device platform, unless options.provider names one
+const PLATFORM_PROVIDERS = {
+  ios: 'apns',
+  android: 'fcm'
+};
+
 /**
- * Internal implementation of push notification sending functionality
- * 
- * @param {string} recipient - Device token or user identifier
- * @param {string} message - The message to be sent
- * @param {Object} options - Additional options for the push notification
- * @returns {Promise<Object>} - Promise resolving to the result of the operation
- * @throws {Error} - If something goes wrong during sending
+ * Pick the provider adapter for a notification
+ *
+ * @param {Object} [options={}] - Push options with platform ('ios' or 'android') or provider ('fcm' or 'apns')
+ * @returns {string|null} 'fcm', 'apns', or null if neither option identifies one
+ */
+function resolvePushProvider(options = {}) {
+  if (options.provider && pushProviders[options.provider]) {
+    return options.provider;
+  }
+  return PLATFORM_PROVIDERS[String(options.platform || '').toLowerCase()] || null;
+}
+
+/**
+ * Provider name for rate limits and circuit breakers
+ *
+ * @param {string|Object} recipient - The device token or topic target
+ * @param {Object} [options={}] - Push options
+ * @returns {string} 'fcm', 'apns', or 'push' for topic broadcasts and unknown platforms
+ */
+function getProviderName(recipient, options = {}) {
+  // A broadcast spans both providers
+  if (pushTopics.parseTarget(recipient)) {
+    return 'push';
+  }
+  return resolvePushProvider(options) || 'push';
+}
+
+/**
+ * Validate a push recipient: a device token, or a topic or condition target
+ *
+ * @param {string|Object} recipient - The device token or topic target
+ * @returns {Object} { isValid, errorMessage }
  */
-async function _sendPush(recipient, message, options = {}) {
-  // In a real implementation, this would use a push notification service like Firebase
-  // For example: 
-  // - Firebase Cloud Messaging (FCM)
-  // - Apple Push Notification service (APNs)
-  // - OneSignal, etc.
-  
-  // Simulating potential errors that might occur
-  if (Math.random() < 0.1) {  // 10% chance of random error for demo purposes
-    throw new Error('Simulated push notification delivery failure');
+function validateRecipient(recipient) {
+  const target = pushTopics.parseTarget(recipient);
+  if (target) {
+    return pushTopics.validateTarget(target);
+  }
+
+  return typeof recipient === 'string' && recipient.trim() !== ''
+    ? { isValid: true, errorMessage: null }
+    : { isValid: false, errorMessage: 'Device token/ID cannot be empty for push notifications' };
+}
+
+/**
+ * Forget a token the provider has reported as invalid, in the device registry and every topic
+ * @private
+ */
+function pruneInvalidToken(token) {
+  deviceRegistry.removeToken(token);
+  topicStore.removeToken(token);
+}
+
+/**
+ * Send a push to every device subscribed to a topic or matching a condition
+ * @private
+ */
+async function broadcastPush(target, payload, options, mockMode) {
+  // Subscribers may be on either platform
+  const payloadSizes = pushPayload.validatePayloadSize(payload, Object.keys(pushProviders));
+
+  const broadcast = await pushTopics.broadcast(target, payload, { ...options, mockMode }, (token, providerName) =>
+    pushProviders[providerName].send(token, payload, options)
+  );
+
+  broadcast.invalidTokens.forEach(pruneInvalidToken);
+
+  if (broadcast.recipients > 0 && broadcast.sent === 0) {
+    const error = new Error(`Push broadcast to ${broadcast.target} failed for all ${broadcast.recipients} devices`);
+    error.code = 'BROADCAST_FAILED';
+    error.broadcast = broadcast;
+    throw error;
   }
-  
-  // Simulate network delay
-  await new Promise(resolve => setTimeout(resolve, 100));
-  
-  // Return a success result
+
+  const text = payload.body || payload.title || '';
+  const messageId = broadcast.native && broadcast.native.messageId
+    ? broadcast.native.messageId
+    : `push-broadcast-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+
+  logger.logPush(broadcast.target, text, {
+    ...options,
+    simulated: mockMode,
+    messageId,
+    status: 'sent'
+  });
+
   return {
-    channel: 'push',
-    recipient,
-    messageId: `push_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+    type: 'push',
+    recipient: broadcast.target,
+    message: text.length > 30 ? `${text.substring(0, 30)}...` : text,
+    messageId,
+    provider: null,
     timestamp: new Date(),
     status: 'sent',
-    success: true
+    simulated: mockMode,
+    payloadSize: payloadSizes,
+    ...(mockMode ? { payload } : {}),
+    broadcast
   };
 }
+
+/**
+ * Send a push notification
+ *
+ * A recipient of '/topics/<name>', 'condition:<expression>', { topic } or
+ * { condition } is broadcast to the subscribed devices (see push-topics.js);
+ * the result then carries a broadcast summary.
+ *
+ * @param {string|Object} recipient - The device token, or a topic or condition target
+ * @param {string|Object} message - The body, or the payload fields ({ title, body, image, url, data, ... })
+ * @param {Object} options - Additional options: payload fields (see push-payload.js) plus platform,
+ *   provider, appVersion, topic and timeoutMs
+ * @returns {Promise<Object>} - Promise resolving to the result of the operation
+ * @throws {Error} - With code INVALID_PUSH_PAYLOAD, PAYLOAD_TOO_LARGE, UNSUPPORTED_PLATFORM,
+ *   BROADCAST_FAILED or a provider error code
+ */
 async function sendPush(recipient, message, options = {}) {
   try {
     // Check if we're in mock mode
     const mockMode = process.env.PUSH_MOCK_MODE === 'true' || options.mockMode === true;
     
+    const target = pushTopics.parseTarget(recipient);
+    if (target) {
+      return await broadcastPush(target, pushPayload.createPushPayload(message, options), options, mockMode);
+    }
+    
     // Simulate error for testing (if requested)
     if (recipient.includes('error') || (options.simulateError === true)) {
       throw new Error('Simulated push notification failure');
     }
     
+    // Validate the payload and check it fits the provider, or both providers when the platform is unknown
+    const payload = pushPayload.createPushPayload(message, options);
+    const providerName = resolvePushProvider(options);
+    const payloadSizes = pushPayload.validatePayloadSize(payload, providerName || Object.keys(pushProviders));
+    
     // Simulate a delay that might happen with real push notifications
     if (options.delay) {
       await new Promise(resolve => setTimeout(resolve, options.delay));
     }
     
-    // Generate a message ID for tracking
-    const messageId = `push-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+    // In real mode, hand the notification to the platform's provider
+    let delivery = null;
+    if (!mockMode) {
+      if (!providerName) {
+        const error = new Error(`Push platform '${options.platform || 'unknown'}' is not supported. Set options.platform to 'ios' or 'android'`);
+        error.code = 'UNSUPPORTED_PLATFORM';
+        throw error;
+      }
+      delivery = await pushProviders[providerName].send(recipient, payload, options);
+    }
+    
+    // Use the provider's message ID, or generate one for simulated sends
+    const messageId = delivery ? delivery.messageId : `push-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+    const text = payload.body || payload.title || '';
     
     // Log the outgoing notification
-    logger.logPush(recipient, message, {
+    logger.logPush(recipient, text, {
       ...options,
       simulated: mockMode,
       messageId,
@@ -73,33 +196,37 @@ async function sendPush(recipient, message, options = {}) {
       }
     });
     
-    // In a real implementation, this would send an actual push notification
-    if (!mockMode) {
-      // Here we would integrate with an actual push notification service
-      // For example: await firebaseAdmin.messaging().send({ token: recipient, ... })
-    }
-    
     // Return a response like a real push notification service might
     return {
       type: 'push',
       recipient,
-      message: message.length > 30 ? `${message.substring(0, 30)}...` : message,
+      message: text.length > 30 ? `${text.substring(0, 30)}...` : text,
       messageId,
+      provider: delivery ? delivery.provider : null,
       timestamp: new Date(),
       status: 'sent',
       simulated: mockMode,
+      payloadSize: payloadSizes,
+      // Mock sends show what would have been sent
+      ...(mockMode ? { payload } : {}),
       deviceInfo: {
         platform: options.platform || 'unknown',
         appVersion: options.appVersion || 'unknown'
       }
     };
   } catch (error) {
+    // The token will never work again
+    if (error.code === INVALID_DEVICE_TOKEN && typeof recipient === 'string') {
+      pruneInvalidToken(recipient);
+    }
+    
     // Log the failed notification
-    logger.logPush(recipient, message, {
+    logger.logPush(pushTopics.formatTarget(recipient), message && typeof message === 'object' ? message.body || message.title || '' : message, {
       ...options,
       simulated: false,
       status: 'failed',
-      error: error.message
+      error: error.message,
+      errorCode: error.code
     });
     
     // Let the error propagate to be handled by the error handler wrapper
@@ -110,62 +237,17 @@ async function sendPush(recipient, message, options = {}) {
 // Apply centralized error handling wrapper
 const send = errorHandler.withErrorHandling(sendPush, 'push');
 
-
-// /**
-//  * Send a push notification with error handling
-//  * 
-//  * @param {string} recipient - Device token or user identifier
-//  * @param {string} message - The message to be sent
-//  * @param {Object} options - Additional options for the push notification
-//  * @returns {Promise<Object>} - Promise resolving to the result of the operation
-//  */
-// async function send(recipient, message, options = {}) {
-//   // Additional context information for logging
-//   const contextInfo = {
-//     messageLength: message ? message.length : 0,
-//     hasOptions: options && Object.keys(options).length > 0,
-//     pushType: options.pushType || 'standard',
-//     priority: options.priority || 'normal',
-//     timestamp: new Date().toISOString()
-//   };
-  
-//   try {
-//     // Log the attempt
-//     console.log(`[INFO] [channel=PUSH] [recipient=${recipient}] Sending push notification with priority ${contextInfo.priority}`);
-    
-//     // Send the push notification
-//     const result = await _sendPush(recipient, message, options);
-    
-//     // Return the successful result
-//     return {
-//       ...result,
-//       success: true
-//     };
-//   } catch (error) {
-//     // Use the error handler to log the error with all context
-//     return errorHandler.createErrorResponse(
-//       'push',
-//       recipient,
-//       error,
-//       {
-//         ...contextInfo,
-//         messagePreview: message ? message.substring(0, 30) + '...' : null
-//       }
-//     );
-//   }
-// }
-
-// Create a wrapped version that includes error handling directly
-const sendWithErrorHandling = errorHandler.withErrorHandling(
-  _sendPush,
-  'push',
-  null,  // recipient will be provided when called
-  { source: 'push_module' }
-);
-
 module.exports = {
+  PLATFORM_PROVIDERS,
   sendPush,
   send,
-  // Also export the pre-wrapped version for direct use
-  sendWithErrorHandling
+  resolvePushProvider,
+  getProviderName,
+  validateRecipient,
+  subscribeToTopic: pushTopics.subscribeToTopic,
+  unsubscribeFromTopic: pushTopics.unsubscribeFromTopic,
+  listTopics: pushTopics.listTopics,
+  configureFcm: pushProviders.fcm.configureFcm,
+  configureApns: pushProviders.apns.configureApns,
+  closeApnsSessions: pushProviders.apns.closeSessions
 };
\ No newline at end of file
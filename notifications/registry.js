@@ -0,0 +1,307 @@
+/**
+ * Channel Provider Registry
+ *
+ * Single source of truth for the notification channels the system can send
+ * through. A channel is registered with a recipient validator, a sender,
+ * capability metadata and a mock/real mode. The dispatcher, the core
+ * notification system (notifications/index.js) and index.js all look channels
+ * up here, so a channel registered once works from every entry point.
+ */
+
+const errorHandler = require('../error-handler');
+
+const CHANNEL_MODES = {
+  MOCK: 'mock',
+  REAL: 'real'
+};
+
+const DEFAULT_CAPABILITIES = {
+  maxLength: null,
+  supportsHtml: false,
+  supportsAttachments: false,
+  supportsSubject: false
+};
+
+// Registered channels keyed by lowercase name
+const channels = new Map();
+
+/**
+ * Work out a channel's default mode from the environment
+ * @private
+ * @param {string} name - The channel name
+ * @returns {string} 'mock' or 'real'
+ */
+function resolveDefaultMode(name) {
+  const prefix = name.toUpperCase();
+  const mockRequested = process.env[`${prefix}_MODE`] === CHANNEL_MODES.MOCK ||
+    process.env[`${prefix}_MOCK_MODE`] === 'true';
+
+  return mockRequested ? CHANNEL_MODES.MOCK : CHANNEL_MODES.REAL;
+}
+
+/**
+ * Register a channel, replacing any channel with the same name
+ *
+ * @param {string} name - The channel name (e.g. 'email', 'webhook')
+ * @param {Object} definition - The channel definition
+ * @param {Function} definition.send - Async sender receiving (recipient, message, options)
+ * @param {Function} [definition.validate] - Recipient validator returning { isValid, errorMessage }
+ * @param {Function} [definition.mockSend] - Sender used in mock mode; otherwise send gets options.mockMode = true
+ * @param {Function} [definition.formatRecipient] - Turns non-string recipients (e.g. a push subscription
+ *   object) into the string the dispatcher logs, queues and rate-limits by
+ * @param {Object} [definition.capabilities] - { maxLength, supportsHtml, supportsAttachments, supportsSubject, ... }
+ * @param {string|Function} [definition.provider] - Default provider name, used for rate limits and circuit
+ *   breakers, or a function receiving (recipient, options) that returns one
+ * @param {boolean} [definition.failover] - The sender fails over between providers itself and checks each
+ *   one's rate limit and circuit breaker as it tries it; in real mode the dispatcher then skips its own
+ *   provider checks
+ * @param {Function} [definition.prepareOptions] - Receives the options once per dispatch and returns the
+ *   options every attempt is sent with (e.g. to fix an ID that retries must reuse)
+ * @param {string} [definition.mode] - 'mock' or 'real' (defaults to <NAME>_MODE / <NAME>_MOCK_MODE)
+ * @returns {Object} The registered channel
+ * @throws {Error} - If the name or sender is missing
+ */
+function registerChannel(name, definition = {}) {
+  if (!name || typeof name !== 'string') {
+    throw new Error('Channel name is required');
+  }
+
+  if (typeof definition.send !== 'function') {
+    throw new Error(`Channel '${name}' must have a send function`);
+  }
+
+  const channelName = name.toLowerCase();
+  const mode = definition.mode || resolveDefaultMode(channelName);
+
+  if (!Object.values(CHANNEL_MODES).includes(mode)) {
+    throw new Error(`Invalid mode '${mode}' for channel '${channelName}'. Must be 'mock' or 'real'`);
+  }
+
+  const channel = {
+    name: channelName,
+    provider: definition.provider || channelName,
+    capabilities: { ...DEFAULT_CAPABILITIES, ...(definition.capabilities || {}) },
+    mode,
+    validate: definition.validate || (() => ({ isValid: true, errorMessage: null })),
+    formatRecipient: definition.formatRecipient || null,
+    prepareOptions: definition.prepareOptions || null,
+    failover: definition.failover === true,
+    // Senders report failures with the standard { success: false, error } response
+    send: errorHandler.withErrorHandling(definition.send, channelName),
+    mockSend: definition.mockSend ? errorHandler.withErrorHandling(definition.mockSend, channelName) : null
+  };
+
+  channels.set(channelName, channel);
+  return channel;
+}
+
+/**
+ * Remove a channel
+ *
+ * @param {string} name - The channel name
+ * @returns {boolean} True if the channel was registered
+ */
+function unregisterChannel(name) {
+  return !!name && channels.delete(name.toLowerCase());
+}
+
+/**
+ * Get a registered channel
+ *
+ * @param {string} name - The channel name (case-insensitive)
+ * @returns {Object|null} The channel, or null if it isn't registered
+ */
+function getChannel(name) {
+  return (name && channels.get(name.toLowerCase())) || null;
+}
+
+/**
+ * Check whether a channel is registered
+ *
+ * @param {string} name - The channel name (case-insensitive)
+ * @returns {boolean} True if registered
+ */
+function hasChannel(name) {
+  return !!getChannel(name);
+}
+
+/**
+ * List registered channel names
+ *
+ * @returns {string[]} Channel names in registration order
+ */
+function listChannels() {
+  return Array.from(channels.keys());
+}
+
+/**
+ * Get a channel's capability metadata
+ *
+ * @param {string} name - The channel name
+ * @returns {Object|null} The capabilities, or null if the channel isn't registered
+ */
+function getCapabilities(name) {
+  const channel = getChannel(name);
+  return channel ? { ...channel.capabilities } : null;
+}
+
+/**
+ * Switch a channel between mock and real sending
+ *
+ * @param {string} name - The channel name
+ * @param {string} mode - 'mock' or 'real'
+ * @returns {boolean} True if the channel was registered
+ * @throws {Error} - If the mode is invalid
+ */
+function setChannelMode(name, mode) {
+  if (!Object.values(CHANNEL_MODES).includes(mode)) {
+    throw new Error(`Invalid channel mode '${mode}'. Must be 'mock' or 'real'`);
+  }
+
+  const channel = getChannel(name);
+  if (!channel) return false;
+
+  channel.mode = mode;
+  return true;
+}
+
+/**
+ * Get a channel's current mode
+ *
+ * @param {string} name - The channel name
+ * @returns {string|null} 'mock' or 'real', or null if the channel isn't registered
+ */
+function getChannelMode(name) {
+  const channel = getChannel(name);
+  return channel ? channel.mode : null;
+}
+
+/**
+ * Convert a recipient to the channel's string form
+ *
+ * @param {string} name - The channel name
+ * @param {*} recipient - The recipient as given by the caller
+ * @returns {*} The formatted recipient, or the recipient unchanged if the channel has no formatter
+ */
+function formatRecipient(name, recipient) {
+  const channel = getChannel(name);
+  return channel && channel.formatRecipient ? channel.formatRecipient(recipient) : recipient;
+}
+
+/**
+ * Prepare a dispatch's options before its first attempt
+ *
+ * @param {string} name - The channel name
+ * @param {Object} [options={}] - The options as given by the caller
+ * @returns {Object} The options to send every attempt with, or the options unchanged
+ *   if the channel has no prepareOptions
+ */
+function prepareOptions(name, options = {}) {
+  const channel = getChannel(name);
+  return channel && channel.prepareOptions ? channel.prepareOptions(options) : options;
+}
+
+/**
+ * Validate a recipient and message against a channel
+ *
+ * @param {string} name - The channel name
+ * @param {string} recipient - The recipient
+ * @param {string} [message] - The message; checked against the channel's maxLength
+ * @returns {Object} { isValid, errorMessage, errorCode }
+ */
+function validate(name, recipient, message) {
+  const channel = getChannel(name);
+
+  if (!channel) {
+    return { isValid: false, errorMessage: `Unknown notification type: '${name}'` };
+  }
+
+  const recipientResult = channel.validate(recipient);
+  if (!recipientResult.isValid) {
+    return { errorCode: 'INVALID_RECIPIENT', ...recipientResult };
+  }
+
+  const { maxLength } = channel.capabilities;
+  if (maxLength && typeof message === 'string' && message.length > maxLength) {
+    return {
+      isValid: false,
+      errorMessage: `Message is ${message.length} characters; ${channel.name} messages are limited to ${maxLength}`,
+      errorCode: 'MESSAGE_TOO_LONG'
+    };
+  }
+
+  return { isValid: true, errorMessage: null };
+}
+
+/**
+ * Send through a channel's sender, honouring its mode
+ *
+ * No validation is done here; use validate() first or send() for both.
+ *
+ * @param {string} name - The channel name
+ * @param {string} recipient - The recipient
+ * @param {string} message - The message
+ * @param {Object} [options={}] - Channel options
+ * @returns {Promise<Object>} The sender's result, or { success: false, error } on failure
+ */
+async function deliver(name, recipient, message, options = {}) {
+  const channel = getChannel(name);
+
+  if (!channel) {
+    return { success: false, channel: name, recipient, error: `Notification type '${name}' is not supported`, errorCode: 'UNSUPPORTED_TYPE' };
+  }
+
+  if (channel.mode === CHANNEL_MODES.MOCK) {
+    return channel.mockSend
+      ? channel.mockSend(recipient, message, options)
+      : channel.send(recipient, message, { ...options, mockMode: true });
+  }
+
+  return channel.send(recipient, message, options);
+}
+
+/**
+ * Validate and send a notification through a channel
+ *
+ * @param {string} name - The channel name
+ * @param {string} recipient - The recipient
+ * @param {string} message - The message
+ * @param {Object} [options={}] - Channel options
+ * @returns {Promise<Object>} The result, with success false and an errorCode on failure
+ */
+async function send(name, recipient, message, options = {}) {
+  if (!hasChannel(name)) {
+    return deliver(name, recipient, message, options);
+  }
+
+  const validation = validate(name, recipient, message);
+  if (!validation.isValid) {
+    return {
+      success: false,
+      channel: name.toLowerCase(),
+      recipient,
+      error: validation.errorMessage,
+      errorCode: validation.errorCode
+    };
+  }
+
+  const result = await deliver(name, recipient, message, options);
+  return result && result.success === false ? result : { ...result, success: true };
+}
+
+module.exports = {
+  CHANNEL_MODES,
+  registerChannel,
+  unregisterChannel,
+  getChannel,
+  hasChannel,
+  listChannels,
+  getCapabilities,
+  setChannelMode,
+  getChannelMode,
+  formatRecipient,
+  prepareOptions,
+  validate,
+  deliver,
+  send
+};
@@ -0,0 +1,265 @@
+/**
+ * SMS Appointment Confirmation Module
+ *
+ * Sends appointment reminders that ask for a reply: C to confirm or R to
+ * reschedule (CONFIRMAR/REPROGRAMAR, CONFIRMER/REPROGRAMMER, ...). A reply is
+ * matched to the appointment most recently reminded at the sender's number
+ * that is still waiting for an answer. The appointment's status is updated,
+ * the patient gets an acknowledgment in the reminder's language, and
+ * listeners registered with onAppointmentOutcome() are told the outcome.
+ *
+ * When followUpAfterMs is set, a follow-up reminder is scheduled with the
+ * notification scheduler and cancelled as soon as a reply arrives, so only
+ * unanswered reminders get one.
+ */
+
+const config = require('../config');
+const templateManager = require('../templateManager');
+const appointmentStore = require('../appointment-store');
+const { dispatchNotification } = require('../dispatcher');
+const { cancelScheduledNotification } = require('../notification-scheduler');
+const { registerInboundHandler } = require('./sms-inbound');
+
+const { APPOINTMENT_STATUS } = appointmentStore;
+
+// Reply keywords by outcome and language, compared with the reply's first word
+const REPLY_KEYWORDS = {
+  [APPOINTMENT_STATUS.CONFIRMED]: {
+    en: ['C', 'CONFIRM', 'YES', 'Y'],
+    es: ['C', 'CONFIRMAR', 'SI'],
+    fr: ['C', 'CONFIRMER', 'OUI']
+  },
+  [APPOINTMENT_STATUS.RESCHEDULE_REQUESTED]: {
+    en: ['R', 'RESCHEDULE'],
+    es: ['R', 'REPROGRAMAR', 'CAMBIAR'],
+    fr: ['R', 'REPROGRAMMER', 'REPORTER']
+  }
+};
+
+// Acknowledgment template for each outcome
+const ACKNOWLEDGMENT_TEMPLATES = {
+  [APPOINTMENT_STATUS.CONFIRMED]: 'appointmentConfirmed',
+  [APPOINTMENT_STATUS.RESCHEDULE_REQUESTED]: 'appointmentReschedule'
+};
+
+const outcomeListeners = new Set();
+
+/**
+ * Render an appointment SMS template in the appointment's language
+ * @private
+ */
+function renderAppointmentMessage(name, appointment) {
+  const template = templateManager.getTemplate('sms', name, appointment.language);
+  if (!template) return null;
+
+  return templateManager.renderTemplate(template, {
+    serviceName: config.sms.inbound.serviceName,
+    ...appointment.data,
+    appointmentDate: appointment.appointmentDate,
+    appointmentTime: appointment.appointmentTime
+  });
+}
+
+/**
+ * Find the outcome a reply asks for, from its first word
+ * @private
+ * @returns {string|null} The outcome status, or null if the reply isn't C or R
+ */
+function matchOutcome(text) {
+  const firstWord = String(text || '').split(/[\s.,;:!?]/)[0];
+  const entry = Object.entries(REPLY_KEYWORDS).find(([, byLanguage]) =>
+    Object.values(byLanguage).some(keywords => keywords.includes(firstWord))
+  );
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Find the appointment a reply from this number answers: the most recently
+ * reminded one still waiting for a reply
+ * @private
+ */
+function findAwaitingAppointment(phone) {
+  return appointmentStore.listAppointments({ status: APPOINTMENT_STATUS.PENDING, phone })[0] || null;
+}
+
+/**
+ * Cancel an appointment's scheduled follow-up, if it hasn't been sent yet
+ * @private
+ */
+function cancelFollowUp(appointment) {
+  if (!appointment.followUpScheduleId) return;
+  cancelScheduledNotification(appointment.followUpScheduleId);
+}
+
+/**
+ * Tell listeners about an appointment's outcome
+ * @private
+ */
+function notifyListeners(appointment, details) {
+  outcomeListeners.forEach(listener => {
+    const logFailure = error => {
+      console.error(`[ERROR] [channel=sms] [recipient=${appointment.phone}] Appointment outcome listener failed: ${error.message}`);
+    };
+
+    try {
+      const pending = listener(appointment, details);
+      if (pending && typeof pending.catch === 'function') pending.catch(logFailure);
+    } catch (error) {
+      logFailure(error);
+    }
+  });
+}
+
+/**
+ * Send an appointment reminder and wait for a C or R reply
+ *
+ * Sending a reminder again for the same appointment ID replaces the earlier
+ * one, including its follow-up.
+ *
+ * @param {Object} appointment - The appointment
+ * @param {string} appointment.id - The appointment ID in your scheduling service
+ * @param {string} appointment.phone - The E.164 phone number to remind
+ * @param {string} appointment.appointmentDate - The date, as it should appear in the SMS
+ * @param {string} appointment.appointmentTime - The time, as it should appear in the SMS
+ * @param {string} [appointment.language='en'] - Language of the reminder and the acknowledgments
+ * @param {string} [appointment.userId] - The user the appointment belongs to
+ * @param {Object} [appointment.data] - Extra template data and anything your service wants back
+ * @param {Object} [options={}] - Reminder options
+ * @param {number} [options.followUpAfterMs] - Send a follow-up if there's no reply after this long
+ *   (defaults to SMS_APPOINTMENT_FOLLOW_UP_MS; 0 disables it)
+ * @returns {Promise<Object>} { success, appointment, result } where result is the SMS dispatch result
+ * @throws {Error} - With code INVALID_APPOINTMENT if a required field is missing
+ */
+async function sendAppointmentReminder(appointment = {}, options = {}) {
+  const missing = ['id', 'phone', 'appointmentDate', 'appointmentTime'].filter(field => !appointment[field]);
+  if (missing.length > 0) {
+    const error = new Error(`Appointment is missing ${missing.join(', ')}`);
+    error.code = 'INVALID_APPOINTMENT';
+    throw error;
+  }
+
+  const previous = appointmentStore.getAppointment(appointment.id);
+  if (previous) cancelFollowUp(previous);
+
+  const record = {
+    id: appointment.id,
+    phone: appointment.phone,
+    userId: appointment.userId || null,
+    appointmentDate: appointment.appointmentDate,
+    appointmentTime: appointment.appointmentTime,
+    language: appointment.language || 'en',
+    data: appointment.data || {}
+  };
+
+  const result = await dispatchNotification({
+    type: 'sms',
+    recipient: record.phone,
+    message: renderAppointmentMessage('appointmentReminder', record)
+  });
+
+  if (!result || result.success === false) {
+    const failed = appointmentStore.saveAppointment({ ...record, status: APPOINTMENT_STATUS.FAILED, error: result ? result.error : null });
+    return { success: false, appointment: failed, result };
+  }
+
+  const saved = appointmentStore.saveAppointment({
+    ...record,
+    status: APPOINTMENT_STATUS.PENDING,
+    remindedAt: new Date().toISOString(),
+    messageId: result.messageId || null,
+    followUpScheduleId: null
+  });
+
+  const followUpAfterMs = options.followUpAfterMs !== undefined
+    ? options.followUpAfterMs
+    : config.sms.appointments.followUpAfterMs;
+
+  if (followUpAfterMs > 0) {
+    const followUp = await dispatchNotification({
+      type: 'sms',
+      recipient: record.phone,
+      message: renderAppointmentMessage('appointmentFollowUp', record),
+      delayMs: followUpAfterMs
+    });
+    if (followUp && followUp.scheduleId) {
+      appointmentStore.updateAppointment(saved.id, { followUpScheduleId: followUp.scheduleId, followUpAt: followUp.sendAt });
+    }
+  }
+
+  console.log(`[INFO] [channel=sms] [recipient=${record.phone}] Appointment ${record.id} reminder sent, awaiting reply`);
+  return { success: true, appointment: appointmentStore.getAppointment(saved.id), result };
+}
+
+/**
+ * Handle a C or R reply to a pending appointment
+ * @private
+ * @returns {string|null} The acknowledgment to send back
+ */
+function handleReply(context) {
+  const outcome = matchOutcome(context.text);
+  const appointment = findAwaitingAppointment(context.from);
+  const previousStatus = appointment.status;
+  const reply = {
+    from: context.from,
+    body: context.body,
+    messageSid: context.messageSid,
+    receivedAt: new Date().toISOString()
+  };
+
+  cancelFollowUp(appointment);
+  const updated = appointmentStore.updateAppointment(appointment.id, { status: outcome, reply });
+
+  console.log(`[INFO] [channel=sms] [recipient=${context.from}] Appointment ${appointment.id} ${outcome}`);
+  notifyListeners(updated, { outcome, previousStatus, reply });
+
+  return renderAppointmentMessage(ACKNOWLEDGMENT_TEMPLATES[outcome], updated);
+}
+
+/**
+ * Register a listener called with (appointment, { outcome, previousStatus, reply })
+ * when a patient confirms or asks to reschedule. outcome is 'confirmed' or
+ * 'rescheduleRequested'; reply is { from, body, messageSid, receivedAt }.
+ *
+ * @param {Function} listener - The listener; may be async
+ * @returns {Function} Call to remove the listener
+ */
+function onAppointmentOutcome(listener) {
+  outcomeListeners.add(listener);
+  return () => outcomeListeners.delete(listener);
+}
+
+/**
+ * Stop waiting for a reply to an appointment's reminder, e.g. when it was
+ * cancelled in the scheduling service. Its follow-up is cancelled too.
+ *
+ * @param {string} appointmentId - The appointment ID
+ * @returns {Object} Result with success flag and the appointment if found
+ */
+function cancelAppointmentReminder(appointmentId) {
+  const appointment = appointmentStore.getAppointment(appointmentId);
+  if (!appointment) {
+    return { success: false, error: `Appointment '${appointmentId}' not found` };
+  }
+
+  cancelFollowUp(appointment);
+  return {
+    success: true,
+    appointment: appointmentStore.updateAppointment(appointmentId, { status: APPOINTMENT_STATUS.CANCELLED })
+  };
+}
+
+// Replies are only claimed when they are C or R and the number has an appointment waiting for one
+registerInboundHandler(
+  context => Boolean(matchOutcome(context.text) && findAwaitingAppointment(context.from)),
+  handleReply
+);
+
+module.exports = {
+  APPOINTMENT_STATUS,
+  REPLY_KEYWORDS,
+  sendAppointmentReminder,
+  onAppointmentOutcome,
+  cancelAppointmentReminder,
+  getAppointment: appointmentStore.getAppointment,
+  listAppointments: appointmentStore.listAppointments
+};
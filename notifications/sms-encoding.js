@@ -0,0 +1,211 @@
+/**
+ * SMS Encoding Module
+ *
+ * Works out how an SMS will be encoded and how many segments it will be
+ * billed as. Messages that only use the GSM 03.38 alphabet are sent as GSM-7
+ * (160 characters, or 153 per part once split); anything else forces UCS-2
+ * (70 characters, or 67 per part). A single accented letter outside GSM-7,
+ * such as the "ó" in "código", more than doubles the segment count, so
+ * messages can optionally be transliterated to stay in GSM-7.
+ */
+
+const config = require('../config');
+
+const GSM7 = 'GSM-7';
+const UCS2 = 'UCS-2';
+
+// Segment sizes, in septets for GSM-7 and UTF-16 code units for UCS-2
+const SEGMENT_LIMITS = {
+  [GSM7]: { single: 160, multipart: 153 },
+  [UCS2]: { single: 70, multipart: 67 }
+};
+
+// GSM 03.38 basic character set (without the escape character)
+const GSM7_BASIC = new Set(Array.from(
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+));
+
+// Extension table characters; each is sent as an escape plus the character
+const GSM7_EXTENDED = new Set(Array.from('\f^{}\\[~]|€'));
+
+// Replacements for common characters outside GSM-7. Accented letters are
+// handled generally by dropping their accents.
+const TRANSLITERATIONS = {
+  '‘': "'", '’': "'", '‚': "'", '′': "'", '`': "'", '´': "'",
+  '“': '"', '”': '"', '„': '"', '″': '"', '«': '"', '»': '"',
+  '–': '-', '—': '-', '−': '-', '•': '-',
+  '…': '...',
+  '\u00a0': ' ', '\u2002': ' ', '\u2003': ' ', '\u2009': ' ', '\u202f': ' ', '\t': ' ',
+  '\u200b': '', '\u200c': '', '\u200d': '', '\ufeff': '',
+  'œ': 'oe', 'Œ': 'OE', 'ª': 'a', 'º': 'o', '°': 'o',
+  '¢': 'c', '©': '(c)', '®': '(R)', '™': 'TM'
+};
+
+/**
+ * Check whether a character can be sent in GSM-7
+ * @private
+ */
+function isGsm7Character(char) {
+  return GSM7_BASIC.has(char) || GSM7_EXTENDED.has(char);
+}
+
+/**
+ * Count how many segments a list of character sizes needs
+ *
+ * A character is never split across two parts, so an escaped GSM-7 character
+ * or a UCS-2 surrogate pair that doesn't fit moves to the next part.
+ * @private
+ */
+function countSegments(sizes, limits) {
+  const units = sizes.reduce((sum, size) => sum + size, 0);
+  if (units <= limits.single) return 1;
+
+  let segments = 1;
+  let used = 0;
+  sizes.forEach(size => {
+    if (used + size > limits.multipart) {
+      segments++;
+      used = 0;
+    }
+    used += size;
+  });
+  return segments;
+}
+
+/**
+ * Analyze how an SMS will be encoded and split
+ *
+ * @param {string} message - The SMS text
+ * @returns {Object} { encoding, characters, units, segments, perSegment, nonGsmCharacters }
+ *   where units are GSM-7 septets or UCS-2 code units and perSegment is the
+ *   capacity of each part
+ */
+function analyzeSms(message) {
+  const chars = Array.from(String(message));
+  const nonGsmCharacters = [...new Set(chars.filter(char => !isGsm7Character(char)))];
+  const encoding = nonGsmCharacters.length === 0 ? GSM7 : UCS2;
+
+  const sizes = encoding === GSM7
+    ? chars.map(char => (GSM7_EXTENDED.has(char) ? 2 : 1))
+    : chars.map(char => char.length);
+  const units = sizes.reduce((sum, size) => sum + size, 0);
+  const limits = SEGMENT_LIMITS[encoding];
+  const segments = countSegments(sizes, limits);
+
+  return {
+    encoding,
+    characters: chars.length,
+    units,
+    segments,
+    perSegment: segments === 1 ? limits.single : limits.multipart,
+    nonGsmCharacters
+  };
+}
+
+/**
+ * Replace characters outside GSM-7 with close GSM-7 equivalents
+ *
+ * Typographic quotes, dashes and spaces are replaced, and letters lose
+ * accents GSM-7 doesn't have ("código" becomes "codigo", while "é" is kept).
+ * Characters with no equivalent, such as emoji, are left as they are.
+ *
+ * @param {string} message - The SMS text
+ * @returns {string} The transliterated text
+ */
+function transliterate(message) {
+  return Array.from(String(message)).map(char => {
+    if (isGsm7Character(char)) return char;
+    if (TRANSLITERATIONS[char] !== undefined) return TRANSLITERATIONS[char];
+
+    const stripped = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    return stripped && Array.from(stripped).every(isGsm7Character) ? stripped : char;
+  }).join('');
+}
+
+/**
+ * Shorten a message to fit in maxSegments, ending it with "..."
+ * @private
+ */
+function truncateToSegments(message, maxSegments) {
+  const chars = Array.from(message);
+  let low = 0;
+  let high = chars.length;
+
+  // The longest prefix that still fits once "..." is added
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (analyzeSms(`${chars.slice(0, middle).join('')}...`).segments <= maxSegments) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  return `${chars.slice(0, low).join('').trimEnd()}...`;
+}
+
+/**
+ * Prepare an SMS for sending: transliterate it if asked, apply the segment
+ * policy and estimate its cost
+ *
+ * @param {string} message - The SMS text
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.transliterate] - Replace non-GSM characters to stay in GSM-7 (defaults to SMS_TRANSLITERATE)
+ * @param {number} [options.maxSegments] - Most segments allowed (defaults to SMS_MAX_SEGMENTS)
+ * @param {string} [options.segmentPolicy] - 'reject' or 'truncate' when over maxSegments (defaults to SMS_SEGMENT_POLICY)
+ * @returns {Object} { message, analysis } where analysis adds transliterated, truncated,
+ *   estimatedCost and currency to analyzeSms's result
+ * @throws {Error} With code SMS_TOO_LONG when over maxSegments and the policy is 'reject'
+ */
+function prepareSms(message, options = {}) {
+  const smsConfig = config.sms;
+  const maxSegments = options.maxSegments || smsConfig.maxSegments;
+  const policy = options.segmentPolicy || smsConfig.segmentPolicy;
+  const shouldTransliterate = options.transliterate !== undefined ? options.transliterate : smsConfig.transliterate;
+
+  let text = String(message);
+  let transliterated = false;
+  if (shouldTransliterate) {
+    const replaced = transliterate(text);
+    transliterated = replaced !== text;
+    text = replaced;
+  }
+
+  let analysis = analyzeSms(text);
+  let truncated = false;
+  if (analysis.segments > maxSegments) {
+    if (policy !== 'truncate') {
+      const error = new Error(`SMS needs ${analysis.segments} ${analysis.encoding} segments; the limit is ${maxSegments}`);
+      error.code = 'SMS_TOO_LONG';
+      error.segments = analysis.segments;
+      error.maxSegments = maxSegments;
+      error.encoding = analysis.encoding;
+      throw error;
+    }
+
+    text = truncateToSegments(text, maxSegments);
+    analysis = analyzeSms(text);
+    truncated = true;
+  }
+
+  return {
+    message: text,
+    analysis: {
+      ...analysis,
+      transliterated,
+      truncated,
+      estimatedCost: Number((analysis.segments * smsConfig.costPerSegment).toFixed(6)),
+      currency: smsConfig.currency
+    }
+  };
+}
+
+module.exports = {
+  GSM7,
+  UCS2,
+  SEGMENT_LIMITS,
+  analyzeSms,
+  transliterate,
+  prepareSms
+};
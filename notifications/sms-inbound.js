@@ -0,0 +1,343 @@
+/**
+ * Inbound SMS Module
+ *
+ * Handles SMS replies delivered by Twilio's messaging webhook (a form POST
+ * with From, To, Body and MessageSid). Carrier-compliance keywords are handled
+ * first, in English, Spanish and French:
+ *
+ * - STOP (PARAR, ARRET, ...) opts the number out: every user with that phone
+ *   number gets smsEnabled: false, and no SMS is sent to it until it opts back in
+ * - START (UNSTOP, ALTA, DEMARRER, ...) opts the number back in
+ * - HELP (AYUDA, AIDE, ...) replies with contact details
+ *
+ * Each keyword is answered from the sms optOut, optIn and help templates in the
+ * keyword's language. Other replies, such as "C" to confirm an appointment,
+ * go to handlers registered with registerInboundHandler. Replies are sent back
+ * as TwiML in the webhook response.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const templateManager = require('../templateManager');
+const userPreferences = require('../user-preferences');
+const optOutStore = require('../sms-opt-out-store');
+
+// Largest webhook body accepted; Twilio's are a few hundred bytes
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Compliance keywords by action and language, without accents
+const KEYWORDS = {
+  optOut: {
+    en: ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'],
+    es: ['PARAR', 'ALTO', 'BAJA', 'CANCELAR'],
+    fr: ['STOP', 'ARRET', 'DESABONNER']
+  },
+  optIn: {
+    en: ['START', 'UNSTOP', 'SUBSCRIBE'],
+    es: ['ALTA', 'INICIAR', 'COMENZAR'],
+    fr: ['DEMARRER', 'REPRENDRE']
+  },
+  help: {
+    en: ['HELP', 'INFO'],
+    es: ['AYUDA'],
+    fr: ['AIDE']
+  }
+};
+
+// Handlers for other replies, in registration order: [{ matcher, handler }]
+const inboundHandlers = [];
+
+/**
+ * Normalize a reply for keyword matching: trimmed, upper case, without
+ * accents or surrounding punctuation ("¡Stop!" becomes "STOP")
+ * @private
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/^[\s.,;:!?¡¿"'()-]+|[\s.,;:!?¡¿"'()-]+$/g, '')
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Find the compliance keyword a reply consists of
+ * @private
+ * @returns {Object|null} { action, keyword, languages }
+ */
+function matchKeyword(text) {
+  for (const [action, byLanguage] of Object.entries(KEYWORDS)) {
+    const languages = Object.keys(byLanguage).filter(language => byLanguage[language].includes(text));
+    if (languages.length > 0) {
+      return { action, keyword: text, languages };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the users whose phone number is the sender's
+ * @private
+ */
+function findUsersByPhone(phoneNumber) {
+  const number = optOutStore.normalizeNumber(phoneNumber);
+  return Object.entries(userPreferences.getAllPreferences())
+    .filter(([, preferences]) => {
+      const phone = preferences.phone || preferences.phoneNumber;
+      return phone && optOutStore.normalizeNumber(phone) === number;
+    })
+    .map(([userId, preferences]) => ({ userId, preferences }));
+}
+
+/**
+ * Render a keyword reply template
+ * @private
+ */
+function renderReply(name, language) {
+  const template = templateManager.getTemplate('sms', name, language);
+  if (!template) return null;
+
+  return templateManager.renderTemplate(template, {
+    serviceName: config.sms.inbound.serviceName,
+    helpContact: config.sms.inbound.helpContact
+  });
+}
+
+/**
+ * Escape text for TwiML
+ * @private
+ */
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+  }[char]));
+}
+
+/**
+ * Build a TwiML response, with a reply message when there is one
+ *
+ * @param {string|null} reply - The reply text
+ * @returns {string} The TwiML document
+ */
+function toTwiml(reply) {
+  return reply
+    ? `<?xml version="1.0" encoding="UTF-8"?><Response><Message>${escapeXml(reply)}</Message></Response>`
+    : '<?xml version="1.0" encoding="UTF-8"?><Response></Response>';
+}
+
+/**
+ * Check whether a handler's matcher accepts a reply
+ * @private
+ */
+function matches(matcher, context) {
+  if (typeof matcher === 'function') return Boolean(matcher(context));
+  if (matcher instanceof RegExp) return matcher.test(context.body);
+
+  // Keywords match the reply's first word, so "C" also matches "c, thanks"
+  const firstWord = context.text.split(/[\s.,;:!?]/)[0];
+  return [].concat(matcher).some(keyword => normalizeText(keyword) === firstWord);
+}
+
+/**
+ * Register a handler for replies that aren't compliance keywords
+ *
+ * Handlers are tried in registration order and the first whose matcher
+ * accepts the reply handles it. The handler is called with
+ * { from, to, body, text, messageSid, users, payload }, where text is the
+ * normalized reply and users are [{ userId, preferences }] with the sender's
+ * phone number. It may return (or resolve with) a reply string.
+ *
+ * @param {string|string[]|RegExp|Function} matcher - Keywords matched against the reply's
+ *   first word (case and accent insensitive), a RegExp tested on the raw body, or a predicate
+ * @param {Function} handler - The handler
+ * @returns {Function} Call to remove the handler
+ */
+function registerInboundHandler(matcher, handler) {
+  if (typeof handler !== 'function') {
+    throw new Error('Inbound SMS handler must be a function');
+  }
+
+  const entry = { matcher, handler };
+  inboundHandlers.push(entry);
+  return () => {
+    const index = inboundHandlers.indexOf(entry);
+    if (index !== -1) inboundHandlers.splice(index, 1);
+  };
+}
+
+/**
+ * Apply a compliance keyword: update the opt-out store and user preferences
+ * @private
+ */
+function applyKeyword(match, from, users) {
+  if (match.action === 'optOut') {
+    optOutStore.optOut(from, { keyword: match.keyword });
+    users.forEach(({ userId }) => userPreferences.updateExistingUserPreferences(userId, { smsEnabled: false }));
+  } else if (match.action === 'optIn') {
+    optOutStore.optIn(from);
+    users.forEach(({ userId }) => userPreferences.updateExistingUserPreferences(userId, { smsEnabled: true }));
+  }
+}
+
+/**
+ * Handle one inbound SMS
+ *
+ * @param {Object} payload - The Twilio webhook parameters (From, To, Body, MessageSid, ...)
+ * @returns {Promise<Object>} { from, to, body, messageSid, action, keyword, language, userIds, reply, twiml }
+ *   where action is 'optOut', 'optIn', 'help', 'handled', 'unhandled' or 'failed'
+ * @throws {Error} - With code INVALID_INBOUND_SMS when From is missing
+ */
+async function handleInboundSms(payload = {}) {
+  const from = payload.From;
+  if (!from) {
+    const error = new Error('Inbound SMS payload has no From number');
+    error.code = 'INVALID_INBOUND_SMS';
+    throw error;
+  }
+
+  const body = payload.Body || '';
+  const text = normalizeText(body);
+  const users = findUsersByPhone(from);
+  const result = {
+    from,
+    to: payload.To || null,
+    body,
+    messageSid: payload.MessageSid || null,
+    action: 'unhandled',
+    keyword: null,
+    language: null,
+    userIds: users.map(user => user.userId),
+    reply: null
+  };
+
+  const keyword = matchKeyword(text);
+  if (keyword) {
+    // "STOP" is both English and French; answer in the user's language when it is one of them
+    const userLanguage = users.length > 0 ? users[0].preferences.preferredLanguage : null;
+    const language = keyword.languages.includes(userLanguage) ? userLanguage : keyword.languages[0];
+
+    applyKeyword(keyword, from, users);
+    Object.assign(result, {
+      action: keyword.action,
+      keyword: keyword.keyword,
+      language,
+      reply: renderReply(keyword.action, language)
+    });
+    console.log(`[INFO] [channel=sms] [recipient=${from}] Inbound ${keyword.keyword}: ${keyword.action} for ${users.length} user(s)`);
+  } else {
+    const context = { from, to: result.to, body, text, messageSid: result.messageSid, users, payload };
+    const entry = inboundHandlers.find(candidate => matches(candidate.matcher, context));
+
+    if (entry) {
+      try {
+        const reply = await entry.handler(context);
+        result.action = 'handled';
+        result.reply = typeof reply === 'string' && reply ? reply : null;
+      } catch (error) {
+        console.error(`[ERROR] [channel=sms] [recipient=${from}] Inbound SMS handler failed: ${error.message}`);
+        result.action = 'failed';
+        result.error = error.message;
+      }
+    } else {
+      console.log(`[INFO] [channel=sms] [recipient=${from}] Inbound SMS with no matching handler`);
+    }
+  }
+
+  result.twiml = toTwiml(result.reply);
+  return result;
+}
+
+/**
+ * Verify a Twilio webhook signature (X-Twilio-Signature)
+ *
+ * Twilio signs the full webhook URL followed by every POST parameter name and
+ * value, sorted by name, with HMAC-SHA1 keyed by the account's auth token.
+ *
+ * @param {string} url - The public URL Twilio posted to, including any query string
+ * @param {Object} params - The POST parameters
+ * @param {string} signature - The X-Twilio-Signature header
+ * @param {string} [authToken] - The auth token (defaults to TWILIO_AUTH_TOKEN)
+ * @returns {boolean} Whether the signature is valid
+ */
+function verifyTwilioSignature(url, params, signature, authToken = config.sms.twilio.authToken) {
+  if (!signature || !authToken) return false;
+
+  const data = Object.keys(params).sort().reduce((joined, key) => joined + key + params[key], url);
+  const expected = crypto.createHmac('sha1', authToken).update(data, 'utf8').digest('base64');
+
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(String(signature));
+  return expectedBuffer.length === signatureBuffer.length && crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+}
+
+/**
+ * Create an HTTP request listener for Twilio's messaging webhook, for use with
+ * http.createServer or as Express middleware
+ *
+ * @param {Object} [options={}] - Listener options
+ * @param {string} [options.url] - The public webhook URL, for signature checks (defaults to
+ *   SMS_INBOUND_WEBHOOK_URL, else built from the Host header)
+ * @param {boolean} [options.validateSignature] - Reject unsigned requests (defaults to SMS_INBOUND_VALIDATE_SIGNATURE)
+ * @param {string} [options.authToken] - The Twilio auth token (defaults to TWILIO_AUTH_TOKEN)
+ * @returns {Function} (req, res) => void, answering with TwiML
+ */
+function createInboundSmsHandler(options = {}) {
+  const validateSignature = options.validateSignature !== undefined
+    ? options.validateSignature
+    : config.sms.inbound.validateSignature;
+
+  return (req, res) => {
+    if (req.method !== 'POST') {
+      res.writeHead(405, { Allow: 'POST' });
+      res.end();
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+    });
+
+    req.on('end', async () => {
+      if (size > MAX_BODY_BYTES) {
+        res.writeHead(413);
+        res.end();
+        return;
+      }
+
+      const params = Object.fromEntries(new URLSearchParams(Buffer.concat(chunks).toString('utf8')));
+
+      if (validateSignature) {
+        const url = options.url || config.sms.inbound.webhookUrl || `https://${req.headers.host}${req.url}`;
+        if (!verifyTwilioSignature(url, params, req.headers['x-twilio-signature'], options.authToken)) {
+          console.warn(`[WARN] [channel=sms] [recipient=${params.From || 'unknown'}] Rejected inbound SMS with an invalid signature`);
+          res.writeHead(403);
+          res.end();
+          return;
+        }
+      }
+
+      try {
+        const result = await handleInboundSms(params);
+        res.writeHead(200, { 'Content-Type': 'text/xml' });
+        res.end(result.twiml);
+      } catch (error) {
+        console.error(`[ERROR] [channel=sms] Inbound SMS could not be handled: ${error.message}`);
+        res.writeHead(error.code === 'INVALID_INBOUND_SMS' ? 400 : 500);
+        res.end();
+      }
+    });
+  };
+}
+
+module.exports = {
+  KEYWORDS,
+  handleInboundSms,
+  registerInboundHandler,
+  verifyTwilioSignature,
+  createInboundSmsHandler,
+  toTwiml
+};
@@ -0,0 +1,277 @@
+/**
+ * SMS Provider Routing Module
+ *
+ * Chooses which SMS provider sends each message and fails over to the others.
+ * Every number has a provider list: the one for the longest matching prefix
+ * in the routes (e.g. "+44"), or the default list. Providers are tried in
+ * weighted random order, so "twilio:3,vonage:1" sends about three in four
+ * messages through Twilio first. A provider with weight 0 is only used when
+ * the others fail. Errors about the recipient itself (an invalid number, or
+ * an opt-out) stop the failover, since another provider would fail too or
+ * would bypass the opt-out.
+ *
+ * Each provider has its own rate limit and circuit breaker, checked as it's
+ * tried: a provider that's over its limit or whose circuit is open is
+ * skipped, and each result is recorded against the provider that sent.
+ */
+
+const config = require('../config');
+const rateLimiter = require('../rate-limiter');
+const circuitBreaker = require('../circuit-breaker');
+const retryPolicy = require('../retry-policy');
+const twilio = require('./providers/twilio');
+const vonage = require('./providers/vonage');
+const messagebird = require('./providers/messagebird');
+const httpSms = require('./providers/http-sms');
+const {
+  SMS_NOT_CONFIGURED,
+  SMS_INVALID_RECIPIENT,
+  SMS_RECIPIENT_OPTED_OUT,
+  createSmsError
+} = require('./providers/sms-error');
+
+// Adapters by name; each has send(to, message, options) and optionally configure() and missingSettings()
+const adapters = {
+  twilio,
+  vonage,
+  messagebird,
+  http: httpSms
+};
+
+let routing = {
+  providers: config.sms.providers,
+  routes: config.sms.routes
+};
+
+/**
+ * Normalize a provider list given as "name:weight" strings or { name, weight } objects
+ * @private
+ */
+function normalizeProviderList(list) {
+  const entries = typeof list === 'string' ? list.split(',') : list || [];
+  return entries.map(entry => {
+    if (typeof entry !== 'string') return { name: entry.name, weight: entry.weight === undefined ? 1 : entry.weight };
+    const [name, weight] = entry.trim().split(':');
+    return { name: name.trim(), weight: weight === undefined ? 1 : parseFloat(weight) };
+  });
+}
+
+/**
+ * Add or replace an SMS provider adapter
+ *
+ * @param {string} name - The provider name used in SMS_PROVIDERS and SMS_ROUTES
+ * @param {Object} adapter - { send(to, message, options), configure?(options), missingSettings?() };
+ *   send resolves with { messageId, status } or rejects with a coded error (see providers/sms-error.js)
+ */
+function registerSmsProvider(name, adapter) {
+  if (!adapter || typeof adapter.send !== 'function') {
+    throw new Error(`SMS provider '${name}' must have a send function`);
+  }
+  adapters[name] = adapter;
+}
+
+/**
+ * Change one provider's settings, e.g. credentials or a local stand-in URL
+ *
+ * @param {string} name - The provider name
+ * @param {Object} options - Settings for the adapter's configure()
+ * @returns {Object} The adapter's resulting settings, without credentials
+ */
+function configureSmsProvider(name, options) {
+  const adapter = adapters[name];
+  if (!adapter || typeof adapter.configure !== 'function') {
+    throw new Error(`Unknown SMS provider '${name}'`);
+  }
+  return adapter.configure(options);
+}
+
+/**
+ * Change the default provider list and the per-prefix routes
+ *
+ * @param {Object} options - Routing settings
+ * @param {string|Array} [options.providers] - Default providers, e.g. 'twilio:3,vonage:1'
+ * @param {Object} [options.routes] - Provider lists by number prefix, e.g. { '+44': 'vonage,messagebird' }
+ * @returns {Object} The resulting { providers, routes }
+ */
+function configureSmsRouting(options = {}) {
+  if (options.providers !== undefined) {
+    routing.providers = normalizeProviderList(options.providers);
+  }
+  if (options.routes !== undefined) {
+    routing.routes = Object.fromEntries(
+      Object.entries(options.routes).map(([prefix, list]) => [prefix, normalizeProviderList(list)])
+    );
+  }
+  return { providers: routing.providers, routes: routing.routes };
+}
+
+/**
+ * Find the provider list for a phone number
+ *
+ * @param {string} to - The E.164 phone number
+ * @returns {Object} { prefix, providers } where prefix is null for the default list
+ */
+function resolveRoute(to) {
+  const prefix = Object.keys(routing.routes)
+    .filter(candidate => String(to).startsWith(candidate))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix
+    ? { prefix, providers: routing.routes[prefix] }
+    : { prefix: null, providers: routing.providers };
+}
+
+/**
+ * Get the provider a number is normally sent through: the highest-weighted
+ * one on its route. Used to key rate limits and circuit breakers.
+ *
+ * @param {string} to - The E.164 phone number
+ * @param {Object} [options={}] - Send options; options.provider pins a provider
+ * @returns {string} The provider name
+ */
+function getPrimaryProvider(to, options = {}) {
+  if (options.provider) return options.provider;
+
+  const { providers } = resolveRoute(to);
+  const primary = providers.reduce((best, entry) => (!best || entry.weight > best.weight ? entry : best), null);
+  return primary ? primary.name : 'sms';
+}
+
+/**
+ * Order providers for one send: weighted random picks without replacement,
+ * with weight-0 providers last in their configured order
+ * @private
+ */
+function orderProviders(providers) {
+  const remaining = providers.filter(entry => entry.weight > 0);
+  const ordered = [];
+
+  while (remaining.length > 0) {
+    const total = remaining.reduce((sum, entry) => sum + entry.weight, 0);
+    let pick = Math.random() * total;
+    const index = remaining.findIndex(entry => (pick -= entry.weight) < 0);
+    ordered.push(remaining.splice(index === -1 ? remaining.length - 1 : index, 1)[0]);
+  }
+
+  return ordered.concat(providers.filter(entry => !(entry.weight > 0))).map(entry => entry.name);
+}
+
+/**
+ * Send an SMS through the route's providers, failing over until one accepts it
+ *
+ * @param {string} to - The E.164 phone number
+ * @param {string} message - The SMS text
+ * @param {Object} [options={}] - Send options
+ * @param {string} [options.provider] - Only use this provider
+ * @param {string} [options.from] - Sender number or ID, instead of the provider's default
+ * @param {string} [options.encoding] - 'GSM-7' or 'UCS-2', for providers that need it declared
+ * @param {number} [options.timeoutMs] - Time allowed for each provider request
+ * @returns {Promise<Object>} The provider's result { provider, messageId, status, statusCode }
+ *   plus failover: [{ provider, error, errorCode }] for the providers that failed or were skipped first
+ * @throws {Error} - The last provider's error, with error.failover listing every failed attempt
+ */
+async function sendSms(to, message, options = {}) {
+  const names = options.provider ? [options.provider] : orderProviders(resolveRoute(to).providers);
+  const failover = [];
+  let lastError = null;
+
+  for (const name of names) {
+    const adapter = adapters[name];
+    const breaker = circuitBreaker.getCircuitBreaker(name);
+    let sent = false;
+
+    try {
+      if (!adapter) {
+        throw createSmsError(`Unknown SMS provider '${name}'`, { code: SMS_NOT_CONFIGURED, provider: name });
+      }
+
+      // An open circuit is skipped without using up a token; a half-open one gets its trial send
+      // only once the limit allows it
+      const unavailable = () => createSmsError(
+        `Provider '${name}' is unavailable (circuit open), retry after ${breaker.getRetryAfterMs()}ms`,
+        { code: circuitBreaker.PROVIDER_UNAVAILABLE, provider: name }
+      );
+      if (breaker.getRetryAfterMs() > 0) {
+        throw unavailable();
+      }
+
+      const limit = rateLimiter.acquireProvider(name);
+      if (!limit.allowed) {
+        throw createSmsError(`Rate limit exceeded (provider '${name}'); retry after ${limit.waitMs}ms`, {
+          code: rateLimiter.RATE_LIMITED,
+          provider: name
+        });
+      }
+
+      if (!breaker.canRequest()) {
+        throw unavailable();
+      }
+
+      sent = true;
+      const result = await adapter.send(to, message, {
+        from: options.from,
+        encoding: options.encoding,
+        timeoutMs: options.timeoutMs
+      });
+      breaker.recordSuccess();
+      return { provider: name, ...result, failover };
+    } catch (error) {
+      // Only transient errors count against the provider; a rejected recipient means it is up
+      if (sent && retryPolicy.isRetryableError({ error: error.message, errorCode: error.code, statusCode: error.statusCode })) {
+        breaker.recordFailure(error.message);
+      } else if (sent) {
+        breaker.recordSuccess();
+      }
+
+      failover.push({ provider: name, error: error.message, errorCode: error.code || null });
+
+      // A "not configured" error is less useful to the caller than a real delivery failure
+      if (!lastError || error.code !== SMS_NOT_CONFIGURED) {
+        lastError = error;
+      }
+
+      if (error.code === SMS_INVALID_RECIPIENT || error.code === SMS_RECIPIENT_OPTED_OUT) {
+        break;
+      }
+
+      const next = names[names.indexOf(name) + 1];
+      if (next) {
+        console.warn(`[WARN] [channel=sms] [recipient=${to}] ${name} failed (${error.code || 'error'}): ${error.message}; trying ${next}`);
+      }
+    }
+  }
+
+  if (!lastError) {
+    lastError = createSmsError(`No SMS providers are configured for ${to}`, { code: SMS_NOT_CONFIGURED, provider: 'sms' });
+  }
+  lastError.failover = failover;
+  throw lastError;
+}
+
+/**
+ * List the settings still missing for every provider in use
+ *
+ * @returns {Object} Missing environment variable names by provider; empty when all are configured
+ */
+function missingSettings() {
+  const names = new Set(routing.providers.map(entry => entry.name));
+  Object.values(routing.routes).forEach(list => list.forEach(entry => names.add(entry.name)));
+
+  const missing = {};
+  names.forEach(name => {
+    const adapter = adapters[name];
+    const needed = !adapter ? [`a registered '${name}' provider`] : adapter.missingSettings ? adapter.missingSettings() : [];
+    if (needed.length > 0) missing[name] = needed;
+  });
+  return missing;
+}
+
+module.exports = {
+  registerSmsProvider,
+  configureSmsProvider,
+  configureSmsRouting,
+  resolveRoute,
+  getPrimaryProvider,
+  sendSms,
+  missingSettings
+};
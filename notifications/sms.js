@@ -1,29 +1,32 @@
 /**
  * SMS notification module
  * 
- * This module provides functionality to send SMS notifications
- * using Twilio or a mock implementation
+ * This module provides functionality to send SMS notifications through
+ * Twilio, Vonage, MessageBird or a generic HTTP provider (see
+ * sms-providers.js), or a mock implementation
  */
 
 const config = require('../config');
-const { validatePhoneNumber } = require('./validators');
-const twilio = require('twilio');
+const smsEncoding = require('./sms-encoding');
+const smsProviders = require('./sms-providers');
+const { SMS_RECIPIENT_OPTED_OUT, createSmsError } = require('./providers/sms-error');
+const optOutStore = require('../sms-opt-out-store');
 const errorHandler = require('../error-handler');
 const logger = require('../logger');
 
-// Load environment variables
-const accountSid = process.env.TWILIO_ACCOUNT_SID;
-const authToken = process.env.TWILIO_AUTH_TOKEN;
-const senderNumber = process.env.TWILIO_PHONE_NUMBER;
-
-// Validate that all required environment variables are set
+/**
+ * Check that every SMS provider in use is configured
+ * 
+ * @returns {boolean} - True when nothing is missing
+ * @throws {Error} - Listing the missing environment variables by provider
+ */
 const validateEnvVars = () => {
-  const requiredVars = ['TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_PHONE_NUMBER'];
-  const missingVars = requiredVars.filter(varName => !process.env[varName]);
+  const missing = smsProviders.missingSettings();
+  const providers = Object.keys(missing);
   
-  if (missingVars.length > 0) {
+  if (providers.length > 0) {
     throw new Error(
-      `Missing required environment variables: ${missingVars.join(', ')}. ` +
+      `Missing required environment variables: ${providers.map(name => `${missing[name].join(', ')} (${name})`).join('; ')}. ` +
       'Please ensure these are set in your .env file or environment.'
     );
   }
@@ -31,35 +34,14 @@ const validateEnvVars = () => {
 };
 
 /**
- * Initialize Twilio client with credentials from environment variables
+ * Get the provider a number is normally sent through, for rate limits and circuit breakers
  * 
- * @returns {Object} - Object containing client and error if any
+ * @param {string} recipient - The E.164 phone number
+ * @param {Object} [options={}] - Send options; options.provider pins a provider
+ * @returns {string} - The provider name
  */
-function getTwilioClient() {
-  // Validate environment variables before trying to use them
-  const validation = validateEnvVariables();
-  
-  if (!validation.success) {
-    return { client: null, error: validation.error };
-  }
-  
-  try {
-    // Dynamically require Twilio to prevent errors if env vars are not set
-    const twilio = require('twilio');
-    
-    // Create and return the Twilio client with credentials from environment variables
-    const client = twilio(
-      process.env.TWILIO_ACCOUNT_SID,
-      process.env.TWILIO_AUTH_TOKEN
-    );
-    
-    return { client, error: null };
-  } catch (error) {
-    return { 
-      client: null, 
-      error: `Failed to initialize Twilio client: ${error.message}` 
-    };
-  }
+function getProviderName(recipient, options = {}) {
+  return smsProviders.getPrimaryProvider(recipient, options);
 }
 
 /**
@@ -76,7 +58,7 @@ function sendSmsMock(to, message) {
       console.log('-------------------------');
       console.log('📱 MOCK SMS SENT:');
       console.log(`To: ${to}`);
-      console.log(`From: ${process.env.TWILIO_FROM_NUMBER}`);
+      console.log(`From: ${config.sms.twilio.fromNumber}`);
       console.log('-------------------------');
       console.log(message);
       console.log('-------------------------');
@@ -90,11 +72,22 @@ function sendSmsMock(to, message) {
 }
 
 /**
- * Sends an SMS notification using Twilio or mock implementation
+ * Sends an SMS notification through the configured providers, or a mock
+ * 
+ * The message's encoding and segment count are worked out first (see
+ * sms-encoding.js) and returned as `sms` in the result, with its estimated cost.
+ * The provider is chosen by sms-providers.js, failing over to the others on
+ * the number's route. Numbers that replied STOP (see sms-inbound.js) are
+ * refused with SMS_RECIPIENT_OPTED_OUT.
  * 
  * @param {string} to - Recipient phone number
  * @param {string} message - SMS message content
  * @param {Object} options - Additional SMS options
+ * @param {boolean} [options.transliterate] - Replace non-GSM characters to stay in GSM-7
+ * @param {number} [options.maxSegments] - Most segments allowed (defaults to SMS_MAX_SEGMENTS)
+ * @param {string} [options.segmentPolicy] - 'reject' or 'truncate' when over maxSegments
+ * @param {string} [options.provider] - Only send through this provider
+ * @param {string} [options.from] - Sender number or ID, instead of the provider's default
  * @returns {Promise} - Resolves with send result or rejects with error
  */
 async function sendSms(recipient, message, options = {}) {
@@ -108,6 +101,16 @@ async function sendSms(recipient, message, options = {}) {
       throw new Error('Simulated SMS sending failure');
     }
     
+    // Numbers that replied STOP get nothing until they reply START
+    if (optOutStore.isOptedOut(recipient)) {
+      throw createSmsError(`${recipient} has opted out of SMS`, { code: SMS_RECIPIENT_OPTED_OUT, provider: 'sms' });
+    }
+    
+    // Encode and measure the message, applying the segment policy
+    const prepared = smsEncoding.prepareSms(message, options);
+    message = prepared.message;
+    const sms = prepared.analysis;
+    
     // Simulate a delay that might happen with real SMS sending
     if (options.delay) {
       await new Promise(resolve => setTimeout(resolve, options.delay));
@@ -116,62 +119,67 @@ async function sendSms(recipient, message, options = {}) {
     // Generate a message ID
     let messageId = `sms-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
     
-    // For mock mode, don't actually try to send via Twilio
+    // For mock mode, don't actually try to send through a provider
     if (mockMode) {
+      const provider = `${getProviderName(recipient, options)}-mock`;
+      
       // Log the notification with simulated flag
       logger.logSMS(recipient, message, {
         ...options,
         simulated: true,
         messageId,
-        provider: 'twilio-mock',
-        status: 'sent'
+        provider,
+        status: 'sent',
+        sms
       });
       
       return {
         type: 'sms',
-        provider: 'twilio-mock',
+        provider,
         recipient,
         message: message.length > 30 ? `${message.substring(0, 30)}...` : message,
         messageId,
         timestamp: new Date(),
         status: 'sent',
-        simulated: true
+        simulated: true,
+        sms
       };
     }
     
-    // Only initialize the client when needed (lazy loading)
-    const twilioClient = getTwilioClient();
-    
-    // Send the SMS using Twilio
-    const result = await twilioClient.messages.create({
-      body: message,
-      from: process.env.TWILIO_PHONE_NUMBER,
-      to: recipient,
-      ...options  // Allow passing additional Twilio options
+    // Send through the route's providers, failing over between them
+    const result = await smsProviders.sendSms(recipient, message, {
+      provider: options.provider,
+      from: options.from,
+      encoding: sms.encoding,
+      timeoutMs: options.timeoutMs
     });
     
-    // Use the Twilio-generated SID as the message ID
-    messageId = result.sid;
+    // Use the provider's message ID
+    messageId = result.messageId || messageId;
     
     // Log the notification
     logger.logSMS(recipient, message, {
       ...options,
       simulated: false,
       messageId,
-      provider: 'twilio',
-      status: result.status
+      provider: result.provider,
+      status: result.status,
+      failover: result.failover,
+      sms
     });
     
     // Return a sanitized response
     return {
       type: 'sms',
-      provider: 'twilio',
+      provider: result.provider,
       recipient,
       message: message.length > 30 ? `${message.substring(0, 30)}...` : message,
       messageId,
       timestamp: new Date(),
       status: result.status,
-      simulated: false
+      simulated: false,
+      failover: result.failover,
+      sms
     };
   } catch (error) {
     // Log the failed notification
@@ -179,186 +187,28 @@ async function sendSms(recipient, message, options = {}) {
       ...options,
       simulated: false,
       status: 'failed',
-      error: error.message
+      error: error.message,
+      failover: error.failover
     });
     
     // Let the error propagate to be handled by the error handler wrapper
     throw error;
   }
-  // Validate phone number
-  const validation = validatePhoneNumber(to);
-  
-  if (!validation.isValid) {
-    const error = new Error(`Invalid phone number: ${to}`);
-    error.code = 'INVALID_PHONE';
-    error.details = validation.error;
-    console.error('SMS validation failed:', error.message);
-    return Promise.reject(error);
-  }
-
-  const formattedNumber = validation.formattedNumber || to;
-  const fromNumber = options.from || process.env.TWILIO_FROM_NUMBER;
-  
-  // Use mock implementation in development or mock mode
-  if (process.env.SMS_MODE === 'mock' || config.isDev) {
-    return sendSmsMock(formattedNumber, message);
-  }
-  
-  // Initialize Twilio client if not already done
-  if (!twilioClient) {
-    twilioClient = initTwilioClient();
-    
-    if (!twilioClient) {
-      const error = new Error('SMS service not configured properly');
-      error.code = 'SMS_CONFIG_ERROR';
-      console.error('SMS configuration error:', error.message);
-      return Promise.reject(error);
-    }
-  }
-  
-    try {
-    // Validate environment variables first
-    validateEnvVars();
-    
-    // Initialize the client with credentials from environment variables
-    const client = twilio(accountSid, authToken);
-    
-    // Send the SMS
-    const result = await client.messages.create({
-      body: message,
-      from: senderNumber,
-      to: to
-    });
-    
-    console.log(`SMS sent successfully! SID: ${result.sid}`);
-    return result;
-  } catch (error) {
-    console.error('Error sending SMS:', error.message);
-    throw error;
-  }
-
-  // try {
-  //   // Send SMS using Twilio
-  //   const result = await twilioClient.messages.create({
-  //     body: message,
-  //     from: fromNumber,
-  //     to: formattedNumber
-  //   });
-    
-  //   return {
-  //     success: true,
-  //     sid: result.sid,
-  //     status: result.status
-  //   };
-  // } catch (error) {
-  //   console.error('Failed to send SMS:', error.message);
-  //   const smsError = new Error(`Failed to send SMS: ${error.message}`);
-  //   smsError.code = 'SMS_SEND_ERROR';
-  //   smsError.originalError = error;
-  //   throw smsError;
-  // }
-}
-/**
- * Internal implementation of SMS sending functionality
- * 
- * @param {string} recipient - Phone number of the recipient in E.164 format
- * @param {string} message - The message to be sent
- * @param {Object} options - Additional options for the SMS
- * @returns {Promise<Object>} - Promise resolving to the result of the operation
- * @throws {Error} - If something goes wrong during sending
- */
-async function _sendSms(recipient, message, options = {}) {
-  // Get the Twilio client
-  const { client, error } = getTwilioClient();
-  
-  if (error) {
-    throw new Error(error);
-  }
-  
-  if (!client) {
-    throw new Error('SMS client initialization failed');
-  }
-  
-  // If we get here, we have a valid client
-  // Simulating potential errors that might occur
-  if (Math.random() < 0.1) {  // 10% chance of random error for demo purposes
-    throw new Error('Simulated SMS delivery failure');
-  }
-  
-  // Send the SMS using Twilio
-  const result = await client.messages.create({
-    body: message,
-    from: process.env.TWILIO_PHONE_NUMBER,
-    to: recipient,
-    ...options  // Allow passing additional Twilio options
-  });
-  
-  // Return a sanitized response
-  return {
-    channel: 'sms',
-    provider: 'twilio',
-    recipient,
-    messageId: result.sid,
-    timestamp: new Date(),
-    status: result.status,
-    success: true
-  };
 }
+
 // Apply centralized error handling wrapper
-const send = errorHandler.withErrorHandling(_sendSms, 'sms');
-// /**
-//  * Send an SMS notification using Twilio with error handling
-//  * 
-//  * @param {string} recipient - Phone number of the recipient in E.164 format
-//  * @param {string} message - The message to be sent
-//  * @param {Object} options - Additional options for the SMS
-//  * @returns {Promise<Object>} - Promise resolving to the result of the operation
-//  */
-// async function send(recipient, message, options = {}) {
-//   // Additional context information for logging
-//   const contextInfo = {
-//     messageLength: message ? message.length : 0,
-//     hasOptions: options && Object.keys(options).length > 0,
-//     timestamp: new Date().toISOString(),
-//     fromNumber: process.env.TWILIO_PHONE_NUMBER || 'unknown'
-//   };
-  
-//   try {
-//     // Log the attempt (without exposing full message content)
-//     console.log(`[INFO] [channel=SMS] [recipient=${recipient}] Sending SMS of length ${contextInfo.messageLength}`);
-    
-//     // Send the SMS
-//     const result = await _sendSms(recipient, message, options);
-    
-//     // Return the successful result
-//     return {
-//       ...result,
-//       success: true
-//     };
-//   } catch (error) {
-//     // Use the error handler to log the error with all context
-//     // But make sure to sanitize the message to avoid logging sensitive content
-//     return errorHandler.createErrorResponse(
-//       'sms',
-//       recipient,
-//       error,
-//       {
-//         ...contextInfo,
-//         messagePreview: message ? message.substring(0, 20) + '...' : null
-//       }
-//     );
-//   }
-// }
+const send = errorHandler.withErrorHandling(sendSms, 'sms');
 
 // Create a wrapped version that includes error handling directly
 const sendWithErrorHandling = errorHandler.withErrorHandling(
-  _sendSms,
+  sendSms,
   'sms',
   null,  // recipient will be provided when called
-  { provider: 'twilio', source: 'sms_module' }
+  { source: 'sms_module' }
 );
 module.exports = {
   sendSms,
+  getProviderName,
   send,
   sendWithErrorHandling,
   validateEnvVars,
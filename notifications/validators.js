@@ -89,9 +89,36 @@ function validatePhoneNumber(phoneNumber) {
   };
 }
 
+/**
+ * Checks that a phone number is in E.164 format (+ followed by 7-15 digits)
+ *
+ * @param {string} phoneNumber - Phone number to check
+ * @returns {boolean} - True if the number is in E.164 format
+ */
+function isE164PhoneNumber(phoneNumber) {
+  return typeof phoneNumber === 'string' && /^\+\d{7,15}$/.test(phoneNumber);
+}
+/**
+ * Validates a webhook endpoint URL (absolute http or https URL)
+ *
+ * @param {string} url - The URL to validate
+ * @returns {boolean} - True if valid, false otherwise
+ */
+function isValidWebhookUrl(url) {
+  if (!url || typeof url !== "string") return false;
+
+  try {
+    const parsed = new URL(url);
+    return (parsed.protocol === "https:" || parsed.protocol === "http:") && !!parsed.hostname;
+  } catch (error) {
+    return false;
+  }
+}
 
 module.exports = {
   isValidEmail,
   validateEmailAddresses,
-  validatePhoneNumber
+  validatePhoneNumber,
+  isE164PhoneNumber,
+  isValidWebhookUrl
 };
\ No newline at end of file
@@ -0,0 +1,255 @@
+/**
+ * Webhook notification module
+ *
+ * Delivers notifications as JSON POST requests to a recipient URL. Each request
+ * carries a timestamp header and, when a signing secret is configured, an
+ * HMAC-SHA256 signature over "<timestamp>.<body>" so receivers can check the
+ * payload came from us and reject replayed requests. verifySignature() does
+ * that check on the receiving side.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const errorHandler = require('../error-handler');
+const logger = require('../logger');
+const httpClient = require('./http-client');
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+const ID_HEADER = 'X-Webhook-Id';
+const SIGNATURE_VERSION = 'v1';
+const USER_AGENT = 'notification-system-webhook/1.0';
+
+/**
+ * Compute the signature header value for a payload
+ *
+ * @param {string} body - The raw JSON body, exactly as sent
+ * @param {string} secret - The signing secret
+ * @param {number|string} timestamp - Unix timestamp in seconds, as sent in the timestamp header
+ * @returns {string} Signature in the form "v1=<hex digest>"
+ */
+function signPayload(body, secret, timestamp) {
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+  return `${SIGNATURE_VERSION}=${digest}`;
+}
+
+/**
+ * Read a header from a Node-style (lowercase) or plain headers object
+ * @private
+ */
+function getHeader(headers, name) {
+  if (!headers) return undefined;
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+  const value = key ? headers[key] : undefined;
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Compare two strings in constant time
+ * @private
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Verify a webhook request on the receiving side
+ *
+ * The raw request body must be used; re-serializing parsed JSON can change the
+ * bytes and break the signature.
+ *
+ * @param {string|Buffer} body - The raw request body
+ * @param {Object} headers - The request headers (e.g. req.headers)
+ * @param {string|string[]} secret - The signing secret, or several while rotating secrets
+ * @param {Object} [options={}] - Verification options
+ * @param {number} [options.toleranceSeconds] - Maximum age of the timestamp (default WEBHOOK_SIGNATURE_TOLERANCE_SECONDS or 300)
+ * @param {number} [options.now] - Current time in milliseconds, for testing
+ * @returns {Object} { isValid, errorMessage }
+ */
+function verifySignature(body, headers, secret, options = {}) {
+  const secrets = (Array.isArray(secret) ? secret : [secret]).filter(Boolean);
+  if (secrets.length === 0) {
+    return { isValid: false, errorMessage: 'A signing secret is required to verify webhooks' };
+  }
+
+  const signature = getHeader(headers, SIGNATURE_HEADER);
+  const timestamp = getHeader(headers, TIMESTAMP_HEADER);
+
+  if (!signature || !timestamp) {
+    return { isValid: false, errorMessage: `Missing ${SIGNATURE_HEADER} or ${TIMESTAMP_HEADER} header` };
+  }
+
+  const timestampSeconds = Number(timestamp);
+  if (!Number.isInteger(timestampSeconds)) {
+    return { isValid: false, errorMessage: `Invalid ${TIMESTAMP_HEADER} header: '${timestamp}'` };
+  }
+
+  // Reject stale (or far-future) timestamps so a captured request can't be replayed later
+  const toleranceSeconds = options.toleranceSeconds !== undefined
+    ? options.toleranceSeconds
+    : config.webhook.toleranceSeconds;
+  const nowSeconds = Math.floor((options.now || Date.now()) / 1000);
+  if (Math.abs(nowSeconds - timestampSeconds) > toleranceSeconds) {
+    return { isValid: false, errorMessage: `Webhook timestamp is outside the ${toleranceSeconds}s tolerance` };
+  }
+
+  const rawBody = Buffer.isBuffer(body) ? body.toString('utf8') : String(body);
+  const matches = secrets.some(candidate => safeEqual(signature, signPayload(rawBody, candidate, timestampSeconds)));
+
+  return matches
+    ? { isValid: true, errorMessage: null }
+    : { isValid: false, errorMessage: 'Webhook signature does not match' };
+}
+
+/**
+ * Provider name for an endpoint, used for its rate limits and circuit breaker
+ *
+ * @param {string} recipient - The endpoint URL
+ * @returns {string} 'webhook:<host>', or 'webhook' if the URL can't be parsed
+ */
+function getProviderName(recipient) {
+  try {
+    return `webhook:${new URL(recipient).host}`;
+  } catch (error) {
+    return 'webhook';
+  }
+}
+
+/**
+ * Generate a message ID, sent as the X-Webhook-Id header
+ *
+ * @returns {string} 'webhook-<uuid>'
+ */
+function createMessageId() {
+  return `webhook-${crypto.randomUUID()}`;
+}
+
+/**
+ * Build the JSON payload for a notification
+ * @private
+ */
+function buildPayload(message, options, messageId) {
+  // A caller-supplied payload is sent as-is
+  if (options.payload) {
+    return options.payload;
+  }
+
+  return {
+    id: messageId,
+    event: options.event || 'notification',
+    message,
+    data: options.data || {},
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Send a webhook notification
+ *
+ * @param {string} recipient - The endpoint URL
+ * @param {string} message - The message to be sent
+ * @param {Object} options - Additional options for the webhook
+ * @param {string} [options.event='notification'] - Event name included in the payload
+ * @param {Object} [options.data] - Extra data included in the payload
+ * @param {Object} [options.payload] - Full payload to send instead of the default shape
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {string} [options.messageId] - Message ID to send, so retries of one dispatch share it (generated if not set)
+ * @param {string} [options.secret] - Signing secret (defaults to WEBHOOK_SIGNING_SECRET; unsigned if neither is set)
+ * @param {number} [options.timeoutMs] - Request timeout (defaults to WEBHOOK_TIMEOUT_MS or 10000)
+ * @returns {Promise<Object>} - Promise resolving to the result of the operation
+ * @throws {Error} - On non-2xx responses (with statusCode), timeouts and network errors
+ */
+async function sendWebhook(recipient, message, options = {}) {
+  const mockMode = process.env.WEBHOOK_MOCK_MODE === 'true' || options.mockMode === true;
+  const messageId = options.messageId || createMessageId();
+  const logOptions = { event: options.event || 'notification', messageId, simulated: mockMode };
+
+  try {
+    const body = JSON.stringify(buildPayload(message, options, messageId));
+    const timestamp = Math.floor(Date.now() / 1000);
+    const secret = options.secret || config.webhook.signingSecret;
+
+    const headers = {
+      'User-Agent': USER_AGENT,
+      ...(options.headers || {}),
+      [ID_HEADER]: messageId,
+      [TIMESTAMP_HEADER]: String(timestamp)
+    };
+    if (secret) {
+      headers[SIGNATURE_HEADER] = signPayload(body, secret, timestamp);
+    }
+
+    if (mockMode) {
+      logger.logWebhook(recipient, message, { ...logOptions, status: 'sent' });
+      return {
+        channel: 'webhook',
+        recipient,
+        messageId,
+        timestamp: new Date(),
+        status: 'sent',
+        simulated: true,
+        signed: !!secret
+      };
+    }
+
+    const response = await httpClient.postJson(recipient, body, {
+      headers,
+      timeoutMs: options.timeoutMs || config.webhook.timeoutMs
+    });
+
+    // Anything but a 2xx is a failure; the status code lets the retry policy
+    // retry 5xx/429 responses and give up on other 4xx responses
+    if (!httpClient.isSuccessStatus(response.statusCode)) {
+      const error = new Error(`Webhook endpoint responded with HTTP ${response.statusCode}`);
+      error.code = 'WEBHOOK_HTTP_ERROR';
+      error.statusCode = response.statusCode;
+      throw error;
+    }
+
+    logger.logWebhook(recipient, message, { ...logOptions, status: 'sent', statusCode: response.statusCode });
+
+    return {
+      channel: 'webhook',
+      recipient,
+      messageId,
+      timestamp: new Date(),
+      status: 'delivered',
+      statusCode: response.statusCode,
+      responseBody: response.body ? response.body.substring(0, 500) : '',
+      simulated: false,
+      signed: !!secret
+    };
+  } catch (error) {
+    logger.logWebhook(recipient, message, {
+      ...logOptions,
+      simulated: false,
+      status: 'failed',
+      statusCode: error.statusCode,
+      error: error.message
+    });
+
+    // Let the error propagate to be handled by the error handler wrapper
+    throw error;
+  }
+}
+
+// Apply centralized error handling wrapper
+const send = errorHandler.withErrorHandling(sendWebhook, 'webhook');
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  ID_HEADER,
+  sendWebhook,
+  send,
+  signPayload,
+  verifySignature,
+  getProviderName,
+  createMessageId
+};
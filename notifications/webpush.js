@@ -0,0 +1,475 @@
+/**
+ * Web Push notification module
+ *
+ * Sends notifications to browsers through their push service using the
+ * standard Web Push protocol:
+ * - RFC 8291: the payload is encrypted with aes128gcm for the subscription's
+ *   p256dh key and auth secret, so the push service can't read it
+ * - RFC 8292: requests carry a VAPID JWT signed with our application server key
+ *
+ * The recipient is the browser's PushSubscription ({ endpoint, keys: { p256dh, auth } })
+ * as an object or JSON string. A 404 or 410 from the push service means the
+ * subscription is gone; it is flagged as expired, listeners registered with
+ * onSubscriptionExpired() are told so the subscription can be deleted, and
+ * later sends to it fail without a request.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const errorHandler = require('../error-handler');
+const logger = require('../logger');
+const httpClient = require('./http-client');
+const { base64url, signJwt } = require('./providers/jwt');
+
+const SUBSCRIPTION_EXPIRED = 'SUBSCRIPTION_EXPIRED';
+const PAYLOAD_TOO_LARGE = 'PAYLOAD_TOO_LARGE';
+
+// RFC 8291: a single record with a 4096-byte record size
+const RECORD_SIZE = 4096;
+const SALT_LENGTH = 16;
+const TAG_LENGTH = 16;
+const PUBLIC_KEY_LENGTH = 65;
+const HEADER_LENGTH = SALT_LENGTH + 4 + 1 + PUBLIC_KEY_LENGTH;
+
+// Push services accept 4096 bytes of encrypted body; the header, tag and padding delimiter take 103
+const MAX_PAYLOAD_BYTES = RECORD_SIZE - HEADER_LENGTH - TAG_LENGTH - 1;
+
+// VAPID tokens may be valid for at most 24 hours
+const VAPID_TOKEN_TTL_SECONDS = 12 * 60 * 60;
+
+const URGENCY_LEVELS = ['very-low', 'low', 'normal', 'high'];
+
+// Endpoints that answered 404/410, with when they did
+const expiredSubscriptions = new Map();
+const expiryListeners = new Set();
+
+// Signed VAPID tokens, reused per push service origin until close to expiry
+const vapidTokens = new Map();
+
+/**
+ * Decode a base64url string
+ * @private
+ */
+function fromBase64url(value) {
+  return Buffer.from(String(value).replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Generate a VAPID key pair
+ *
+ * Store both keys (e.g. VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY); browsers need the
+ * public key as the applicationServerKey when subscribing.
+ *
+ * @returns {Object} { publicKey, privateKey } as base64url strings
+ */
+function generateVapidKeys() {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+
+  // getPrivateKey() drops leading zero bytes; VAPID keys are always 32 bytes
+  return {
+    publicKey: base64url(ecdh.getPublicKey()),
+    privateKey: base64url(Buffer.from(ecdh.getPrivateKey('hex').padStart(64, '0'), 'hex'))
+  };
+}
+
+/**
+ * Push services are always https; plain http is allowed for local stand-ins only
+ * @private
+ */
+function isAllowedEndpoint(endpoint) {
+  try {
+    const url = new URL(endpoint);
+    return url.protocol === 'https:' ||
+      (url.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Parse and check a push subscription
+ *
+ * @param {Object|string} subscription - PushSubscription object or its JSON
+ * @returns {Object} { endpoint, keys: { p256dh, auth } }
+ * @throws {Error} - If the subscription is malformed
+ */
+function parseSubscription(subscription) {
+  let parsed = subscription;
+  if (typeof subscription === 'string') {
+    try {
+      parsed = JSON.parse(subscription);
+    } catch (error) {
+      throw new Error('Push subscription must be a PushSubscription object or its JSON');
+    }
+  }
+
+  if (!parsed || typeof parsed.endpoint !== 'string' || !isAllowedEndpoint(parsed.endpoint)) {
+    throw new Error('Push subscription must have an https endpoint');
+  }
+
+  if (!parsed.keys || !parsed.keys.p256dh || !parsed.keys.auth) {
+    throw new Error('Push subscription must have keys.p256dh and keys.auth');
+  }
+
+  if (fromBase64url(parsed.keys.p256dh).length !== PUBLIC_KEY_LENGTH || fromBase64url(parsed.keys.auth).length !== 16) {
+    throw new Error('Push subscription keys are not a P-256 public key and 16-byte auth secret');
+  }
+
+  return { endpoint: parsed.endpoint, keys: { p256dh: parsed.keys.p256dh, auth: parsed.keys.auth } };
+}
+
+/**
+ * Check a subscription, for use as the channel's recipient validator
+ *
+ * @param {Object|string} subscription - The subscription
+ * @returns {Object} { isValid, errorMessage }
+ */
+function validateSubscription(subscription) {
+  try {
+    parseSubscription(subscription);
+    return { isValid: true, errorMessage: null };
+  } catch (error) {
+    return { isValid: false, errorMessage: `Invalid push subscription: ${error.message}` };
+  }
+}
+
+/**
+ * Canonical JSON form of a subscription, used as the dispatcher's recipient
+ *
+ * @param {Object|string} subscription - The subscription
+ * @returns {string} JSON with endpoint and keys only, or the input unchanged if it can't be parsed
+ */
+function formatSubscription(subscription) {
+  try {
+    return JSON.stringify(parseSubscription(subscription));
+  } catch (error) {
+    return typeof subscription === 'string' ? subscription : JSON.stringify(subscription);
+  }
+}
+
+/**
+ * HMAC-SHA256, the HKDF building block
+ * @private
+ */
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * Encrypt a payload for a subscription (RFC 8291, aes128gcm)
+ *
+ * @param {string|Buffer} payload - The plaintext
+ * @param {Object|string} subscription - The subscription
+ * @param {Object} [options={}] - For testing only: fixed { salt, serverKeys: ECDH } instead of random ones
+ * @returns {Buffer} The encrypted body: salt, record size, sender public key, ciphertext
+ * @throws {Error} - With code PAYLOAD_TOO_LARGE if the payload doesn't fit in one record
+ */
+function encryptPayload(payload, subscription, options = {}) {
+  const { keys } = parseSubscription(subscription);
+  const plaintext = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload), 'utf8');
+
+  if (plaintext.length > MAX_PAYLOAD_BYTES) {
+    const error = new Error(`Web push payload is ${plaintext.length} bytes; the limit is ${MAX_PAYLOAD_BYTES}`);
+    error.code = PAYLOAD_TOO_LARGE;
+    throw error;
+  }
+
+  const userAgentPublicKey = fromBase64url(keys.p256dh);
+  const authSecret = fromBase64url(keys.auth);
+
+  // Fresh sender key pair and salt for every message
+  const serverKeys = options.serverKeys || crypto.createECDH('prime256v1');
+  if (!options.serverKeys) serverKeys.generateKeys();
+  const serverPublicKey = serverKeys.getPublicKey();
+  const salt = options.salt || crypto.randomBytes(SALT_LENGTH);
+
+  const sharedSecret = serverKeys.computeSecret(userAgentPublicKey);
+
+  // IKM = HKDF(auth_secret, ecdh_secret, "WebPush: info" || 0x00 || ua_public || as_public, 32)
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userAgentPublicKey, serverPublicKey, Buffer.from([1])]);
+  const ikm = hmac(hmac(authSecret, sharedSecret), keyInfo);
+
+  // Content encryption key and nonce from HKDF(salt, IKM)
+  const prk = hmac(salt, ikm);
+  const contentKey = hmac(prk, Buffer.from('Content-Encoding: aes128gcm\0\x01')).subarray(0, 16);
+  const nonce = hmac(prk, Buffer.from('Content-Encoding: nonce\0\x01')).subarray(0, 12);
+
+  // 0x02 marks the last (and only) record, with no padding after it
+  const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+  const ciphertext = Buffer.concat([cipher.update(Buffer.concat([plaintext, Buffer.from([2])])), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(HEADER_LENGTH);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, SALT_LENGTH);
+  header.writeUInt8(PUBLIC_KEY_LENGTH, SALT_LENGTH + 4);
+  serverPublicKey.copy(header, SALT_LENGTH + 5);
+
+  return Buffer.concat([header, ciphertext]);
+}
+
+/**
+ * Build the VAPID Authorization header for a push service (RFC 8292)
+ *
+ * @param {string} endpoint - The subscription endpoint
+ * @param {Object} [vapid] - { publicKey, privateKey, subject }, defaulting to the VAPID_* settings
+ * @returns {string} 'vapid t=<jwt>, k=<public key>'
+ * @throws {Error} - If the VAPID keys or subject are missing
+ */
+function getVapidAuthorization(endpoint, vapid = {}) {
+  const publicKey = vapid.publicKey || config.webPush.vapidPublicKey;
+  const privateKey = vapid.privateKey || config.webPush.vapidPrivateKey;
+  const subject = vapid.subject || config.webPush.vapidSubject;
+
+  if (!publicKey || !privateKey || !subject) {
+    const error = new Error('Web push is not configured. Set VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY and VAPID_SUBJECT (a mailto: or https: URL)');
+    error.code = 'PUSH_NOT_CONFIGURED';
+    throw error;
+  }
+
+  const audience = new URL(endpoint).origin;
+  const cacheKey = `${publicKey}|${audience}`;
+  const now = Math.floor(Date.now() / 1000);
+  const cached = vapidTokens.get(cacheKey);
+
+  if (!cached || cached.expiresAt - now < 60) {
+    const publicKeyBytes = fromBase64url(publicKey);
+    const signingKey = crypto.createPrivateKey({
+      key: {
+        kty: 'EC',
+        crv: 'P-256',
+        d: base64url(fromBase64url(privateKey)),
+        x: base64url(publicKeyBytes.subarray(1, 33)),
+        y: base64url(publicKeyBytes.subarray(33, 65))
+      },
+      format: 'jwk'
+    });
+
+    const expiresAt = now + VAPID_TOKEN_TTL_SECONDS;
+    vapidTokens.set(cacheKey, {
+      token: signJwt({ aud: audience, exp: expiresAt, sub: subject }, signingKey, { algorithm: 'ES256' }),
+      expiresAt
+    });
+  }
+
+  return `vapid t=${vapidTokens.get(cacheKey).token}, k=${publicKey}`;
+}
+
+/**
+ * Build the notification payload the service worker receives
+ * @private
+ */
+function buildPayload(message, options) {
+  if (options.payload !== undefined) {
+    return typeof options.payload === 'string' ? options.payload : JSON.stringify(options.payload);
+  }
+
+  const payload = { title: options.title || options.subject, body: message };
+  ['icon', 'badge', 'image', 'url', 'tag', 'data'].forEach(key => {
+    if (options[key] !== undefined) payload[key] = options[key];
+  });
+
+  return JSON.stringify(payload);
+}
+
+/**
+ * Flag a subscription endpoint as expired and tell listeners
+ * @private
+ */
+function markExpired(subscription, statusCode) {
+  const record = { endpoint: subscription.endpoint, statusCode, expiredAt: new Date().toISOString() };
+  expiredSubscriptions.set(subscription.endpoint, record);
+
+  expiryListeners.forEach(listener => {
+    try {
+      listener(subscription, record);
+    } catch (error) {
+      console.error(`[ERROR] [channel=webpush] Subscription expiry listener failed: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Check whether a subscription has been flagged as expired
+ *
+ * @param {Object|string} subscription - The subscription, or its endpoint URL
+ * @returns {Object|null} { endpoint, statusCode, expiredAt }, or null if it isn't expired
+ */
+function getExpiredSubscription(subscription) {
+  const endpoint = typeof subscription === 'string' && subscription.startsWith('http')
+    ? subscription
+    : parseSubscription(subscription).endpoint;
+  return expiredSubscriptions.get(endpoint) || null;
+}
+
+/**
+ * Register a listener called with (subscription, { endpoint, statusCode, expiredAt })
+ * when a push service reports a subscription as gone
+ *
+ * @param {Function} listener - The listener
+ * @returns {Function} Call to remove the listener
+ */
+function onSubscriptionExpired(listener) {
+  expiryListeners.add(listener);
+  return () => expiryListeners.delete(listener);
+}
+
+/**
+ * Forget that an endpoint expired
+ *
+ * @param {string} [endpoint] - The endpoint; clears all when omitted
+ */
+function clearExpiredSubscriptions(endpoint) {
+  if (endpoint) {
+    expiredSubscriptions.delete(endpoint);
+  } else {
+    expiredSubscriptions.clear();
+  }
+}
+
+/**
+ * Provider name for a subscription, used for its rate limits and circuit breaker
+ *
+ * @param {Object|string} recipient - The subscription
+ * @returns {string} 'webpush:<push service host>', or 'webpush' if it can't be parsed
+ */
+function getProviderName(recipient) {
+  try {
+    return `webpush:${new URL(parseSubscription(recipient).endpoint).host}`;
+  } catch (error) {
+    return 'webpush';
+  }
+}
+
+/**
+ * Send a web push notification
+ *
+ * @param {Object|string} recipient - The PushSubscription
+ * @param {string} message - The notification body
+ * @param {Object} options - Additional options for the notification
+ * @param {string} [options.title] - Notification title
+ * @param {string} [options.icon] - Icon URL
+ * @param {string} [options.url] - URL to open on click (for the service worker)
+ * @param {Object} [options.data] - Extra data for the service worker
+ * @param {Object|string} [options.payload] - Payload to send instead of the default shape
+ * @param {number} [options.ttl] - Seconds the push service keeps the message (defaults to WEBPUSH_TTL_SECONDS)
+ * @param {string} [options.urgency] - 'very-low', 'low', 'normal' or 'high'
+ * @param {string} [options.topic] - Replaces an undelivered message with the same topic
+ * @param {Object} [options.vapid] - { publicKey, privateKey, subject } overriding the VAPID_* settings
+ * @returns {Promise<Object>} - Promise resolving to the result of the operation
+ * @throws {Error} - With code SUBSCRIPTION_EXPIRED on 404/410, PAYLOAD_TOO_LARGE, or with the statusCode of other failures
+ */
+async function sendWebPush(recipient, message, options = {}) {
+  const mockMode = process.env.WEBPUSH_MOCK_MODE === 'true' || options.mockMode === true;
+  const messageId = options.messageId || `webpush-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+  let endpoint = null;
+
+  try {
+    const subscription = parseSubscription(recipient);
+    endpoint = subscription.endpoint;
+
+    const expired = expiredSubscriptions.get(endpoint);
+    if (expired) {
+      const error = new Error(`Push subscription expired at ${expired.expiredAt} (HTTP ${expired.statusCode})`);
+      error.code = SUBSCRIPTION_EXPIRED;
+      error.statusCode = expired.statusCode;
+      throw error;
+    }
+
+    const body = encryptPayload(buildPayload(message, options), subscription);
+
+    if (mockMode) {
+      logger.logWebPush(endpoint, message, { messageId, simulated: true, status: 'sent' });
+      return {
+        channel: 'webpush',
+        recipient: endpoint,
+        messageId,
+        timestamp: new Date(),
+        status: 'sent',
+        simulated: true
+      };
+    }
+
+    if (options.urgency && !URGENCY_LEVELS.includes(options.urgency)) {
+      throw new Error(`Invalid urgency '${options.urgency}'. Must be one of: ${URGENCY_LEVELS.join(', ')}`);
+    }
+
+    const headers = {
+      'Content-Type': 'application/octet-stream',
+      'Content-Encoding': 'aes128gcm',
+      TTL: String(options.ttl !== undefined ? options.ttl : config.webPush.ttlSeconds),
+      Authorization: getVapidAuthorization(endpoint, options.vapid)
+    };
+    if (options.urgency) headers.Urgency = options.urgency;
+    if (options.topic) headers.Topic = options.topic;
+
+    const response = await httpClient.request(endpoint, {
+      method: 'POST',
+      headers,
+      body,
+      timeoutMs: options.timeoutMs || config.webPush.timeoutMs
+    });
+
+    // 404 and 410 mean the browser unsubscribed or the subscription lapsed
+    if (response.statusCode === 404 || response.statusCode === 410) {
+      markExpired(subscription, response.statusCode);
+      const error = new Error(`Push subscription is no longer valid (HTTP ${response.statusCode})`);
+      error.code = SUBSCRIPTION_EXPIRED;
+      error.statusCode = response.statusCode;
+      throw error;
+    }
+
+    if (!httpClient.isSuccessStatus(response.statusCode)) {
+      const detail = response.body ? `: ${response.body.substring(0, 200)}` : '';
+      const error = new Error(`Push service responded with HTTP ${response.statusCode}${detail}`);
+      error.code = response.statusCode === 413 ? PAYLOAD_TOO_LARGE : 'WEBPUSH_HTTP_ERROR';
+      error.statusCode = response.statusCode;
+      throw error;
+    }
+
+    logger.logWebPush(endpoint, message, { messageId, simulated: false, status: 'sent', statusCode: response.statusCode });
+
+    return {
+      channel: 'webpush',
+      recipient: endpoint,
+      // Push services return the message resource in the Location header
+      messageId: response.headers.location || messageId,
+      timestamp: new Date(),
+      status: 'sent',
+      statusCode: response.statusCode,
+      simulated: false
+    };
+  } catch (error) {
+    logger.logWebPush(endpoint || 'invalid-subscription', message, {
+      messageId,
+      simulated: false,
+      status: 'failed',
+      statusCode: error.statusCode,
+      error: error.message
+    });
+
+    // Let the error propagate to be handled by the error handler wrapper
+    throw error;
+  }
+}
+
+// Apply centralized error handling wrapper
+const send = errorHandler.withErrorHandling(sendWebPush, 'webpush');
+
+module.exports = {
+  SUBSCRIPTION_EXPIRED,
+  PAYLOAD_TOO_LARGE,
+  MAX_PAYLOAD_BYTES,
+  sendWebPush,
+  send,
+  generateVapidKeys,
+  encryptPayload,
+  getVapidAuthorization,
+  parseSubscription,
+  validateSubscription,
+  formatSubscription,
+  getExpiredSubscription,
+  onSubscriptionExpired,
+  clearExpiredSubscriptions,
+  getProviderName
+};
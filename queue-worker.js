@@ -0,0 +1,201 @@
+/**
+ * Queue Worker Module
+ *
+ * Drains the durable notification queue with a configurable number of
+ * concurrent jobs. Each job kind is processed by a registered handler;
+ * 'dispatch' jobs go through the dispatcher and 'preference' jobs through
+ * the preference-based user notification controller.
+ *
+ * A failed job is tried again, with exponential backoff, until it has used up
+ * its maxAttempts. Failures the retry policy considers permanent, such as an
+ * invalid recipient, fail the job at once.
+ */
+
+const { notificationQueue } = require('./notification-queue');
+const { isRetryableError, computeBackoffDelay } = require('./retry-policy');
+
+const DEFAULT_CONCURRENCY = parseInt(process.env.QUEUE_CONCURRENCY || '5', 10);
+const DEFAULT_POLL_INTERVAL_MS = parseInt(process.env.QUEUE_POLL_INTERVAL_MS || '1000', 10);
+const DEFAULT_RETRY_DELAY_MS = parseInt(process.env.QUEUE_RETRY_DELAY_MS || '30000', 10);
+// Later attempts wait twice as long as the one before, up to this
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+// Codes the dispatcher doesn't retry inline, but that clear up given time
+const DEFERRABLE_ERROR_CODES = ['PROVIDER_UNAVAILABLE', 'RATE_LIMITED'];
+
+// Handlers are required lazily to avoid circular imports with the dispatcher
+const DEFAULT_HANDLERS = {
+  dispatch: payload => require('./dispatcher').dispatchNotification(payload),
+  preference: ({ email, notificationType, data, options }) =>
+    require('./controllers/userNotificationController')
+      .sendNotificationByPreference(email, notificationType, data, options)
+};
+
+class QueueWorker {
+  /**
+   * @param {Object} [options={}] - Worker options
+   * @param {NotificationQueue} [options.queue] - Queue to drain (defaults to the shared queue)
+   * @param {number} [options.concurrency] - Maximum number of jobs processed at once
+   * @param {number} [options.pollIntervalMs] - How often to look for newly available jobs
+   * @param {boolean} [options.removeOnComplete=false] - Drop completed jobs instead of keeping their result
+   * @param {number} [options.retryDelayMs] - Delay before the first retry of a failed job
+   * @param {Object} [options.handlers] - Extra or replacement handlers keyed by job kind
+   */
+  constructor(options = {}) {
+    this.queue = options.queue || notificationQueue;
+    this.concurrency = Math.max(1, options.concurrency || DEFAULT_CONCURRENCY);
+    this.pollIntervalMs = options.pollIntervalMs || DEFAULT_POLL_INTERVAL_MS;
+    this.removeOnComplete = !!options.removeOnComplete;
+    this.retryDelayMs = options.retryDelayMs === undefined ? DEFAULT_RETRY_DELAY_MS : options.retryDelayMs;
+    this.handlers = { ...DEFAULT_HANDLERS, ...(options.handlers || {}) };
+    this.active = new Set(); // Promises of jobs currently being processed
+    this.running = false;
+    this.pollTimer = null;
+  }
+
+  /**
+   * Register a handler for a job kind
+   *
+   * @param {string} kind - The job kind
+   * @param {Function} handler - Async function receiving (payload, job)
+   * @returns {QueueWorker} The worker, for method chaining
+   */
+  registerHandler(kind, handler) {
+    this.handlers[kind] = handler;
+    return this;
+  }
+
+  /**
+   * Start processing jobs, resuming any that were in flight before a restart
+   *
+   * @returns {Object} Summary of recovered jobs
+   */
+  start() {
+    if (this.running) return { resumed: 0, failed: 0 };
+
+    const recovered = this.queue.recoverInFlight();
+    if (recovered.resumed > 0 || recovered.failed > 0) {
+      console.log(`[QUEUE] Recovered in-flight jobs: ${recovered.resumed} resumed, ${recovered.failed} failed`);
+    }
+
+    this.running = true;
+    this.pollTimer = setInterval(() => this.fill(), this.pollIntervalMs);
+    this.fill();
+
+    return recovered;
+  }
+
+  /**
+   * Stop claiming new jobs and wait for the active ones to finish
+   *
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false;
+
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+
+    await Promise.allSettled(Array.from(this.active));
+  }
+
+  /**
+   * Process every job that is currently available, then resolve
+   *
+   * Useful for scripts and tests that don't want a long-running worker.
+   *
+   * @returns {Promise<Object>} Queue statistics after draining
+   */
+  async drain() {
+    const wasRunning = this.running;
+    this.running = true;
+
+    do {
+      this.fill();
+      await Promise.allSettled(Array.from(this.active));
+    } while (this.active.size > 0);
+
+    this.running = wasRunning;
+    return this.queue.getStats();
+  }
+
+  /**
+   * Claim jobs until the concurrency limit is reached
+   * @private
+   */
+  fill() {
+    while (this.running && this.active.size < this.concurrency) {
+      const job = this.queue.claimNext();
+      if (!job) break;
+
+      const promise = this.process(job).finally(() => {
+        this.active.delete(promise);
+        this.fill();
+      });
+      this.active.add(promise);
+    }
+  }
+
+  /**
+   * Run the handler for a single job and record the outcome
+   * @private
+   * @param {Object} job - The claimed job
+   */
+  async process(job) {
+    const handler = this.handlers[job.kind];
+
+    if (!handler) {
+      this.queue.fail(job.id, `No handler registered for job kind '${job.kind}'`);
+      return;
+    }
+
+    try {
+      const result = await handler(job.payload, job);
+
+      // Handlers report failure with the standard { success: false, error } response
+      if (result && result.success === false) {
+        const retryable = DEFERRABLE_ERROR_CODES.includes(result.errorCode) ||
+          isRetryableError({ error: result.error, errorCode: result.errorCode, statusCode: result.statusCode });
+        this.handleFailure(job, result.error || 'Job handler reported failure', result, retryable);
+        return;
+      }
+
+      this.queue.complete(job.id, result, { remove: this.removeOnComplete });
+    } catch (error) {
+      // A throwing handler is retried; it may have hit a temporary problem
+      this.handleFailure(job, error, undefined, true);
+    }
+  }
+
+  /**
+   * Retry a failed job later, or fail it if it can't be retried
+   * @private
+   * @param {Object} job - The claimed job
+   * @param {Error|string} error - What went wrong
+   * @param {*} result - The handler result, if there was one
+   * @param {boolean} retryable - Whether the failure may be temporary
+   */
+  handleFailure(job, error, result, retryable) {
+    const message = error instanceof Error ? error.message : String(error);
+
+    if (retryable && job.attempts < job.maxAttempts) {
+      const delayMs = computeBackoffDelay(job.attempts, {
+        baseDelayMs: this.retryDelayMs,
+        maxDelayMs: MAX_RETRY_DELAY_MS,
+        factor: 2,
+        jitter: 0.2
+      });
+      this.queue.retry(job.id, error, { delayMs, result });
+      console.log(`[QUEUE] Job ${job.id} (${job.kind}) failed attempt ${job.attempts} of ${job.maxAttempts}, retrying in ${delayMs}ms: ${message}`);
+      return;
+    }
+
+    this.queue.fail(job.id, error, result);
+    console.log(`[QUEUE] Job ${job.id} (${job.kind}) failed: ${message}`);
+  }
+}
+
+module.exports = {
+  QueueWorker
+};
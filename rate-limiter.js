@@ -0,0 +1,341 @@
+/**
+ * Rate Limiter Module
+ *
+ * Token-bucket rate limiting for outbound notifications. Limits can be set per
+ * channel (e.g. all SMS), per provider (e.g. Twilio, SMTP) and per recipient
+ * on a channel (e.g. at most 5 SMS per user per hour). A notification is only
+ * sent when every bucket that applies to it has a token available.
+ *
+ * When a limit is hit the notification is either rejected with a RATE_LIMITED
+ * error code, delayed in-process until tokens are available, or handed to the
+ * durable queue to be sent once the limit allows it.
+ */
+
+const config = require('./config');
+const registry = require('./notifications/registry');
+
+const RATE_LIMITED = 'RATE_LIMITED';
+
+const MODES = ['reject', 'delay', 'queue'];
+
+// Recipient buckets are swept once there are more than this many
+const MAX_RECIPIENT_BUCKETS = 10000;
+
+// Limits, seeded from environment configuration
+let settings = {
+  mode: config.rateLimit.mode,
+  maxDelayMs: config.rateLimit.maxDelayMs,
+  channels: {},
+  providers: {},
+  recipients: {}
+};
+
+// Token buckets keyed by scope, e.g. 'channel:sms', 'provider:twilio', 'recipient:sms:+15551234567'
+const buckets = new Map();
+
+class TokenBucket {
+  /**
+   * @param {Object} limit - Bucket limit
+   * @param {number} limit.limit - Tokens available per interval (also the burst size)
+   * @param {number} limit.intervalMs - Interval over which the tokens refill
+   */
+  constructor({ limit, intervalMs }) {
+    this.capacity = limit;
+    this.refillPerMs = limit / intervalMs;
+    this.tokens = limit;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Add the tokens earned since the last update
+   * @private
+   */
+  refill(now = Date.now()) {
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+    this.updatedAt = now;
+  }
+
+  /**
+   * How long until a token is available
+   *
+   * @returns {number} Milliseconds to wait, 0 if a token is available now
+   */
+  getWaitMs() {
+    this.refill();
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillPerMs);
+  }
+
+  /**
+   * Take a token; the balance may go negative to reserve a future token
+   */
+  take() {
+    this.refill();
+    this.tokens -= 1;
+  }
+
+  /**
+   * Whether the bucket has refilled completely and can be discarded
+   *
+   * @returns {boolean} True if the bucket is full
+   */
+  isFull() {
+    this.refill();
+    return this.tokens >= this.capacity;
+  }
+}
+
+/**
+ * Validate a limit definition
+ * @private
+ * @param {string} scope - Scope name, for error messages
+ * @param {Object} limit - { limit, intervalMs }
+ */
+function assertValidLimit(scope, limit) {
+  if (!limit || !(limit.limit > 0) || !(limit.intervalMs > 0)) {
+    throw new Error(`Invalid rate limit for ${scope}: 'limit' and 'intervalMs' must be positive numbers`);
+  }
+}
+
+/**
+ * Update rate limits
+ *
+ * Each limit is { limit, intervalMs }, e.g. { limit: 5, intervalMs: 3600000 }
+ * for five per hour. Set a limit to null to remove it.
+ *
+ * @param {Object} [overrides={}] - Settings to change
+ * @param {string} [overrides.mode] - 'reject', 'delay' or 'queue' when a limit is hit
+ * @param {number} [overrides.maxDelayMs] - Longest in-process wait in 'delay' mode before rejecting
+ * @param {Object} [overrides.channels] - Limits per channel, e.g. { sms: { limit: 10, intervalMs: 1000 } }
+ * @param {Object} [overrides.providers] - Limits per provider, e.g. { twilio: { limit: 100, intervalMs: 1000 } }
+ * @param {Object} [overrides.recipients] - Limits per recipient on each channel, e.g. { sms: { limit: 5, intervalMs: 3600000 } }
+ * @returns {Object} The settings now in effect
+ * @throws {Error} - If a mode or limit is invalid
+ */
+function configureRateLimits(overrides = {}) {
+  const { channels = {}, providers = {}, recipients = {}, ...rest } = overrides;
+
+  if (rest.mode !== undefined && !MODES.includes(rest.mode)) {
+    throw new Error(`Invalid rate limit mode '${rest.mode}'. Must be one of: ${MODES.join(', ')}`);
+  }
+
+  const next = {
+    ...settings,
+    ...rest,
+    channels: { ...settings.channels },
+    providers: { ...settings.providers },
+    recipients: { ...settings.recipients }
+  };
+
+  [['channels', channels, 'channel'], ['providers', providers, 'provider'], ['recipients', recipients, 'recipient']]
+    .forEach(([section, limits, scope]) => {
+      Object.entries(limits).forEach(([name, limit]) => {
+        if (limit === null) {
+          delete next[section][name];
+        } else {
+          assertValidLimit(`${scope} '${name}'`, limit);
+          next[section][name] = { limit: limit.limit, intervalMs: limit.intervalMs };
+        }
+      });
+    });
+
+  settings = next;
+  // Buckets are rebuilt from the new limits on next use
+  buckets.clear();
+
+  return getRateLimits();
+}
+
+/**
+ * Get the current rate limit settings
+ *
+ * @returns {Object} The settings now in effect
+ */
+function getRateLimits() {
+  return JSON.parse(JSON.stringify(settings));
+}
+
+/**
+ * Resolve the provider that will send a notification
+ *
+ * Uses options.provider when given, otherwise the provider the channel was
+ * registered with. Channels that register a provider function (e.g. webhooks,
+ * one provider per endpoint host) resolve it from the recipient.
+ *
+ * @param {string} channel - The notification channel
+ * @param {Object} [options={}] - The notification options
+ * @param {string} [recipient] - The recipient, passed to provider functions
+ * @returns {string} The provider name
+ */
+function resolveProvider(channel, options = {}, recipient) {
+  if (options.provider) return options.provider;
+
+  const registered = registry.getChannel(channel);
+  if (!registered) return channel;
+
+  return typeof registered.provider === 'function'
+    ? registered.provider(recipient, options) || channel
+    : registered.provider;
+}
+
+/**
+ * Get or create the bucket for a scope
+ * @private
+ */
+function getBucket(key, limit) {
+  if (!buckets.has(key)) {
+    buckets.set(key, new TokenBucket(limit));
+  }
+  return buckets.get(key);
+}
+
+/**
+ * Drop recipient buckets that have refilled completely
+ * @private
+ */
+function sweepRecipientBuckets() {
+  buckets.forEach((bucket, key) => {
+    if (key.startsWith('recipient:') && bucket.isFull()) {
+      buckets.delete(key);
+    }
+  });
+}
+
+/**
+ * Collect the buckets that apply to a notification
+ * @private
+ * @returns {Array<Object>} Entries of { scope, key, bucket }
+ */
+function getApplicableBuckets(channel, recipient, provider) {
+  const applicable = [];
+
+  if (settings.channels[channel]) {
+    applicable.push({ scope: 'channel', key: `channel:${channel}`, limit: settings.channels[channel] });
+  }
+
+  if (settings.providers[provider]) {
+    applicable.push({ scope: 'provider', key: `provider:${provider}`, limit: settings.providers[provider] });
+  }
+
+  if (settings.recipients[channel]) {
+    applicable.push({ scope: 'recipient', key: `recipient:${channel}:${recipient}`, limit: settings.recipients[channel] });
+  }
+
+  if (buckets.size > MAX_RECIPIENT_BUCKETS) {
+    sweepRecipientBuckets();
+  }
+
+  return applicable.map(entry => ({ ...entry, bucket: getBucket(entry.key, entry.limit) }));
+}
+
+/**
+ * Work out how long each applicable bucket needs before it has a token
+ * @private
+ * @returns {Object} { waitMs, limitedBy, applicable }
+ */
+function inspectBuckets(channel, recipient, provider) {
+  const applicable = getApplicableBuckets(channel, recipient, provider);
+  let waitMs = 0;
+  const limitedBy = [];
+
+  applicable.forEach(({ scope, bucket }) => {
+    const wait = bucket.getWaitMs();
+    if (wait > 0) {
+      limitedBy.push(scope);
+      waitMs = Math.max(waitMs, wait);
+    }
+  });
+
+  return { waitMs, limitedBy, applicable };
+}
+
+/**
+ * Check the limits for a notification without taking a token
+ *
+ * @param {string} channel - The notification channel
+ * @param {string} recipient - The recipient
+ * @param {string} [provider] - The provider (defaults to the channel's provider)
+ * @returns {Object} { allowed, waitMs, limitedBy } where limitedBy lists the blocking
+ *   scopes ('channel', 'provider' and/or 'recipient')
+ */
+function checkRateLimit(channel, recipient, provider = resolveProvider(channel, {}, recipient)) {
+  const { waitMs, limitedBy } = inspectBuckets(channel, recipient, provider);
+  return { allowed: waitMs === 0, waitMs, limitedBy };
+}
+
+/**
+ * Take a token from every bucket that applies to a notification
+ *
+ * In 'reject' and 'queue' modes nothing is taken unless every bucket has a
+ * token. In 'delay' mode the tokens are reserved and the caller should wait
+ * for the returned delay before sending.
+ *
+ * @param {string} channel - The notification channel
+ * @param {string} recipient - The recipient
+ * @param {Object} [options={}] - Options
+ * @param {string|null} [options.provider] - The provider (defaults to the channel's provider);
+ *   null skips the provider limit, for channels that check it per provider (see acquireProvider)
+ * @param {string} [options.mode] - Overrides the configured mode for this notification
+ * @returns {Object} { allowed, mode, waitMs, limitedBy }; allowed is false when the
+ *   notification must be rejected or queued
+ */
+function acquire(channel, recipient, options = {}) {
+  const mode = options.mode || settings.mode;
+  const provider = options.provider === null ? null : resolveProvider(channel, options, recipient);
+  const { waitMs, limitedBy, applicable } = inspectBuckets(channel, recipient, provider);
+
+  if (waitMs === 0) {
+    applicable.forEach(({ bucket }) => bucket.take());
+    return { allowed: true, mode, provider, waitMs: 0, limitedBy };
+  }
+
+  if (mode === 'delay' && waitMs <= settings.maxDelayMs) {
+    applicable.forEach(({ bucket }) => bucket.take());
+    return { allowed: true, mode, provider, waitMs, limitedBy };
+  }
+
+  return { allowed: false, mode, provider, waitMs, limitedBy };
+}
+
+/**
+ * Take a token from one provider's bucket only
+ *
+ * For channels that fail over between providers while sending (SMS): each
+ * provider's limit is checked as it's tried, and a provider without a token
+ * is skipped rather than waited for.
+ *
+ * @param {string} provider - The provider name
+ * @returns {Object} { allowed, waitMs }
+ */
+function acquireProvider(provider) {
+  if (!settings.providers[provider]) {
+    return { allowed: true, waitMs: 0 };
+  }
+
+  const bucket = getBucket(`provider:${provider}`, settings.providers[provider]);
+  const waitMs = bucket.getWaitMs();
+  if (waitMs > 0) {
+    return { allowed: false, waitMs };
+  }
+
+  bucket.take();
+  return { allowed: true, waitMs: 0 };
+}
+
+/**
+ * Reset every bucket to full
+ */
+function resetRateLimits() {
+  buckets.clear();
+}
+
+module.exports = {
+  RATE_LIMITED,
+  TokenBucket,
+  configureRateLimits,
+  getRateLimits,
+  resolveProvider,
+  checkRateLimit,
+  acquire,
+  acquireProvider,
+  resetRateLimits
+};
@@ -0,0 +1,425 @@
+/**
+ * Recurring Notification Scheduler Module
+ *
+ * Runs template-based bulk notifications on cron schedules (e.g. weekly
+ * digests, daily reminders). Each schedule targets a notification template and
+ * an audience, and the outcome of every run is recorded with the schedule.
+ * Schedules are persisted to a JSON file and can be paused, resumed and listed.
+ *
+ * Schedules are usually created in the API process and run by the worker, so
+ * the file is read again on every call and changed with it locked. A due run
+ * is claimed under the lock, so it happens once even if several processes
+ * were started.
+ */
+
+const crypto = require('crypto');
+const { createJsonFileStore } = require('./json-file-store');
+const { parseCronExpression, getNextRunTime, isValidTimeZone } = require('./cron-expression');
+
+// Configuration
+const RECURRING_SCHEDULE_FILE = process.env.RECURRING_SCHEDULE_FILE || 'recurring_schedules.json';
+const MAX_RUN_HISTORY = 50;
+// How often the running process looks for schedules other processes created or changed
+const POLL_INTERVAL_MS = parseInt(process.env.RECURRING_POLL_INTERVAL_MS || '1000', 10);
+
+const SCHEDULE_STATE = {
+  ACTIVE: 'active',
+  PAUSED: 'paused'
+};
+
+// Recurring schedules keyed by ID, shared with the other processes using RECURRING_SCHEDULE_FILE
+const scheduleStore = createJsonFileStore(RECURRING_SCHEDULE_FILE, { name: 'recurring schedules' });
+let timer = null;
+let running = false;
+let processing = false;
+
+/**
+ * Validate an audience definition
+ * @private
+ * @param {Object} audience - The audience definition
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateAudience(audience) {
+  if (!audience || typeof audience !== 'object') {
+    return 'Audience is required';
+  }
+
+  if (audience.channel) {
+    return ['email', 'sms'].includes(audience.channel)
+      ? null
+      : `Unsupported audience channel '${audience.channel}'`;
+  }
+
+  if (Array.isArray(audience.emails)) {
+    return audience.emails.length > 0 ? null : 'Audience email list is empty';
+  }
+
+  return "Audience must specify a 'channel' (opted-in users) or an 'emails' list";
+}
+
+/**
+ * Resolve an audience definition to a list of user emails
+ *
+ * Channel audiences are read from the current preferences file.
+ *
+ * @param {Object} audience - The audience definition
+ * @param {string} [audience.channel] - All users opted in to this channel ('email' or 'sms')
+ * @param {string[]} [audience.emails] - An explicit list of user emails
+ * @returns {string[]} The user emails to notify
+ */
+function resolveAudience(audience) {
+  if (audience.channel) {
+    const { loadPreferences, getUsersOptedInToChannel } = require('./user-preferences');
+    // Read the preferences file again: users may have opted in or out since the last run
+    loadPreferences();
+    return getUsersOptedInToChannel(audience.channel);
+  }
+
+  return audience.emails.slice();
+}
+
+/**
+ * Create a recurring schedule
+ *
+ * @param {Object} definition - Schedule definition
+ * @param {string} definition.cron - Cron expression, e.g. '0 9 * * MON'
+ * @param {string} definition.templateName - Notification template to send (e.g. 'welcome', 'otp')
+ * @param {Object} definition.audience - { channel: 'email' } or { emails: [...] }
+ * @param {string} [definition.name] - Human-readable name
+ * @param {string} [definition.timeZone='UTC'] - IANA time zone the cron expression is written in
+ * @param {Object} [definition.data={}] - Data to populate the templates
+ * @param {Object} [definition.options={}] - Options passed to sendBulkNotification
+ * @returns {Object} Result with success flag and the schedule if created. Cron expressions
+ *   that never match a date (e.g. February 30th) are rejected.
+ */
+function createRecurringSchedule(definition = {}) {
+  const { cron, templateName, audience, name, timeZone = 'UTC', data = {}, options = {} } = definition;
+
+  if (!templateName) {
+    return { success: false, error: 'Template name is required' };
+  }
+
+  try {
+    parseCronExpression(cron);
+  } catch (error) {
+    return { success: false, error: `Invalid cron expression: ${error.message}` };
+  }
+
+  if (!isValidTimeZone(timeZone)) {
+    return { success: false, error: `Invalid time zone '${timeZone}'` };
+  }
+
+  const audienceError = validateAudience(audience);
+  if (audienceError) {
+    return { success: false, error: audienceError };
+  }
+
+  // A valid expression can still never match, e.g. '0 0 30 2 *' (February 30th)
+  const nextRunAt = getNextRunTime(cron, { timeZone });
+  if (!nextRunAt) {
+    return { success: false, error: `Cron expression '${cron}' never matches a date` };
+  }
+
+  const now = new Date().toISOString();
+  const schedule = {
+    id: `recurring_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+    name: name || `${templateName} (${cron})`,
+    cron,
+    timeZone,
+    templateName,
+    audience,
+    data,
+    options,
+    state: SCHEDULE_STATE.ACTIVE,
+    nextRunAt: nextRunAt.toISOString(),
+    lastRunAt: null,
+    runs: [],
+    createdAt: now,
+    updatedAt: now
+  };
+
+  scheduleStore.update(schedules => {
+    schedules[schedule.id] = schedule;
+  });
+  armTimer();
+
+  console.log(`[RECURRING] Created schedule ${schedule.id} '${schedule.name}', next run at ${schedule.nextRunAt}`);
+  return { success: true, schedule };
+}
+
+/**
+ * Pause a schedule so it stops running until resumed
+ *
+ * @param {string} scheduleId - The schedule ID
+ * @returns {Object} Result with success flag and the schedule if found
+ */
+function pauseSchedule(scheduleId) {
+  const result = scheduleStore.update(schedules => {
+    const schedule = schedules[scheduleId];
+
+    if (!schedule) {
+      return { success: false, error: `Recurring schedule '${scheduleId}' not found` };
+    }
+
+    schedule.state = SCHEDULE_STATE.PAUSED;
+    schedule.updatedAt = new Date().toISOString();
+    return { success: true, schedule };
+  });
+
+  armTimer();
+  return result;
+}
+
+/**
+ * Resume a paused schedule; runs missed while paused are skipped
+ *
+ * A schedule whose cron expression can't match any future date stays paused.
+ *
+ * @param {string} scheduleId - The schedule ID
+ * @returns {Object} Result with success flag and the schedule if found
+ */
+function resumeSchedule(scheduleId) {
+  const result = scheduleStore.update(schedules => {
+    const schedule = schedules[scheduleId];
+
+    if (!schedule) {
+      return { success: false, error: `Recurring schedule '${scheduleId}' not found` };
+    }
+
+    const nextRunAt = getNextRunTime(schedule.cron, { timeZone: schedule.timeZone });
+    if (!nextRunAt) {
+      return { success: false, error: `Cron expression '${schedule.cron}' never matches a date`, schedule };
+    }
+
+    schedule.state = SCHEDULE_STATE.ACTIVE;
+    schedule.nextRunAt = nextRunAt.toISOString();
+    schedule.updatedAt = new Date().toISOString();
+    return { success: true, schedule };
+  });
+
+  armTimer();
+  return result;
+}
+
+/**
+ * Delete a schedule
+ *
+ * @param {string} scheduleId - The schedule ID
+ * @returns {boolean} True if the schedule existed
+ */
+function removeSchedule(scheduleId) {
+  if (!scheduleStore.read()[scheduleId]) {
+    return false;
+  }
+
+  const removed = scheduleStore.update(schedules => {
+    const existed = Boolean(schedules[scheduleId]);
+    delete schedules[scheduleId];
+    return existed;
+  });
+
+  armTimer();
+  return removed;
+}
+
+/**
+ * Get a schedule by ID
+ *
+ * @param {string} scheduleId - The schedule ID
+ * @returns {Object|null} The schedule, or null if not found
+ */
+function getSchedule(scheduleId) {
+  return scheduleStore.read()[scheduleId] || null;
+}
+
+/**
+ * List schedules ordered by next run time
+ *
+ * @param {Object} [filter={}] - Filter options
+ * @param {string} [filter.state] - Only include 'active' or 'paused' schedules
+ * @returns {Array<Object>} Matching schedules
+ */
+function listSchedules(filter = {}) {
+  return Object.values(scheduleStore.read())
+    .filter(schedule => !filter.state || schedule.state === filter.state)
+    .sort((a, b) => new Date(a.nextRunAt) - new Date(b.nextRunAt));
+}
+
+/**
+ * Get the recorded runs of a schedule, most recent first
+ *
+ * @param {string} scheduleId - The schedule ID
+ * @returns {Array<Object>} Run records, or an empty array if the schedule doesn't exist
+ */
+function getScheduleRuns(scheduleId) {
+  const schedule = getSchedule(scheduleId);
+  return schedule ? schedule.runs.slice().reverse() : [];
+}
+
+/**
+ * Run a schedule once and record the outcome
+ *
+ * @param {string} scheduleId - The schedule ID
+ * @param {Date} [scheduledFor=now] - The run time this execution belongs to
+ * @returns {Promise<Object>} The run record
+ */
+async function runSchedule(scheduleId, scheduledFor = new Date()) {
+  const schedule = getSchedule(scheduleId);
+
+  if (!schedule) {
+    throw new Error(`Recurring schedule '${scheduleId}' not found`);
+  }
+
+  // Required lazily because the controller pulls in the whole notification stack
+  const { sendBulkNotification } = require('./controllers/userNotificationController');
+
+  const run = {
+    runId: `run_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+    scheduledFor: new Date(scheduledFor).toISOString(),
+    startedAt: new Date().toISOString()
+  };
+
+  try {
+    const emails = resolveAudience(schedule.audience);
+    run.audienceSize = emails.length;
+
+    if (emails.length === 0) {
+      run.status = 'skipped';
+      run.error = 'Audience is empty';
+    } else {
+      const result = await sendBulkNotification(emails, schedule.templateName, schedule.data, schedule.options);
+      run.successful = result.successful || 0;
+      run.failed = result.failed || 0;
+      run.status = run.failed === 0 ? 'success' : (run.successful > 0 ? 'partial' : 'failed');
+      if (result.error) run.error = result.error;
+    }
+  } catch (error) {
+    run.status = 'failed';
+    run.error = error.message;
+  }
+
+  run.finishedAt = new Date().toISOString();
+
+  scheduleStore.update(schedules => {
+    // The schedule may have been removed while it ran
+    const current = schedules[scheduleId];
+    if (!current) return;
+
+    current.runs.push(run);
+    if (current.runs.length > MAX_RUN_HISTORY) {
+      current.runs = current.runs.slice(-MAX_RUN_HISTORY);
+    }
+    current.lastRunAt = run.startedAt;
+    current.updatedAt = run.finishedAt;
+  });
+
+  console.log(`[RECURRING] Schedule ${schedule.id} run ${run.status} (audience ${run.audienceSize || 0})`);
+  return run;
+}
+
+/**
+ * Claim the active schedules that are due by advancing their next run time
+ *
+ * Runs with the file locked, so another process sees the advanced time and
+ * doesn't run the same schedule.
+ * @private
+ * @returns {Array<Object>} [{ id, scheduledFor }] for each claimed schedule
+ */
+function claimDue() {
+  const now = new Date();
+
+  return scheduleStore.update(schedules => Object.values(schedules)
+    .filter(schedule => schedule.state === SCHEDULE_STATE.ACTIVE && schedule.nextRunAt && new Date(schedule.nextRunAt) <= now)
+    .map(schedule => {
+      const scheduledFor = schedule.nextRunAt;
+
+      // Advance past now first, so runs missed while the process was down are collapsed into one
+      const nextRunAt = getNextRunTime(schedule.cron, { timeZone: schedule.timeZone });
+      schedule.nextRunAt = nextRunAt ? nextRunAt.toISOString() : null;
+      if (!nextRunAt) {
+        // Nothing left to wait for; pause rather than keep a schedule that can't be armed
+        schedule.state = SCHEDULE_STATE.PAUSED;
+        console.warn(`[RECURRING] Schedule ${schedule.id} will never run again and was paused`);
+      }
+
+      return { id: schedule.id, scheduledFor };
+    }));
+}
+
+/**
+ * Run every active schedule that is due, then re-arm the timer
+ * @private
+ */
+async function processDue() {
+  timer = null;
+  if (processing) return;
+  processing = true;
+
+  try {
+    for (const { id, scheduledFor } of claimDue()) {
+      await runSchedule(id, scheduledFor);
+    }
+  } catch (error) {
+    console.error('[RECURRING] Error running recurring schedules:', error.message);
+  } finally {
+    processing = false;
+    armTimer();
+  }
+}
+
+/**
+ * Set the timer for the next schedule that is due
+ *
+ * Waits at most POLL_INTERVAL_MS, so schedules created or changed by other
+ * processes are picked up.
+ * @private
+ */
+function armTimer() {
+  if (!running) return;
+
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  const next = listSchedules({ state: SCHEDULE_STATE.ACTIVE }).find(schedule => schedule.nextRunAt);
+  const delay = next ? Math.max(0, new Date(next.nextRunAt).getTime() - Date.now()) : POLL_INTERVAL_MS;
+  timer = setTimeout(processDue, Math.min(delay, POLL_INTERVAL_MS));
+
+  // Don't keep short-lived scripts alive just for future runs
+  if (timer.unref) timer.unref();
+}
+
+/**
+ * Start running schedules; overdue schedules run once immediately
+ */
+function start() {
+  running = true;
+  armTimer();
+}
+
+/**
+ * Stop running schedules; schedules stay persisted
+ */
+function stop() {
+  running = false;
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  SCHEDULE_STATE,
+  createRecurringSchedule,
+  pauseSchedule,
+  resumeSchedule,
+  removeSchedule,
+  getSchedule,
+  listSchedules,
+  getScheduleRuns,
+  runSchedule,
+  resolveAudience,
+  start,
+  stop
+};
@@ -0,0 +1,232 @@
+/**
+ * Retry Policy Module
+ *
+ * Provides configurable retry with exponential backoff for notification sends.
+ * Transient provider errors (timeouts, 5xx responses, simulated delivery
+ * failures) are retried, while permanent errors fail on the first attempt.
+ */
+
+const config = require('./config');
+const errorHandler = require('./error-handler');
+
+// Network error codes that usually indicate a temporary problem
+const RETRYABLE_ERROR_CODES = [
+  'ETIMEDOUT',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'EAI_AGAIN',
+  'EPIPE',
+  'ESOCKETTIMEDOUT'
+];
+
+// Codes raised by the dispatcher itself that must never be retried inline
+const NON_RETRYABLE_ERROR_CODES = ['PROVIDER_UNAVAILABLE', 'RATE_LIMITED'];
+
+// HTTP status codes returned by providers for temporary failures
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+// Fallback for errors that carry neither a code nor a status
+const RETRYABLE_MESSAGE_PATTERN = /timed? ?out|temporar|unavailable|simulated .*failure|try again/i;
+
+// Global policy, seeded from environment configuration
+let globalPolicy = {
+  maxAttempts: config.retry.maxAttempts,
+  baseDelayMs: config.retry.baseDelayMs,
+  maxDelayMs: config.retry.maxDelayMs,
+  factor: 2,
+  jitter: config.retry.jitter,
+  isRetryable: null,
+  channels: {}
+};
+
+/**
+ * Update the global retry policy
+ *
+ * @param {Object} policy - Policy fields to change
+ * @param {number} [policy.maxAttempts] - Total attempts including the first one
+ * @param {number} [policy.baseDelayMs] - Delay before the first retry
+ * @param {number} [policy.maxDelayMs] - Upper bound for any single delay
+ * @param {number} [policy.factor] - Exponential growth factor between retries
+ * @param {number} [policy.jitter] - Random spread as a ratio of the delay (0-1)
+ * @param {Function} [policy.isRetryable] - Custom classifier, receives the error details
+ * @param {Object} [policy.channels] - Per-channel overrides, e.g. { sms: { maxAttempts: 5 } }
+ * @returns {Object} The updated global policy
+ */
+function configureRetryPolicy(policy = {}) {
+  const { channels = {}, ...rest } = policy;
+
+  globalPolicy = {
+    ...globalPolicy,
+    ...rest,
+    channels: { ...globalPolicy.channels }
+  };
+
+  // Merge channel overrides so configuring one channel keeps the others
+  Object.entries(channels).forEach(([channel, overrides]) => {
+    globalPolicy.channels[channel] = {
+      ...(globalPolicy.channels[channel] || {}),
+      ...overrides
+    };
+  });
+
+  return getRetryPolicy();
+}
+
+/**
+ * Resolve the effective retry policy for a channel
+ *
+ * Precedence: per-call overrides > channel overrides > global policy
+ *
+ * @param {string} [channel] - The notification channel (email, sms, etc.)
+ * @param {Object|boolean} [overrides={}] - Per-call overrides, or false to disable retries
+ * @returns {Object} The resolved policy
+ */
+function getRetryPolicy(channel, overrides = {}) {
+  const { channels, ...base } = globalPolicy;
+  const channelPolicy = (channel && channels[channel]) || {};
+
+  if (overrides === false) {
+    return { ...base, ...channelPolicy, maxAttempts: 1 };
+  }
+
+  const policy = { ...base, ...channelPolicy, ...(overrides || {}) };
+  policy.maxAttempts = Math.max(1, parseInt(policy.maxAttempts, 10) || 1);
+
+  return policy;
+}
+
+/**
+ * Decide whether a failed attempt should be retried
+ *
+ * @param {Object} details - Error details
+ * @param {string} details.error - The error message
+ * @param {string} [details.errorCode] - Provider or system error code
+ * @param {number} [details.statusCode] - HTTP status returned by the provider
+ * @param {Object} [policy] - The retry policy, may contain a custom isRetryable classifier
+ * @returns {boolean} True if the error is considered transient
+ */
+function isRetryableError(details, policy = globalPolicy) {
+  if (details.errorCode && NON_RETRYABLE_ERROR_CODES.includes(details.errorCode)) {
+    return false;
+  }
+
+  if (typeof policy.isRetryable === 'function') {
+    const decision = policy.isRetryable(details);
+    if (typeof decision === 'boolean') return decision;
+  }
+
+  const { error, errorCode, statusCode } = details;
+
+  if (errorCode && RETRYABLE_ERROR_CODES.includes(errorCode)) {
+    return true;
+  }
+
+  if (statusCode) {
+    return RETRYABLE_STATUS_CODES.includes(Number(statusCode));
+  }
+
+  return RETRYABLE_MESSAGE_PATTERN.test(error || '');
+}
+
+/**
+ * Compute the delay before the next attempt
+ *
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @param {Object} [policy] - The retry policy
+ * @returns {number} Delay in milliseconds
+ */
+function computeBackoffDelay(attempt, policy = globalPolicy) {
+  const exponential = policy.baseDelayMs * Math.pow(policy.factor || 2, attempt - 1);
+  const capped = Math.min(exponential, policy.maxDelayMs);
+
+  // Spread retries out so many failed sends don't hit the provider at once
+  const jitter = Math.min(Math.max(policy.jitter || 0, 0), 1);
+  const spread = capped * jitter * (Math.random() * 2 - 1);
+
+  return Math.max(0, Math.round(capped + spread));
+}
+
+/**
+ * Run an operation, retrying transient failures with exponential backoff
+ *
+ * The operation may either throw or resolve to a standard error response
+ * ({ success: false, error, errorCode, statusCode }); both count as a failure.
+ *
+ * @param {Function} operation - Async function receiving the 1-based attempt number
+ * @param {Object} [policy] - The retry policy to apply
+ * @param {Function} [onRetry] - Called with (attemptError, policy) before waiting
+ * @returns {Promise<Object>} { result, attempts, attemptErrors }
+ * @throws {Error} - The last thrown error, if the final attempt threw
+ */
+async function executeWithRetry(operation, policy = getRetryPolicy(), onRetry) {
+  const attemptErrors = [];
+  let attempt = 0;
+
+  while (true) {
+    attempt++;
+
+    let result;
+    let thrown = null;
+
+    try {
+      result = await operation(attempt);
+    } catch (error) {
+      thrown = error;
+    }
+
+    const failed = thrown || (result && result.success === false);
+    if (!failed) {
+      return { result, attempts: attempt, attemptErrors };
+    }
+
+    const details = thrown
+      ? { error: thrown.message || String(thrown), ...errorHandler.getErrorDetails(thrown) }
+      : { error: result.error };
+
+    if (!thrown) {
+      if (result.errorCode !== undefined) details.errorCode = result.errorCode;
+      if (result.statusCode !== undefined) details.statusCode = result.statusCode;
+    }
+
+    const retryable = isRetryableError(details, policy);
+    const willRetry = retryable && attempt < policy.maxAttempts;
+
+    const attemptError = {
+      attempt,
+      ...details,
+      retryable,
+      timestamp: new Date()
+    };
+
+    if (willRetry) {
+      attemptError.delayMs = computeBackoffDelay(attempt, policy);
+    }
+
+    attemptErrors.push(attemptError);
+
+    if (!willRetry) {
+      if (thrown) {
+        thrown.attempts = attempt;
+        thrown.attemptErrors = attemptErrors;
+        throw thrown;
+      }
+      return { result, attempts: attempt, attemptErrors };
+    }
+
+    if (onRetry) {
+      onRetry(attemptError, policy);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, attemptError.delayMs));
+  }
+}
+
+module.exports = {
+  RETRYABLE_ERROR_CODES,
+  RETRYABLE_STATUS_CODES,
+  configureRetryPolicy,
+  getRetryPolicy,
+  isRetryableError,
+  computeBackoffDelay,
+  executeWithRetry
+};
@@ -0,0 +1,99 @@
+/**
+ * SMS Opt-Out Store Module
+ *
+ * Keeps the phone numbers that replied STOP (or another opt-out keyword), so
+ * no SMS is sent to them until they reply START. This applies to every send,
+ * including numbers that don't belong to a known user.
+ *
+ * Opt-outs are persisted to a JSON file shared by every process, so they
+ * survive restarts and apply to sends from the worker as soon as they are
+ * recorded.
+ */
+
+const { createJsonFileStore } = require('./json-file-store');
+
+// Configuration
+const OPT_OUTS_FILE = process.env.SMS_OPT_OUTS_FILE || 'sms_opt_outs.json';
+
+// { [phoneNumber]: { keyword, optedOutAt } }, re-read on every check because
+// STOP replies are recorded by the API process while the worker sends
+const optOutStore = createJsonFileStore(OPT_OUTS_FILE, { name: 'SMS opt-outs' });
+
+/**
+ * Normalize a phone number for comparison, dropping spaces, dashes, dots and brackets
+ *
+ * @param {string} phoneNumber - The phone number
+ * @returns {string} The normalized number, e.g. '+15551234567'
+ */
+function normalizeNumber(phoneNumber) {
+  return String(phoneNumber || '').replace(/[\s\-().]/g, '');
+}
+
+/**
+ * Record that a number opted out
+ *
+ * @param {string} phoneNumber - The phone number
+ * @param {Object} [details={}] - Details to keep
+ * @param {string} [details.keyword] - The keyword the number replied with
+ * @returns {Object} The opt-out record { keyword, optedOutAt }
+ */
+function optOut(phoneNumber, details = {}) {
+  const number = normalizeNumber(phoneNumber);
+  if (!number) {
+    throw new Error('A phone number is required to opt out');
+  }
+
+  return optOutStore.update(optOuts => {
+    optOuts[number] = {
+      keyword: details.keyword || null,
+      optedOutAt: new Date().toISOString()
+    };
+    return optOuts[number];
+  });
+}
+
+/**
+ * Remove a number's opt-out
+ *
+ * @param {string} phoneNumber - The phone number
+ * @returns {boolean} Whether the number had opted out
+ */
+function optIn(phoneNumber) {
+  const number = normalizeNumber(phoneNumber);
+  if (!optOutStore.read()[number]) {
+    return false;
+  }
+
+  return optOutStore.update(optOuts => {
+    const hadOptedOut = Boolean(optOuts[number]);
+    delete optOuts[number];
+    return hadOptedOut;
+  });
+}
+
+/**
+ * Check whether a number has opted out
+ *
+ * @param {string} phoneNumber - The phone number
+ * @returns {boolean} True if no SMS should be sent to it
+ */
+function isOptedOut(phoneNumber) {
+  return Boolean(optOutStore.read()[normalizeNumber(phoneNumber)]);
+}
+
+/**
+ * List every opted-out number
+ *
+ * @returns {Array<Object>} [{ phoneNumber, keyword, optedOutAt }]
+ */
+function listOptOuts() {
+  return Object.entries(optOutStore.read()).map(([phoneNumber, record]) => ({ phoneNumber, ...record }));
+}
+
+module.exports = {
+  normalizeNumber,
+  optOut,
+  optIn,
+  isOptedOut,
+  listOptOuts
+};
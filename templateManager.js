@@ -19,6 +19,9 @@ const DEFAULT_LANGUAGE = process.env.DEFAULT_LANGUAGE || 'en';
 const TEMPLATES_DIR = process.env.TEMPLATES_DIR || path.join(__dirname, 'data', 'templates');
 const MEMORY_CACHE_ENABLED = process.env.TEMPLATE_CACHE_ENABLED !== 'false';
 
+// Template types stored on disk, one directory each
+const TEMPLATE_TYPES = ['email', 'sms', 'chat', 'inapp', 'push'];
+
 // In-memory template cache for better performance
 let templateCache = {};
 let cacheInitialized = false;
@@ -34,8 +37,8 @@ function ensureTemplatesDirectory() {
       console.log(`Created templates directory: ${TEMPLATES_DIR}`);
     }
     
-    // Make sure type subdirectories exist (email, sms)
-    ['email', 'sms'].forEach(type => {
+    // Make sure type subdirectories exist (email, sms, chat)
+    TEMPLATE_TYPES.forEach(type => {
       const typeDir = path.join(TEMPLATES_DIR, type);
       if (!fs.existsSync(typeDir)) {
         fs.mkdirSync(typeDir, { recursive: true });
@@ -70,13 +73,13 @@ function initializeTemplateCache() {
     ensureTemplatesDirectory();
     
     // Clear existing cache
-    templateCache = {
-      email: {},
-      sms: {}
-    };
+    templateCache = {};
+    TEMPLATE_TYPES.forEach(type => {
+      templateCache[type] = {};
+    });
     
     // Load templates from disk into memory cache
-    ['email', 'sms'].forEach(type => {
+    TEMPLATE_TYPES.forEach(type => {
       const typeDir = path.join(TEMPLATES_DIR, type);
       
       // Skip if type directory doesn't exist
@@ -470,9 +473,12 @@ function getTemplateLanguages(type, name) {
 /**
  * Render a template by replacing placeholders with actual values
  *
- * @param {string|Object} template - The template string or object with template properties
+ * Object templates (email subject/body, chat cards) are rendered property by
+ * property, including nested objects and arrays.
+ *
+ * @param {string|Object|Array} template - The template string, object or array
  * @param {Object} data - The data to use for rendering
- * @returns {string|Object} The rendered template
+ * @returns {string|Object|Array} The rendered template
  */
 function renderTemplate(template, data) {
   // No data to render with
@@ -482,16 +488,15 @@ function renderTemplate(template, data) {
   if (typeof template === 'string') {
     // Simple string template
     return renderString(template, data);
-  } else if (typeof template === 'object') {
-    // Object with multiple string properties (e.g., email with subject and body)
+  } else if (Array.isArray(template)) {
+    // List of items (e.g., chat card fields or actions)
+    return template.map(item => renderTemplate(item, data));
+  } else if (template && typeof template === 'object') {
+    // Object with multiple properties (e.g., email with subject and body)
     const rendered = {};
     
     Object.keys(template).forEach(key => {
-      if (typeof template[key] === 'string') {
-        rendered[key] = renderString(template[key], data);
-      } else {
-        rendered[key] = template[key];
-      }
+      rendered[key] = renderTemplate(template[key], data);
     });
     
     return rendered;
@@ -548,5 +553,6 @@ module.exports = {
   saveTemplate,
   renderTemplate,
   clearCache,
+  TEMPLATE_TYPES,
   DEFAULT_LANGUAGE
 };
\ No newline at end of file
@@ -0,0 +1,120 @@
+/**
+ * Tests for the channel registry: registering and looking up channels,
+ * validation, mock and real modes, and the notification system on top of it
+ */
+
+// A channel's default mode comes from <NAME>_MOCK_MODE when it is registered
+process.env.PAGER_MOCK_MODE = "true";
+
+const { report, run, expectError } = require("./helpers");
+const registry = require("../notifications/registry");
+const notificationSystem = require("../notifications");
+
+run("channel registry tests", async () => {
+  // Test registering and looking up channels
+  console.log("--- Testing Lookup ---");
+  const sent = [];
+  const channel = registry.registerChannel("Pager", {
+    send: async (recipient, message, options) => {
+      sent.push({ recipient, message, options });
+      return { messageId: `page-${sent.length}`, simulated: options.mockMode === true };
+    },
+    validate: (recipient) => recipient.startsWith("team-")
+      ? { isValid: true, errorMessage: null }
+      : { isValid: false, errorMessage: `Invalid team: '${recipient}'` },
+    capabilities: { maxLength: 20 },
+  });
+  report("channels are registered under their lowercase name with defaults filled in",
+    channel.name === "pager" && channel.provider === "pager" && channel.capabilities.supportsHtml === false &&
+      channel.capabilities.maxLength === 20,
+    channel);
+  report("lookups are case-insensitive",
+    registry.getChannel("PAGER") === channel && registry.hasChannel("pager") && registry.listChannels().includes("pager") &&
+      registry.getChannel("fax") === null && !registry.hasChannel(undefined));
+  report("the built-in channels are registered",
+    ["email", "sms", "push", "webhook", "chat", "webpush", "inapp"].every((name) => registry.hasChannel(name)), registry.listChannels());
+
+  const capabilities = registry.getCapabilities("pager");
+  capabilities.maxLength = 1000;
+  report("capabilities are returned as a copy", registry.getCapabilities("pager").maxLength === 20 && registry.getCapabilities("fax") === null);
+
+  const noName = expectError(() => registry.registerChannel("", { send: async () => ({}) }));
+  const noSend = expectError(() => registry.registerChannel("fax", {}));
+  const badMode = expectError(() => registry.registerChannel("fax", { send: async () => ({}), mode: "test" }));
+  report("a channel needs a name, a sender and a valid mode", noName && noSend && badMode && !registry.hasChannel("fax"));
+
+  // Test validation
+  console.log("\n--- Testing Validation ---");
+  const results = [
+    registry.validate("fax", "team-ops", "Hi"),
+    registry.validate("pager", "ops", "Hi"),
+    registry.validate("pager", "team-ops", "This message is far too long for a pager"),
+    registry.validate("pager", "team-ops", "Disk almost full"),
+  ];
+  report("unknown channels, invalid recipients and long messages fail validation",
+    !results[0].isValid && /Unknown notification type/.test(results[0].errorMessage) &&
+      results[1].errorCode === "INVALID_RECIPIENT" && results[2].errorCode === "MESSAGE_TOO_LONG" && results[3].isValid,
+    results);
+
+  const rejected = await registry.send("pager", "ops", "Hi");
+  report("send validates before calling the sender", rejected.success === false && rejected.errorCode === "INVALID_RECIPIENT" && sent.length === 0,
+    rejected);
+
+  const unsupported = await registry.deliver("fax", "123", "Hi");
+  report("delivering to an unknown channel fails with UNSUPPORTED_TYPE", unsupported.success === false && unsupported.errorCode === "UNSUPPORTED_TYPE");
+
+  // Test mock and real modes
+  console.log("\n--- Testing Modes ---");
+  const mocked = await registry.send("pager", "team-ops", "Disk almost full");
+  report("<NAME>_MOCK_MODE makes mock the default, and send gets options.mockMode without a mockSend",
+    registry.getChannelMode("pager") === "mock" && mocked.success && mocked.simulated === true, mocked);
+
+  registry.setChannelMode("pager", "real");
+  const real = await registry.send("pager", "team-ops", "Disk almost full", { priority: "high" });
+  report("real mode calls send with the caller's options",
+    real.success && real.simulated === false && sent[1].options.priority === "high" && sent[1].options.mockMode === undefined, real);
+
+  let mockSends = 0;
+  registry.registerChannel("siren", {
+    mode: "mock",
+    send: async () => { throw new Error("siren offline"); },
+    mockSend: async (recipient) => ({ recipient, simulated: true, id: ++mockSends }),
+  });
+  const siren = await registry.send("siren", "floor-2", "Evacuate");
+  report("mock mode uses mockSend when there is one", siren.success && siren.simulated && mockSends === 1, siren);
+
+  const invalidMode = expectError(() => registry.setChannelMode("siren", "test"));
+  report("modes are validated when switched", invalidMode && !registry.setChannelMode("fax", "mock") && registry.getChannelMode("fax") === null);
+
+  registry.setChannelMode("siren", "real");
+  const thrown = await registry.send("siren", "floor-2", "Evacuate");
+  report("a sender that throws returns a failed result", thrown.success === false && /siren offline/.test(thrown.error), thrown);
+  report("unregistering removes a channel", registry.unregisterChannel("SIREN") && !registry.hasChannel("siren") && !registry.unregisterChannel("siren"));
+
+  // Test the notification system on top of the registry
+  console.log("\n--- Testing the Notification System ---");
+  const systemSent = await notificationSystem.send("pager", "team-ops", "Disk almost full");
+  const invalid = await expectError(() => notificationSystem.send("pager", "ops", "Disk almost full"));
+  const notSupported = await expectError(() => notificationSystem.send("fax", "123", "Hi"));
+  report("send resolves with the result or rejects with a coded error",
+    systemSent.success && invalid.code === "INVALID_RECIPIENT" && notSupported.code === "UNSUPPORTED_TYPE",
+    { invalid: invalid && invalid.code, notSupported: notSupported && notSupported.code });
+
+  const handled = [];
+  notificationSystem.registerHandler("digest", async (...args) => { handled.push(args); return { messageId: "digest-1" }; });
+  await notificationSystem.send("digest", "ana", "Your weekly digest", { week: 42 });
+  report("registerHandler registers a channel whose sender gets (recipient, message, options)",
+    notificationSystem.isSupported("digest") && handled[0][1] === "Your weekly digest" && handled[0][2].week === 42, handled);
+
+  const emails = [];
+  notificationSystem.registerHandler("email", async (recipient, subject, message, options) => {
+    emails.push({ recipient, subject, message, options });
+    return { messageId: "email-1" };
+  });
+  await notificationSystem.send("email", "ana@example.com", "Welcome aboard", { subject: "Welcome" });
+  await notificationSystem.send("email", "ben@example.com", "Hello");
+  report("email handlers registered with registerHandler keep the (recipient, subject, message, options) signature",
+    emails[0].subject === "Welcome" && emails[0].message === "Welcome aboard" && emails[0].options.subject === "Welcome" &&
+      emails[1].subject === "Notification" && emails[1].message === "Hello",
+    emails);
+});
@@ -0,0 +1,97 @@
+/**
+ * Tests for the chat channel: format detection, card rendering and delivery
+ * to a local incoming-webhook stub
+ */
+
+const { report, run, startServer } = require("./helpers");
+const { detectFormat, buildCard, renderChatTemplate, sendChat, send } = require("../notifications/chat");
+
+// Local incoming-webhook stub; /invalid answers like Slack does for a bad payload
+function startStub() {
+  return startServer((request, res) => {
+    if (request.path === "/invalid") {
+      res.writeHead(400, { "Content-Type": "text/plain" });
+      res.end("invalid_blocks");
+      return;
+    }
+
+    res.writeHead(200, { "Content-Type": "text/plain" });
+    res.end(request.path.startsWith("/teams") ? "1" : "ok");
+  });
+}
+
+run("chat tests", async () => {
+  // Test format detection
+  console.log("--- Testing Format Detection ---");
+  [
+    { url: "https://hooks.slack.com/services/T000/B000/XXXX", expected: "slack" },
+    { url: "https://contoso.webhook.office.com/webhookb2/abc", expected: "teams" },
+    { url: "https://prod-01.westus.logic.azure.com/workflows/abc", expected: "adaptive" },
+    { url: "http://127.0.0.1:8080/hook", expected: null },
+  ].forEach((test) => {
+    report(test.url, detectFormat(test.url) === test.expected, detectFormat(test.url));
+  });
+
+  // Test chat template variants
+  console.log("\n--- Testing Chat Templates ---");
+  const card = buildCard("fallback", {
+    template: "orderUpdate",
+    language: "en",
+    templateData: { orderNumber: "1042", updateMessage: "Shipped today", orderStatus: "Shipped" },
+  });
+  report("orderUpdate renders title and text",
+    card.title === "Order #1042 update" && card.text === "Shipped today", card);
+  report("fields with values are kept", card.fields.length === 2 && card.fields[1].value === "Shipped", card.fields);
+  report("actions with unrendered URLs are dropped", card.actions.length === 0, card.actions);
+  report("welcome falls back to English",
+    renderChatTemplate("welcome", "de", { serviceName: "Acme", userName: "Ana" }).title === "New Acme sign-up");
+  report("missing chat variant returns null", renderChatTemplate("passwordReset", "en", {}) === null);
+
+  // Test delivery in each format
+  console.log("\n--- Testing Delivery ---");
+  const { url, last, close } = await startStub();
+  const options = {
+    title: "Disk usage high",
+    fields: { Host: "db-1", Usage: "93%" },
+    actions: [{ text: "Open dashboard", url: "https://grafana.example.com/d/disk" }],
+    color: "#E01E5A",
+  };
+
+  try {
+    const slack = await sendChat(`${url}/slack`, "Disk on db-1 is above 90%", { ...options, format: "slack" });
+    const slackPayload = last().body;
+    const blocks = slackPayload.attachments && slackPayload.attachments[0].blocks;
+    report("Slack payload uses Block Kit",
+      slack.status === "delivered" && slack.format === "slack" &&
+        blocks[0].type === "header" && blocks.some((block) => block.type === "actions") &&
+        slackPayload.attachments[0].color === "#E01E5A",
+      slackPayload);
+
+    await sendChat(`${url}/teams`, "Disk on db-1 is above 90%", { ...options, format: "teams" });
+    const teamsPayload = last().body;
+    report("Teams payload is a MessageCard",
+      teamsPayload["@type"] === "MessageCard" && teamsPayload.themeColor === "E01E5A" &&
+        teamsPayload.sections[0].facts[1].value === "93%" &&
+        teamsPayload.potentialAction[0].targets[0].uri === "https://grafana.example.com/d/disk",
+      teamsPayload);
+
+    await sendChat(`${url}/adaptive`, "Disk on db-1 is above 90%", { ...options, format: "adaptive" });
+    const adaptivePayload = last().body;
+    const content = adaptivePayload.attachments[0].content;
+    report("Adaptive payload wraps an AdaptiveCard",
+      adaptivePayload.type === "message" && content.type === "AdaptiveCard" &&
+        content.body.some((element) => element.type === "FactSet") && content.actions[0].type === "Action.OpenUrl",
+      adaptivePayload);
+
+    const rejected = await send(`${url}/invalid`, "Broken", { format: "slack" });
+    report("non-2xx maps to a failed result",
+      rejected.success === false && rejected.statusCode === 400 && /invalid_blocks/.test(rejected.error),
+      rejected);
+
+    const badFormat = await send(`${url}/slack`, "Hi", { format: "discord" });
+    report("unknown format is rejected", badFormat.success === false && badFormat.errorCode === "INVALID_CHAT_FORMAT",
+      badFormat);
+  } finally {
+    await close();
+  }
+});
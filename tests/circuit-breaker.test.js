@@ -0,0 +1,106 @@
+/**
+ * Tests for provider circuit breakers: opening after consecutive failures,
+ * the half-open trial send, the probe, and failing fast in the dispatcher
+ */
+
+const { report, run, useTempFiles } = require("./helpers");
+
+// Keep the test's state out of the working directory
+useTempFiles("circuit-breaker", ["QUEUE_FILE", "MESSAGE_STATUS_FILE", "IDEMPOTENCY_FILE"]);
+
+const { CircuitBreaker, CIRCUIT_STATE, PROVIDER_UNAVAILABLE, configureCircuitBreakers, getCircuitStates, resetCircuit } = require("../circuit-breaker");
+const registry = require("../notifications/registry");
+const { dispatchNotification } = require("../dispatcher");
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+run("circuit breaker tests", async () => {
+  // Test the breaker on its own
+  console.log("--- Testing Open, Half-Open and Closed ---");
+  const breaker = new CircuitBreaker("smtp-test", { failureThreshold: 2, resetTimeoutMs: 100 });
+  breaker.recordFailure("Service Unavailable");
+  report("a failure below the threshold keeps the circuit closed", breaker.state === CIRCUIT_STATE.CLOSED && breaker.canRequest());
+
+  breaker.recordFailure("Service Unavailable");
+  report("consecutive failures at the threshold open the circuit",
+    breaker.state === CIRCUIT_STATE.OPEN && !breaker.canRequest() && breaker.getRetryAfterMs() > 0 &&
+      breaker.getState().stats.trips === 1 && breaker.getState().stats.rejected === 1,
+    breaker.getState());
+
+  await wait(120);
+  report("an expired open circuit reports half-open", breaker.getState().state === CIRCUIT_STATE.HALF_OPEN && breaker.state === CIRCUIT_STATE.OPEN);
+  report("half-open allows one trial send at a time",
+    breaker.canRequest() && breaker.state === CIRCUIT_STATE.HALF_OPEN && !breaker.canRequest());
+
+  breaker.recordFailure("Service Unavailable");
+  report("a failed trial send re-opens the circuit", breaker.state === CIRCUIT_STATE.OPEN && breaker.getState().stats.trips === 2);
+
+  await wait(120);
+  breaker.canRequest();
+  breaker.recordSuccess();
+  report("a successful trial send closes the circuit",
+    breaker.state === CIRCUIT_STATE.CLOSED && breaker.consecutiveFailures === 0 && breaker.getRetryAfterMs() === 0, breaker.getState());
+
+  breaker.recordFailure("Service Unavailable");
+  breaker.recordSuccess();
+  breaker.recordFailure("Service Unavailable");
+  report("a success in between resets the consecutive failure count", breaker.state === CIRCUIT_STATE.CLOSED);
+
+  // Test the probe
+  console.log("\n--- Testing the Probe ---");
+  let probes = 0;
+  const probed = new CircuitBreaker("twilio-test", {
+    failureThreshold: 1,
+    resetTimeoutMs: 60000,
+    probeIntervalMs: 20,
+    probe: async () => {
+      probes++;
+      if (probes < 3) throw new Error("still down");
+    },
+  });
+  probed.recordFailure("connect ECONNREFUSED");
+  await wait(40);
+  report("a failing probe keeps the circuit open", probed.state === CIRCUIT_STATE.OPEN && probed.lastError === "still down", probed.getState());
+
+  await wait(80);
+  report("a passing probe closes the circuit before the reset timeout", probed.state === CIRCUIT_STATE.CLOSED && probes === 3 && probed.probeTimer === null,
+    { probes, state: probed.getState() });
+
+  // Test the dispatcher, which sends each attempt through the provider's breaker
+  console.log("\n--- Testing the Dispatcher ---");
+  let calls = 0;
+  let healthy = false;
+  registry.registerChannel("flaky", {
+    provider: "flaky-provider",
+    mode: "real",
+    send: async () => {
+      calls++;
+      return healthy ? { success: true, messageId: `flaky-${calls}` } : { success: false, error: "Service Unavailable", statusCode: 503 };
+    },
+  });
+  configureCircuitBreakers({ "flaky-provider": { failureThreshold: 2, resetTimeoutMs: 150 } });
+
+  const send = () => dispatchNotification({ type: "flaky", recipient: "ops", message: "Disk almost full", retry: false });
+  await send();
+  await send();
+  const fastFailed = await send();
+  report("an open circuit fails fast with PROVIDER_UNAVAILABLE without calling the provider",
+    calls === 2 && fastFailed.success === false && fastFailed.errorCode === PROVIDER_UNAVAILABLE && fastFailed.retryAfterMs > 0 &&
+      getCircuitStates()["flaky-provider"].state === CIRCUIT_STATE.OPEN,
+    fastFailed);
+
+  await wait(170);
+  healthy = true;
+  const recovered = await send();
+  report("after the reset timeout a trial send goes through and closes the circuit",
+    recovered.success && calls === 3 && getCircuitStates()["flaky-provider"].state === CIRCUIT_STATE.CLOSED, recovered);
+
+  healthy = false;
+  await send();
+  await send();
+  report("resetCircuit closes an open circuit",
+    getCircuitStates()["flaky-provider"].state === CIRCUIT_STATE.OPEN && resetCircuit("flaky-provider") &&
+      getCircuitStates()["flaky-provider"].state === CIRCUIT_STATE.CLOSED && !resetCircuit("unknown-provider"));
+
+  registry.unregisterChannel("flaky");
+});
@@ -0,0 +1,109 @@
+/**
+ * Unit tests for cron expression parsing and scheduling
+ */
+
+const { report } = require("./helpers");
+const {
+  parseCronExpression,
+  getNextRunTime,
+  isValidTimeZone,
+} = require("../cron-expression");
+
+// Test next run calculation
+console.log("--- Testing Next Run Times ---");
+const nextRunCases = [
+  {
+    description: "every 15 minutes",
+    expression: "*/15 * * * *",
+    from: "2025-06-02T10:07:00Z",
+    expected: "2025-06-02T10:15:00.000Z",
+  },
+  {
+    description: "daily at 09:00 UTC",
+    expression: "0 9 * * *",
+    from: "2025-06-02T09:00:00Z",
+    expected: "2025-06-03T09:00:00.000Z",
+  },
+  {
+    description: "weekly digest on Monday 08:30 in New York (EDT)",
+    expression: "30 8 * * MON",
+    from: "2025-06-04T12:00:00Z",
+    timeZone: "America/New_York",
+    expected: "2025-06-09T12:30:00.000Z",
+  },
+  {
+    description: "weekdays at 18:00 in Paris",
+    expression: "0 18 * * 1-5",
+    from: "2025-06-06T17:00:00Z",
+    timeZone: "Europe/Paris",
+    expected: "2025-06-09T16:00:00.000Z",
+  },
+  {
+    description: "@monthly macro",
+    expression: "@monthly",
+    from: "2025-01-15T00:00:00Z",
+    expected: "2025-02-01T00:00:00.000Z",
+  },
+  {
+    description: "day-of-month or day-of-week when both are set",
+    expression: "0 0 15 * SUN",
+    from: "2025-06-02T00:00:00Z",
+    expected: "2025-06-08T00:00:00.000Z",
+  },
+  {
+    description: "midnight after the spring DST change in New York",
+    expression: "0 0 * * *",
+    from: "2025-03-09T05:00:00Z",
+    timeZone: "America/New_York",
+    expected: "2025-03-10T04:00:00.000Z",
+  },
+  {
+    description: "leap day",
+    expression: "0 12 29 FEB *",
+    from: "2025-01-01T00:00:00Z",
+    expected: "2028-02-29T12:00:00.000Z",
+  },
+];
+
+nextRunCases.forEach((test) => {
+  const next = getNextRunTime(test.expression, {
+    from: test.from,
+    timeZone: test.timeZone,
+  });
+  const actual = next ? next.toISOString() : null;
+  report(test.description, actual === test.expected, { expected: test.expected, actual });
+});
+
+// Test invalid expressions
+console.log("\n--- Testing Invalid Expressions ---");
+const invalidExpressions = [
+  "",
+  "* * * *",
+  "60 * * * *",
+  "* 24 * * *",
+  "* * 0 * *",
+  "* * * 13 *",
+  "*/0 * * * *",
+  "5-1 * * * *",
+  "* * * * FUNDAY",
+];
+
+invalidExpressions.forEach((expression) => {
+  let rejected = false;
+  try {
+    parseCronExpression(expression);
+  } catch (error) {
+    rejected = true;
+  }
+  report(`"${expression}" is rejected`, rejected);
+});
+
+// Test time zone validation
+console.log("\n--- Testing Time Zone Validation ---");
+[
+  { timeZone: "UTC", expected: true },
+  { timeZone: "Europe/Paris", expected: true },
+  { timeZone: "Mars/Olympus_Mons", expected: false },
+].forEach((test) => {
+  report(test.timeZone, isValidTimeZone(test.timeZone) === test.expected);
+});
@@ -0,0 +1,203 @@
+/**
+ * Tests for delivery status tracking: the message lifecycle, Twilio status
+ * callbacks, SMTP DSN bounces and push receipts
+ */
+
+const fs = require("fs");
+const http = require("http");
+
+const { report, run, expectError, runInProcess, postForm, twilioSignature, useTempFiles } = require("./helpers");
+
+// Keep the test's state out of the working directory, and send SMS in mock mode
+useTempFiles("delivery-status", ["MESSAGE_STATUS_FILE", "SMS_OPT_OUTS_FILE"]);
+process.env.SMS_MOCK_MODE = "true";
+
+const { dispatchNotification } = require("../dispatcher");
+const deliveryStatus = require("../notifications/delivery-status");
+const messageStatusStore = require("../message-status-store");
+const config = require("../config");
+
+const readJournal = () => fs.readFileSync(process.env.MESSAGE_STATUS_FILE, "utf8").split("\n").filter(Boolean).map((line) => JSON.parse(line));
+
+function buildDsn(messageId, recipientFields) {
+  return [
+    "From: Mail Delivery System <MAILER-DAEMON@mx.example.net>",
+    "To: notifications@example.com",
+    "Subject: Undelivered Mail Returned to Sender",
+    "MIME-Version: 1.0",
+    "Content-Type: multipart/report; report-type=delivery-status;",
+    "\tboundary=\"BOUNDARY-1\"",
+    "",
+    "This is a MIME-encapsulated message.",
+    "",
+    "--BOUNDARY-1",
+    "Content-Type: text/plain; charset=us-ascii",
+    "",
+    "I'm sorry to have to inform you that your message could not be delivered.",
+    "",
+    "--BOUNDARY-1",
+    "Content-Type: message/delivery-status",
+    "",
+    "Reporting-MTA: dns; mx.example.net",
+    "Arrival-Date: Mon, 19 Oct 2026 10:00:00 +0000",
+    "",
+    ...recipientFields,
+    "",
+    "--BOUNDARY-1",
+    "Content-Type: text/rfc822-headers",
+    "",
+    "From: notifications@example.com",
+    "To: missing@example.org",
+    `Message-ID: ${messageId}`,
+    "Subject: Your invoice",
+    "",
+    "--BOUNDARY-1--",
+    ""
+  ].join("\r\n");
+}
+
+run("delivery status tests", async () => {
+  // Test tracking from dispatch
+  console.log("--- Testing the Lifecycle ---");
+  const sent = await dispatchNotification({ type: "sms", recipient: "+15551230001", message: "Your code is 123456" });
+  const tracked = deliveryStatus.getMessageStatus(sent.messageId);
+  report("sent messages are tracked under their messageId",
+    tracked && tracked.status === "sent" && tracked.channel === "sms" && tracked.recipient === "+15551230001" &&
+      tracked.history.length === 1 && tracked.history[0].source === "dispatch",
+    tracked);
+
+  deliveryStatus.handleTwilioStatusCallback({ MessageSid: sent.messageId, MessageStatus: "delivered", To: "+15551230001" });
+  const late = deliveryStatus.handleTwilioStatusCallback({ MessageSid: sent.messageId, MessageStatus: "sent", To: "+15551230001" });
+  const history = deliveryStatus.getMessageStatus(sent.messageId).history;
+  report("a late callback is kept in the history without moving the message back",
+    !late.applied && late.message.status === "delivered" &&
+      history.map((entry) => `${entry.status}:${entry.applied}`).join() === "sent:true,delivered:true,sent:false",
+    history);
+
+  const undelivered = deliveryStatus.handleTwilioStatusCallback({ MessageSid: "SM-unknown", MessageStatus: "undelivered", To: "+15551230002", ErrorCode: "30003" });
+  report("callbacks for untracked messages start tracking them, with Twilio's status and error",
+    undelivered.message.status === "failed" && undelivered.message.history[0].providerStatus === "undelivered" &&
+      undelivered.message.history[0].info.errorCode === "30003",
+    undelivered);
+
+  const retried = deliveryStatus.recordDeliveryStatus("SM-unknown", "delivered");
+  report("final statuses are final", !retried.applied && retried.message.status === "failed", retried);
+
+  const badCallback = expectError(() => deliveryStatus.handleTwilioStatusCallback({ MessageSid: "SM1", MessageStatus: "teleported" }));
+  report("callbacks with an unknown status are rejected", badCallback && badCallback.code === "INVALID_STATUS_CALLBACK", badCallback && badCallback.message);
+
+  // Test the Twilio listener
+  console.log("\n--- Testing the Status Callback Listener ---");
+  const authToken = "twilio-secret";
+  const server = http.createServer(deliveryStatus.createTwilioStatusCallbackHandler({ authToken, validateSignature: true }));
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}/sms/status`;
+  const signedUrl = `https://127.0.0.1:${server.address().port}/sms/status`;
+
+  try {
+    const params = { MessageSid: "SM-http", MessageStatus: "queued", To: "+15551230003" };
+    const forged = await postForm(url, params, { "X-Twilio-Signature": "forged" });
+    const signed = await postForm(url, params, { "X-Twilio-Signature": twilioSignature(signedUrl, params, authToken) });
+    report("signed callbacks are recorded and unsigned ones rejected",
+      forged.statusCode === 403 && signed.statusCode === 204 && deliveryStatus.getMessageStatus("SM-http").status === "queued",
+      { forged, signed });
+
+    const invalid = { MessageSid: "SM-http", MessageStatus: "teleported" };
+    const rejected = await postForm(url, invalid, { "X-Twilio-Signature": twilioSignature(signedUrl, invalid, authToken) });
+    report("invalid callbacks get a 400", rejected.statusCode === 400, rejected);
+  } finally {
+    server.close();
+  }
+
+  // Test DSN bounces
+  console.log("\n--- Testing Email Bounces ---");
+  deliveryStatus.recordDeliveryStatus("<invoice-1@example.com>", "sent", { channel: "email", recipient: "missing@example.org" });
+  const bounce = deliveryStatus.handleEmailDsn(buildDsn("<invoice-1@example.com>", [
+    "Final-Recipient: rfc822; missing@example.org",
+    "Original-Recipient: rfc822;missing@example.org",
+    "Action: failed",
+    "Status: 5.1.1",
+    "Diagnostic-Code: smtp; 550 5.1.1 <missing@example.org>: Recipient address rejected:",
+    "    User unknown in virtual mailbox table"
+  ]));
+  report("a failed DSN hard-bounces the email it quotes",
+    bounce.applied && bounce.message.status === "bounced" && bounce.message.history[1].info.bounceType === "hard" &&
+      bounce.dsn.reportingMta === "mx.example.net" && bounce.dsn.recipients[0].recipient === "missing@example.org" &&
+      bounce.dsn.recipients[0].diagnosticCode.endsWith("User unknown in virtual mailbox table"),
+    bounce);
+
+  deliveryStatus.recordDeliveryStatus("<invoice-2@example.com>", "sent", { channel: "email" });
+  const delayed = deliveryStatus.handleEmailDsn(buildDsn("<invoice-2@example.com>", [
+    "Final-Recipient: rfc822; slow@example.org",
+    "Action: delayed",
+    "Status: 4.4.1"
+  ]));
+  report("a delayed DSN keeps the email sent", delayed.message.status === "sent" && delayed.message.history[1].providerStatus === "delayed", delayed.message);
+
+  const notDsn = expectError(() => deliveryStatus.handleEmailDsn("Subject: Out of office\r\n\r\nI'm away until Monday."));
+  report("emails that aren't delivery reports are rejected", notDsn && notDsn.code === "INVALID_DSN", notDsn && notDsn.message);
+
+  // Test push receipts
+  console.log("\n--- Testing Push Receipts ---");
+  const receipts = deliveryStatus.handlePushReceipt([
+    { messageId: "projects/demo/messages/1", status: "ok", provider: "fcm" },
+    { messageId: "projects/demo/messages/2", error: "Device token is no longer valid", errorCode: "UNREGISTERED", provider: "fcm" }
+  ]);
+  report("receipts mark push messages delivered or failed",
+    receipts[0].message.status === "delivered" && receipts[1].message.status === "failed" &&
+      receipts[1].message.history[0].info.errorCode === "UNREGISTERED",
+    receipts);
+
+  // Test queries
+  console.log("\n--- Testing Queries ---");
+  const failures = deliveryStatus.listMessageStatuses({ status: "failed" }).map((message) => message.messageId).sort();
+  const emails = deliveryStatus.listMessageStatuses({ channel: "email" });
+  report("messages can be listed by status and channel",
+    failures.join() === "SM-unknown,projects/demo/messages/2" && emails.length === 2,
+    { failures, emails: emails.map((message) => message.messageId) });
+
+  const journal = readJournal();
+  const bounced = journal.find((entry) => entry.messageId === "<invoice-1@example.com>" && entry.update.status === "bounced");
+  report("status updates are appended to the journal", journal[0].op === "status" && bounced && bounced.update.applied, bounced);
+
+  // Test statuses recorded by other processes, as the worker sends while the API receives callbacks
+  console.log("\n--- Testing Other Processes ---");
+  const output = await runInProcess(`
+    require('./dispatcher').dispatchNotification({ type: 'sms', recipient: '+15551230009', message: 'Your code is 654321' })
+      .then((result) => console.log(JSON.stringify(result)));
+  `);
+  const sentByWorker = JSON.parse(output.trim().split("\n").pop());
+  const callback = deliveryStatus.handleTwilioStatusCallback({ MessageSid: sentByWorker.messageId, MessageStatus: "delivered", To: "+15551230009" });
+  report("a callback finds a message the worker sent",
+    callback.applied && callback.message.history.map((entry) => entry.status).join() === "sent,delivered" && callback.message.channel === "sms",
+    callback);
+
+  const recordMany = (prefix, status) => `const store = require('./message-status-store'); for (let i = 0; i < 20; i++) store.recordStatus('${prefix}-' + i, '${status}');`;
+  await Promise.all([runInProcess(recordMany("SM-worker", "sent")), runInProcess(recordMany("SM-callback", "delivered"))]);
+  const recorded = deliveryStatus.listMessageStatuses().filter((message) => /^SM-(worker|callback)-/.test(message.messageId));
+  report("statuses recorded by two processes at once are all kept",
+    recorded.length === 40 && deliveryStatus.getMessageStatus(sentByWorker.messageId).status === "delivered", recorded.length);
+
+  // Test pruning, which compacts the journal
+  console.log("\n--- Testing Pruning ---");
+  const trackedCount = deliveryStatus.listMessageStatuses().length;
+  const retentionMs = config.messageStatus.retentionMs;
+  config.messageStatus.retentionMs = 60 * 1000;
+  const kept = messageStatusStore.pruneMessageStatuses();
+  const compacted = readJournal();
+  report("pruning keeps recent messages, one journal entry each",
+    kept === 0 && compacted[0].op === "compact" && compacted.length === trackedCount + 1 && compacted.slice(1).every((entry) => entry.op === "add"),
+    { kept, tracked: trackedCount, entries: compacted.length });
+
+  config.messageStatus.retentionMs = 1;
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  const expired = deliveryStatus.getMessageStatus(sentByWorker.messageId);
+  const pruned = messageStatusStore.pruneMessageStatuses();
+  report("messages not updated within the retention period are pruned",
+    expired === null && pruned === trackedCount && readJournal().length === 1 && deliveryStatus.listMessageStatuses().length === 0,
+    { pruned, tracked: trackedCount });
+
+  const restarted = messageStatusStore.recordStatus("SM-worker-0", "queued");
+  report("an update after pruning starts a new record", restarted.applied && restarted.message.history.length === 1, restarted);
+  config.messageStatus.retentionMs = retentionMs;
+});
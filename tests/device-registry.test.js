@@ -0,0 +1,54 @@
+/**
+ * Tests for the push device registry shared between processes: devices
+ * registered through the API survive tokens pruned by the worker
+ */
+
+const fs = require("fs");
+
+const { report, run, runInProcess, useTempFiles } = require("./helpers");
+
+// Keep the test's registry out of the working directory
+useTempFiles("device-registry", ["DEVICES_FILE"]);
+
+const deviceRegistry = require("../device-registry");
+
+run("device registry tests", async () => {
+  // Test registering devices
+  console.log("--- Testing Registration ---");
+  deviceRegistry.registerDevice("ana@example.com", { token: "token-ana-phone", platform: "iOS", locale: "es-MX" });
+  const tablet = deviceRegistry.registerDevice("ana@example.com", { token: "token-ana-tablet", platform: "android" });
+  report("devices are registered with their platform", tablet.platform === "android" &&
+    deviceRegistry.getDevices("ana@example.com").length === 2, deviceRegistry.getDevices("ana@example.com"));
+
+  const moved = deviceRegistry.registerDevice("ben@example.com", { token: "token-ana-tablet", platform: "android" });
+  report("registering a token for another user moves it",
+    deviceRegistry.findDevice("token-ana-tablet").userId === "ben@example.com" && moved.registeredAt &&
+      deviceRegistry.getDevices("ana@example.com").length === 1,
+    deviceRegistry.getDevices("ana@example.com"));
+
+  // Test tokens pruned by another process
+  console.log("\n--- Testing Other Processes ---");
+  await runInProcess("require('./device-registry').registerDevice('cleo@example.com', { token: 'token-cleo', platform: 'ios' })");
+  report("a device registered by another process is seen", deviceRegistry.findDevice("token-cleo") !== null);
+
+  deviceRegistry.registerDevice("dan@example.com", { token: "token-dan", platform: "android" });
+  await runInProcess("require('./device-registry').removeToken('token-ana-tablet')");
+  report("a token pruned by the worker keeps devices registered through the API",
+    deviceRegistry.findDevice("token-ana-tablet") === null && deviceRegistry.findDevice("token-dan") !== null &&
+      deviceRegistry.findDevice("token-cleo") !== null && deviceRegistry.getDevices("ana@example.com").length === 1,
+    JSON.parse(fs.readFileSync(process.env.DEVICES_FILE, "utf8")));
+
+  const registerMany = (user) => `const registry = require('./device-registry'); for (let i = 0; i < 20; i++) registry.registerDevice('${user}' + i, { token: '${user}-token-' + i, platform: 'ios' });`;
+  await Promise.all([runInProcess(registerMany("api")), runInProcess(registerMany("worker"))]);
+  const registered = Object.keys(JSON.parse(fs.readFileSync(process.env.DEVICES_FILE, "utf8")));
+  report("devices registered by two processes at once are all kept",
+    registered.filter((userId) => /^(api|worker)\d+$/.test(userId)).length === 40, registered);
+
+  // Test pruning inactive devices
+  console.log("\n--- Testing Inactive Devices ---");
+  const file = JSON.parse(fs.readFileSync(process.env.DEVICES_FILE, "utf8"));
+  file["dan@example.com"][0].lastSeenAt = "2020-01-01T00:00:00.000Z";
+  fs.writeFileSync(process.env.DEVICES_FILE, JSON.stringify(file));
+  report("inactive devices are pruned", deviceRegistry.pruneInactiveDevices() === 1 &&
+    deviceRegistry.getDevices("dan@example.com").length === 0 && deviceRegistry.pruneInactiveDevices() === 0);
+});
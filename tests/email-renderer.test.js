@@ -0,0 +1,147 @@
+/**
+ * Tests for email rendering: HTML to text, text to HTML, CSS inlining,
+ * attachments and the multipart output of the email channel
+ */
+
+const { Readable } = require("stream");
+const { report, run, expectError } = require("./helpers");
+const { htmlToText, textToHtml, inlineCss, renderEmail } = require("../notifications/email-renderer");
+const { prepareAttachments, generateCsv } = require("../notifications/email-attachments");
+const { sendEmail, configureEmailTransport } = require("../notifications/emails");
+
+run("email renderer tests", async () => {
+  // Test HTML to text conversion
+  console.log("--- Testing HTML to Text ---");
+  const links = htmlToText('<p>See <a href="https://example.com/a?x=1&amp;y=2">your order</a> or <a href="https://example.com">example.com</a>.</p>');
+  report("links keep their URL", links === "See your order (https://example.com/a?x=1&y=2) or https://example.com.", links);
+
+  const mailto = htmlToText('<a href="mailto:help@example.com">help@example.com</a> <a href="mailto:help@example.com">Support</a>');
+  report("mailto links show the address once", mailto === "help@example.com Support (help@example.com)", mailto);
+
+  const table = htmlToText("<table><tr><th>Item</th><th>Qty</th></tr><tr><td>Book</td><td>2</td></tr></table>");
+  report("table rows become lines", table === "Item | Qty\nBook | 2", table);
+
+  const layoutTable = htmlToText("<table><tr><td><table><tr><td><p>Hello</p></td></tr></table></td></tr></table>");
+  report("layout tables reduce to their content", layoutTable === "Hello", layoutTable);
+
+  const lists = htmlToText("<ul><li>One</li><li>Two</li></ul><ol><li>First</li><li>Second</li></ol>");
+  report("lists keep bullets and numbers", lists === "- One\n- Two\n\n1. First\n2. Second", lists);
+
+  const hidden = htmlToText('<head><style>p { color: red }</style></head><span style="display:none">Preview</span><p>Body &copy; Acme<br>Line two</p>');
+  report("styles and hidden preheaders are dropped", hidden === "Body © Acme\nLine two", hidden);
+
+  // Test text to HTML conversion
+  console.log("\n--- Testing Text to HTML ---");
+  const html = textToHtml("Hi <Ana>,\n\nVisit https://example.com/a?b=1&c=2.\nThanks");
+  report("text is escaped, paragraphed and linked",
+    html === '<p>Hi &lt;Ana&gt;,</p>\n<p>Visit <a href="https://example.com/a?b=1&amp;c=2">https://example.com/a?b=1&amp;c=2</a>.<br>\nThanks</p>',
+    html);
+
+  // Test CSS inlining
+  console.log("\n--- Testing CSS Inlining ---");
+  const inlined = inlineCss(
+    "<style>p { color: red; margin: 0 } .note { color: blue } .box p { font-size: 12px } .a > b { font-weight: bold } a:hover { color: green } @media (max-width: 600px) { p { color: black } }</style>" +
+    '<div class="box"><p class="note" style="margin: 4px">Hi</p><p>There</p></div><p class="a"><i><b>No</b></i><b>Yes</b></p>'
+  );
+  report("higher specificity wins", inlined.includes('<p class="note" style="color: blue; font-size: 12px; margin: 4px">'), inlined);
+  report("descendant selectors are inlined", inlined.includes('<p style="color: red; margin: 0; font-size: 12px">There</p>'), inlined);
+  report("child combinator only matches direct children",
+    inlined.includes("<i><b>No</b></i>") && inlined.includes('<b style="font-weight: bold">Yes</b>'), inlined);
+  report("media queries and pseudo-classes stay in a style block",
+    /<style type="text\/css">\na:hover \{ color: green \}\n@media \(max-width: 600px\)/.test(inlined), inlined);
+
+  const important = inlineCss('<style>p { color: red !important }</style><p style="color: blue">x</p>');
+  report("!important rules beat the style attribute", important === '<p style="color: red">x</p>', important);
+
+  // Test full rendering
+  console.log("\n--- Testing Rendering ---");
+  const plain = renderEmail("Hello\n\nBye", { subject: "Tea & cake", preheader: "Soon" });
+  report("plain text is wrapped in the layout with escaped variables",
+    plain.text === "Hello\n\nBye" && plain.html.includes("<title>Tea &amp; cake</title>") &&
+      plain.html.includes(">Soon</span>") && /<p style="[^"]+">Hello<\/p>/.test(plain.html),
+    plain);
+
+  const both = renderEmail("Text version", { html: "<p>HTML version</p>", layout: false, inlineCss: false });
+  report("explicit HTML keeps the message as the text part",
+    both.text === "Text version" && both.html === "<p>HTML version</p>", both);
+
+  let layoutError = null;
+  try {
+    renderEmail("Hi", { layout: "does-not-exist" });
+  } catch (error) {
+    layoutError = error;
+  }
+  report("missing layout is rejected", layoutError && layoutError.code === "EMAIL_LAYOUT_NOT_FOUND", layoutError && layoutError.message);
+
+  // Test attachments
+  console.log("\n--- Testing Attachments ---");
+  const csv = generateCsv([{ item: "Tea, green", note: 'say "hi"' }, { item: "Cake", note: null }]);
+  report("CSV fields are quoted and escaped", csv === 'item,note\r\n"Tea, green","say ""hi"""\r\nCake,\r\n', csv);
+
+  const prepared = await prepareAttachments([
+    { filename: "notes.txt", content: "hello" },
+    { filename: "data.bin", content: Readable.from([Buffer.from("abc"), Buffer.from("def")]) },
+    { filename: "order.pdf", generate: "pdf", data: { title: "Order", lines: ["Tea x2"] } }
+  ]);
+  const summary = prepared.metadata.map((meta) => `${meta.contentType} ${meta.size} ${meta.source}`);
+  report("attachment metadata records type, size and source",
+    summary[0] === "text/plain 5 buffer" && summary[1] === "application/octet-stream 6 stream" &&
+      summary[2].startsWith("application/pdf") && prepared.attachments[2].content.toString("latin1").startsWith("%PDF-1.4"),
+    summary);
+
+  const attachmentErrors = [];
+  for (const attachments of [
+    [{ filename: "big.bin", content: Buffer.alloc(11 * 1024 * 1024) }],
+    [{ path: "./does-not-exist.pdf" }],
+    [{ filename: "terms.pdf", content: "x", cid: "terms" }]
+  ]) {
+    try {
+      await prepareAttachments(attachments);
+      attachmentErrors.push(null);
+    } catch (error) {
+      attachmentErrors.push(error.code);
+    }
+  }
+  report("oversized, missing and non-image inline attachments are rejected",
+    attachmentErrors.join() === "ATTACHMENT_TOO_LARGE,ATTACHMENT_NOT_FOUND,INVALID_ATTACHMENT", attachmentErrors);
+
+  // Test multipart output through a stream transport
+  console.log("\n--- Testing Multipart Output ---");
+  const transport = configureEmailTransport({ streamTransport: true, buffer: true, newline: "unix" });
+  const sent = [];
+  const sendMail = transport.sendMail.bind(transport);
+  transport.sendMail = async (mail) => {
+    const info = await sendMail(mail);
+    sent.push(info.message.toString());
+    return info;
+  };
+
+  const result = await sendEmail("user@example.com", "<p>Hello <strong>World</strong></p>", { subject: "Multipart", layout: false });
+  const raw = sent[0] || "";
+  report("email is sent as multipart/alternative",
+    /Content-Type: multipart\/alternative/.test(raw) && /Content-Type: text\/plain/.test(raw) && /Content-Type: text\/html/.test(raw),
+    raw);
+  report("generated text part is used", result.message === "Hello World" && raw.includes("Hello World"), result);
+
+  const withImage = await sendEmail("user@example.com", '<p><img src="cid:logo" alt="Logo"> Hi</p>', {
+    subject: "Inline",
+    layout: false,
+    attachments: [
+      { filename: "logo.png", content: Buffer.from("png"), cid: "logo" },
+      { filename: "items.csv", generate: "csv", data: [[1, 2]] }
+    ]
+  });
+  const rawWithImage = sent[1] || "";
+  report("inline images are related to the HTML and files are attached",
+    /multipart\/related/.test(rawWithImage) && /Content-ID: <logo>/.test(rawWithImage) &&
+      /Content-Disposition: attachment; filename=items.csv/.test(rawWithImage) && withImage.attachments.length === 2,
+    rawWithImage);
+
+  const realError = await sendEmail("error-desk@example.com", "Hello", { subject: "Real", layout: false });
+  report("recipients containing 'error' are sent for real outside mock mode",
+    realError.status === "sent" && realError.simulated === false && /To: error-desk@example.com/.test(sent[2] || ""),
+    realError);
+
+  const simulated = await expectError(() => sendEmail("error-desk@example.com", "Hello", { subject: "Mock", mockMode: true }));
+  report("in mock mode they still simulate a failure", simulated && /Simulated email sending failure/.test(simulated.message) && sent.length === 3);
+});
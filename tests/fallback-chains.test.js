@@ -0,0 +1,114 @@
+/**
+ * Tests for channel fallback chains: the otp and passwordReset chains, skipped
+ * and failed channels, and candidates that would otherwise be queued
+ */
+
+const fs = require("fs");
+const { report, run, useTempFiles } = require("./helpers");
+
+// Keep the test's state out of the working directory, send in mock mode and try each channel once
+useTempFiles("fallback-chains", [
+  "PREFERENCES_FILE", "SMS_OPT_OUTS_FILE", "MESSAGE_STATUS_FILE", "QUEUE_FILE", "SCHEDULE_FILE", "IDEMPOTENCY_FILE", "DEVICES_FILE",
+]);
+process.env.SMS_MOCK_MODE = "true";
+process.env.EMAIL_MOCK_MODE = "true";
+process.env.EMAIL_MODE = "mock";
+process.env.RETRY_MAX_ATTEMPTS = "1";
+
+const userPreferences = require("../user-preferences");
+const optOutStore = require("../sms-opt-out-store");
+const rateLimiter = require("../rate-limiter");
+const dispatcher = require("../dispatcher");
+const { notificationQueue } = require("../notification-queue");
+const controller = require("../controllers/userNotificationController");
+
+// Users opted in to email and SMS for both chained types. The preferences API can't set
+// notificationTypes, so the users are written to the preferences file and loaded from it
+const BOTH = { email: true, sms: true };
+function seedUsers(users) {
+  const store = Object.fromEntries(users.map(({ email, phone, smsEnabled = true, notificationTypes = { otp: BOTH, passwordReset: BOTH } }) =>
+    [email, { ...userPreferences.createCustomDefaultPreferences(true, smsEnabled), phone, notificationTypes }]));
+  fs.writeFileSync(process.env.PREFERENCES_FILE, JSON.stringify(store));
+  userPreferences.loadPreferences();
+}
+
+const trailOf = (result) => result.fallbackTrail.map((entry) => `${entry.channel}:${entry.status}`).join();
+
+run("fallback chain tests", async () => {
+  seedUsers([
+    { email: "ana@example.com", phone: "+15551230001" },
+    { email: "ben@example.com", phone: "+15551230002", smsEnabled: false },
+    { email: "cleo@example.com", phone: "+15551230003" },
+    { email: "dan@example.com", phone: "+15551230004" },
+    { email: "error-eve@example.com", phone: "+15551230005" },
+    { email: "fay@example.com", phone: "+15551230006", notificationTypes: { otp: { email: true } } },
+  ]);
+
+  // Test the otp chain: sms, then email
+  console.log("--- Testing the otp Chain ---");
+  const bySms = await controller.sendNotificationByPreference("ana@example.com", "otp", { otpCode: "111111" });
+  report("otp is delivered by SMS without using the fallback",
+    bySms.success && bySms.deliveredVia === "sms" && bySms.fallbackUsed === false && trailOf(bySms) === "sms:delivered", bySms);
+
+  const skipped = await controller.sendNotificationByPreference("ben@example.com", "otp", { otpCode: "222222" });
+  report("a skipped SMS falls back to email and counts as using the fallback",
+    skipped.success && skipped.deliveredVia === "email" && skipped.fallbackUsed === true &&
+      trailOf(skipped) === "sms:skipped,email:delivered",
+    skipped);
+
+  const notForType = await controller.sendNotificationByPreference("fay@example.com", "otp", { otpCode: "232323" });
+  report("a channel without an opt-in for the notification type is skipped, as on the normal path",
+    notForType.success && notForType.deliveredVia === "email" && trailOf(notForType) === "sms:skipped,email:delivered", notForType);
+
+  optOutStore.optOut("+15551230003", { keyword: "STOP" });
+  const failed = await controller.sendNotificationByPreference("cleo@example.com", "otp", { otpCode: "333333" });
+  report("a failed SMS falls back to email",
+    failed.success && failed.deliveredVia === "email" && failed.fallbackUsed === true &&
+      trailOf(failed) === "sms:failed,email:delivered" && /opted out/i.test(failed.fallbackTrail[0].reason),
+    failed);
+
+  // An SMS held back by a rate limit in queue mode isn't delivered yet, so the chain moves on
+  rateLimiter.configureRateLimits({ mode: "queue", channels: { sms: { limit: 1, intervalMs: 60 * 60 * 1000 } } });
+  await controller.sendNotificationByPreference("dan@example.com", "otp", { otpCode: "444444" });
+  const limited = await controller.sendNotificationByPreference("dan@example.com", "otp", { otpCode: "555555" });
+  report("a rate-limited SMS falls back to email instead of counting as delivered",
+    limited.success && limited.deliveredVia === "email" && trailOf(limited) === "sms:failed,email:delivered" &&
+      notificationQueue.getStats().pending === 0,
+    { limited, queue: notificationQueue.getStats() });
+  rateLimiter.configureRateLimits({ mode: "reject", channels: { sms: null } });
+
+  // Test the passwordReset chain: email, then sms
+  console.log("\n--- Testing the passwordReset Chain ---");
+  const byEmail = await controller.sendNotificationByPreference("ana@example.com", "passwordReset", { resetLink: "https://example.com/r/1" });
+  report("passwordReset is delivered by email",
+    byEmail.success && byEmail.deliveredVia === "email" && byEmail.fallbackUsed === false && trailOf(byEmail) === "email:delivered", byEmail);
+
+  const nothing = await controller.sendNotificationByPreference("error-eve@example.com", "passwordReset", { resetLink: "https://example.com/r/2" });
+  report("a failed email with no SMS template delivers nothing",
+    nothing.success === false && nothing.deliveredVia === null && trailOf(nothing) === "email:failed,sms:skipped" &&
+      /No sms template/.test(nothing.fallbackTrail[1].reason),
+    nothing);
+
+  // Test candidates that ask to be queued or scheduled
+  console.log("\n--- Testing Queued and Scheduled Candidates ---");
+  const immediate = await dispatcher.dispatchWithFallback([
+    { type: "sms", recipient: "+15551230009", message: "Your code is 666666", queue: true },
+    { type: "email", recipient: "ana@example.com", message: "Your code is 666666", options: { subject: "Your code" } },
+  ]);
+  report("a candidate asking to be queued is sent right away",
+    immediate.success && immediate.deliveredChannel === "sms" && immediate.result.dispatched === true &&
+      notificationQueue.getStats().pending === 0,
+    immediate);
+
+  const later = await dispatcher.dispatchWithFallback([
+    { type: "sms", recipient: "+15551230009", message: "Your code is 777777", delayMs: 60000, dedupeWindowMs: 60000 },
+  ]);
+  report("a candidate asking to be scheduled is sent right away", later.success && later.result.dispatched === true && !later.result.scheduled, later);
+
+  const duplicate = await dispatcher.dispatchWithFallback([
+    { type: "sms", recipient: "+15551230009", message: "Your code is 777777", dedupeWindowMs: 60000 },
+    { type: "email", recipient: "ana@example.com", message: "Your code is 777777", options: { subject: "Your code" } },
+  ]);
+  report("a suppressed duplicate isn't counted as delivered",
+    duplicate.deliveredChannel === "email" && /duplicate/i.test(duplicate.trail[0].reason), duplicate);
+});
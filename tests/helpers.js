@@ -0,0 +1,254 @@
+/**
+ * Shared helpers for the test scripts
+ *
+ * Each test file is a plain node script. report() prints one check's result
+ * and sets a failing exit code when the check fails, so `npm test` and CI see
+ * every failure, not just crashes.
+ *
+ * Requiring this file first also keeps the tests' log lines out of the
+ * tracked logs/notifications.log.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const http = require("http");
+const path = require("path");
+const crypto = require("crypto");
+const { execFile } = require("child_process");
+
+// Tests log to the console only, unless a run asks for the file
+if (process.env.LOG_TO_FILE === undefined) {
+  process.env.LOG_TO_FILE = "false";
+}
+
+let failures = 0;
+
+/**
+ * Print a check's result; a failed check fails the process
+ *
+ * @param {string} description - What the check verifies
+ * @param {boolean} success - Whether it passed
+ * @param {*} [details] - Printed when the check fails
+ */
+function report(description, success, details) {
+  console.log(`${description}: ${success ? "✓ test passed" : "✗ test failed"}`);
+  if (!success) {
+    failures++;
+    process.exitCode = 1;
+    if (details !== undefined) {
+      console.log("  Details:", typeof details === "string" ? details : JSON.stringify(details, null, 2));
+    }
+  }
+}
+
+/**
+ * Run a test file's checks, failing the process if they throw
+ *
+ * @param {string} name - Shown when the run crashes or checks fail
+ * @param {Function} fn - Async function running the checks
+ * @returns {Promise<void>}
+ */
+function run(name, fn) {
+  return Promise.resolve()
+    .then(fn)
+    .then(() => {
+      if (failures > 0) {
+        console.error(`\n✗ ${name}: ${failures} check${failures === 1 ? "" : "s"} failed`);
+      }
+    })
+    .catch((error) => {
+      console.error(`✗ ${name} crashed:`, error);
+      process.exitCode = 1;
+    });
+}
+
+/**
+ * Call fn and return what it threw (or rejected with), or null
+ *
+ * @param {Function} fn - Function to call; may return a promise
+ * @returns {Error|null|Promise<Error|null>}
+ */
+function expectError(fn) {
+  try {
+    const result = fn();
+    if (result && typeof result.then === "function") {
+      return result.then(() => null, (error) => error);
+    }
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+/**
+ * Point store files at a fresh temp directory, removed when the process exits
+ *
+ * Call it before requiring the modules under test, since they read their
+ * *_FILE paths when loaded. Each variable gets a file named after it, e.g.
+ * QUEUE_FILE -> <tempDir>/queue_file.
+ *
+ * @param {string} prefix - Temp directory name prefix, usually the test's name
+ * @param {string[]} names - Environment variables to set, e.g. ["QUEUE_FILE"]
+ * @returns {string} The temp directory
+ */
+function useTempFiles(prefix, names) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), `${prefix}-`));
+  names.forEach((name) => { process.env[name] = path.join(tempDir, name.toLowerCase()); });
+  process.on("exit", () => fs.rmSync(tempDir, { recursive: true, force: true }));
+  return tempDir;
+}
+
+/**
+ * Parse a request body by its content type
+ * @private
+ */
+function parseBody(text, contentType = "") {
+  if (contentType.startsWith("application/x-www-form-urlencoded")) {
+    return Object.fromEntries(new URLSearchParams(text));
+  }
+  if (contentType.includes("json")) {
+    try {
+      return JSON.parse(text || "{}");
+    } catch (error) {
+      return text;
+    }
+  }
+  return text;
+}
+
+/**
+ * Start a local HTTP server standing in for an external service
+ *
+ * Every request is recorded as { method, path, headers, raw, text, body },
+ * where raw is the body as a Buffer and body is parsed from JSON or form
+ * encoding, before it's passed to respond. A respond that doesn't answer
+ * leaves the request hanging, e.g. to test timeouts.
+ *
+ * @param {Function} respond - (request, res) => void
+ * @returns {Promise<Object>} { server, received, url, last, close }
+ */
+function startServer(respond) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const raw = Buffer.concat(chunks);
+      const text = raw.toString("utf8");
+      const request = {
+        method: req.method,
+        path: req.url,
+        headers: req.headers,
+        raw,
+        text,
+        body: parseBody(text, req.headers["content-type"]),
+      };
+      received.push(request);
+      respond(request, res);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        server,
+        received,
+        url: `http://127.0.0.1:${server.address().port}`,
+        last: () => received[received.length - 1],
+        close: () => {
+          server.closeAllConnections();
+          return new Promise((done) => server.close(done));
+        },
+      });
+    });
+  });
+}
+
+/**
+ * Reply to a stand-in request with a JSON body
+ *
+ * @param {http.ServerResponse} res - The response
+ * @param {number} status - HTTP status
+ * @param {*} payload - Serialized as JSON
+ */
+function replyJson(res, status, payload) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * POST form-encoded parameters, the way Twilio calls webhooks
+ *
+ * @param {string} url - Where to post
+ * @param {Object} params - Form parameters
+ * @param {Object} [headers={}] - Extra headers
+ * @returns {Promise<Object>} { statusCode, headers, body }
+ */
+function postForm(url, params, headers = {}) {
+  const body = new URLSearchParams(params).toString();
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded", "Content-Length": Buffer.byteLength(body), ...headers },
+    }, (res) => {
+      const chunks = [];
+      res.on("data", (chunk) => chunks.push(chunk));
+      res.on("end", () => resolve({ statusCode: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString("utf8") }));
+    });
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Sign a Twilio webhook request the way Twilio does
+ *
+ * @param {string} url - The URL Twilio calls
+ * @param {Object} params - The posted parameters
+ * @param {string} authToken - The account's auth token
+ * @returns {string} The X-Twilio-Signature value
+ */
+function twilioSignature(url, params, authToken) {
+  const data = Object.keys(params).sort().reduce((joined, key) => joined + key + params[key], url);
+  return crypto.createHmac("sha1", authToken).update(data).digest("base64");
+}
+
+/**
+ * Run a script in a separate node process, standing in for the API process or
+ * the worker
+ *
+ * The script runs from the repository root with this process's environment,
+ * so it shares the test's store files. What it prints to stdout is resolved.
+ *
+ * @param {string} script - JavaScript to run, e.g. "require('./sms-opt-out-store').optOut('+1555')"
+ * @param {Object} [env={}] - Extra environment variables
+ * @returns {Promise<string>} The script's stdout
+ */
+function runInProcess(script, env = {}) {
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, ["-e", script], {
+      cwd: path.join(__dirname, ".."),
+      env: { ...process.env, ...env },
+      timeout: 60 * 1000,
+    }, (error, stdout, stderr) => {
+      if (error) {
+        error.message += `\n${stderr}`;
+        reject(error);
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+module.exports = {
+  report,
+  run,
+  expectError,
+  useTempFiles,
+  runInProcess,
+  startServer,
+  replyJson,
+  postForm,
+  twilioSignature,
+};
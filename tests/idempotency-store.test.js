@@ -0,0 +1,109 @@
+/**
+ * Tests for idempotency keys: one dispatch per key within and across
+ * processes, what is stored for a replay, and duplicate suppression
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { report, run, expectError, runInProcess, useTempFiles } = require("./helpers");
+
+// Keep the test's store out of the working directory
+const tempDir = useTempFiles("idempotency-store", ["IDEMPOTENCY_FILE"]);
+
+const idempotencyStore = require("../idempotency-store");
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const readFile = () => JSON.parse(fs.readFileSync(process.env.IDEMPOTENCY_FILE, "utf8"));
+
+// A dispatch result as the dispatcher returns it
+const sentResult = (messageId) => ({
+  success: true,
+  dispatched: true,
+  type: "sms",
+  provider: "twilio",
+  recipient: "+15551230001",
+  message: "Your code is 123456",
+  messagePreview: "Your code is 123456",
+  messageId,
+  status: "sent",
+  attempts: 1,
+});
+
+run("idempotency store tests", async () => {
+  // Test replays in one process
+  console.log("--- Testing runOnce ---");
+  let calls = 0;
+  const send = async () => {
+    calls++;
+    await wait(20);
+    return sentResult(`SM${calls}`);
+  };
+
+  const first = await idempotencyStore.runOnce("otp-1", send);
+  const again = await idempotencyStore.runOnce("otp-1", send);
+  report("a repeated key replays the first result without sending again",
+    calls === 1 && first.idempotentReplay === false && again.idempotentReplay === true && again.messageId === "SM1" &&
+      again.originalDispatchAt && again.idempotencyKey === "otp-1",
+    { first, again });
+
+  const [a, b] = await Promise.all([idempotencyStore.runOnce("otp-2", send), idempotencyStore.runOnce("otp-2", send)]);
+  report("concurrent calls with one key share a single dispatch", calls === 2 && a.messageId === b.messageId && b.idempotentReplay, { a, b });
+
+  const failing = async () => {
+    calls++;
+    return { success: false, error: "Provider responded with HTTP 503" };
+  };
+  await idempotencyStore.runOnce("otp-3", failing);
+  const retried = await idempotencyStore.runOnce("otp-3", send);
+  report("failed results aren't remembered, so the key can be retried", retried.success && !retried.idempotentReplay, retried);
+
+  const thrown = await expectError(() => idempotencyStore.runOnce("otp-4", async () => { throw new Error("connection reset"); }));
+  const afterThrow = await idempotencyStore.runOnce("otp-4", send);
+  report("a dispatch that throws releases its key", thrown && thrown.message === "connection reset" && !afterThrow.idempotentReplay, afterThrow);
+
+  // Test what is stored
+  console.log("\n--- Testing What Is Stored ---");
+  const stored = readFile().keys["otp-1"];
+  report("only the fields needed for a replay are stored",
+    stored.result.messageId === "SM1" && stored.result.status === "sent" && stored.result.dispatched === true &&
+      !JSON.stringify(readFile()).includes("+15551230001") && !JSON.stringify(readFile()).includes("123456"),
+    stored);
+
+  idempotencyStore.configureIdempotency({ dedupeWindowMs: 60000 });
+  const notification = { type: "sms", recipient: "+15551230002", message: "Your code is 654321" };
+  idempotencyStore.recordContent(notification, sentResult("SM9"));
+  report("duplicate content is found within the window without storing the recipient",
+    idempotencyStore.findDuplicate(notification).messageId === "SM9" &&
+      idempotencyStore.findDuplicate({ ...notification, message: "Your code is 000000" }) === null &&
+      !JSON.stringify(readFile()).includes("+15551230002"),
+    readFile().contentHashes);
+
+  // Test other processes, as the API and the worker dispatch with the same keys
+  console.log("\n--- Testing Other Processes ---");
+  const sentLog = path.join(tempDir, "sent.log");
+  const dispatchScript = `
+    const fs = require('fs');
+    require('./idempotency-store').runOnce('order-42', async () => {
+      fs.appendFileSync(${JSON.stringify(sentLog)}, process.pid + '\\n');
+      await new Promise((resolve) => setTimeout(resolve, 300));
+      return { success: true, dispatched: true, messageId: 'SM-' + process.pid };
+    }).then((result) => console.log(JSON.stringify(result)));
+  `;
+  const outputs = await Promise.all([runInProcess(dispatchScript), runInProcess(dispatchScript)]);
+  const results = outputs.map((output) => JSON.parse(output.trim().split("\n").pop()));
+  const sends = fs.readFileSync(sentLog, "utf8").trim().split("\n");
+  report("two processes dispatching with one key send once and return the same result",
+    sends.length === 1 && results[0].messageId === results[1].messageId && results.filter((result) => result.idempotentReplay).length === 1,
+    { sends, results });
+
+  const replayed = await idempotencyStore.runOnce("order-42", send);
+  report("this process replays a key another process dispatched", replayed.idempotentReplay && replayed.messageId === results[0].messageId, replayed);
+
+  // A claim left by a process that died mid-dispatch
+  const file = readFile();
+  file.keys["order-43"] = { claimId: "dead", claimedAt: "2020-01-01T00:00:00.000Z", expiresAt: new Date(Date.now() - 1000).toISOString() };
+  fs.writeFileSync(process.env.IDEMPOTENCY_FILE, JSON.stringify(file));
+  const reclaimed = await idempotencyStore.runOnce("order-43", send);
+  report("an expired claim is released", reclaimed.success && !reclaimed.idempotentReplay, reclaimed);
+});
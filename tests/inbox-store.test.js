@@ -0,0 +1,46 @@
+/**
+ * Tests for the in-app inbox shared between processes: notifications added by
+ * the worker and read or archived through the API
+ */
+
+const { report, run, runInProcess, useTempFiles } = require("./helpers");
+
+// Keep the test's inbox out of the working directory
+useTempFiles("inbox-store", ["INBOX_FILE"]);
+
+const inbox = require("../inbox-store");
+
+const addInWorker = (body) => runInProcess(`console.log(require('./inbox-store').addNotification('ana@example.com', { body: '${body}' }).id)`);
+
+run("inbox store tests", async () => {
+  // Test notifications added by another process
+  console.log("--- Testing Other Processes ---");
+  const first = (await addInWorker("Your order shipped")).trim();
+  report("a notification added by the worker is listed", inbox.getUnreadCount("ana@example.com") === 1 &&
+    inbox.listNotifications("ana@example.com").notifications[0].id === first, inbox.listNotifications("ana@example.com"));
+
+  const read = inbox.markAsRead("ana@example.com", first);
+  const second = (await addInWorker("Your order was delivered")).trim();
+  report("marking as read keeps notifications the worker adds afterwards",
+    read.success && inbox.getNotification("ana@example.com", first).readAt && inbox.getNotification("ana@example.com", second) &&
+      inbox.getUnreadCount("ana@example.com") === 1,
+    inbox.listNotifications("ana@example.com", { archived: "all" }));
+
+  await runInProcess(`require('./inbox-store').archiveNotification('ana@example.com', '${second}')`);
+  report("an archive made by another process is seen",
+    inbox.listNotifications("ana@example.com").total === 1 && inbox.listNotifications("ana@example.com", { archived: true }).total === 1);
+
+  const addMany = (prefix) => `const store = require('./inbox-store'); for (let i = 0; i < 20; i++) store.addNotification('ben@example.com', { body: '${prefix} ' + i });`;
+  const archiveAll = `const store = require('./inbox-store');
+    for (let i = 0; i < 20; i++) store.listNotifications('ben@example.com', { limit: 100 }).notifications.forEach((entry) => store.archiveNotification('ben@example.com', entry.id));`;
+  await Promise.all([runInProcess(addMany("worker")), runInProcess(addMany("api")), runInProcess(archiveAll)]);
+  report("notifications added and archived by several processes at once are all kept",
+    inbox.listNotifications("ben@example.com", { archived: "all", limit: 100 }).total === 40,
+    inbox.listNotifications("ben@example.com", { archived: "all", limit: 100 }).total);
+
+  // Test missing notifications
+  console.log("\n--- Testing Missing Notifications ---");
+  const missing = inbox.markAsRead("ana@example.com", "inapp_missing");
+  report("changing a missing notification fails", missing.success === false && /not found/.test(missing.error), missing);
+  report("clearing an inbox deletes its notifications", inbox.clearInbox("ana@example.com") === 2 && inbox.clearInbox("ana@example.com") === 0);
+});
@@ -0,0 +1,60 @@
+/**
+ * Tests for the shared JSON file store: updates under the file lock, changes
+ * made by other processes, and failed writes
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { report, run, expectError, runInProcess, useTempFiles } = require("./helpers");
+
+// Keep the test's store out of the working directory
+const tempDir = useTempFiles("json-file-store", ["STORE_FILE"]);
+
+const { createJsonFileStore } = require("../json-file-store");
+
+run("json file store tests", async () => {
+  const store = createJsonFileStore(process.env.STORE_FILE, { name: "counters" });
+
+  // Test reading and updating
+  console.log("--- Testing Updates ---");
+  const result = store.update((counters) => {
+    counters.sent = 1;
+    return "updated";
+  });
+  report("update writes the change and returns what fn returned",
+    result === "updated" && store.read().sent === 1 && JSON.parse(fs.readFileSync(store.file, "utf8")).sent === 1);
+
+  const thrown = expectError(() => store.update((counters) => {
+    counters.sent = 99;
+    throw new Error("changed my mind");
+  }));
+  report("a throwing fn leaves the file and the cached contents unchanged",
+    thrown && store.read().sent === 1 && !fs.existsSync(`${store.file}.lock`));
+
+  await runInProcess(`
+    const { createJsonFileStore } = require('./json-file-store');
+    createJsonFileStore(process.env.STORE_FILE).update((counters) => { counters.sent++; });
+  `);
+  report("changes from another process are read", store.read().sent === 2, store.read());
+
+  // Test a write that fails
+  console.log("\n--- Testing Failed Writes ---");
+  fs.mkdirSync(`${store.file}.tmp`);
+  const failed = expectError(() => store.update((counters) => {
+    counters.sent = 3;
+    return "not saved";
+  }));
+  report("a failed write throws STORE_WRITE_FAILED instead of returning",
+    failed && failed.code === "STORE_WRITE_FAILED" && failed.statusCode === 503 && /counters/.test(failed.message), failed);
+  report("the failed change isn't read back, and the lock is released",
+    store.read().sent === 2 && !fs.existsSync(`${store.file}.lock`), store.read());
+
+  fs.rmdirSync(`${store.file}.tmp`);
+  store.update((counters) => { counters.sent = 3; });
+  report("the store is writable again once the problem is gone", store.read().sent === 3);
+
+  const nested = createJsonFileStore(path.join(tempDir, "nested", "store.json"));
+  nested.update((data) => { data.ok = true; });
+  report("update creates the file's directory", nested.read().ok === true);
+});
@@ -0,0 +1,121 @@
+/**
+ * Tests for the dispatch middleware pipeline: execution order, placement,
+ * short-circuiting, and custom middleware in the dispatcher
+ */
+
+const { report, run, expectError, useTempFiles } = require("./helpers");
+
+// Keep the test's state out of the working directory
+useTempFiles("middleware-pipeline", ["QUEUE_FILE", "MESSAGE_STATUS_FILE", "IDEMPOTENCY_FILE"]);
+
+const { MiddlewarePipeline } = require("../middleware/pipeline");
+const registry = require("../notifications/registry");
+const dispatcher = require("../dispatcher");
+
+// A middleware that records when it runs before and after the rest of the chain
+const tracer = (name, calls) => async (ctx, next) => {
+  calls.push(`${name}:before`);
+  await next();
+  calls.push(`${name}:after`);
+};
+
+run("middleware pipeline tests", async () => {
+  // Test the order the chain runs in
+  console.log("--- Testing Order ---");
+  const calls = [];
+  const pipeline = new MiddlewarePipeline()
+    .use(tracer("a", calls), { name: "a" })
+    .use(tracer("b", calls), { name: "b" });
+  await pipeline.run({}, async () => calls.push("handler"));
+  report("middleware run in order around the handler", calls.join() === "a:before,b:before,handler,b:after,a:after", calls);
+
+  pipeline.use(tracer("first", calls), { name: "first", before: "a" });
+  pipeline.use(tracer("middle", calls), { name: "middle", after: "a" });
+  report("before and after place middleware next to another", pipeline.list().join() === "first,a,middle,b", pipeline.list());
+
+  calls.length = 0;
+  pipeline.replace("middle", tracer("replaced", calls));
+  pipeline.remove("b");
+  await pipeline.run({}, async () => calls.push("handler"));
+  report("replace keeps the position and remove takes a middleware out",
+    calls.join() === "first:before,a:before,replaced:before,handler,replaced:after,a:after,first:after" &&
+      !pipeline.remove("b") && !pipeline.replace("b", tracer("b", calls)),
+    calls);
+
+  const duplicate = expectError(() => pipeline.use(async () => {}, { name: "a" }));
+  const missingAnchor = expectError(() => pipeline.use(async () => {}, { name: "c", before: "missing" }));
+  const notAFunction = expectError(() => pipeline.use("a"));
+  report("taken names, unknown anchors and non-functions are rejected", duplicate && missingAnchor && notAFunction);
+
+  // Test short-circuiting
+  console.log("\n--- Testing Short-Circuit ---");
+  const shortCalls = [];
+  let handled = false;
+  const blocking = new MiddlewarePipeline()
+    .use(tracer("outer", shortCalls), { name: "outer" })
+    .use(async (ctx) => {
+      shortCalls.push("block");
+      ctx.result = { success: false, error: "blocked" };
+    }, { name: "block" })
+    .use(tracer("inner", shortCalls), { name: "inner" });
+  const ctx = await blocking.run({ result: null }, async () => { handled = true; });
+  report("a middleware that doesn't call next skips the rest of the chain and the handler",
+    !handled && shortCalls.join() === "outer:before,block,outer:after" && ctx.result.error === "blocked", shortCalls);
+
+  const twice = new MiddlewarePipeline().use(async (ctx, next) => {
+    await next();
+    await next();
+  });
+  const calledTwice = await expectError(() => twice.run({}, async () => {}));
+  report("calling next twice is an error", calledTwice && /multiple times/.test(calledTwice.message));
+
+  const changing = new MiddlewarePipeline().use(async (ctx, next) => {
+    changing.use(async () => { ctx.added = true; }, { name: "late" });
+    await next();
+  }, { name: "adder" });
+  const snapshot = await changing.run({}, async () => {});
+  report("middleware added during a run apply from the next run", !snapshot.added && changing.has("late"));
+
+  // Test middleware in the dispatcher
+  console.log("\n--- Testing the Dispatcher ---");
+  let sends = 0;
+  registry.registerChannel("pager", {
+    mode: "real",
+    send: async (recipient, message) => ({ success: true, messageId: `page-${++sends}`, sentMessage: message }),
+  });
+
+  report("the built-ins run in order", dispatcher.listMiddleware().join() === "errorHandling,logging,statusTracking,validation",
+    dispatcher.listMiddleware());
+
+  const seen = [];
+  dispatcher.use(async function quietHours(ctx, next) {
+    seen.push(ctx.notification.recipient);
+    if (ctx.notification.recipient === "night-shift") {
+      ctx.result = { success: false, dispatched: false, error: "Quiet hours", errorCode: "QUIET_HOURS" };
+      return;
+    }
+    ctx.notification = { ...ctx.notification, message: `[ops] ${ctx.notification.message}` };
+    await next();
+    ctx.result = { ...ctx.result, taggedBy: "quietHours" };
+  });
+  report("custom middleware run after the built-ins by default", dispatcher.listMiddleware().pop() === "quietHours");
+
+  const quiet = await dispatcher.dispatchNotification({ type: "pager", recipient: "night-shift", message: "Disk almost full", retry: false });
+  report("a custom middleware can short-circuit the dispatch", quiet.errorCode === "QUIET_HOURS" && sends === 0, quiet);
+
+  const sent = await dispatcher.dispatchNotification({ type: "pager", recipient: "day-shift", message: "Disk almost full", retry: false });
+  report("a custom middleware can change the notification and the result",
+    sent.success && sends === 1 && sent.taggedBy === "quietHours" && sent.sentMessage === "[ops] Disk almost full", sent);
+
+  const invalid = await dispatcher.dispatchNotification({ type: "sms", recipient: "not-a-number", message: "Hello", retry: false });
+  report("validation short-circuits before later middleware", invalid.success === false && !seen.includes("not-a-number"), invalid);
+
+  dispatcher.use(async () => { throw new Error("middleware crashed"); }, { name: "crashing", before: "quietHours" });
+  const crashed = await dispatcher.dispatchNotification({ type: "pager", recipient: "day-shift", message: "Disk almost full", retry: false });
+  report("the error handling middleware turns a thrown error into a failed result",
+    crashed.success === false && /middleware crashed/.test(crashed.error) && sends === 1, crashed);
+
+  dispatcher.removeMiddleware("crashing");
+  dispatcher.removeMiddleware("quietHours");
+  registry.unregisterChannel("pager");
+});
@@ -0,0 +1,104 @@
+/**
+ * Tests for the durable notification queue: sharing the journal between
+ * processes, compaction and retrying failed jobs
+ */
+
+const path = require("path");
+
+const { report, run, runInProcess, useTempFiles } = require("./helpers");
+
+// Keep the test's journal out of the working directory
+const tempDir = useTempFiles("notification-queue", ["QUEUE_FILE"]);
+
+const { NotificationQueue } = require("../notification-queue");
+const { QueueWorker } = require("../queue-worker");
+
+run("notification queue tests", async () => {
+  // Test two queues on one journal, standing in for the API and the worker
+  console.log("--- Testing a Shared Journal ---");
+  const api = new NotificationQueue(process.env.QUEUE_FILE);
+  const worker = new NotificationQueue(process.env.QUEUE_FILE);
+  report("the worker starts with an empty queue", worker.claimNext() === null);
+
+  const enqueued = api.enqueue("dispatch", { type: "sms", recipient: "+15551230001", message: "Hi" });
+  const claimed = worker.claimNext();
+  report("a job enqueued by one instance is claimed by the other",
+    claimed && claimed.id === enqueued.id && claimed.status === "processing" && claimed.attempts === 1, claimed);
+  report("a claimed job isn't claimed again", api.claimNext() === null && worker.claimNext() === null);
+
+  worker.complete(claimed.id, { success: true });
+  report("the enqueuing instance sees the outcome", api.getJob(enqueued.id).status === "completed", api.getJob(enqueued.id));
+
+  const second = api.enqueue("dispatch", { type: "sms", recipient: "+15551230002", message: "Hi" });
+  worker.purge();
+  report("purging in one instance keeps jobs the other appended",
+    api.getJob(enqueued.id) === null && worker.getJob(second.id) && api.getJob(second.id).status === "pending",
+    worker.listJobs());
+
+  const third = worker.enqueue("dispatch", { type: "sms", recipient: "+15551230003", message: "Hi" });
+  api.compact();
+  report("compacting in one instance keeps jobs the other appended",
+    api.getJob(third.id) && worker.getStats().pending === 2 && new NotificationQueue(process.env.QUEUE_FILE).getStats().total === 2,
+    worker.getStats());
+
+  // Test other processes
+  console.log("\n--- Testing Other Processes ---");
+  await runInProcess(`
+    const { notificationQueue } = require('./notification-queue');
+    for (let i = 0; i < 5; i++) notificationQueue.enqueue('dispatch', { type: 'sms', recipient: '+1555000000' + i, message: 'From the API' });
+  `);
+  report("jobs enqueued by another process are seen without reloading", worker.getStats().pending === 7, worker.getStats());
+
+  const claimScript = `
+    const { notificationQueue } = require('./notification-queue');
+    const ids = [];
+    let job;
+    while ((job = notificationQueue.claimNext())) ids.push(job.id);
+    console.log(JSON.stringify(ids));
+  `;
+  const [first, other] = await Promise.all([runInProcess(claimScript), runInProcess(claimScript)]);
+  const claimedIds = [...JSON.parse(first), ...JSON.parse(other)];
+  report("two processes claiming at once never claim the same job",
+    claimedIds.length === 7 && new Set(claimedIds).size === 7 && worker.getStats().processing === 7,
+    { claimedIds, stats: worker.getStats() });
+
+  // Test retries
+  console.log("\n--- Testing Retries ---");
+  const retryQueue = new NotificationQueue(path.join(tempDir, "retries.jsonl"));
+  let flakyCalls = 0;
+  const retryWorker = new QueueWorker({
+    queue: retryQueue,
+    retryDelayMs: 0,
+    handlers: {
+      flaky: () => {
+        flakyCalls++;
+        if (flakyCalls < 3) throw new Error("connection reset");
+        return { success: true };
+      },
+      down: () => ({ success: false, error: "Provider responded with HTTP 503", statusCode: 503 }),
+      invalid: () => ({ success: false, error: "Invalid phone number", errorCode: "INVALID_RECIPIENT" }),
+    },
+  });
+
+  const flaky = retryQueue.enqueue("flaky", {});
+  const down = retryQueue.enqueue("down", {}, { maxAttempts: 2 });
+  const invalid = retryQueue.enqueue("invalid", {});
+  await retryWorker.drain();
+
+  const flakyJob = retryQueue.getJob(flaky.id);
+  report("a failing job is retried until it succeeds", flakyJob.status === "completed" && flakyJob.attempts === 3, flakyJob);
+
+  const downJob = retryQueue.getJob(down.id);
+  report("a job that keeps failing is failed after maxAttempts",
+    downJob.status === "failed" && downJob.attempts === 2 && downJob.error === "Provider responded with HTTP 503", downJob);
+
+  const invalidJob = retryQueue.getJob(invalid.id);
+  report("permanent failures are not retried", invalidJob.status === "failed" && invalidJob.attempts === 1, invalidJob);
+
+  const delayed = retryQueue.enqueue("down", {});
+  retryQueue.claimNext();
+  const retried = retryQueue.retry(delayed.id, "HTTP 503", { delayMs: 60000 });
+  report("a retried job waits for its backoff delay",
+    retried.status === "pending" && new Date(retried.availableAt).getTime() > Date.now() + 50000 && retryQueue.claimNext() === null,
+    retried);
+});
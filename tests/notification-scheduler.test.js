@@ -0,0 +1,75 @@
+/**
+ * Tests for scheduled notifications shared between processes: only a started
+ * scheduler fires, each entry is dispatched once, and finished entries are purged
+ */
+
+const { report, run, runInProcess, useTempFiles } = require("./helpers");
+
+// Keep the test's state out of the working directory, and send SMS in mock mode
+useTempFiles("notification-scheduler", ["SCHEDULE_FILE", "MESSAGE_STATUS_FILE", "SMS_OPT_OUTS_FILE"]);
+process.env.SCHEDULER_POLL_INTERVAL_MS = "50";
+process.env.SMS_MOCK_MODE = "true";
+
+const scheduler = require("../notification-scheduler");
+const { dispatchNotification } = require("../dispatcher");
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A worker that fires scheduled notifications for a while, printing what it fired
+const WORKER_SCRIPT = `
+  const scheduler = require('./notification-scheduler');
+  const log = console.log;
+  console.log = (...args) => { if (String(args[0]).startsWith('[SCHEDULER] Scheduled notification')) log(args[0]); };
+  scheduler.start();
+  setTimeout(() => scheduler.stop(), 1500);
+`;
+
+const sms = (message) => ({ type: "sms", recipient: "+15551230001", message });
+
+run("notification scheduler tests", async () => {
+  // Test scheduling without firing
+  console.log("--- Testing Scheduling ---");
+  const result = await dispatchNotification({ ...sms("Your table is ready"), delayMs: 20 });
+  await wait(200);
+  const waiting = scheduler.getScheduledNotification(result.scheduleId);
+  report("scheduling doesn't fire in the scheduling process",
+    result.scheduled && waiting.status === "scheduled", waiting);
+
+  await runInProcess(`require('./notification-scheduler').scheduleNotification(${JSON.stringify(sms("From the API"))}, Date.now() + 60000)`);
+  report("entries scheduled by another process are seen and kept",
+    scheduler.listScheduledNotifications().length === 2 && scheduler.getScheduledNotification(result.scheduleId) !== null,
+    scheduler.listScheduledNotifications());
+
+  const later = scheduler.listScheduledNotifications().find((entry) => entry.notification.message === "From the API");
+  await runInProcess(`console.log(JSON.stringify(require('./notification-scheduler').cancelScheduledNotification('${later.id}')))`);
+  report("a cancellation from another process is seen", scheduler.getScheduledNotification(later.id).status === "cancelled");
+
+  // Test firing in the worker
+  console.log("\n--- Testing Firing ---");
+  const fired = await runInProcess(WORKER_SCRIPT);
+  const sent = scheduler.getScheduledNotification(result.scheduleId);
+  report("a started scheduler in another process fires the due entry",
+    sent.status === "sent" && sent.result.success && fired.includes(result.scheduleId), { sent, fired });
+
+  // Test two started schedulers
+  console.log("\n--- Testing Two Schedulers ---");
+  const entries = [1, 2, 3].map((n) => scheduler.scheduleNotification(sms(`Reminder ${n}`), Date.now() + 300));
+  const outputs = await Promise.all([runInProcess(WORKER_SCRIPT), runInProcess(WORKER_SCRIPT)]);
+  const firedLines = outputs.join("").split("\n").filter(Boolean);
+  report("each entry is fired by exactly one of two started schedulers",
+    entries.every((entry) => firedLines.filter((line) => line.includes(entry.id)).length === 1 &&
+      scheduler.getScheduledNotification(entry.id).status === "sent"),
+    firedLines);
+
+  // Test purging finished entries
+  console.log("\n--- Testing Retention ---");
+  const pending = scheduler.scheduleNotification(sms("Next week"), Date.now() + 7 * 24 * 60 * 60 * 1000);
+  report("finished entries are kept within the retention period",
+    scheduler.pruneScheduledNotifications() === 0 && scheduler.listScheduledNotifications({ status: "all" }).length === 6);
+
+  await wait(150);
+  await runInProcess(WORKER_SCRIPT, { SCHEDULER_RETENTION_MS: "100" });
+  const left = scheduler.listScheduledNotifications({ status: "all" });
+  report("a polling scheduler purges sent and cancelled entries past the retention period",
+    left.length === 1 && left[0].id === pending.id && scheduler.getScheduledNotification(later.id) === null, left);
+});
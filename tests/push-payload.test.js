@@ -0,0 +1,130 @@
+/**
+ * Tests for the push payload model: validation, translation to the FCM and
+ * APNs wire formats, and the 4KB size limit
+ */
+
+const { report, run, expectError, useTempFiles } = require("./helpers");
+
+// Keep the test's devices and topics out of the working directory, and send in mock mode
+useTempFiles("push-payload", ["DEVICES_FILE", "PUSH_TOPICS_FILE"]);
+process.env.PUSH_MOCK_MODE = "true";
+
+const pushPayload = require("../notifications/providers/push-payload");
+const push = require("../notifications/push");
+
+run("push payload tests", async () => {
+  // Test building and validating payloads
+  console.log("--- Testing Validation ---");
+  const payload = pushPayload.createPushPayload("Your order has shipped", { subject: "Order #42", badge: 3 });
+  report("a body with options builds a payload with defaults",
+    payload.body === "Your order has shipped" && payload.title === "Order #42" && payload.badge === 3 &&
+      payload.priority === "high" && payload.pushType === "alert" && payload.ttl === null,
+    payload);
+
+  const fromObject = pushPayload.createPushPayload({ title: "Sale", body: "50% off" }, { title: "Ignored", sound: "chime" });
+  report("payload fields in the message win over options", fromObject.title === "Sale" && fromObject.sound === "chime", fromObject);
+
+  const cases = [
+    [{}, {}, "body"],
+    [{ title: 42 }, {}, "title"],
+    ["Hi", { priority: "urgent" }, "priority"],
+    ["Hi", { pushType: "silent" }, "pushType"],
+    ["Hi", { badge: -1 }, "badge"],
+    ["Hi", { badge: 1.5 }, "badge"],
+    ["Hi", { ttl: 29 * 24 * 60 * 60 }, "ttl"],
+    ["Hi", { url: "orders/42" }, "url"],
+    ["Hi", { image: "logo.png" }, "image"],
+    ["Hi", { data: ["a"] }, "data"],
+    ["Hi", { data: { from: "me" } }, "data"],
+    ["Hi", { data: { "google.c.a.e": "1" } }, "data"],
+    ["Hi", { data: { aps: {} } }, "data"],
+  ];
+  const wrong = cases
+    .map(([message, options, field]) => ({ field, error: expectError(() => pushPayload.createPushPayload(message, options)) }))
+    .filter(({ field, error }) => !error || error.code !== pushPayload.INVALID_PUSH_PAYLOAD || error.field !== field);
+  report("invalid fields fail with INVALID_PUSH_PAYLOAD naming the field", wrong.length === 0, wrong);
+
+  const deepLink = pushPayload.createPushPayload("Hi", { url: "myapp://orders/42" });
+  const background = pushPayload.createPushPayload(null, { pushType: "background", data: { sync: true } });
+  report("app deep links are accepted, and background pushes need no text", deepLink.url === "myapp://orders/42" && background.body === null);
+
+  // Test translation to FCM
+  console.log("\n--- Testing FCM Translation ---");
+  const full = pushPayload.createPushPayload({
+    title: "Order #42",
+    body: "Your order has shipped",
+    image: "https://example.com/box.png",
+    url: "myapp://orders/42",
+    data: { orderId: 42, tags: ["gift"] },
+    badge: 2,
+    sound: "chime",
+    collapseKey: "order-42",
+    threadId: "orders",
+    priority: "normal",
+    ttl: 3600,
+  });
+  const fcm = pushPayload.toFcmMessage("token-ana", full).message;
+  report("FCM gets the notification, string data values and Android options",
+    fcm.token === "token-ana" && fcm.notification.title === "Order #42" && fcm.notification.image === "https://example.com/box.png" &&
+      fcm.data.orderId === "42" && fcm.data.tags === '["gift"]' && fcm.data.url === "myapp://orders/42" &&
+      fcm.android.priority === "NORMAL" && fcm.android.ttl === "3600s" && fcm.android.collapse_key === "order-42" &&
+      fcm.android.notification.sound === "chime" && fcm.android.notification.tag === "orders" && fcm.android.notification.notification_count === 2,
+    fcm);
+
+  const fcmTopic = pushPayload.toFcmMessage({ topic: "news" }, payload).message;
+  const fcmBackground = pushPayload.toFcmMessage("token-ana", background).message;
+  report("FCM targets topics, and background pushes are data-only",
+    fcmTopic.topic === "news" && !fcmTopic.token && !fcmBackground.notification && fcmBackground.data.sync === "true" &&
+      !fcmBackground.android.notification,
+    { fcmTopic, fcmBackground });
+
+  // Test translation to APNs
+  console.log("\n--- Testing APNs Translation ---");
+  const apns = pushPayload.toApnsRequest(full);
+  const expiration = Number(apns.headers["apns-expiration"]) - Math.floor(Date.now() / 1000);
+  report("APNs gets the aps dictionary, custom data beside it and apns-* headers",
+    apns.body.aps.alert.title === "Order #42" && apns.body.aps.alert.body === "Your order has shipped" && apns.body.aps.sound === "chime" &&
+      apns.body.aps.badge === 2 && apns.body.aps["thread-id"] === "orders" && apns.body.aps["mutable-content"] === 1 &&
+      apns.body.orderId === 42 && apns.body.url === "myapp://orders/42" && apns.body.image === "https://example.com/box.png" &&
+      apns.headers["apns-push-type"] === "alert" && apns.headers["apns-priority"] === "5" &&
+      apns.headers["apns-collapse-id"] === "order-42" && expiration >= 3599 && expiration <= 3600,
+    apns);
+
+  const apnsPlain = pushPayload.toApnsRequest(pushPayload.createPushPayload("Hi"));
+  const apnsBackground = pushPayload.toApnsRequest(background);
+  report("a body-only alert is a plain string, and background pushes are content-available at priority 5",
+    apnsPlain.body.aps.alert === "Hi" && apnsPlain.body.aps.sound === "default" && apnsPlain.headers["apns-priority"] === "10" &&
+      apnsBackground.body.aps["content-available"] === 1 && !apnsBackground.body.aps.alert &&
+      apnsBackground.headers["apns-push-type"] === "background" && apnsBackground.headers["apns-priority"] === "5",
+    { apnsPlain, apnsBackground });
+
+  // Test the size limit
+  console.log("\n--- Testing the 4KB Limit ---");
+  const sizes = pushPayload.validatePayloadSize(payload, ["fcm", "apns"]);
+  report("sizes are measured per provider", sizes.fcm > 0 && sizes.apns > 0 && sizes.fcm === pushPayload.getPayloadSize("fcm", payload), sizes);
+
+  const big = pushPayload.createPushPayload("x".repeat(4100));
+  const tooLarge = expectError(() => pushPayload.validatePayloadSize(big, "apns"));
+  report("a payload over 4KB fails with PAYLOAD_TOO_LARGE",
+    tooLarge && tooLarge.code === pushPayload.PAYLOAD_TOO_LARGE && tooLarge.provider === "apns" && tooLarge.limit === 4096 && tooLarge.size > 4096,
+    tooLarge);
+
+  const multibyte = pushPayload.createPushPayload("é".repeat(2100));
+  report("the limit counts UTF-8 bytes, not characters", !!expectError(() => pushPayload.validatePayloadSize(multibyte, "fcm")));
+
+  // Test sendPush, which validates before sending
+  console.log("\n--- Testing sendPush ---");
+  const sent = await push.sendPush("token-ana", "Your order has shipped", { title: "Order #42", platform: "ios" });
+  report("a mock send returns the payload and its size for the device's provider",
+    sent.payload.title === "Order #42" && Object.keys(sent.payloadSize).join() === "apns", sent);
+
+  const unknownPlatform = await push.sendPush("token-ben", "Hi");
+  report("without a platform the payload is checked against both providers", Object.keys(unknownPlatform.payloadSize).sort().join() === "apns,fcm");
+
+  const rejected = await expectError(() => push.sendPush("token-ana", "Hi", { badge: "three" }));
+  const oversized = await expectError(() => push.sendPush("token-ana", "x".repeat(4100), { platform: "android" }));
+  report("sendPush rejects invalid and oversized payloads with their codes",
+    rejected && rejected.code === pushPayload.INVALID_PUSH_PAYLOAD && oversized && oversized.code === pushPayload.PAYLOAD_TOO_LARGE &&
+      oversized.provider === "fcm",
+    { rejected, oversized });
+});
@@ -0,0 +1,168 @@
+/**
+ * Tests for the FCM and APNs adapters against local stand-in servers: the FCM
+ * OAuth token exchange, APNs over HTTP/2 with a provider token, and pruning
+ * device tokens the providers report as invalid
+ */
+
+const http2 = require("http2");
+const crypto = require("crypto");
+
+const { report, run, expectError, startServer, replyJson, useTempFiles } = require("./helpers");
+
+// Keep the test's devices and topics out of the working directory
+useTempFiles("push-providers", ["DEVICES_FILE", "PUSH_TOPICS_FILE"]);
+
+const push = require("../notifications/push");
+const deviceRegistry = require("../device-registry");
+const topicStore = require("../topic-store");
+
+// Split a JWT and check its signature, the way Google and Apple would
+function verifyJwt(token, publicKey, algorithm) {
+  const [header, claims, signature] = token.split(".");
+  const decode = (part) => JSON.parse(Buffer.from(part, "base64url").toString("utf8"));
+  const valid = crypto.verify("sha256", Buffer.from(`${header}.${claims}`), {
+    key: publicKey,
+    ...(algorithm === "ES256" ? { dsaEncoding: "ieee-p1363" } : {}),
+  }, Buffer.from(signature, "base64url"));
+
+  return { valid, header: decode(header), claims: decode(claims) };
+}
+
+// An APNs stand-in speaking cleartext HTTP/2; respond returns { status, responseHeaders, body }
+function startApnsServer(respond) {
+  const received = [];
+  const server = http2.createServer();
+  server.on("stream", (stream, headers) => {
+    const chunks = [];
+    stream.on("data", (chunk) => chunks.push(chunk));
+    stream.on("end", () => {
+      const request = { headers, body: JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}") };
+      received.push(request);
+      const { status, responseHeaders = {}, body } = respond(request);
+      stream.respond({ ":status": status, ...responseHeaders });
+      stream.end(body ? JSON.stringify(body) : undefined);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve({
+      received,
+      url: `http://127.0.0.1:${server.address().port}`,
+      close: () => new Promise((done) => server.close(done)),
+    }));
+  });
+}
+
+run("push provider tests", async () => {
+  // Test FCM
+  console.log("--- Testing FCM ---");
+  const rsaKeys = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  const tokenRequests = [];
+  const google = await startServer((request, res) => {
+    if (request.path === "/token") {
+      tokenRequests.push(request);
+      const { valid, header, claims } = verifyJwt(request.body.assertion, rsaKeys.publicKey, "RS256");
+      const expected = valid && header.alg === "RS256" && header.kid === "key-1" &&
+        claims.iss === "notifier@demo.iam.gserviceaccount.com" && claims.aud === `${google.url}/token` &&
+        claims.scope === "https://www.googleapis.com/auth/firebase.messaging" &&
+        request.body.grant_type === "urn:ietf:params:oauth:grant-type:jwt-bearer";
+      replyJson(res, expected ? 200 : 400, expected ? { access_token: "ya29.test", expires_in: 3600 } : { error: "invalid_grant" });
+      return;
+    }
+
+    if (request.headers.authorization !== "Bearer ya29.test") {
+      replyJson(res, 401, { error: { status: "UNAUTHENTICATED", message: "Request had invalid authentication credentials" } });
+      return;
+    }
+    if (request.body.message.token.startsWith("gone-")) {
+      replyJson(res, 404, { error: { status: "NOT_FOUND", message: "Requested entity was not found.", details: [{ errorCode: "UNREGISTERED" }] } });
+      return;
+    }
+    replyJson(res, 200, { name: "projects/demo/messages/0:1" });
+  });
+
+  const apnsRejections = { "bad-token": [400, "BadDeviceToken"], "gone-token": [410, "Unregistered"], "busy-token": [429, "TooManyRequests"] };
+  const apns = await startApnsServer((request) => {
+    const rejection = apnsRejections[request.headers[":path"].replace("/3/device/", "")];
+    return rejection
+      ? { status: rejection[0], body: { reason: rejection[1] } }
+      : { status: 200, responseHeaders: { "apns-id": `apns-${request.headers[":path"] === "/3/device/a1b2c3" ? 1 : 2}` } };
+  });
+
+  try {
+    push.configureFcm({
+      apiUrl: google.url,
+      tokenUrl: `${google.url}/token`,
+      serviceAccount: {
+        project_id: "demo",
+        client_email: "notifier@demo.iam.gserviceaccount.com",
+        private_key_id: "key-1",
+        private_key: rsaKeys.privateKey.export({ type: "pkcs8", format: "pem" }),
+      },
+    });
+
+    const sent = await push.sendPush("android-token-1", { title: "Order shipped", body: "It's on its way" }, { platform: "android" });
+    const message = google.last();
+    report("FCM sends with an access token from the signed JWT",
+      sent.provider === "fcm" && sent.messageId === "projects/demo/messages/0:1" && tokenRequests.length === 1 &&
+        message.path === "/v1/projects/demo/messages:send" && message.body.message.notification.title === "Order shipped",
+      { sent, message: message && message.body });
+
+    await push.sendPush("android-token-2", "Second message", { platform: "android" });
+    report("the access token is reused for later sends", tokenRequests.length === 1, tokenRequests.length);
+
+    deviceRegistry.registerDevice("ana@example.com", { token: "gone-android", platform: "android" });
+    deviceRegistry.registerDevice("ana@example.com", { token: "android-token-1", platform: "android" });
+    topicStore.subscribe("gone-android", "news", { platform: "android" });
+    const unregistered = await expectError(() => push.sendPush("gone-android", "Hello", { platform: "android" }));
+    report("an UNREGISTERED token fails with INVALID_DEVICE_TOKEN and is pruned",
+      unregistered && unregistered.code === "INVALID_DEVICE_TOKEN" && unregistered.reason === "UNREGISTERED" &&
+        deviceRegistry.findDevice("gone-android") === null && topicStore.getTopicsForToken("gone-android").length === 0 &&
+        deviceRegistry.findDevice("android-token-1") !== null,
+      unregistered && unregistered.message);
+
+    // Test APNs
+    console.log("\n--- Testing APNs ---");
+    const ecKeys = crypto.generateKeyPairSync("ec", { namedCurve: "prime256v1" });
+    push.configureApns({
+      url: apns.url,
+      keyId: "ABC123DEFG",
+      teamId: "TEAM123456",
+      privateKey: ecKeys.privateKey.export({ type: "pkcs8", format: "pem" }),
+      topic: "com.example.app",
+    });
+
+    const delivered = await push.sendPush("a1b2c3", { title: "Order shipped", body: "It's on its way", badge: 2 }, { platform: "ios" });
+    const [first] = apns.received;
+    const providerToken = verifyJwt(first.headers.authorization.replace(/^bearer /, ""), ecKeys.publicKey, "ES256");
+    report("APNs sends over HTTP/2 with an ES256 provider token",
+      delivered.provider === "apns" && delivered.messageId === "apns-1" && first.headers[":path"] === "/3/device/a1b2c3" &&
+        first.headers["apns-topic"] === "com.example.app" && first.headers["apns-push-type"] === "alert" &&
+        providerToken.valid && providerToken.header.kid === "ABC123DEFG" && providerToken.claims.iss === "TEAM123456" &&
+        first.body.aps.alert.title === "Order shipped" && first.body.aps.badge === 2,
+      { delivered, headers: first && first.headers, body: first && first.body });
+
+    await push.sendPush("d4e5f6", "Second message", { platform: "ios" });
+    report("the provider token is reused for later sends",
+      apns.received[1].headers.authorization === first.headers.authorization, apns.received.length);
+
+    deviceRegistry.registerDevice("ben@example.com", { token: "bad-token", platform: "ios" });
+    deviceRegistry.registerDevice("ben@example.com", { token: "gone-token", platform: "ios" });
+    const badToken = await expectError(() => push.sendPush("bad-token", "Hello", { platform: "ios" }));
+    const goneToken = await expectError(() => push.sendPush("gone-token", "Hello", { platform: "ios" }));
+    report("BadDeviceToken and Unregistered fail with INVALID_DEVICE_TOKEN and are pruned",
+      badToken && badToken.code === "INVALID_DEVICE_TOKEN" && badToken.reason === "BadDeviceToken" &&
+        goneToken && goneToken.code === "INVALID_DEVICE_TOKEN" && goneToken.reason === "Unregistered" &&
+        deviceRegistry.getDevices("ben@example.com").length === 0,
+      { badToken: badToken && badToken.message, goneToken: goneToken && goneToken.message });
+
+    const throttled = await expectError(() => push.sendPush("busy-token", "Hello", { platform: "ios" }));
+    report("other rejections fail with PUSH_PROVIDER_ERROR",
+      throttled && throttled.code === "PUSH_PROVIDER_ERROR" && throttled.statusCode === 429 && throttled.reason === "TooManyRequests",
+      throttled && throttled.message);
+  } finally {
+    push.closeApnsSessions();
+    await apns.close();
+    await google.close();
+  }
+});
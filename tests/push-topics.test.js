@@ -0,0 +1,137 @@
+/**
+ * Tests for push topics: subscribing and unsubscribing, topic conditions,
+ * fan-out to subscribers, pruning invalid tokens, and subscriptions shared
+ * between processes
+ */
+
+const { report, run, expectError, runInProcess, useTempFiles } = require("./helpers");
+
+// Keep the test's subscriptions and devices out of the working directory
+useTempFiles("push-topics", ["PUSH_TOPICS_FILE", "DEVICES_FILE"]);
+
+// Without FCM credentials real sends fail with PUSH_NOT_CONFIGURED instead of reaching Google
+delete process.env.FCM_SERVICE_ACCOUNT_FILE;
+delete process.env.FCM_SERVICE_ACCOUNT_JSON;
+
+const topicStore = require("../topic-store");
+const pushTopics = require("../notifications/push-topics");
+const push = require("../notifications/push");
+const pushPayload = require("../notifications/providers/push-payload");
+const { INVALID_DEVICE_TOKEN, createPushError } = require("../notifications/providers/push-error");
+
+const tokensOf = (topic) => topicStore.getSubscribers(topic).map((subscriber) => subscriber.token).sort().join();
+
+run("push topic tests", async () => {
+  // Test subscribing and unsubscribing
+  console.log("--- Testing Subscriptions ---");
+  const subscribed = await pushTopics.subscribeToTopic(["ios-1", "ios-2"], "alerts", { platform: "ios" });
+  const again = await pushTopics.subscribeToTopic("ios-1", "alerts", { platform: "iOS" });
+  await pushTopics.subscribeToTopic(["android-1", "android-2", "android-3"], "alerts", { platform: "android", nativeTopics: false });
+  await pushTopics.subscribeToTopic("android-1", "weather", { platform: "android", nativeTopics: false });
+  report("tokens are subscribed once per topic",
+    subscribed.subscribed === 2 && again.subscribed === 0 && pushTopics.listTopics().alerts === 5 &&
+      pushTopics.getTopicsForToken("android-1").sort().join() === "alerts,weather",
+    pushTopics.listTopics());
+
+  const badTopic = expectError(() => topicStore.subscribe("ios-1", "no spaces", { platform: "ios" }));
+  const noTokens = expectError(() => topicStore.subscribe([], "alerts", { platform: "ios" }));
+  const badPlatform = expectError(() => topicStore.subscribe("web-1", "alerts", { platform: "web" }));
+  report("invalid topic names, empty token lists and unknown platforms are rejected", badTopic && noTokens && badPlatform);
+
+  const unsubscribed = await pushTopics.unsubscribeFromTopic(["android-3", "never-subscribed"], "alerts", { nativeTopics: false });
+  const lastOne = await pushTopics.unsubscribeFromTopic("android-1", "weather", { nativeTopics: false });
+  report("unsubscribing removes only subscribed tokens, and an empty topic is dropped",
+    unsubscribed.unsubscribed === 1 && lastOne.unsubscribed === 1 && pushTopics.listTopics().weather === undefined &&
+      tokensOf("alerts") === "android-1,android-2,ios-1,ios-2",
+    pushTopics.listTopics());
+
+  // Test targets and conditions
+  console.log("\n--- Testing Targets and Conditions ---");
+  report("topic and condition recipients are recognised in string and object form",
+    pushTopics.parseTarget("/topics/alerts").topic === "alerts" && pushTopics.parseTarget({ topic: "alerts" }).topic === "alerts" &&
+      pushTopics.parseTarget("condition: 'a' in topics").condition === "'a' in topics" && pushTopics.parseTarget("device-token") === null &&
+      pushTopics.formatTarget({ condition: "'a' in topics" }) === "condition:'a' in topics");
+
+  const condition = pushTopics.parseCondition("'alerts' in topics && !('muted' in topics) || 'vip' in topics");
+  report("conditions follow FCM precedence, with && binding tighter than ||",
+    condition.test(new Set(["alerts"])) && !condition.test(new Set(["alerts", "muted"])) && condition.test(new Set(["muted", "vip"])) &&
+      condition.topics.sort().join() === "alerts,muted,vip",
+    condition.topics);
+
+  const malformed = ["'a' in topics &&", "'a' in topics 'b'", "a in topics", "'a' in topics && 'b' in topics && 'c' in topics && 'd' in topics && 'e' in topics && 'f' in topics"]
+    .filter((expression) => pushTopics.validateTarget({ condition: expression }).isValid);
+  report("malformed conditions and conditions with more than five topics are invalid", malformed.length === 0, malformed);
+
+  await pushTopics.subscribeToTopic("android-2", "muted", { platform: "android", nativeTopics: false });
+  report("a condition reaches the subscribers whose topics match",
+    pushTopics.resolveSubscribers({ condition: "'alerts' in topics && !('muted' in topics)" }).map((s) => s.token).sort().join() ===
+      "android-1,ios-1,ios-2");
+
+  // Test fan-out to subscribers
+  console.log("\n--- Testing Fan-Out ---");
+  const payload = pushPayload.createPushPayload("Storm warning", { title: "Weather" });
+  const sends = [];
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const fanOut = await pushTopics.broadcast({ topic: "alerts" }, payload, { nativeTopics: false, batchSize: 3, concurrency: 2 }, async (token, provider) => {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    inFlight--;
+    sends.push(`${token}:${provider}`);
+  });
+  report("every subscriber is sent to through its platform's provider, in batches with limited concurrency",
+    fanOut.recipients === 4 && fanOut.sent === 4 && fanOut.failed === 0 && fanOut.batches === 2 && maxInFlight === 2 &&
+      sends.sort().join() === "android-1:fcm,android-2:fcm,ios-1:apns,ios-2:apns",
+    { fanOut, sends, maxInFlight });
+
+  const native = await pushTopics.broadcast({ topic: "alerts" }, payload, { nativeTopics: true, mockMode: true }, async () => {
+    throw new Error("mock broadcasts don't send");
+  });
+  report("with native FCM topics, Android subscribers are reached by one FCM request and iOS ones fanned out",
+    native.recipients === 4 && native.sent === 4 && native.native.provider === "fcm" && native.native.recipients === 2 && native.batches === 1,
+    native);
+
+  const broadcastResult = await push.sendPush("/topics/alerts", "Storm warning", { title: "Weather", mockMode: true, nativeTopics: false });
+  report("a push to a topic recipient broadcasts to its subscribers",
+    broadcastResult.recipient === "/topics/alerts" && broadcastResult.broadcast.recipients === 4 && broadcastResult.broadcast.sent === 4 &&
+      broadcastResult.payloadSize.fcm > 0 && broadcastResult.payloadSize.apns > 0,
+    broadcastResult);
+
+  // Test pruning tokens the provider reports as invalid
+  console.log("\n--- Testing Invalid Tokens ---");
+  const pruned = await pushTopics.broadcast({ topic: "alerts" }, payload, { nativeTopics: false }, async (token) => {
+    if (token === "ios-2") throw createPushError("BadDeviceToken", { code: INVALID_DEVICE_TOKEN, provider: "apns", statusCode: 400 });
+    if (token === "android-2") throw createPushError("Service Unavailable", { code: "PUSH_PROVIDER_ERROR", provider: "fcm", statusCode: 503 });
+  });
+  report("an invalid token is removed from every topic, while other failures keep their subscriptions",
+    pruned.sent === 2 && pruned.failed === 2 && pruned.invalidTokens.join() === "ios-2" &&
+      pruned.failures.map((failure) => failure.errorCode).sort().join() === `${INVALID_DEVICE_TOKEN},PUSH_PROVIDER_ERROR` &&
+      pushTopics.getTopicsForToken("ios-2").length === 0 && pushTopics.getTopicsForToken("android-2").sort().join() === "alerts,muted",
+    pruned);
+
+  const allFailed = await expectError(() => push.sendPush("/topics/muted", "Hello", { platform: "android" }));
+  report("a broadcast that reaches no device fails with BROADCAST_FAILED",
+    allFailed && allFailed.code === "BROADCAST_FAILED" && allFailed.broadcast.recipients === 1 &&
+      allFailed.broadcast.failures[0].errorCode === "PUSH_NOT_CONFIGURED",
+    allFailed && allFailed.broadcast);
+
+  // Test subscriptions shared with other processes
+  console.log("\n--- Testing Other Processes ---");
+  topicStore.subscribe(["token-ana", "token-ben"], "news", { platform: "ios" });
+  await runInProcess("require('./topic-store').subscribe('token-cleo', 'news', { platform: 'android' })");
+  report("a subscription made by another process is seen",
+    topicStore.getSubscribers("news").map((subscriber) => subscriber.token).sort().join() === "token-ana,token-ben,token-cleo",
+    topicStore.getSubscribers("news"));
+
+  topicStore.subscribe("token-dan", "sports", { platform: "android" });
+  await runInProcess("require('./topic-store').removeToken('token-ana')");
+  report("a token pruned by the worker keeps subscriptions made through the API",
+    topicStore.getTopicsForToken("token-ana").length === 0 && topicStore.getTopicsForToken("token-dan").join() === "sports" &&
+      topicStore.listTopics().news === 2,
+    topicStore.listTopics());
+
+  const subscribeMany = (prefix) => `const store = require('./topic-store'); for (let i = 0; i < 20; i++) store.subscribe('${prefix}-' + i, 'offers', { platform: 'ios' });`;
+  await Promise.all([runInProcess(subscribeMany("api")), runInProcess(subscribeMany("worker"))]);
+  report("subscriptions made by two processes at once are all kept", topicStore.listTopics().offers === 40, topicStore.listTopics());
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests for rate limiting: token bucket refill, channel, provider and
+ * recipient limits, and the reject, delay and queue modes
+ */
+
+const { report, run, expectError, useTempFiles } = require("./helpers");
+
+// Keep the test's state out of the working directory, and send SMS in mock mode
+useTempFiles("rate-limiter", ["QUEUE_FILE", "MESSAGE_STATUS_FILE", "SMS_OPT_OUTS_FILE", "IDEMPOTENCY_FILE"]);
+process.env.SMS_MOCK_MODE = "true";
+
+const rateLimiter = require("../rate-limiter");
+const { dispatchNotification } = require("../dispatcher");
+const { notificationQueue } = require("../notification-queue");
+
+const HOUR = 60 * 60 * 1000;
+const sms = (recipient, message = "Your code is 123456") => ({ type: "sms", recipient, message, retry: false });
+
+run("rate limiter tests", async () => {
+  // Test the token bucket
+  console.log("--- Testing the Token Bucket ---");
+  const bucket = new rateLimiter.TokenBucket({ limit: 2, intervalMs: 1000 });
+  bucket.take();
+  bucket.take();
+  report("an empty bucket waits for its next token", bucket.getWaitMs() > 0 && bucket.getWaitMs() <= 500, bucket.getWaitMs());
+
+  // Move the last update back rather than waiting
+  bucket.updatedAt -= 500;
+  report("tokens refill in proportion to the time passed", !bucket.isFull() && Math.abs(bucket.tokens - 1) < 0.05 && bucket.getWaitMs() === 0,
+    bucket.tokens);
+
+  bucket.updatedAt -= 10000;
+  report("a bucket never refills beyond its limit", bucket.isFull() && bucket.tokens === 2, bucket.tokens);
+
+  const invalid = expectError(() => rateLimiter.configureRateLimits({ channels: { sms: { limit: 0, intervalMs: 1000 } } }));
+  const badMode = expectError(() => rateLimiter.configureRateLimits({ mode: "drop" }));
+  report("invalid limits and modes are rejected", invalid && badMode && /Invalid rate limit mode/.test(badMode.message));
+
+  // Test reject mode
+  console.log("\n--- Testing Reject Mode ---");
+  rateLimiter.configureRateLimits({ mode: "reject", recipients: { sms: { limit: 2, intervalMs: HOUR } } });
+  const allowed = [rateLimiter.acquire("sms", "+15551230001"), rateLimiter.acquire("sms", "+15551230001")];
+  const rejected = rateLimiter.acquire("sms", "+15551230001");
+  report("a recipient limit allows its burst, then rejects",
+    allowed.every((limit) => limit.allowed) && !rejected.allowed && rejected.limitedBy.join() === "recipient" && rejected.waitMs > 0,
+    rejected);
+  report("recipient limits are kept per recipient", rateLimiter.acquire("sms", "+15551230002").allowed);
+  report("checkRateLimit doesn't take a token",
+    !rateLimiter.checkRateLimit("sms", "+15551230001").allowed && rateLimiter.checkRateLimit("sms", "+15551230003").allowed &&
+      rateLimiter.checkRateLimit("sms", "+15551230003").allowed);
+
+  await dispatchNotification(sms("+15551230004"));
+  await dispatchNotification(sms("+15551230004"));
+  const overLimit = await dispatchNotification(sms("+15551230004"));
+  report("a rejected dispatch fails with RATE_LIMITED",
+    overLimit.success === false && overLimit.errorCode === "RATE_LIMITED" && overLimit.limitedBy.join() === "recipient", overLimit);
+
+  // Test delay mode
+  console.log("\n--- Testing Delay Mode ---");
+  rateLimiter.configureRateLimits({ mode: "delay", maxDelayMs: 500, recipients: { sms: null }, channels: { sms: { limit: 5, intervalMs: 1000 } } });
+  for (let i = 0; i < 5; i++) rateLimiter.acquire("sms", `+1555000000${i}`);
+  const delayed = rateLimiter.acquire("sms", "+15550000009");
+  report("delay mode reserves the next token and says how long to wait",
+    delayed.allowed && delayed.waitMs > 0 && delayed.waitMs <= 200 && rateLimiter.checkRateLimit("sms", "+1").waitMs > delayed.waitMs,
+    delayed);
+
+  rateLimiter.configureRateLimits({ channels: { sms: { limit: 1, intervalMs: 300 } } });
+  const startedAt = Date.now();
+  await dispatchNotification(sms("+15551230005"));
+  const waited = await dispatchNotification(sms("+15551230006"));
+  report("a delayed dispatch waits for the limit, then sends", waited.dispatched && Date.now() - startedAt >= 250, Date.now() - startedAt);
+
+  rateLimiter.configureRateLimits({ channels: { sms: { limit: 1, intervalMs: HOUR } } });
+  rateLimiter.acquire("sms", "+15551230007");
+  const tooLong = rateLimiter.acquire("sms", "+15551230007");
+  report("a wait beyond maxDelayMs is rejected", !tooLong.allowed && tooLong.mode === "delay", tooLong);
+
+  // Test queue mode
+  console.log("\n--- Testing Queue Mode ---");
+  rateLimiter.configureRateLimits({ mode: "queue", providers: { "twilio-mock": { limit: 1, intervalMs: HOUR } }, channels: { sms: null } });
+  const queuedAt = Date.now();
+  const sent = await dispatchNotification({ ...sms("+15551230008"), options: { provider: "twilio-mock" } });
+  const queued = await dispatchNotification({ ...sms("+15551230009"), options: { provider: "twilio-mock" } });
+  const job = notificationQueue.getJob(queued.jobId);
+  report("a dispatch over a provider limit is queued for when the limit allows it",
+    sent.dispatched && queued.success && queued.queued && queued.rateLimited && !queued.dispatched &&
+      job.status === "pending" && new Date(job.availableAt).getTime() >= queuedAt + HOUR - 5000,
+    { queued, job });
+
+  rateLimiter.resetRateLimits();
+  report("resetting refills every bucket", rateLimiter.checkRateLimit("sms", "+15551230009", "twilio-mock").allowed);
+});
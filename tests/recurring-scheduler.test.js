@@ -0,0 +1,108 @@
+/**
+ * Tests for recurring schedules: cron expressions that never match, channel
+ * audiences read from the preferences file, and running due schedules
+ */
+
+const fs = require("fs");
+
+const { report, run, runInProcess, useTempFiles } = require("./helpers");
+
+// Keep the test's state out of the working directory, and send email in mock mode
+useTempFiles("recurring-scheduler", ["RECURRING_SCHEDULE_FILE", "PREFERENCES_FILE", "MESSAGE_STATUS_FILE"]);
+process.env.EMAIL_MODE = "mock";
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A schedule saved before expressions that never match were rejected
+const now = new Date().toISOString();
+const neverMatching = {
+  id: "recurring_feb30",
+  name: "February 30th",
+  cron: "0 0 30 2 *",
+  timeZone: "UTC",
+  templateName: "welcome",
+  audience: { emails: ["ana@example.com"] },
+  data: {},
+  options: {},
+  state: "active",
+  nextRunAt: "2020-01-01T00:00:00.000Z",
+  lastRunAt: null,
+  runs: [],
+  createdAt: now,
+  updatedAt: now,
+};
+fs.writeFileSync(process.env.RECURRING_SCHEDULE_FILE, JSON.stringify({ [neverMatching.id]: neverMatching }));
+
+const recurringScheduler = require("../recurring-scheduler");
+
+run("recurring scheduler tests", async () => {
+  // Test cron expressions that never match
+  console.log("--- Testing Expressions That Never Match ---");
+  const created = recurringScheduler.createRecurringSchedule({
+    cron: "0 0 30 2 *",
+    templateName: "welcome",
+    audience: { emails: ["ana@example.com"] },
+  });
+  report("creating a schedule for February 30th is rejected",
+    created.success === false && /never matches/.test(created.error), created);
+
+  recurringScheduler.start();
+  await wait(200);
+  const stored = recurringScheduler.getSchedule(neverMatching.id);
+  report("a due schedule that can't run again runs once and is paused",
+    stored.runs.length === 1 && stored.state === "paused" && stored.nextRunAt === null, stored);
+
+  const resumed = recurringScheduler.resumeSchedule(neverMatching.id);
+  report("resuming it is refused without throwing",
+    resumed.success === false && /never matches/.test(resumed.error) && stored.state === "paused", resumed);
+  recurringScheduler.stop();
+
+  // Test channel audiences
+  console.log("\n--- Testing Channel Audiences ---");
+  await runInProcess(`
+    const preferences = require('./user-preferences');
+    preferences.initializeNewUser('ana@example.com', true, false);
+    preferences.initializeNewUser('ben@example.com', false, true);
+  `);
+  const audience = recurringScheduler.resolveAudience({ channel: "email" });
+  report("channel audiences come from the saved preferences", audience.join() === "ana@example.com", audience);
+
+  const { schedule } = recurringScheduler.createRecurringSchedule({
+    cron: "0 9 * * MON",
+    templateName: "welcome",
+    audience: { channel: "email" },
+    data: { serviceName: "NotifyHub" },
+  });
+  const digest = await recurringScheduler.runSchedule(schedule.id);
+  report("a run for a channel audience goes to its opted-in users instead of being skipped", digest.audienceSize === 1 && digest.status !== "skipped", digest);
+
+  // Test schedules shared with other processes
+  console.log("\n--- Testing Other Processes ---");
+  const output = await runInProcess(`
+    const { schedule } = require('./recurring-scheduler').createRecurringSchedule({
+      name: 'Created by the API', cron: '0 9 * * MON', templateName: 'welcome', audience: { emails: ['ana@example.com'] }
+    });
+    console.log(JSON.stringify(schedule));
+  `);
+  const createdElsewhere = JSON.parse(output.trim().split("\n").pop());
+  report("a schedule created by another process is seen, and existing schedules are kept",
+    recurringScheduler.getSchedule(createdElsewhere.id) !== null && recurringScheduler.listSchedules().length === 3,
+    recurringScheduler.listSchedules().map((entry) => entry.name));
+
+  // Make it due without waiting for Monday
+  const file = JSON.parse(fs.readFileSync(process.env.RECURRING_SCHEDULE_FILE, "utf8"));
+  file[createdElsewhere.id].nextRunAt = new Date(Date.now() - 1000).toISOString();
+  fs.writeFileSync(process.env.RECURRING_SCHEDULE_FILE, JSON.stringify(file));
+
+  const worker = "const scheduler = require('./recurring-scheduler'); scheduler.start(); setTimeout(() => scheduler.stop(), 1500);";
+  await Promise.all([runInProcess(worker), runInProcess(worker)]);
+  const runs = recurringScheduler.getScheduleRuns(createdElsewhere.id);
+  report("a due schedule runs once with two started schedulers",
+    runs.length === 1 && new Date(recurringScheduler.getSchedule(createdElsewhere.id).nextRunAt) > new Date(), runs);
+
+  // Test the timer
+  console.log("\n--- Testing the Timer ---");
+  const startedAt = Date.now();
+  await runInProcess("require('./recurring-scheduler').start()");
+  report("a started scheduler doesn't keep a script alive", Date.now() - startedAt < 10000, Date.now() - startedAt);
+});
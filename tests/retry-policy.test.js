@@ -0,0 +1,105 @@
+/**
+ * Tests for the retry policy: exponential backoff, jitter bounds, per-channel
+ * overrides and which errors are retried
+ */
+
+const { report, run, expectError } = require("./helpers");
+const retryPolicy = require("../retry-policy");
+
+// Collect computeBackoffDelay over many samples, since jitter is random
+function sampleDelays(attempt, policy, samples = 500) {
+  return Array.from({ length: samples }, () => retryPolicy.computeBackoffDelay(attempt, policy));
+}
+
+run("retry policy tests", async () => {
+  // Test backoff
+  console.log("--- Testing Backoff ---");
+  const exact = { baseDelayMs: 100, maxDelayMs: 1000, factor: 2, jitter: 0 };
+  const delays = [1, 2, 3, 4, 5, 6].map((attempt) => retryPolicy.computeBackoffDelay(attempt, exact));
+  report("delays grow by the factor and stop at maxDelayMs", delays.join() === "100,200,400,800,1000,1000", delays);
+
+  const tripled = [1, 2, 3].map((attempt) => retryPolicy.computeBackoffDelay(attempt, { ...exact, factor: 3 }));
+  report("the factor is configurable", tripled.join() === "100,300,900", tripled);
+
+  // Test jitter
+  console.log("\n--- Testing Jitter ---");
+  const jittered = sampleDelays(2, { ...exact, jitter: 0.25 });
+  report("jittered delays stay within the jitter ratio of the delay",
+    jittered.every((delay) => delay >= 150 && delay <= 250) && new Set(jittered).size > 10,
+    { min: Math.min(...jittered), max: Math.max(...jittered) });
+
+  const capped = sampleDelays(10, { ...exact, jitter: 0.25 });
+  report("jitter spreads around the capped delay", capped.every((delay) => delay >= 750 && delay <= 1250),
+    { min: Math.min(...capped), max: Math.max(...capped) });
+
+  const clamped = sampleDelays(1, { ...exact, jitter: 5 });
+  report("jitter above 1 is clamped, so delays are never negative", clamped.every((delay) => delay >= 0 && delay <= 200),
+    { min: Math.min(...clamped), max: Math.max(...clamped) });
+
+  // Test policies
+  console.log("\n--- Testing Policies ---");
+  retryPolicy.configureRetryPolicy({ maxAttempts: 4, baseDelayMs: 50, channels: { sms: { maxAttempts: 6 } } });
+  retryPolicy.configureRetryPolicy({ channels: { sms: { baseDelayMs: 10 }, push: { maxAttempts: 2 } } });
+  const sms = retryPolicy.getRetryPolicy("sms");
+  report("channel overrides are merged with earlier ones and the global policy",
+    sms.maxAttempts === 6 && sms.baseDelayMs === 10 && retryPolicy.getRetryPolicy("push").maxAttempts === 2 &&
+      retryPolicy.getRetryPolicy("email").maxAttempts === 4 && retryPolicy.getRetryPolicy("email").baseDelayMs === 50,
+    sms);
+
+  const perCall = retryPolicy.getRetryPolicy("sms", { maxAttempts: 2 });
+  report("per-call overrides win over the channel", perCall.maxAttempts === 2 && perCall.baseDelayMs === 10, perCall);
+  report("retry: false sends once", retryPolicy.getRetryPolicy("sms", false).maxAttempts === 1);
+  report("invalid maxAttempts falls back to one attempt", retryPolicy.getRetryPolicy("sms", { maxAttempts: "many" }).maxAttempts === 1);
+
+  // Test classification
+  console.log("\n--- Testing isRetryableError ---");
+  const cases = [
+    [{ error: "socket hang up", errorCode: "ECONNRESET" }, true],
+    [{ error: "Service Unavailable", statusCode: 503 }, true],
+    [{ error: "Too Many Requests", statusCode: 429 }, true],
+    [{ error: "Bad Request", statusCode: 400 }, false],
+    [{ error: "Request timed out" }, true],
+    [{ error: "Invalid recipient" }, false],
+    [{ error: "Circuit open", errorCode: "PROVIDER_UNAVAILABLE", statusCode: 503 }, false],
+    [{ error: "Rate limited", errorCode: "RATE_LIMITED", statusCode: 429 }, false],
+  ];
+  const wrong = cases.filter(([details, expected]) => retryPolicy.isRetryableError(details) !== expected);
+  report("network errors, 408/429/5xx and timeouts are retried; others and dispatcher codes are not", wrong.length === 0, wrong);
+
+  const custom = { isRetryable: (details) => (details.errorCode === "QUOTA" ? true : undefined) };
+  report("a custom classifier decides, or defers by returning a non-boolean",
+    retryPolicy.isRetryableError({ error: "Quota", errorCode: "QUOTA", statusCode: 400 }, custom) &&
+      !retryPolicy.isRetryableError({ error: "Bad Request", statusCode: 400 }, custom) &&
+      !retryPolicy.isRetryableError({ error: "Rate limited", errorCode: "RATE_LIMITED" }, { isRetryable: () => true }));
+
+  // Test executeWithRetry
+  console.log("\n--- Testing executeWithRetry ---");
+  const fast = retryPolicy.getRetryPolicy("email", { maxAttempts: 3, baseDelayMs: 1, jitter: 0 });
+  let calls = 0;
+  const retried = [];
+  const recovered = await retryPolicy.executeWithRetry(async (attempt) => {
+    calls++;
+    return attempt < 3 ? { success: false, error: "Service Unavailable", statusCode: 503 } : { success: true };
+  }, fast, (attemptError) => retried.push(attemptError.attempt));
+  report("transient failures are retried until the operation succeeds",
+    recovered.result.success && recovered.attempts === 3 && recovered.attemptErrors.length === 2 && retried.join() === "1,2" &&
+      recovered.attemptErrors[0].delayMs === 1 && recovered.attemptErrors[1].delayMs === 2,
+    recovered);
+
+  calls = 0;
+  const permanent = await retryPolicy.executeWithRetry(async () => {
+    calls++;
+    return { success: false, error: "Invalid recipient", statusCode: 400 };
+  }, fast);
+  report("permanent failures return after one attempt", calls === 1 && permanent.attempts === 1 && !permanent.attemptErrors[0].retryable, permanent);
+
+  const thrown = await expectError(() => retryPolicy.executeWithRetry(async () => {
+    const error = new Error("connect ETIMEDOUT");
+    error.code = "ETIMEDOUT";
+    throw error;
+  }, fast));
+  report("the last thrown error is rethrown with the attempts made",
+    thrown && thrown.code === "ETIMEDOUT" && thrown.attempts === 3 && thrown.attemptErrors.length === 3 &&
+      thrown.attemptErrors[2].delayMs === undefined,
+    thrown && thrown.attemptErrors);
+});
@@ -0,0 +1,34 @@
+/**
+ * Run every test file in this directory, one at a time, and fail if any of
+ * them fails
+ *
+ * Usage: npm test
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+// A test file that hasn't finished by now is hanging, e.g. on an open server
+const TIMEOUT_MS = 120 * 1000;
+
+const files = fs.readdirSync(__dirname).filter((file) => file.endsWith(".test.js")).sort();
+const failed = [];
+
+files.forEach((file) => {
+  console.log(`\n=== ${file} ===`);
+  const result = spawnSync(process.execPath, [path.join(__dirname, file)], {
+    stdio: "inherit",
+    timeout: TIMEOUT_MS,
+  });
+
+  if (result.status !== 0) {
+    failed.push(result.signal ? `${file} (timed out)` : file);
+  }
+});
+
+console.log(`\n${files.length - failed.length} of ${files.length} test files passed`);
+if (failed.length > 0) {
+  console.log(`Failed: ${failed.join(", ")}`);
+  process.exitCode = 1;
+}
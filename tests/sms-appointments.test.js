@@ -0,0 +1,107 @@
+/**
+ * Tests for the two-way SMS appointment confirmation workflow
+ */
+
+const { report, run, expectError, runInProcess, useTempFiles } = require("./helpers");
+
+// Keep the test's state out of the working directory, and send SMS in mock mode
+useTempFiles("sms-appointments", [
+  "APPOINTMENTS_FILE", "SCHEDULE_FILE", "SMS_OPT_OUTS_FILE", "PREFERENCES_FILE", "MESSAGE_STATUS_FILE",
+]);
+process.env.SMS_MOCK_MODE = "true";
+
+const { handleInboundSms, registerInboundHandler } = require("../notifications/sms-inbound");
+const appointments = require("../notifications/sms-appointments");
+const scheduler = require("../notification-scheduler");
+
+run("SMS appointment tests", async () => {
+  const outcomes = [];
+  appointments.onAppointmentOutcome((appointment, details) => outcomes.push({ id: appointment.id, ...details }));
+
+  // Test sending reminders
+  console.log("--- Testing Reminders ---");
+  const sent = await appointments.sendAppointmentReminder(
+    { id: "apt-1", phone: "+15551230001", appointmentDate: "2026-11-02", appointmentTime: "09:30", data: { clinic: "North" } },
+    { followUpAfterMs: 60 * 60 * 1000 }
+  );
+  const followUp = scheduler.getScheduledNotification(sent.appointment.followUpScheduleId);
+  report("a reminder is sent and waits for a reply",
+    sent.success && sent.appointment.status === "pending" && sent.result.success &&
+      sent.appointment.remindedAt && sent.appointment.data.clinic === "North",
+    sent);
+  report("an unanswered reminder schedules a follow-up",
+    followUp && followUp.status === "scheduled" && followUp.notification.recipient === "+15551230001" &&
+      followUp.notification.message.startsWith("We have not heard back about your appointment on 2026-11-02"),
+    followUp);
+
+  const invalid = await expectError(() => appointments.sendAppointmentReminder({ id: "apt-x", phone: "+15551230009" }));
+  report("appointments without a date and time are rejected", invalid && invalid.code === "INVALID_APPOINTMENT", invalid && invalid.message);
+
+  // Test replies
+  console.log("\n--- Testing Replies ---");
+  const confirmed = await handleInboundSms({ From: "+1 555 123 0001", Body: "c", MessageSid: "SM100" });
+  report("C confirms the appointment and acknowledges it",
+    confirmed.action === "handled" && confirmed.reply === "Thank you! Your appointment on 2026-11-02 at 09:30 is confirmed." &&
+      appointments.getAppointment("apt-1").status === "confirmed" && appointments.getAppointment("apt-1").reply.messageSid === "SM100",
+    confirmed);
+  report("the reply cancels the follow-up", scheduler.getScheduledNotification(followUp.id).status === "cancelled");
+  report("listeners are told the outcome",
+    outcomes.length === 1 && outcomes[0].id === "apt-1" && outcomes[0].outcome === "confirmed" && outcomes[0].previousStatus === "pending",
+    outcomes);
+
+  const again = await handleInboundSms({ From: "+15551230001", Body: "C" });
+  report("replies with no appointment waiting are left to other handlers", again.action === "unhandled" && outcomes.length === 1, again);
+
+  await appointments.sendAppointmentReminder({ id: "apt-2", phone: "+34600000002", appointmentDate: "3/11", appointmentTime: "17:00", language: "es" });
+  await appointments.sendAppointmentReminder({ id: "apt-3", phone: "+34600000002", appointmentDate: "5/11", appointmentTime: "10:00", language: "es" });
+  const rescheduled = await handleInboundSms({ From: "+34600000002", Body: "Reprogramar por favor" });
+  report("a localized R asks to reschedule the most recent reminder, answered in its language",
+    appointments.getAppointment("apt-3").status === "rescheduleRequested" && appointments.getAppointment("apt-2").status === "pending" &&
+      rescheduled.reply.startsWith("Hemos recibido tu solicitud para reprogramar tu cita del 5/11"),
+    rescheduled);
+
+  const otherReply = await handleInboundSms({ From: "+34600000002", Body: "gracias" });
+  report("other replies don't change the appointment", otherReply.action === "unhandled" && appointments.getAppointment("apt-2").status === "pending", otherReply);
+
+  const cancelled = appointments.cancelAppointmentReminder("apt-2");
+  const afterCancel = await handleInboundSms({ From: "+34600000002", Body: "SÍ" });
+  report("cancelled appointments stop waiting for replies",
+    cancelled.success && cancelled.appointment.status === "cancelled" && afterCancel.action === "unhandled",
+    { cancelled, afterCancel });
+
+  const handled = [];
+  const remove = registerInboundHandler(["C"], (context) => {
+    handled.push(context.from);
+  });
+  await appointments.sendAppointmentReminder({ id: "apt-4", phone: "+33600000004", appointmentDate: "12/11", appointmentTime: "08:15", language: "fr" });
+  const french = await handleInboundSms({ From: "+33600000004", Body: "Oui" });
+  const noAppointment = await handleInboundSms({ From: "+33600000099", Body: "C" });
+  report("appointment replies come before handlers registered later, which still get other numbers",
+    french.reply === "Merci ! Votre rendez-vous du 12/11 à 08:15 est confirmé." && noAppointment.action === "handled" &&
+      handled.join() === "+33600000099",
+    { french, noAppointment, handled });
+  remove();
+
+  appointments.onAppointmentOutcome(() => {
+    throw new Error("listener exploded");
+  });
+  await appointments.sendAppointmentReminder({ id: "apt-5", phone: "+15551230005", appointmentDate: "2026-11-20", appointmentTime: "13:00" });
+  const withFailingListener = await handleInboundSms({ From: "+15551230005", Body: "R" });
+  report("a failing listener doesn't stop the acknowledgment",
+    withFailingListener.action === "handled" && withFailingListener.reply.startsWith("We received your request to reschedule"),
+    withFailingListener);
+
+  // Test the store shared between processes
+  console.log("\n--- Testing the Shared Store ---");
+  const createdAt = appointments.getAppointment("apt-5").createdAt;
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  const resent = await appointments.sendAppointmentReminder({ id: "apt-5", phone: "+15551230005", appointmentDate: "2026-11-21", appointmentTime: "13:00" });
+  report("sending a reminder again keeps the appointment's createdAt",
+    resent.appointment.createdAt === createdAt && resent.appointment.updatedAt > createdAt && resent.appointment.appointmentDate === "2026-11-21",
+    resent.appointment);
+
+  await runInProcess("require('./appointment-store').updateAppointment('apt-5', { status: 'confirmed' })");
+  report("a reply recorded by another process is seen without a restart", appointments.getAppointment("apt-5").status === "confirmed");
+
+  scheduler.stop();
+});
@@ -0,0 +1,74 @@
+/**
+ * Tests for SMS encoding detection, segment counting, transliteration and
+ * the segment policy
+ */
+
+const { report, run } = require("./helpers");
+const { analyzeSms, transliterate, prepareSms } = require("../notifications/sms-encoding");
+const { sendSms } = require("../notifications/sms");
+
+run("SMS encoding tests", async () => {
+  // Test encoding detection
+  console.log("--- Testing Encoding Detection ---");
+  const spanish = analyzeSms("¡Bienvenido! Ñandú y pingüino");
+  report("¡, Ñ and ü are GSM-7 but ú is not", spanish.encoding === "UCS-2" && spanish.nonGsmCharacters.join() === "ú", spanish);
+
+  const french = analyzeSms("Votre compte a été créé avec succès.");
+  report("é and è stay in GSM-7", french.encoding === "GSM-7" && french.segments === 1, french);
+
+  const extended = analyzeSms("Total: 5€ [paid]");
+  report("extension characters count twice", extended.encoding === "GSM-7" && extended.units === 19, extended);
+
+  // Test segment counting
+  console.log("\n--- Testing Segments ---");
+  const counts = [
+    analyzeSms("a".repeat(160)).segments,
+    analyzeSms("a".repeat(161)).segments,
+    analyzeSms("a".repeat(306)).segments,
+    analyzeSms("a".repeat(307)).segments,
+    analyzeSms("ó".repeat(70)).segments,
+    analyzeSms("ó".repeat(71)).segments,
+    analyzeSms("ó".repeat(134)).segments,
+    analyzeSms("ó".repeat(135)).segments
+  ];
+  report("GSM-7 splits at 160/153 and UCS-2 at 70/67", counts.join() === "1,2,2,3,1,2,2,3", counts);
+
+  const escaped = analyzeSms(`${"a".repeat(152)}€${"a".repeat(10)}`);
+  report("an escaped character is not split across parts", escaped.units === 164 && escaped.segments === 2, escaped);
+
+  const emoji = analyzeSms(`${"a".repeat(66)}😀${"a".repeat(66)}`);
+  report("a surrogate pair is not split across parts", emoji.units === 134 && emoji.segments === 3, emoji);
+
+  // Test transliteration
+  console.log("\n--- Testing Transliteration ---");
+  const code = transliterate("Tu código “123” — válido… ¿sí?");
+  report("accents, quotes and dashes are replaced", code === "Tu codigo \"123\" - valido... ¿si?", code);
+  report("transliterated text is GSM-7", analyzeSms(code).encoding === "GSM-7", analyzeSms(code));
+  report("GSM-7 accents and emoji are kept", transliterate("créé 😀") === "créé 😀", transliterate("créé 😀"));
+
+  // Test the segment policy and cost
+  console.log("\n--- Testing Segment Policy ---");
+  let tooLong = null;
+  try {
+    prepareSms("ó".repeat(200), { maxSegments: 2 });
+  } catch (error) {
+    tooLong = error;
+  }
+  report("messages over maxSegments are rejected",
+    tooLong && tooLong.code === "SMS_TOO_LONG" && tooLong.segments === 3, tooLong && tooLong.message);
+
+  const truncated = prepareSms("word ".repeat(100), { maxSegments: 2, segmentPolicy: "truncate" });
+  report("truncation fits the limit and ends with ...",
+    truncated.analysis.segments === 2 && truncated.analysis.truncated && truncated.message.endsWith("...") && truncated.analysis.units <= 306,
+    truncated.analysis);
+
+  const cheaper = prepareSms("Tu código es 123456. Este código caducará en 10 minutos y no debe compartirse con nadie más.", { transliterate: true });
+  report("transliteration keeps a message in one segment",
+    cheaper.analysis.encoding === "GSM-7" && cheaper.analysis.segments === 1 && cheaper.analysis.transliterated,
+    cheaper.analysis);
+
+  const result = await sendSms("+12345678901", "a".repeat(200), { mockMode: true });
+  report("send result reports segments and estimated cost",
+    result.sms && result.sms.segments === 2 && result.sms.encoding === "GSM-7" && result.sms.estimatedCost === 0.0158 && result.sms.currency === "USD",
+    result.sms);
+});
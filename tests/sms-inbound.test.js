@@ -0,0 +1,126 @@
+/**
+ * Tests for inbound SMS: compliance keywords, opt-outs, reply handlers and the
+ * Twilio webhook listener
+ */
+
+const http = require("http");
+
+const { report, run, expectError, runInProcess, postForm, twilioSignature, useTempFiles } = require("./helpers");
+
+// Keep the test's preferences and opt-outs out of the working directory
+useTempFiles("sms-inbound", ["PREFERENCES_FILE", "SMS_OPT_OUTS_FILE"]);
+
+const { handleInboundSms, registerInboundHandler, createInboundSmsHandler, verifyTwilioSignature } = require("../notifications/sms-inbound");
+const userPreferences = require("../user-preferences");
+const optOutStore = require("../sms-opt-out-store");
+const { sendSms } = require("../notifications/sms");
+
+run("inbound SMS tests", async () => {
+  userPreferences.initializeNewUser("ana@example.com");
+  userPreferences.updateExistingUserPreferences("ana@example.com", { phone: "+34 600 123 456", preferredLanguage: "es" });
+  userPreferences.initializeNewUser("jean@example.com");
+  userPreferences.updateExistingUserPreferences("jean@example.com", { phone: "+33612345678", preferredLanguage: "fr" });
+
+  // Test compliance keywords
+  console.log("--- Testing Keywords ---");
+  const stop = await handleInboundSms({ From: "+34600123456", To: "+15550001111", Body: " ¡Parar! ", MessageSid: "SM1" });
+  report("a Spanish STOP opts the user out and replies in Spanish",
+    stop.action === "optOut" && stop.language === "es" && stop.userIds.join() === "ana@example.com" &&
+      userPreferences.getUserPreferences("ana@example.com").smsEnabled === false && optOutStore.isOptedOut("+34600123456") &&
+      stop.reply.startsWith("Te has dado de baja") && stop.twiml.includes("<Message>Te has dado de baja"),
+    stop);
+
+  const blocked = await expectError(() => sendSms("+34600123456", "Hola", { mockMode: true }));
+  report("opted-out numbers are refused", blocked && blocked.code === "SMS_RECIPIENT_OPTED_OUT", blocked && blocked.message);
+
+  const start = await handleInboundSms({ From: "+34600123456", Body: "alta" });
+  report("START opts the user back in",
+    start.action === "optIn" && userPreferences.getUserPreferences("ana@example.com").smsEnabled === true &&
+      !optOutStore.isOptedOut("+34600123456"),
+    start);
+
+  const frenchStop = await handleInboundSms({ From: "+33612345678", Body: "STOP" });
+  report("STOP is answered in the user's language when it is ambiguous", frenchStop.language === "fr" && frenchStop.reply.startsWith("Vous êtes désabonné"), frenchStop);
+
+  const help = await handleInboundSms({ From: "+15559998888", Body: "Help" });
+  report("HELP from an unknown number replies in English without opting out",
+    help.action === "help" && help.language === "en" && help.userIds.length === 0 && help.reply.includes("for help, contact") &&
+      !optOutStore.isOptedOut("+15559998888"),
+    help);
+
+  const aide = await handleInboundSms({ From: "+15559998888", Body: "aide" });
+  report("French HELP replies in French", aide.language === "fr" && aide.reply.includes("pour obtenir de l'aide"), aide);
+
+  const sentence = await handleInboundSms({ From: "+15559998888", Body: "Please stop by tomorrow" });
+  report("keywords inside a sentence are not compliance keywords", sentence.action === "unhandled" && !optOutStore.isOptedOut("+15559998888"), sentence);
+
+  // Test reply handlers
+  console.log("\n--- Testing Reply Handlers ---");
+  const seen = [];
+  const removeConfirm = registerInboundHandler(["C", "CONFIRM"], (context) => {
+    seen.push(context);
+    return "Thanks, your appointment is confirmed.";
+  });
+  registerInboundHandler(/^R\b/i, async () => "We will call you to reschedule.");
+
+  const confirm = await handleInboundSms({ From: "+33612345678", Body: "c." });
+  report("keyword handlers match the first word and reply",
+    confirm.action === "handled" && confirm.reply === "Thanks, your appointment is confirmed." &&
+      seen[0].users[0].userId === "jean@example.com",
+    confirm);
+
+  const reschedule = await handleInboundSms({ From: "+33612345678", Body: "R next week please" });
+  report("RegExp handlers match the body", reschedule.reply === "We will call you to reschedule.", reschedule);
+
+  removeConfirm();
+  const removed = await handleInboundSms({ From: "+33612345678", Body: "C" });
+  report("removed handlers are no longer called", removed.action === "unhandled" && removed.twiml.endsWith("<Response></Response>"), removed);
+
+  registerInboundHandler("BOOM", () => {
+    throw new Error("handler exploded");
+  });
+  const failed = await handleInboundSms({ From: "+33612345678", Body: "boom" });
+  report("handler errors are reported without a reply", failed.action === "failed" && failed.error === "handler exploded" && failed.reply === null, failed);
+
+  // Test opt-outs recorded by another process, as STOP replies reach the API while the worker sends
+  console.log("\n--- Testing Opt-Outs Across Processes ---");
+  report("the number can receive SMS before its STOP", !optOutStore.isOptedOut("+15554443333"));
+  await runInProcess("require('./sms-opt-out-store').optOut('+15554443333', { keyword: 'STOP' })");
+  const blockedElsewhere = await expectError(() => sendSms("+1 555 444 3333", "Your code is 123456", { mockMode: true }));
+  report("a STOP recorded by another process blocks the next send",
+    optOutStore.isOptedOut("+15554443333") && blockedElsewhere && blockedElsewhere.code === "SMS_RECIPIENT_OPTED_OUT",
+    blockedElsewhere && blockedElsewhere.message);
+
+  const optOutMany = (prefix) => `const store = require('./sms-opt-out-store'); for (let i = 0; i < 20; i++) store.optOut('${prefix}' + i);`;
+  await Promise.all([runInProcess(optOutMany("+1555100")), runInProcess(optOutMany("+1555200"))]);
+  optOutStore.optIn("+15554443333");
+  const numbers = optOutStore.listOptOuts().map((record) => record.phoneNumber);
+  report("opt-outs recorded by two processes at once are all kept",
+    numbers.filter((number) => /^\+1555[12]00\d+$/.test(number)).length === 40 && !numbers.includes("+15554443333"),
+    numbers);
+
+  // Test the webhook listener
+  console.log("\n--- Testing the Webhook Listener ---");
+  const authToken = "twilio-secret";
+  const server = http.createServer(createInboundSmsHandler({ authToken, validateSignature: true }));
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}/sms/inbound`;
+
+  try {
+    const params = { From: "+15557776666", To: "+15550001111", Body: "STOP", MessageSid: "SM9" };
+    report("signatures are verified", verifyTwilioSignature(url, params, twilioSignature(url, params, authToken), authToken) &&
+      !verifyTwilioSignature(url, { ...params, Body: "START" }, twilioSignature(url, params, authToken), authToken));
+
+    const forged = await postForm(url, params, { "X-Twilio-Signature": "forged" });
+    report("unsigned requests are rejected", forged.statusCode === 403 && !optOutStore.isOptedOut("+15557776666"), forged);
+
+    // The listener rebuilds the URL from the Host header, so sign what it will see
+    const signedUrl = `https://127.0.0.1:${server.address().port}/sms/inbound`;
+    const signed = await postForm(url, params, { "X-Twilio-Signature": twilioSignature(signedUrl, params, authToken) });
+    report("signed requests are answered with TwiML",
+      signed.statusCode === 200 && signed.body.includes("<Message>You have been unsubscribed") && optOutStore.isOptedOut("+15557776666"),
+      signed);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,190 @@
+/**
+ * Tests for the SMS provider adapters, routing and failover, against a local
+ * stand-in for each provider's API
+ */
+
+const { report, run, expectError, startServer, replyJson, useTempFiles } = require("./helpers");
+
+// Keep the dispatcher's state out of the working directory
+useTempFiles("sms-providers", ["QUEUE_FILE", "MESSAGE_STATUS_FILE", "IDEMPOTENCY_FILE", "SMS_OPT_OUTS_FILE"]);
+
+const smsProviders = require("../notifications/sms-providers");
+const { sendSms } = require("../notifications/sms");
+const { dispatchNotification } = require("../dispatcher");
+const { configureCircuitBreakers, getCircuitStates, PROVIDER_UNAVAILABLE } = require("../circuit-breaker");
+const rateLimiter = require("../rate-limiter");
+
+const HOUR = 60 * 60 * 1000;
+
+// One server standing in for every provider, routed by path prefix
+function startFakeProviders() {
+  return startServer(({ path, body }, res) => {
+    if (path.startsWith("/down")) return replyJson(res, 503, { message: "Service unavailable" });
+
+    if (path.startsWith("/twilio")) {
+      if (body.To === "+15550000000") return replyJson(res, 400, { code: 21211, message: "The 'To' number is not a valid phone number." });
+      if (body.To === "+15550000001") return replyJson(res, 400, { code: 21610, message: "Attempt to send to unsubscribed recipient" });
+      return replyJson(res, 201, { sid: "SM123", status: "queued" });
+    }
+
+    if (path.startsWith("/vonage")) {
+      const status = body.to === "447700900001" ? "1" : "0";
+      return replyJson(res, 200, { "message-count": "1", messages: [{ to: body.to, status, "message-id": "V123", "error-text": status === "1" ? "Throttled" : undefined }] });
+    }
+
+    if (path.startsWith("/messagebird")) {
+      if (body.recipients[0] === "31600000000") {
+        return replyJson(res, 422, { errors: [{ code: 9, description: "no (correct) recipients found", parameter: "recipient" }] });
+      }
+      return replyJson(res, 201, { id: "MB123" });
+    }
+
+    if (path.startsWith("/gateway")) return replyJson(res, 202, { ref: "GW123" });
+
+    replyJson(res, 404, {});
+  });
+}
+
+run("SMS provider tests", async () => {
+  const { url, last, close } = await startFakeProviders();
+
+  smsProviders.configureSmsProvider("twilio", { apiUrl: `${url}/twilio`, accountSid: "AC1", authToken: "secret", fromNumber: "+15551112222" });
+  smsProviders.configureSmsProvider("vonage", { apiUrl: `${url}/vonage`, apiKey: "key", apiSecret: "shh", from: "Acme" });
+  smsProviders.configureSmsProvider("messagebird", { apiUrl: `${url}/messagebird`, accessKey: "live_abc", originator: "Acme" });
+  smsProviders.configureSmsProvider("http", { url: `${url}/gateway/send`, authHeader: "Bearer gw", idField: "ref" });
+
+  try {
+    // Test each adapter
+    console.log("--- Testing Adapters ---");
+    const twilio = await smsProviders.sendSms("+15553334444", "Hello", { provider: "twilio" });
+    const twilioRequest = last();
+    report("Twilio posts a form with basic auth",
+      twilio.messageId === "SM123" && twilio.status === "queued" &&
+        twilioRequest.path === "/twilio/2010-04-01/Accounts/AC1/Messages.json" &&
+        twilioRequest.headers.authorization === `Basic ${Buffer.from("AC1:secret").toString("base64")}` &&
+        twilioRequest.body.From === "+15551112222" && twilioRequest.body.Body === "Hello",
+      { twilio, twilioRequest });
+
+    const vonage = await smsProviders.sendSms("+447700900000", "Código", { provider: "vonage", encoding: "UCS-2" });
+    report("Vonage sends numbers without + and declares unicode",
+      vonage.messageId === "V123" && last().body.to === "447700900000" && last().body.type === "unicode" && last().body.api_key === "key",
+      { vonage, request: last() });
+
+    const messagebird = await smsProviders.sendSms("+31612345678", "Hi", { provider: "messagebird", encoding: "GSM-7" });
+    report("MessageBird posts recipients with an access key",
+      messagebird.messageId === "MB123" && last().headers.authorization === "AccessKey live_abc" &&
+        last().body.recipients[0] === "31612345678" && last().body.datacoding === "plain",
+      { messagebird, request: last() });
+
+    const gateway = await smsProviders.sendSms("+15553334444", "Hi", { provider: "http", from: "Ops" });
+    report("generic HTTP provider reads the configured ID field",
+      gateway.messageId === "GW123" && last().headers.authorization === "Bearer gw" && last().body.from === "Ops" && last().body.to === "+15553334444",
+      { gateway, request: last() });
+
+    // Test error mapping
+    console.log("\n--- Testing Errors ---");
+    smsProviders.configureSmsRouting({ providers: "twilio:1,vonage:0" });
+
+    const invalid = await expectError(() => smsProviders.sendSms("+15550000000", "Hi"));
+    report("an invalid number stops the failover",
+      invalid && invalid.code === "SMS_INVALID_RECIPIENT" && invalid.failover.length === 1 && invalid.statusCode === undefined,
+      invalid && { code: invalid.code, failover: invalid.failover });
+
+    const optedOut = await expectError(() => smsProviders.sendSms("+15550000001", "Hi"));
+    report("an opt-out is not sent through another provider",
+      optedOut && optedOut.code === "SMS_RECIPIENT_OPTED_OUT" && optedOut.failover.length === 1,
+      optedOut && { code: optedOut.code, failover: optedOut.failover });
+
+    const throttled = await expectError(() => smsProviders.sendSms("+447700900001", "Hi", { provider: "vonage" }));
+    report("Vonage throttling is retryable", throttled && throttled.statusCode === 429 && throttled.reason === "1", throttled && throttled.message);
+
+    const badRecipient = await expectError(() => smsProviders.sendSms("+31600000000", "Hi", { provider: "messagebird" }));
+    report("MessageBird recipient errors map to SMS_INVALID_RECIPIENT", badRecipient && badRecipient.code === "SMS_INVALID_RECIPIENT", badRecipient && badRecipient.message);
+
+    // Test failover and routing
+    console.log("\n--- Testing Failover and Routing ---");
+    smsProviders.configureSmsProvider("twilio", { apiUrl: `${url}/down` });
+    const failedOver = await smsProviders.sendSms("+15553334444", "Hi");
+    report("a failing provider fails over to the standby",
+      failedOver.provider === "vonage" && failedOver.failover.length === 1 &&
+        failedOver.failover[0].provider === "twilio" && failedOver.failover[0].errorCode === "SMS_PROVIDER_ERROR",
+      failedOver);
+
+    smsProviders.configureSmsProvider("vonage", { apiKey: null });
+    const allFailed = await expectError(() => smsProviders.sendSms("+15553334444", "Hi"));
+    report("when every provider fails, the delivery error is kept over configuration errors",
+      allFailed && allFailed.statusCode === 503 && allFailed.provider === "twilio" &&
+        allFailed.failover.map((attempt) => attempt.errorCode).join() === "SMS_PROVIDER_ERROR,SMS_NOT_CONFIGURED",
+      allFailed && { code: allFailed.code, failover: allFailed.failover });
+    smsProviders.configureSmsProvider("twilio", { apiUrl: `${url}/twilio` });
+    smsProviders.configureSmsProvider("vonage", { apiKey: "key" });
+
+    smsProviders.configureSmsRouting({ routes: { "+44": "messagebird", "+447": "vonage:2,twilio:1" } });
+    const route = smsProviders.resolveRoute("+447700900000");
+    report("the longest matching prefix wins",
+      route.prefix === "+447" && smsProviders.getPrimaryProvider("+447700900000") === "vonage" &&
+        smsProviders.getPrimaryProvider("+441134960000") === "messagebird" && smsProviders.getPrimaryProvider("+15553334444") === "twilio",
+      route);
+
+    const counts = { first: 0, second: 0 };
+    smsProviders.registerSmsProvider("first", { send: async () => { counts.first++; return { messageId: "1", status: "sent" }; } });
+    smsProviders.registerSmsProvider("second", { send: async () => { counts.second++; return { messageId: "2", status: "sent" }; } });
+    smsProviders.configureSmsRouting({ providers: "first:3,second:1", routes: {} });
+    for (let i = 0; i < 1000; i++) {
+      await smsProviders.sendSms("+15553334444", "Hi");
+    }
+    report("weights split traffic between providers", counts.first > 650 && counts.first < 850 && counts.first + counts.second === 1000, counts);
+
+    // Test the SMS channel end to end
+    // Test per-provider circuit breakers and rate limits during failover
+    console.log("\n--- Testing Breakers and Limits per Provider ---");
+    let primaryCalls = 0;
+    smsProviders.registerSmsProvider("primary", {
+      send: async () => {
+        primaryCalls++;
+        const error = new Error("Primary unavailable");
+        error.code = "SMS_PROVIDER_ERROR";
+        error.statusCode = 503;
+        throw error;
+      },
+    });
+    smsProviders.registerSmsProvider("standby", { send: async () => ({ messageId: "S1", status: "sent" }) });
+    smsProviders.configureSmsRouting({ providers: "primary:1,standby:0", routes: {} });
+    configureCircuitBreakers({ primary: { failureThreshold: 2, resetTimeoutMs: HOUR } });
+
+    let sends = 0;
+    const dispatchSms = () => dispatchNotification({ type: "sms", recipient: "+15553334444", message: `Your code is ${++sends}`, retry: false });
+    const fellBack = await dispatchSms();
+    report("when the primary fails the standby sends, and each is recorded against its own breaker",
+      fellBack.success && fellBack.provider === "standby" && fellBack.failover[0].provider === "primary" &&
+        getCircuitStates().primary.stats.failures === 1 && getCircuitStates().standby.stats.successes === 1,
+      { fellBack, states: getCircuitStates() });
+
+    await dispatchSms();
+    const skipped = await dispatchSms();
+    report("once the primary's circuit opens it is skipped without being called",
+      skipped.success && skipped.provider === "standby" && primaryCalls === 2 && getCircuitStates().primary.state === "open" &&
+        skipped.failover[0].errorCode === PROVIDER_UNAVAILABLE,
+      { skipped, primaryCalls });
+
+    rateLimiter.configureRateLimits({ mode: "reject", providers: { primary: { limit: 1, intervalMs: HOUR }, standby: { limit: 1, intervalMs: HOUR } } });
+    const underLimit = await dispatchSms();
+    const overLimit = await dispatchSms();
+    report("the limit of the provider that sends applies, not the primary's",
+      underLimit.success && underLimit.provider === "standby" && overLimit.success === false &&
+        overLimit.errorCode === rateLimiter.RATE_LIMITED && /standby/.test(overLimit.error),
+      { underLimit, overLimit });
+    rateLimiter.configureRateLimits({ providers: { primary: null, standby: null } });
+    rateLimiter.resetRateLimits();
+
+    console.log("\n--- Testing the SMS Channel ---");
+    smsProviders.configureSmsRouting({ providers: "twilio" });
+    const result = await sendSms("+15553334444", "Tu código es 123456", { transliterate: true });
+    report("the channel result names the provider and the encoding",
+      result.provider === "twilio" && result.messageId === "SM123" && result.sms.encoding === "GSM-7" &&
+        last().body.Body === "Tu codigo es 123456" && result.failover.length === 0,
+      result);
+  } finally {
+    await close();
+  }
+});
@@ -0,0 +1,139 @@
+/**
+ * Tests for the webhook channel: signing, verification, response mapping and
+ * one message ID per dispatch
+ */
+
+const path = require("path");
+
+const { report, run, startServer, replyJson, useTempFiles } = require("./helpers");
+
+// Keep the dispatcher's state out of the working directory
+useTempFiles("webhook", ["QUEUE_FILE", "MESSAGE_STATUS_FILE", "IDEMPOTENCY_FILE"]);
+
+const {
+  sendWebhook,
+  send,
+  signPayload,
+  verifySignature,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  ID_HEADER,
+} = require("../notifications/webhook");
+const { dispatchNotification } = require("../dispatcher");
+const { notificationQueue } = require("../notification-queue");
+const rateLimiter = require("../rate-limiter");
+
+const SECRET = "whsec_test";
+
+// Local receiver; the response status is taken from the request path (e.g. /status/503),
+// and /flaky fails twice before accepting
+function startReceiver() {
+  let flakyCalls = 0;
+  return startServer((request, res) => {
+    if (request.path === "/slow") return; // never respond
+    if (request.path === "/flaky") return replyJson(res, ++flakyCalls <= 2 ? 503 : 200, { ok: flakyCalls > 2 });
+
+    const match = request.path.match(/^\/status\/(\d{3})$/);
+    replyJson(res, match ? Number(match[1]) : 200, { ok: !match });
+  });
+}
+
+run("webhook tests", async () => {
+  // Test signature verification
+  console.log("--- Testing Signature Verification ---");
+  const now = Date.now();
+  const timestamp = Math.floor(now / 1000);
+  const body = JSON.stringify({ id: "evt_1", message: "hello" });
+  const headers = {
+    [SIGNATURE_HEADER.toLowerCase()]: signPayload(body, SECRET, timestamp),
+    [TIMESTAMP_HEADER.toLowerCase()]: String(timestamp),
+  };
+
+  [
+    { description: "valid signature", args: [body, headers, SECRET], expected: true },
+    { description: "rotated secrets", args: [body, headers, ["old_secret", SECRET]], expected: true },
+    { description: "wrong secret", args: [body, headers, "other"], expected: false },
+    { description: "tampered body", args: [body.replace("hello", "hullo"), headers, SECRET], expected: false },
+    {
+      description: "stale timestamp",
+      args: [body, headers, SECRET, { now: now + 10 * 60 * 1000 }],
+      expected: false,
+    },
+    { description: "missing headers", args: [body, {}, SECRET], expected: false },
+    { description: "no secret", args: [body, headers, undefined], expected: false },
+  ].forEach((test) => {
+    const result = verifySignature(...test.args);
+    report(test.description, result.isValid === test.expected, result.errorMessage);
+  });
+
+  // Test delivery against a local receiver
+  console.log("\n--- Testing Delivery ---");
+  const { url, last, received, close } = await startReceiver();
+
+  try {
+    const delivered = await sendWebhook(`${url}/hooks`, "Order shipped", {
+      event: "order.shipped",
+      data: { orderId: 42 },
+      secret: SECRET,
+      headers: { Authorization: "Bearer abc" },
+    });
+    const request = last();
+    const payload = request.body;
+
+    report("2xx response is delivered", delivered.status === "delivered" && delivered.statusCode === 200, delivered);
+    report("payload carries message, event and data",
+      payload.message === "Order shipped" && payload.event === "order.shipped" && payload.data.orderId === 42,
+      payload);
+    report("custom headers are sent", request.headers.authorization === "Bearer abc");
+    report("receiver can verify the request", verifySignature(request.text, request.headers, SECRET).isValid);
+
+    const rejected = await send(`${url}/status/400`, "Bad request", { secret: SECRET });
+    report("4xx maps to a failed result with statusCode",
+      rejected.success === false && rejected.statusCode === 400 && rejected.errorCode === "WEBHOOK_HTTP_ERROR",
+      rejected);
+
+    const unavailable = await send(`${url}/status/503`, "Unavailable", { secret: SECRET });
+    report("5xx maps to a failed result with statusCode", unavailable.success === false && unavailable.statusCode === 503,
+      unavailable);
+
+    const timedOut = await send(`${url}/slow`, "Slow", { timeoutMs: 200 });
+    report("timeout maps to ETIMEDOUT", timedOut.success === false && timedOut.errorCode === "ETIMEDOUT", timedOut);
+
+    const unsigned = await sendWebhook(`${url}/hooks`, "No secret", { secret: "" });
+    report("requests are unsigned without a secret",
+      unsigned.signed === false && !last().headers[SIGNATURE_HEADER.toLowerCase()]);
+
+    // Test message IDs across retries
+    console.log("\n--- Testing Message IDs ---");
+    const retried = await dispatchNotification({
+      type: "webhook",
+      recipient: `${url}/flaky`,
+      message: "Order shipped",
+      options: { secret: SECRET },
+      retry: { maxAttempts: 3, baseDelayMs: 1, jitter: 0 },
+    });
+    const attempts = received.filter((request) => request.path === "/flaky");
+    const ids = attempts.map((request) => request.headers[ID_HEADER.toLowerCase()]);
+    report("every retry of a dispatch sends the same message ID",
+      retried.success && retried.attempts === 3 && ids.length === 3 && new Set(ids).size === 1 &&
+        ids[0] === retried.messageId && attempts.every((request) => request.body.id === retried.messageId),
+      { ids, messageId: retried.messageId });
+
+    const other = await dispatchNotification({ type: "webhook", recipient: `${url}/hooks`, message: "Order delivered", retry: false });
+    report("each dispatch gets its own message ID", other.success && other.messageId !== retried.messageId, other.messageId);
+
+    const queued = await dispatchNotification({ type: "webhook", recipient: `${url}/hooks`, message: "Order returned", queue: true });
+    const job = notificationQueue.getJob(queued.jobId);
+    report("a queued webhook keeps its message ID for the worker's retries",
+      queued.queued && /^webhook-/.test(job.payload.options.messageId), job.payload);
+
+    rateLimiter.configureRateLimits({ mode: "queue", recipients: { webhook: { limit: 1, intervalMs: 60 * 60 * 1000 } } });
+    await dispatchNotification({ type: "webhook", recipient: `${url}/limited`, message: "Order paid", retry: false });
+    const deferred = await dispatchNotification({ type: "webhook", recipient: `${url}/limited`, message: "Order refunded", retry: false });
+    const deferredJob = deferred.jobId && notificationQueue.getJob(deferred.jobId);
+    report("a webhook deferred by the rate limiter keeps its message ID for the worker",
+      deferred.rateLimited && deferred.queued && /^webhook-/.test(deferredJob.payload.options.messageId), deferredJob);
+  } finally {
+    await close();
+  }
+});
@@ -0,0 +1,237 @@
+/**
+ * Tests for the web push channel: payload encryption, VAPID and subscription expiry
+ */
+
+const crypto = require("crypto");
+const { report, run, startServer } = require("./helpers");
+const {
+  sendWebPush,
+  send,
+  generateVapidKeys,
+  encryptPayload,
+  getVapidAuthorization,
+  validateSubscription,
+  formatSubscription,
+  getExpiredSubscription,
+  onSubscriptionExpired,
+  clearExpiredSubscriptions,
+  MAX_PAYLOAD_BYTES,
+} = require("../notifications/webpush");
+
+function base64url(buffer) {
+  return buffer.toString("base64").replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+}
+
+function hmac(key, data) {
+  return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+// A browser-side subscription with its private key, so the test can decrypt like a user agent
+function createSubscription(endpoint) {
+  const userAgent = crypto.createECDH("prime256v1");
+  userAgent.generateKeys();
+  const auth = crypto.randomBytes(16);
+
+  return {
+    userAgent,
+    auth,
+    subscription: {
+      endpoint,
+      keys: { p256dh: base64url(userAgent.getPublicKey()), auth: base64url(auth) },
+    },
+  };
+}
+
+// Decrypt an aes128gcm body as the browser would (RFC 8291)
+function decrypt(body, { userAgent, auth }) {
+  const salt = body.subarray(0, 16);
+  const idLength = body.readUInt8(20);
+  const serverPublicKey = body.subarray(21, 21 + idLength);
+  const record = body.subarray(21 + idLength);
+
+  const keyInfo = Buffer.concat([
+    Buffer.from("WebPush: info\0"),
+    userAgent.getPublicKey(),
+    serverPublicKey,
+    Buffer.from([1]),
+  ]);
+  const ikm = hmac(hmac(auth, userAgent.computeSecret(serverPublicKey)), keyInfo);
+  const prk = hmac(salt, ikm);
+  const key = hmac(prk, Buffer.from("Content-Encoding: aes128gcm\0\x01")).subarray(0, 16);
+  const nonce = hmac(prk, Buffer.from("Content-Encoding: nonce\0\x01")).subarray(0, 12);
+
+  const decipher = crypto.createDecipheriv("aes-128-gcm", key, nonce);
+  decipher.setAuthTag(record.subarray(record.length - 16));
+  const plaintext = Buffer.concat([decipher.update(record.subarray(0, record.length - 16)), decipher.final()]);
+
+  // Strip the 0x02 last-record delimiter
+  return plaintext.subarray(0, plaintext.lastIndexOf(2)).toString("utf8");
+}
+
+// Check a VAPID JWT's ES256 signature against the public key in the header
+function verifyVapid(authorization) {
+  const match = authorization.match(/^vapid t=([^,]+), k=(.+)$/);
+  if (!match) return null;
+
+  const [header, claims, signature] = match[1].split(".");
+  const publicKey = Buffer.from(match[2], "base64url");
+  const key = crypto.createPublicKey({
+    key: {
+      kty: "EC",
+      crv: "P-256",
+      x: base64url(publicKey.subarray(1, 33)),
+      y: base64url(publicKey.subarray(33, 65)),
+    },
+    format: "jwk",
+  });
+
+  const isValid = crypto.verify(
+    "sha256",
+    Buffer.from(`${header}.${claims}`),
+    { key, dsaEncoding: "ieee-p1363" },
+    Buffer.from(signature, "base64url")
+  );
+
+  return { isValid, claims: JSON.parse(Buffer.from(claims, "base64url").toString("utf8")) };
+}
+
+// Local push service; the response status is taken from the request path (e.g. /push/410)
+function startPushService() {
+  return startServer((request, res) => {
+    const match = request.path.match(/\/(\d{3})$/);
+    const status = match ? Number(match[1]) : 201;
+    res.writeHead(status, status === 201 ? { Location: `${request.path}/msg-1` } : {});
+    res.end();
+  });
+}
+
+run("web push tests", async () => {
+  const vapid = { ...generateVapidKeys(), subject: "mailto:ops@example.com" };
+
+  // Test subscription validation
+  console.log("--- Testing Subscription Validation ---");
+  const browser = createSubscription("https://push.example.com/send/abc");
+
+  [
+    { description: "subscription object", input: browser.subscription, expected: true },
+    { description: "subscription JSON", input: JSON.stringify(browser.subscription), expected: true },
+    { description: "http endpoint", input: { ...browser.subscription, endpoint: "http://push.example.com/x" }, expected: false },
+    { description: "missing auth key", input: { endpoint: browser.subscription.endpoint, keys: { p256dh: browser.subscription.keys.p256dh } }, expected: false },
+    { description: "not JSON", input: "device-token-123", expected: false },
+  ].forEach(({ description, input, expected }) => {
+    const result = validateSubscription(input);
+    report(`${description} is ${expected ? "valid" : "invalid"}`, result.isValid === expected, result);
+  });
+
+  const formatted = formatSubscription({ ...browser.subscription, expirationTime: null });
+  report("formatted subscription keeps only endpoint and keys", formatted === JSON.stringify(browser.subscription), formatted);
+
+  // Test payload encryption
+  console.log("\n--- Testing Payload Encryption ---");
+  const payload = JSON.stringify({ title: "Hi", body: "Übermäßig 🎉" });
+  const encrypted = encryptPayload(payload, browser.subscription);
+  report("record size header is 4096", encrypted.readUInt32BE(16) === 4096, encrypted.readUInt32BE(16));
+
+  let decrypted;
+  try {
+    decrypted = decrypt(encrypted, browser);
+  } catch (error) {
+    decrypted = error.message;
+  }
+  report("user agent decrypts the payload", decrypted === payload, decrypted);
+
+  const again = encryptPayload(payload, browser.subscription);
+  report("each message uses a fresh salt and key", !again.subarray(0, 86).equals(encrypted.subarray(0, 86)));
+
+  try {
+    encryptPayload("x".repeat(MAX_PAYLOAD_BYTES + 1), browser.subscription);
+    report("oversized payload is rejected", false);
+  } catch (error) {
+    report("oversized payload is rejected", error.code === "PAYLOAD_TOO_LARGE", error.code);
+  }
+
+  // Test VAPID
+  console.log("\n--- Testing VAPID ---");
+  const vapidResult = verifyVapid(getVapidAuthorization(browser.subscription.endpoint, vapid));
+  report("VAPID signature verifies with the public key", vapidResult && vapidResult.isValid, vapidResult);
+  report(
+    "VAPID audience is the push service origin",
+    vapidResult && vapidResult.claims.aud === "https://push.example.com",
+    vapidResult && vapidResult.claims
+  );
+  report(
+    "VAPID token expires within 24 hours",
+    vapidResult && vapidResult.claims.exp - Date.now() / 1000 <= 24 * 3600,
+    vapidResult && vapidResult.claims
+  );
+
+  // Test delivery against a local push service
+  console.log("\n--- Testing Delivery ---");
+  const { received, url, last, close } = await startPushService();
+  const expiredEvents = [];
+  const unsubscribe = onSubscriptionExpired((subscription, record) => expiredEvents.push({ subscription, record }));
+
+  try {
+    const live = createSubscription(`${url}/push/live`);
+    const result = await sendWebPush(live.subscription, "Your order has shipped", {
+      title: "Order update",
+      url: "/orders/1042",
+      urgency: "high",
+      vapid,
+    });
+    const request = last();
+    report("201 is a successful send", result.status === "sent" && result.statusCode === 201, result);
+    report(
+      "request carries encryption and VAPID headers",
+      request.headers["content-encoding"] === "aes128gcm" &&
+        request.headers.urgency === "high" &&
+        request.headers.ttl === "86400" &&
+        verifyVapid(request.headers.authorization).isValid,
+      request.headers
+    );
+    const delivered = JSON.parse(decrypt(request.raw, live));
+    report(
+      "delivered payload has title, body and url",
+      delivered.title === "Order update" && delivered.body === "Your order has shipped" && delivered.url === "/orders/1042",
+      delivered
+    );
+
+    const gone = createSubscription(`${url}/push/gone/410`);
+    const goneResult = await send(gone.subscription, "Hello", { vapid });
+    report(
+      "410 fails with SUBSCRIPTION_EXPIRED",
+      goneResult.success === false && goneResult.errorCode === "SUBSCRIPTION_EXPIRED" && goneResult.statusCode === 410,
+      goneResult
+    );
+    report("expired subscription is flagged", getExpiredSubscription(gone.subscription) !== null);
+    report(
+      "expiry listener is called",
+      expiredEvents.length === 1 && expiredEvents[0].subscription.endpoint === gone.subscription.endpoint,
+      expiredEvents
+    );
+
+    const requestsBefore = received.length;
+    const retryResult = await send(gone.subscription, "Hello again", { vapid });
+    report(
+      "expired subscription fails without a request",
+      retryResult.errorCode === "SUBSCRIPTION_EXPIRED" && received.length === requestsBefore,
+      retryResult
+    );
+
+    const unavailable = createSubscription(`${url}/push/busy/503`);
+    const unavailableResult = await send(unavailable.subscription, "Hello", { vapid });
+    report(
+      "503 fails with the push service status",
+      unavailableResult.errorCode === "WEBPUSH_HTTP_ERROR" && unavailableResult.statusCode === 503 &&
+        getExpiredSubscription(unavailable.subscription) === null,
+      unavailableResult
+    );
+
+    const noVapid = await send(live.subscription, "Hello", { vapid: { subject: "mailto:ops@example.com" } });
+    report("missing VAPID keys fail with PUSH_NOT_CONFIGURED", noVapid.errorCode === "PUSH_NOT_CONFIGURED", noVapid);
+  } finally {
+    unsubscribe();
+    clearExpiredSubscriptions();
+    await close();
+  }
+});
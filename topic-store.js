@@ -0,0 +1,209 @@
+/**
+ * Push Topic Store Module
+ *
+ * Keeps track of which device tokens are subscribed to which named topics, so
+ * a push can be sent to everyone subscribed to a topic (or matching a topic
+ * condition). Each subscription records the token's platform so broadcasts
+ * know which provider to use for it.
+ *
+ * Subscriptions are persisted to a JSON file shared by every process, so they
+ * survive restarts and tokens pruned by the worker don't undo subscriptions
+ * made through the API.
+ */
+
+const { createJsonFileStore } = require('./json-file-store');
+
+// Configuration
+const TOPICS_FILE = process.env.PUSH_TOPICS_FILE || 'push_topics.json';
+
+// Same rule as FCM topic names
+const TOPIC_NAME_PATTERN = /^[a-zA-Z0-9-_.~%]{1,900}$/;
+
+const PLATFORMS = ['ios', 'android'];
+
+// { [topic]: { [token]: { platform, subscribedAt } } }, re-read on every call
+// because subscriptions change through the API while the worker prunes tokens
+const topicStore = createJsonFileStore(TOPICS_FILE, { name: 'push topic subscriptions' });
+
+/**
+ * Check a topic name
+ *
+ * @param {string} topic - The topic name
+ * @returns {boolean} Whether the name is valid
+ */
+function isValidTopicName(topic) {
+  return typeof topic === 'string' && TOPIC_NAME_PATTERN.test(topic);
+}
+
+/**
+ * Validate a topic name and token list
+ * @private
+ */
+function assertValidSubscription(tokens, topic) {
+  if (!isValidTopicName(topic)) {
+    throw new Error(`Invalid topic name '${topic}'. Use letters, digits and -_.~%`);
+  }
+
+  if (tokens.length === 0 || tokens.some(token => typeof token !== 'string' || token.trim() === '')) {
+    throw new Error('At least one device token is required, and tokens must be non-empty strings');
+  }
+}
+
+/**
+ * Subscribe device tokens to a topic
+ *
+ * @param {string|string[]} tokens - One or more device tokens
+ * @param {string} topic - The topic name
+ * @param {Object} options - Subscription options
+ * @param {string} options.platform - 'ios' or 'android'
+ * @returns {Object} { topic, subscribed } with the number of tokens newly subscribed
+ * @throws {Error} - If the topic name, tokens or platform are invalid
+ */
+function subscribe(tokens, topic, options = {}) {
+  const tokenList = [].concat(tokens);
+  assertValidSubscription(tokenList, topic);
+
+  const platform = String(options.platform || '').toLowerCase();
+  if (!PLATFORMS.includes(platform)) {
+    throw new Error(`Invalid platform '${options.platform}'. Must be one of: ${PLATFORMS.join(', ')}`);
+  }
+
+  return topicStore.update(topics => {
+    const subscribers = topics[topic] || {};
+    let subscribed = 0;
+
+    tokenList.forEach(token => {
+      if (!subscribers[token]) subscribed++;
+      subscribers[token] = {
+        platform,
+        subscribedAt: subscribers[token] ? subscribers[token].subscribedAt : new Date().toISOString()
+      };
+    });
+
+    topics[topic] = subscribers;
+    return { topic, subscribed };
+  });
+}
+
+/**
+ * Unsubscribe device tokens from a topic
+ *
+ * @param {string|string[]} tokens - One or more device tokens
+ * @param {string} topic - The topic name
+ * @returns {Object} { topic, unsubscribed } with the number of tokens removed
+ */
+function unsubscribe(tokens, topic) {
+  const tokenList = [].concat(tokens);
+  assertValidSubscription(tokenList, topic);
+
+  const current = topicStore.read()[topic] || {};
+  if (!tokenList.some(token => current[token])) {
+    return { topic, unsubscribed: 0 };
+  }
+
+  return topicStore.update(topics => {
+    const subscribers = topics[topic] || {};
+    let unsubscribed = 0;
+
+    tokenList.forEach(token => {
+      if (subscribers[token]) {
+        delete subscribers[token];
+        unsubscribed++;
+      }
+    });
+
+    if (Object.keys(subscribers).length === 0) {
+      delete topics[topic];
+    }
+
+    return { topic, unsubscribed };
+  });
+}
+
+/**
+ * Remove a device token from every topic, e.g. once the provider reports it invalid
+ *
+ * @param {string} token - The device token
+ * @returns {string[]} The topics it was removed from
+ */
+function removeToken(token) {
+  if (getTopicsForToken(token).length === 0) {
+    return [];
+  }
+
+  return topicStore.update(topics => {
+    const removedFrom = Object.keys(topics).filter(topic => topics[topic][token]);
+
+    removedFrom.forEach(topic => {
+      delete topics[topic][token];
+      if (Object.keys(topics[topic]).length === 0) {
+        delete topics[topic];
+      }
+    });
+
+    return removedFrom;
+  });
+}
+
+/**
+ * List the subscribers of a topic
+ *
+ * @param {string} topic - The topic name
+ * @returns {Array<Object>} [{ token, platform, subscribedAt }]
+ */
+function getSubscribers(topic) {
+  return Object.entries(topicStore.read()[topic] || {}).map(([token, subscription]) => ({ token, ...subscription }));
+}
+
+/**
+ * List every subscribed token with the topics it belongs to
+ *
+ * @returns {Array<Object>} [{ token, platform, topics }]
+ */
+function getAllSubscriptions() {
+  const byToken = new Map();
+
+  Object.entries(topicStore.read()).forEach(([topic, subscribers]) => {
+    Object.entries(subscribers).forEach(([token, subscription]) => {
+      if (!byToken.has(token)) {
+        byToken.set(token, { token, platform: subscription.platform, topics: [] });
+      }
+      byToken.get(token).topics.push(topic);
+    });
+  });
+
+  return Array.from(byToken.values());
+}
+
+/**
+ * List the topics a token is subscribed to
+ *
+ * @param {string} token - The device token
+ * @returns {string[]} Topic names
+ */
+function getTopicsForToken(token) {
+  const topics = topicStore.read();
+  return Object.keys(topics).filter(topic => topics[topic][token]);
+}
+
+/**
+ * List topics with their subscriber counts
+ *
+ * @returns {Object} { [topic]: count }
+ */
+function listTopics() {
+  return Object.fromEntries(
+    Object.entries(topicStore.read()).map(([topic, subscribers]) => [topic, Object.keys(subscribers).length])
+  );
+}
+
+module.exports = {
+  isValidTopicName,
+  subscribe,
+  unsubscribe,
+  removeToken,
+  getSubscribers,
+  getAllSubscriptions,
+  getTopicsForToken,
+  listTopics
+};
@@ -368,6 +368,34 @@ function savePreferences() {
     }
   }
 
+  /**
+ * Load the preferences store from the preferences file
+ * 
+ * Replaces the in-memory store with what is on disk, so a process can pick up
+ * preferences another process saved (e.g. the worker before a recurring run).
+ * A missing file leaves the store as it is.
+ * 
+ * @returns {boolean} Whether the file was loaded
+ */
+function loadPreferences() {
+    try {
+      if (!fs.existsSync(PREFERENCES_FILE)) {
+        return false;
+      }
+  
+      const data = JSON.parse(fs.readFileSync(PREFERENCES_FILE, 'utf8'));
+  
+      // Older files hold an array of { userId, ...preferences }
+      preferencesStore = Array.isArray(data)
+        ? Object.fromEntries(data.map(({ userId, ...preferences }) => [userId, preferences]))
+        : (data || {});
+      return true;
+    } catch (error) {
+      console.error('Failed to load preferences:', error.message);
+      return false;
+    }
+  }
+
   /**
  * Initialize a new user with default notification preferences
  * Only adds the user if they don't already exist in the preferences store
@@ -456,7 +484,10 @@ function initializeNewUserWithAllEnabled(userId) {
  * @param {Object} preferences - Object containing preferences to update
  * @param {boolean} [preferences.emailEnabled] - Whether email notifications are enabled
  * @param {boolean} [preferences.smsEnabled] - Whether SMS notifications are enabled
+ * @param {boolean} [preferences.inappEnabled] - Whether in-app inbox notifications are enabled
+ * @param {boolean} [preferences.pushEnabled] - Whether push notifications to registered devices are enabled
  * @param {string} [preferences.preferredLanguage] - User's preferred language code
+ * @param {string|null} [preferences.phone] - User's phone number, used for SMS and to match inbound SMS replies
  * @returns {Object|{error: string}} - Updated preferences or error object with description
  */
 function updateExistingUserPreferences(userId, preferences) {
@@ -494,15 +525,33 @@ function updateExistingUserPreferences(userId, preferences) {
       return { error };
     }
     
+    if ('inappEnabled' in preferences && typeof preferences.inappEnabled !== 'boolean') {
+      const error = 'inappEnabled must be a boolean';
+      console.error(error);
+      return { error };
+    }
+    
+    if ('pushEnabled' in preferences && typeof preferences.pushEnabled !== 'boolean') {
+      const error = 'pushEnabled must be a boolean';
+      console.error(error);
+      return { error };
+    }
+    
     if ('preferredLanguage' in preferences && !isValidLanguageCode(preferences.preferredLanguage)) {
       const error = `Invalid language code: ${preferences.preferredLanguage}`;
       console.error(error);
       return { error };
     }
     
+    if ('phone' in preferences && preferences.phone !== null && typeof preferences.phone !== 'string') {
+      const error = 'phone must be a string or null';
+      console.error(error);
+      return { error };
+    }
+    
     // Ensure at least one valid preference field is provided
-    if (!('emailEnabled' in preferences || 'smsEnabled' in preferences || 'preferredLanguage' in preferences)) {
-      const error = 'No valid preference fields provided. Must include emailEnabled, smsEnabled, and/or preferredLanguage.';
+    if (!('emailEnabled' in preferences || 'smsEnabled' in preferences || 'inappEnabled' in preferences || 'pushEnabled' in preferences || 'preferredLanguage' in preferences || 'phone' in preferences)) {
+      const error = 'No valid preference fields provided. Must include emailEnabled, smsEnabled, inappEnabled, pushEnabled, preferredLanguage, and/or phone.';
       console.error(error);
       return { error };
     }
@@ -519,10 +568,22 @@ function updateExistingUserPreferences(userId, preferences) {
       updates.smsEnabled = preferences.smsEnabled;
     }
     
+    if ('inappEnabled' in preferences) {
+      updates.inappEnabled = preferences.inappEnabled;
+    }
+    
+    if ('pushEnabled' in preferences) {
+      updates.pushEnabled = preferences.pushEnabled;
+    }
+    
     if ('preferredLanguage' in preferences) {
       updates.preferredLanguage = preferences.preferredLanguage;
     }
     
+    if ('phone' in preferences) {
+      updates.phone = preferences.phone;
+    }
+    
     // Update the user's preferences
     const updatedPrefs = {
       ...preferencesStore[userId],
@@ -928,7 +989,7 @@ function getUserPreferences(userId, defaultOverrides = {}, includeDeleted = fals
  * not opted in to any channel unless includeDeleted is set to true.
  * 
  * @param {string} userId - User ID or email
- * @param {string} channel - Notification channel ('email' or 'sms')
+ * @param {string} channel - Notification channel ('email', 'sms', 'inapp' or 'push')
  * @param {boolean} [includeDeleted=false] - Whether to include soft-deleted users
  * @returns {boolean} Whether the user has opted in
  */
@@ -952,6 +1013,10 @@ function hasUserOptedIn(userId, channel, includeDeleted = false) {
         return preferences.emailEnabled === true;
       case 'sms':
         return preferences.smsEnabled === true;
+      case 'inapp':
+        return preferences.inappEnabled === true;
+      case 'push':
+        return preferences.pushEnabled === true;
       default:
         console.error(`Unknown notification channel: ${channel}`);
         return false;
@@ -1035,6 +1100,7 @@ function getAllPreferences(includeDeleted = false) {
   
 
   module.exports = {
+    loadPreferences,
     createCustomDefaultPreferences,
     createDefaultPreferences,
     initializeNewUser,
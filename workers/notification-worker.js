@@ -0,0 +1,44 @@
+/**
+ * Notification Worker Process
+ *
+ * Long-running process that drains the durable notification queue and fires
+ * scheduled and recurring notifications. Jobs that were in flight when the previous worker
+ * stopped are resumed on start.
+ *
+ * Run with: npm run worker
+ * (QUEUE_CONCURRENCY and QUEUE_POLL_INTERVAL_MS control throughput)
+ */
+
+// Load environment variables
+require('dotenv').config();
+
+const { QueueWorker } = require('../queue-worker');
+const scheduler = require('../notification-scheduler');
+const recurringScheduler = require('../recurring-scheduler');
+
+const worker = new QueueWorker();
+
+console.log(`Starting notification worker (concurrency=${worker.concurrency})`);
+worker.start();
+console.log('Queue status:', worker.queue.getStats());
+
+// Fire scheduled notifications from the same long-running process
+scheduler.start();
+console.log(`Pending scheduled notifications: ${scheduler.listScheduledNotifications().length}`);
+
+// Run cron-based recurring notifications (digests, reminders)
+recurringScheduler.start();
+console.log(`Active recurring schedules: ${recurringScheduler.listSchedules({ state: 'active' }).length}`);
+
+// Finish the jobs already in progress before exiting
+async function shutdown(signal) {
+  console.log(`Received ${signal}, waiting for active jobs to finish...`);
+  scheduler.stop();
+  recurringScheduler.stop();
+  await worker.stop();
+  console.log('Notification worker stopped. Queue status:', worker.queue.getStats());
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));